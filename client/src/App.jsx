@@ -4,24 +4,22 @@ import TeamSelector from './components/TeamSelector';
 import Dashboard from './components/Dashboard';
 import api from './services/api';
 import { getTranslations, detectLocale } from './services/i18n';
+import { roleLabelKey } from './services/roles';
 
-const STORAGE_KEY_JIRA_URL = 'scrum-dashboard-jira-url';
-const STORAGE_KEY_EMAIL = 'scrum-dashboard-email';
-const STORAGE_KEY_TOKEN = 'scrum-dashboard-api-token';
 const STORAGE_KEY_BOARDS = 'scrum-dashboard-selected-boards';
-const STORAGE_KEY_TENANT = 'scrum-dashboard-tenant-id';
 const STORAGE_KEY_LOCALE = 'scrum-dashboard-locale';
-
-const API_URL = import.meta.env.VITE_API_URL || '/api';
+// Where earlier versions kept the Jira API token in plain text
+const LEGACY_STORAGE_KEY_API_TOKEN = 'scrum-dashboard-api-token';
 
 function App() {
   const [isLoading, setIsLoading] = useState(true);
   const [step, setStep] = useState('connection');
-  const [credentials, setCredentials] = useState(null);
+  // Server-side login session (tenant, Jira URL, deployment type — never the API token)
+  const [session, setSession] = useState(null);
+  const [serverCredentials, setServerCredentials] = useState(false);
   const [selectedBoards, setSelectedBoards] = useState([]);
   const [savedBoardsFromHistory, setSavedBoardsFromHistory] = useState([]);
   const [newlyAddedBoard, setNewlyAddedBoard] = useState(null);
-  const [tenantId, setTenantId] = useState(null);
   const [locale, setLocale] = useState('en');
 
   // Translation function
@@ -29,132 +27,74 @@ function App() {
 
   useEffect(() => {
     initializeApp();
+    // Session expired or revoked on the server: back to the login screen
+    api.setUnauthorizedHandler(() => resetToLogin());
+    return () => api.setUnauthorizedHandler(null);
   }, []);
 
-  // Update API tenant whenever tenantId changes
-  useEffect(() => {
-    if (tenantId) {
-      api.setTenant(tenantId);
-    }
-  }, [tenantId]);
-
-  const initializeApp = async () => {
-    // Restore tenant and locale from storage
-    const savedTenant = localStorage.getItem(STORAGE_KEY_TENANT);
-    const savedLocale = localStorage.getItem(STORAGE_KEY_LOCALE);
-    if (savedTenant) {
-      setTenantId(savedTenant);
-      api.setTenant(savedTenant);
-    }
-    if (savedLocale) {
-      setLocale(savedLocale);
-    }
-
-    let boardsFromHistory = [];
+  // Boards with stored metrics for the session's tenant
+  const loadBoardsFromHistory = async () => {
     try {
-      const historyResponse = await fetch(`${API_URL}/history/boards${savedTenant ? `?tenant=${encodeURIComponent(savedTenant)}` : ''}`);
-      if (historyResponse.ok) {
-        const historyData = await historyResponse.json();
-        if (historyData.success && historyData.boards?.length > 0) {
-          boardsFromHistory = historyData.boards.map(b => ({
-            id: b.board_id,
-            name: b.board_name
-          }));
-          setSavedBoardsFromHistory(boardsFromHistory);
-        }
+      const historyData = await api.getBoardsWithHistory();
+      if (historyData.success && historyData.boards?.length > 0) {
+        const boards = historyData.boards.map(b => ({
+          id: b.board_id,
+          name: b.board_name
+        }));
+        setSavedBoardsFromHistory(boards);
+        return boards;
       }
     } catch (err) {
       console.error('Failed to check database:', err);
     }
-
-    try {
-      const savedUrl = localStorage.getItem(STORAGE_KEY_JIRA_URL);
-      const savedEmail = localStorage.getItem(STORAGE_KEY_EMAIL);
-      const savedToken = localStorage.getItem(STORAGE_KEY_TOKEN);
-
-      if (savedUrl && savedEmail && savedToken) {
-        const response = await fetch(`${API_URL}/jira/test-connection`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ jiraUrl: savedUrl, email: savedEmail, apiToken: savedToken })
-        });
-
-        if (response.ok) {
-          const result = await response.json();
-          if (result.success) {
-            const creds = { jiraUrl: savedUrl, email: savedEmail, apiToken: savedToken };
-            setCredentials(creds);
-
-            // Update tenant from server response
-            if (result.tenantId) {
-              setTenantId(result.tenantId);
-              api.setTenant(result.tenantId);
-              localStorage.setItem(STORAGE_KEY_TENANT, result.tenantId);
-            }
-            if (result.locale) {
-              setLocale(result.locale);
-              localStorage.setItem(STORAGE_KEY_LOCALE, result.locale);
-            }
-
-            if (boardsFromHistory.length > 0) {
-              setSelectedBoards(boardsFromHistory);
-              setStep('dashboard');
-            } else {
-              setStep('teamSelection');
-            }
-            setIsLoading(false);
-            return;
-          }
-        }
-        localStorage.removeItem(STORAGE_KEY_TOKEN);
-      }
-    } catch (err) {
-      console.error('Auto-login failed:', err);
-    }
-
-    setStep('connection');
-    setIsLoading(false);
+    return [];
   };
 
-  const handleConnectionSuccess = (creds, serverTenantId, serverLocale) => {
-    try {
-      localStorage.setItem(STORAGE_KEY_JIRA_URL, creds.jiraUrl);
-      localStorage.setItem(STORAGE_KEY_EMAIL, creds.email);
-      localStorage.setItem(STORAGE_KEY_TOKEN, creds.apiToken);
-    } catch (err) {
-      console.error('Failed to save credentials:', err);
-    }
+  // Adopt a login session: tenant, locale, then the boards to show
+  const startSession = async (newSession, serverLocale) => {
+    setSession(newSession);
 
-    // Set tenant
-    const tenant = serverTenantId || extractTenantFromUrl(creds.jiraUrl);
-    setTenantId(tenant);
-    api.setTenant(tenant);
-    localStorage.setItem(STORAGE_KEY_TENANT, tenant);
-
-    // Set locale
-    const loc = serverLocale || detectLocale(tenant);
+    const loc = serverLocale || detectLocale(newSession.tenantId);
     setLocale(loc);
     localStorage.setItem(STORAGE_KEY_LOCALE, loc);
 
-    setCredentials(creds);
-
-    if (savedBoardsFromHistory.length > 0) {
-      setSelectedBoards(savedBoardsFromHistory);
+    const boardsFromHistory = await loadBoardsFromHistory();
+    if (boardsFromHistory.length > 0) {
+      setSelectedBoards(boardsFromHistory);
       setStep('dashboard');
     } else {
       setStep('teamSelection');
     }
   };
 
-  // Extract tenant ID from Jira URL (client-side fallback)
-  const extractTenantFromUrl = (jiraUrl) => {
-    if (!jiraUrl) return null;
+  const initializeApp = async () => {
+    // The token now lives only in the server-side session; drop any copy left from before
+    localStorage.removeItem(LEGACY_STORAGE_KEY_API_TOKEN);
+
+    const savedLocale = localStorage.getItem(STORAGE_KEY_LOCALE);
+    if (savedLocale) {
+      setLocale(savedLocale);
+    }
+
+    // Auto-login: the session cookie is HttpOnly, so ask the server whether it is still valid
     try {
-      const url = new URL(jiraUrl.endsWith('/') ? jiraUrl : jiraUrl + '/');
-      return url.hostname.toLowerCase();
-    } catch {
-      return null;
+      const result = await api.getSession();
+      if (result.authenticated) {
+        await startSession(result.session, result.locale);
+        setIsLoading(false);
+        return;
+      }
+      setServerCredentials(!!result.serverCredentials);
+    } catch (err) {
+      console.error('Auto-login failed:', err);
     }
+
+    setStep('connection');
+    setIsLoading(false);
+  };
+
+  const handleConnectionSuccess = async (newSession, serverLocale) => {
+    await startSession(newSession, serverLocale);
   };
 
   const handleTeamsSelected = (newBoards) => {
@@ -197,9 +137,9 @@ function App() {
     }
   };
 
-  const handleLogout = () => {
+  // Clear the local state (ALL scrum-dashboard-* keys, to prevent cross-tenant data leaks)
+  const resetToLogin = () => {
     try {
-      // Clear ALL scrum-dashboard-* keys to prevent cross-tenant data leaks
       const keysToRemove = [];
       for (let i = 0; i < localStorage.length; i++) {
         const key = localStorage.key(i);
@@ -213,12 +153,19 @@ function App() {
     }
 
     setStep('connection');
-    setCredentials(null);
+    setSession(null);
     setSelectedBoards([]);
     setSavedBoardsFromHistory([]);
-    setTenantId(null);
     setLocale('en');
-    api.setTenant(null);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await api.logout();
+    } catch (err) {
+      console.error('Failed to end session:', err);
+    }
+    resetToLogin();
   };
 
   if (isLoading) {
@@ -241,15 +188,20 @@ function App() {
             <h1 className="text-2xl font-bold text-gray-900">{t('appTitle')}</h1>
             <p className="text-sm text-gray-600">
               {t('appSubtitle')}
-              {tenantId && (
+              {session?.tenantId && (
                 <span className="ml-2 px-2 py-0.5 bg-gray-100 text-gray-500 text-xs rounded-full">
-                  {tenantId}
+                  {session.tenantId}
+                </span>
+              )}
+              {session?.role && (
+                <span className="ml-2 px-2 py-0.5 bg-blue-50 text-blue-600 text-xs rounded-full">
+                  {t(roleLabelKey(session.role))}
                 </span>
               )}
             </p>
           </div>
 
-          {step !== 'connection' && credentials && (
+          {step !== 'connection' && session && (
             <div className="flex gap-3">
               {step === 'dashboard' && (
                 <button
@@ -273,12 +225,12 @@ function App() {
       {/* Main Content */}
       <main className={step === 'dashboard' ? 'py-4' : 'py-8'}>
         {step === 'connection' && (
-          <JiraConnection onConnectionSuccess={handleConnectionSuccess} locale={locale} t={t} />
+          <JiraConnection onConnectionSuccess={handleConnectionSuccess} serverCredentials={serverCredentials} locale={locale} t={t} />
         )}
 
         {step === 'teamSelection' && (
           <TeamSelector
-            credentials={credentials}
+            session={session}
             onTeamsSelected={handleTeamsSelected}
             existingBoards={selectedBoards}
             onBack={selectedBoards.length > 0 ? () => setStep('dashboard') : null}
@@ -289,7 +241,7 @@ function App() {
 
         {step === 'dashboard' && (
           <Dashboard
-            credentials={credentials}
+            session={session}
             selectedBoards={selectedBoards}
             newlyAddedBoard={newlyAddedBoard}
             onNewBoardHandled={() => setNewlyAddedBoard(null)}
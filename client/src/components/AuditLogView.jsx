@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import { roleLabelKey } from '../services/roles';
+
+// Audit trail of the tenant: force refreshes, history deletions and configuration changes,
+// filterable by action, board, actor and date range (admins only)
+export default function AuditLogView({ boards, locale = 'en', t }) {
+  const boardOptions = boards.map(b => ({
+    id: typeof b === 'object' ? b.id : b,
+    name: typeof b === 'object' ? b.name : `Board ${b}`
+  }));
+  const boardName = (id) => boardOptions.find(b => b.id === id)?.name || `Board ${id}`;
+
+  const emptyFilters = { action: '', boardId: '', actor: '', from: '', to: '' };
+  const [filters, setFilters] = useState(emptyFilters);
+  const [applied, setApplied] = useState(emptyFilters);
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatTime = (iso) => new Date(iso).toLocaleString(dateLocale, {
+    month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+  const actionLabel = (action) => {
+    const key = `audit_${action.replace('.', '_')}`;
+    const label = t(key);
+    return label === key ? action : label;
+  };
+
+  const load = (before = null) => {
+    setLoading(true);
+    setError('');
+    api.getAuditLog({ ...applied, before })
+      .then(result => {
+        setEntries(prev => before ? [...prev, ...result.entries] : result.entries);
+        setNextBefore(result.nextBefore);
+        setActions(result.actions || []);
+      })
+      .catch(err => setError(err.response?.data?.message || err.message))
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => { load(); }, [applied]);
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  // Parameters as "key: value" pairs; arrays and objects inline
+  const formatParams = (params) => Object.entries(params || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' · ');
+
+  return (
+    <div className="card mb-8">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">📜 {t('auditLog')}</h2>
+        <p className="text-sm text-gray-500">{t('auditLogDesc')}</p>
+      </div>
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); setApplied(filters); }}
+        className="flex flex-wrap items-end gap-3 mb-6"
+      >
+        <label className="text-xs text-gray-600">
+          {t('auditAction')}
+          <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className="input-field mt-1">
+            <option value="">{t('auditAll')}</option>
+            {actions.map(action => <option key={action} value={action}>{actionLabel(action)}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('auditBoard')}
+          <select value={filters.boardId} onChange={(e) => setFilter('boardId', e.target.value)} className="input-field mt-1">
+            <option value="">{t('auditAll')}</option>
+            {boardOptions.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('auditActor')}
+          <input
+            type="text"
+            value={filters.actor}
+            onChange={(e) => setFilter('actor', e.target.value)}
+            placeholder={t('auditActorPlaceholder')}
+            className="input-field mt-1"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('auditFrom')}
+          <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className="input-field mt-1" />
+        </label>
+        <label className="text-xs text-gray-600">
+          {t('auditTo')}
+          <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className="input-field mt-1" />
+        </label>
+        <button type="submit" className="btn-primary text-sm">{t('auditApplyFilters')}</button>
+        <button
+          type="button"
+          onClick={() => { setFilters(emptyFilters); setApplied(emptyFilters); }}
+          className="btn-secondary text-sm"
+        >
+          {t('auditClearFilters')}
+        </button>
+      </form>
+
+      {error && <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+
+      {!loading && !error && entries.length === 0 && (
+        <div className="text-center text-gray-500 py-8">{t('noAuditEntries')}</div>
+      )}
+
+      {entries.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4">{t('auditTime')}</th>
+                <th className="py-2 pr-4">{t('auditActor')}</th>
+                <th className="py-2 pr-4">{t('auditAction')}</th>
+                <th className="py-2 pr-4">{t('auditBoard')}</th>
+                <th className="py-2">{t('auditParams')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id} className="border-b border-gray-100 align-top">
+                  <td className="py-2 pr-4 whitespace-nowrap text-gray-600">{formatTime(entry.createdAt)}</td>
+                  <td className="py-2 pr-4">
+                    <div className="font-medium text-gray-900">{entry.actor.name || entry.actor.accountId || '—'}</div>
+                    {entry.actor.role && <div className="text-xs text-gray-500">{t(roleLabelKey(entry.actor.role))}</div>}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap">{actionLabel(entry.action)}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">{entry.boardId ? boardName(entry.boardId) : '—'}</td>
+                  <td className="py-2 text-xs text-gray-500 break-all">{formatParams(entry.params) || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {loading && (
+        <div className="text-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+        </div>
+      )}
+
+      {!loading && nextBefore && (
+        <div className="text-center mt-4">
+          <button onClick={() => load(nextBefore)} className="btn-secondary text-sm">{t('loadMore')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
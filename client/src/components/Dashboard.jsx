@@ -16,6 +16,18 @@ import ChartDataLabels from 'chartjs-plugin-datalabels';
 import api from '../services/api';
 import MaturityBadge from './MaturityBadge';
 import MaturityLevelsReference from './MaturityLevelsReference';
+import ForecastPanel from './ForecastPanel';
+import ReleasesView from './ReleasesView';
+import PortfolioView from './PortfolioView';
+import DependencyGraphView from './DependencyGraphView';
+import AuditLogView from './AuditLogView';
+import OrgOverview from './OrgOverview';
+import MaturityTrendView from './MaturityTrendView';
+import SnapshotDiffView from './SnapshotDiffView';
+import RefreshJobsPanel from './RefreshJobsPanel';
+import KanbanDashboard from './KanbanDashboard';
+import { formatTarget, nextLevelCriteria, topLevelTarget } from '../services/maturityModel';
+import { hasRole } from '../services/roles';
 
 ChartJS.register(
   CategoryScale,
@@ -30,41 +42,45 @@ ChartJS.register(
   ChartDataLabels
 );
 
-export default function Dashboard({ credentials: credentialsProp, selectedBoards, newlyAddedBoard, onNewBoardHandled, onBoardDeleted, locale = 'en', t }) {
+// Spreadsheet export datasets (server exportService); CSV takes one, XLSX has all as sheets
+const EXPORT_DATASETS = [
+  { id: 'sprints', labelKey: 'exportDatasetSprints' },
+  { id: 'rollovers', labelKey: 'exportDatasetRollovers' },
+  { id: 'backlogGaps', labelKey: 'exportDatasetBacklogGaps' },
+  { id: 'rework', labelKey: 'exportDatasetRework' },
+  { id: 'leadTime', labelKey: 'exportDatasetLeadTime' }
+];
+
+export default function Dashboard({ session, selectedBoards, newlyAddedBoard, onNewBoardHandled, onBoardDeleted, locale = 'en', t }) {
   const [metrics, setMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [refreshingAll, setRefreshingAll] = useState(false);
-  const [refreshAllProgress, setRefreshAllProgress] = useState('');
+  // Refresh jobs of the tenant by id (see RefreshJobsPanel); job ids whose outcome was handled
+  const [jobs, setJobs] = useState({});
+  const handledJobsRef = useRef(new Set());
   const [error, setError] = useState('');
   const [selectedBoard, setSelectedBoard] = useState(selectedBoards[0]);
   const [allBoardsData, setAllBoardsData] = useState({});
   const [history, setHistory] = useState([]);
   const [selectedHistoryId, setSelectedHistoryId] = useState(null);
-  const [localCredentials, setLocalCredentials] = useState(credentialsProp);
+  // Compare mode: diff of the selected snapshot against a baseline snapshot
+  const [compareBaselineId, setCompareBaselineId] = useState(null);
+  // Export panel: PDF report and spreadsheet exports of the snapshot on screen or of all teams
+  const [showExportPanel, setShowExportPanel] = useState(false);
+  const [exportDataset, setExportDataset] = useState('sprints');
+  const [downloading, setDownloading] = useState(null);
   const [availableSprints, setAvailableSprints] = useState([]);
   const [selectedSprintIds, setSelectedSprintIds] = useState([]);
   const [showSprintSelector, setShowSprintSelector] = useState(false);
   const [expandedSections, setExpandedSections] = useState({});
   const [loadingSprints, setLoadingSprints] = useState(false);
+  const [maturityModel, setMaturityModel] = useState(null);
+  const [metricCatalog, setMetricCatalog] = useState({});
+  const [activeTab, setActiveTab] = useState('maturity');
 
-  // Use prop credentials or locally fetched ones
-  const credentials = credentialsProp || localCredentials;
-
-  // Fetch credentials from backend if not provided via props
-  useEffect(() => {
-    if (!credentialsProp && !localCredentials) {
-      const API_URL = import.meta.env.VITE_API_URL || '/api';
-      fetch(`${API_URL}/credentials`)
-        .then(res => res.json())
-        .then(data => {
-          if (data.success && data.credentials) {
-            setLocalCredentials(data.credentials);
-          }
-        })
-        .catch(() => {});
-    }
-  }, [credentialsProp]);
+  // Refreshing from Jira stores a new snapshot (team lead); deleting history takes an admin
+  const canRefresh = hasRole(session, 'team_lead');
+  const canDelete = hasRole(session, 'admin');
 
   // Helper function to safely format numbers
   const formatNumber = (value, decimals = 1) => {
@@ -96,11 +112,96 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
     return result;
   })();
 
+  const selectedBoardId = typeof selectedBoard === 'object' ? selectedBoard?.id : selectedBoard;
+  const activeJobs = Object.values(jobs).filter(job => job.status === 'queued' || job.status === 'running');
+  const selectedBoardJob = activeJobs.find(job => String(job.boardId) === String(selectedBoardId));
+
   // Load ALL board metrics from database on mount
   useEffect(() => {
     loadAllMetrics();
   }, []);
 
+  // Keep the newest state of each job (events can arrive out of order around reconnects)
+  const mergeJobs = (list) => setJobs(prev => {
+    const next = { ...prev };
+    for (const job of list) {
+      if (!next[job.id] || new Date(job.updatedAt) >= new Date(next[job.id].updatedAt)) next[job.id] = job;
+    }
+    return next;
+  });
+
+  // Live progress of refresh jobs; the first snapshot also picks up jobs started before a reload
+  useEffect(() => {
+    let firstSnapshot = true;
+    return api.subscribeToJobs({
+      onSnapshot: (list) => {
+        // Jobs that finished before the page loaded are already in the loaded metrics
+        if (firstSnapshot) list.filter(job => job.finishedAt).forEach(job => handledJobsRef.current.add(job.id));
+        firstSnapshot = false;
+        mergeJobs(list);
+      },
+      onJob: (job) => mergeJobs([job])
+    });
+  }, []);
+
+  // A finished job: load its snapshot, or report the failure of a board still without data
+  useEffect(() => {
+    for (const job of Object.values(jobs)) {
+      if ((job.status !== 'succeeded' && job.status !== 'failed') || handledJobsRef.current.has(job.id)) continue;
+      handledJobsRef.current.add(job.id);
+      const isSelected = String(job.boardId) === String(selectedBoardId);
+      if (job.status === 'failed') {
+        if (isSelected && !metrics) setError(`Failed to load ${job.boardName || `Board ${job.boardId}`}: ${job.error}`);
+        continue;
+      }
+      loadJobResult(job, isSelected);
+    }
+  }, [jobs]);
+
+  const loadJobResult = async (job, isSelected) => {
+    if (!job.result?.historyId) return;
+    try {
+      const result = await api.getHistoricalMetrics(job.result.historyId);
+      if (!result.success || !result.data) return;
+      const data = result.data.metrics_data;
+      setAllBoardsData(prev => ({ ...prev, [String(job.boardId)]: data }));
+      setDbBoards(prev => {
+        if (prev.some(b => b.id === job.boardId)) return prev;
+        return [...prev, { id: job.boardId, name: job.result.boardName || job.boardName }];
+      });
+      if (isSelected) {
+        setMetrics(data);
+        setError('');
+        loadBoardHistory(job.boardId);
+      }
+    } catch (err) {
+      console.warn(`Failed to load refreshed metrics of board ${job.boardId}:`, err.message);
+    }
+  };
+
+  // Queue refresh jobs on the server (team lead); progress arrives through the job events
+  const submitRefresh = async (boards, options) => {
+    try {
+      setError('');
+      const result = await api.submitRefreshJobs(boards, options);
+      mergeJobs(result.jobs || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  // Load the tenant's maturity model (levels, thresholds, pillars)
+  useEffect(() => {
+    api.getMaturityModel()
+      .then(data => {
+        if (data.success) {
+          setMaturityModel(data.model);
+          setMetricCatalog(data.metrics || {});
+        }
+      })
+      .catch(err => console.warn('Could not load maturity model:', err.message));
+  }, []);
+
   // When a new board is added from TeamSelector, auto-select it
   useEffect(() => {
     if (newlyAddedBoard) {
@@ -165,7 +266,7 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
 
   // Auto-refresh boards that are in selectedBoards but have no data in the database
   const autoRefreshNewBoards = async (dataMap) => {
-    if (!credentials) return;
+    if (!canRefresh) return;
 
     const newBoards = selectedBoards.filter(b => {
       const id = typeof b === 'object' ? b.id : b;
@@ -178,10 +279,7 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
       try {
         setRefreshing(true);
 
-        const teamData = await api.getTeamMetrics(
-          credentials.jiraUrl, credentials.email, credentials.apiToken,
-          boardId, 6, true
-        );
+        const teamData = await api.getTeamMetrics(boardId, 6, true);
 
         if (teamData.success) {
           setAllBoardsData(prev => ({ ...prev, [String(boardId)]: teamData.data }));
@@ -204,10 +302,12 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
   };
 
   // Handle board change from combobox - instant switch or auto-refresh
-  const handleBoardChange = async (e) => {
-    const boardId = Number(e.target.value);
+  const handleBoardChange = (e) => selectBoard(Number(e.target.value));
+
+  const selectBoard = (boardId) => {
     const board = displayBoards.find(b => (typeof b === 'object' ? b.id : b) === boardId);
     setSelectedBoard(board || boardId);
+    setCompareBaselineId(null);
 
     // Reload sprint list if the sprint selector is visible
     if (showSprintSelector) {
@@ -245,12 +345,10 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
 
   // Load available sprints for the current board
   const loadAvailableSprints = async (boardId) => {
-    if (!credentials) return;
+    if (!session) return;
     try {
       setLoadingSprints(true);
-      const result = await api.getSprints(
-        credentials.jiraUrl, credentials.email, credentials.apiToken, boardId
-      );
+      const result = await api.getSprints(boardId);
       if (result.success) {
         setAvailableSprints(result.sprints);
         // Default: select the 6 most recent (sprints are sorted oldest-first)
@@ -275,31 +373,8 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
   // Refresh with selected sprints
   const refreshWithSelectedSprints = async () => {
     if (selectedSprintIds.length === 0) return;
-    try {
-      setRefreshing(true);
-      setLoading(true);
-      setError('');
-      setShowSprintSelector(false);
-
-      const boardId = typeof selectedBoard === 'object' ? selectedBoard.id : selectedBoard;
-
-      const teamData = await api.getTeamMetrics(
-        credentials.jiraUrl, credentials.email, credentials.apiToken,
-        boardId, selectedSprintIds.length, true, selectedSprintIds
-      );
-
-      if (teamData.success) {
-        setMetrics(teamData.data);
-        setAllBoardsData(prev => ({ ...prev, [String(boardId)]: teamData.data }));
-        setError('');
-        await loadBoardHistory(boardId);
-      }
-    } catch (err) {
-      setError(`Failed to refresh: ${err.message}`);
-    } finally {
-      setRefreshing(false);
-      setLoading(false);
-    }
+    setShowSprintSelector(false);
+    await submitRefresh([selectedBoard], { sprintCount: selectedSprintIds.length, sprintIds: selectedSprintIds });
   };
 
   // Delete board from database
@@ -347,6 +422,8 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
     }
   };
 
+  const formatHistoryEntry = (h) => `${new Date(h.calculated_at).toLocaleDateString(locale === 'pt-BR' ? 'pt-BR' : 'en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })} - ${t('maturityLevel')} ${h.maturity_level}`;
+
   // Load a specific historical entry by ID
   const loadHistoricalMetrics = async (historyId) => {
     try {
@@ -364,118 +441,58 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
     }
   };
 
-  // Refresh from Jira API (only called by button)
-  const refreshFromJira = async () => {
+  // Downloads of the export panel, one at a time; board exports use the snapshot on screen (the
+  // selected history entry, or the latest)
+  const runDownload = async (key, download) => {
+    setDownloading(key);
     try {
-      setRefreshing(true);
-      setLoading(true);
-      setError('');
-
-      const boardId = typeof selectedBoard === 'object' ? selectedBoard.id : selectedBoard;
-
-      const teamData = await api.getTeamMetrics(
-        credentials.jiraUrl, credentials.email, credentials.apiToken,
-        boardId, 6, true
-      );
-
-      setMetrics(teamData.data);
-      setAllBoardsData(prev => ({ ...prev, [String(boardId)]: teamData.data }));
-
-      // Reload history to include the new entry
-      await loadBoardHistory(boardId);
+      await download();
     } catch (err) {
-      console.error('Failed to load metrics:', err);
-      const errorMessage = err.response?.data?.message || err.message || 'Failed to load metrics';
-      setError(errorMessage);
+      setError(`${t(key === 'pdf' ? 'reportFailed' : 'exportFailed')}: ${err.response?.data?.message || err.message}`);
     } finally {
-      setLoading(false);
-      setRefreshing(false);
+      setDownloading(null);
     }
   };
 
-  // Refresh ALL loaded boards from Jira (sequential to avoid rate limits)
+  // Refresh the selected board from Jira (only called by button)
+  const refreshFromJira = () => submitRefresh([selectedBoard]);
+
+  // Refresh ALL loaded boards from Jira: one job per board, run one after another by the server
   const refreshAllBoards = async () => {
-    if (!credentials || displayBoards.length === 0) return;
+    if (!canRefresh || displayBoards.length === 0) return;
     const confirmed = window.confirm(
       locale === 'pt-BR'
-        ? `Isso atualizara ${displayBoards.length} board(s) do Jira. A operacao pode levar ate ${displayBoards.length * 2} minutos. Deseja continuar?`
-        : `This will refresh ${displayBoards.length} board(s) from Jira. The operation may take up to ${displayBoards.length * 2} minutes. Continue?`
+        ? `Isso atualizara ${displayBoards.length} board(s) do Jira no servidor. Voce pode continuar usando o dashboard ou recarregar a pagina. Deseja continuar?`
+        : `This will refresh ${displayBoards.length} board(s) from Jira on the server. You can keep using the dashboard or reload the page meanwhile. Continue?`
     );
     if (!confirmed) return;
-
-    setRefreshingAll(true);
-    setError('');
-
-    for (let i = 0; i < displayBoards.length; i++) {
-      const board = displayBoards[i];
-      const boardId = typeof board === 'object' ? board.id : board;
-      const boardName = typeof board === 'object' ? board.name : `Board ${boardId}`;
-      setRefreshAllProgress(`${i + 1}/${displayBoards.length}: ${boardName}`);
-
-      try {
-        const teamData = await api.getTeamMetrics(
-          credentials.jiraUrl, credentials.email, credentials.apiToken,
-          boardId, 6, true
-        );
-        if (teamData.success) {
-          setAllBoardsData(prev => ({ ...prev, [String(boardId)]: teamData.data }));
-          // If this is the currently selected board, update the view
-          const currentBoardId = typeof selectedBoard === 'object' ? selectedBoard.id : selectedBoard;
-          if (String(boardId) === String(currentBoardId)) {
-            setMetrics(teamData.data);
-          }
-        }
-      } catch (err) {
-        console.error(`Failed to refresh board ${boardName}:`, err.message);
-      }
-    }
-
-    setRefreshingAll(false);
-    setRefreshAllProgress('');
+    await submitRefresh(displayBoards);
   };
 
-  // Auto-refresh when no metrics and credentials available
-  const autoRefreshingRef = useRef(false);
+  // Auto-refresh when no metrics and the role allows it (once per board: a failed job leaves
+  // its error and the refresh button)
+  const autoRefreshedRef = useRef(new Set());
   useEffect(() => {
-    if (!loading && !metrics && !refreshing && !autoRefreshingRef.current && credentials && selectedBoard) {
-      const boardId = typeof selectedBoard === 'object' ? selectedBoard.id : selectedBoard;
-      const boardName = typeof selectedBoard === 'object' ? selectedBoard.name : `Board ${boardId}`;
-      autoRefreshingRef.current = true;
-      (async () => {
-        try {
-          setRefreshing(true);
-          const teamData = await api.getTeamMetrics(credentials.jiraUrl, credentials.email, credentials.apiToken, boardId, 6, true);
-
-          if (teamData.success) {
-            setMetrics(teamData.data);
-            setAllBoardsData(prev => ({ ...prev, [String(boardId)]: teamData.data }));
-            setDbBoards(prev => {
-              if (prev.some(b => b.id === boardId)) return prev;
-              return [...prev, { id: boardId, name: teamData.data?.boardName || boardName }];
-            });
-            setError('');
-            loadBoardHistory(boardId);
-          }
-        } catch (err) {
-          setError(`Failed to load ${boardName}: ${err.message}`);
-        } finally {
-          setRefreshing(false);
-          autoRefreshingRef.current = false;
-        }
-      })();
+    if (!loading && !metrics && !refreshing && selectedBoard && !canRefresh) {
+      setError(t('noDataAskTeamLead'));
+      return;
+    }
+    if (!loading && !metrics && !selectedBoardJob && canRefresh && selectedBoard && !autoRefreshedRef.current.has(String(selectedBoardId))) {
+      autoRefreshedRef.current.add(String(selectedBoardId));
+      submitRefresh([selectedBoard]);
     }
-  }, [loading, metrics, credentials, selectedBoard]);
+  }, [loading, metrics, canRefresh, selectedBoard]);
 
   // Loading/no-data inline component (shown inside the main layout instead of blocking)
   const renderLoadingOrEmpty = () => {
-    if (loading || refreshing) {
+    if (loading || refreshing || selectedBoardJob) {
       const boardName = typeof selectedBoard === 'object' ? selectedBoard.name : `Board ${selectedBoard || ''}`;
       return (
         <div className="flex items-center justify-center py-24">
           <div className="text-center">
             <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-primary-600 mx-auto"></div>
             <p className="mt-4 text-gray-600 text-lg">
-              {refreshing
+              {refreshing || selectedBoardJob
                 ? t('loadingFromJira', { name: boardName })
                 : t('loadingMetrics')}
             </p>
@@ -492,10 +509,10 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
             <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-4">
               <p className="text-sm">{error}</p>
             </div>
-            {credentials && (
+            {canRefresh && (
               <button
                 onClick={() => refreshFromJira()}
-                disabled={refreshing}
+                disabled={refreshing || !!selectedBoardJob}
                 className="px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
               >
                 <span>🔄</span>
@@ -618,27 +635,27 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
         <div className="mb-8">
           <div className="flex justify-between items-center mb-4">
             <h1 className="text-4xl font-bold text-gray-900">{t('appTitle')}</h1>
-            {credentials && (
+            {canRefresh && (
               <div className="flex items-center gap-2">
                 <button
                   onClick={() => refreshFromJira()}
-                  disabled={refreshing || refreshingAll}
+                  disabled={refreshing || !!selectedBoardJob}
                   className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                 >
                   <span>🔄</span>
-                  {refreshing ? t('refreshing') : t('refreshFromJira')}
+                  {refreshing || selectedBoardJob ? t('refreshing') : t('refreshFromJira')}
                 </button>
                 {displayBoards.length > 1 && (
                   <button
                     onClick={refreshAllBoards}
-                    disabled={refreshing || refreshingAll}
+                    disabled={refreshing || activeJobs.length > 0}
                     className="px-4 py-2 text-sm bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                     title={locale === 'pt-BR'
-                      ? `Atualizar todos os ${displayBoards.length} boards do Jira (pode levar ate ${displayBoards.length * 2} min)`
-                      : `Refresh all ${displayBoards.length} boards from Jira (may take up to ${displayBoards.length * 2} min)`}
+                      ? `Atualizar todos os ${displayBoards.length} boards do Jira em segundo plano`
+                      : `Refresh all ${displayBoards.length} boards from Jira in the background`}
                   >
                     <span>🔄</span>
-                    {refreshingAll ? refreshAllProgress : t('refreshAllBoards')}
+                    {activeJobs.length > 0 ? t('jobsInProgress', { count: activeJobs.length }) : t('refreshAllBoards')}
                   </button>
                 )}
               </div>
@@ -661,20 +678,22 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                     );
                   })}
                 </select>
-                <button
-                  onClick={handleDeleteBoard}
-                  className="px-3 py-2 text-sm text-red-600 hover:text-red-800 border border-red-300 rounded-lg hover:bg-red-50 transition-colors flex items-center gap-1.5"
-                  title="Permanently delete this board and all its saved metrics"
-                >
-                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
-                    <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
-                  </svg>
-                  <span className="hidden sm:inline">{t('delete')}</span>
-                </button>
+                {canDelete && (
+                  <button
+                    onClick={handleDeleteBoard}
+                    className="px-3 py-2 text-sm text-red-600 hover:text-red-800 border border-red-300 rounded-lg hover:bg-red-50 transition-colors flex items-center gap-1.5"
+                    title="Permanently delete this board and all its saved metrics"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                    </svg>
+                    <span className="hidden sm:inline">{t('delete')}</span>
+                  </button>
+                )}
               </div>
             )}
 
-            {credentials && (
+            {canRefresh && metrics?.mode !== 'kanban' && (
               <button
                 onClick={() => {
                   if (!showSprintSelector) {
@@ -699,14 +718,129 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                 >
                   {history.map(h => (
                     <option key={h.id} value={h.id}>
-                      {new Date(h.calculated_at).toLocaleDateString(locale === 'pt-BR' ? 'pt-BR' : 'en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })} - {t('maturityLevel')} {h.maturity_level}
+                      {formatHistoryEntry(h)}
                     </option>
                   ))}
                 </select>
+                {compareBaselineId ? (
+                  <>
+                    <label className="text-sm font-medium text-gray-600">{t('compareWith')}:</label>
+                    <select
+                      value={compareBaselineId}
+                      onChange={(e) => setCompareBaselineId(Number(e.target.value))}
+                      className="input-field max-w-xs text-sm"
+                    >
+                      {history.map(h => (
+                        <option key={h.id} value={h.id}>{formatHistoryEntry(h)}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => setCompareBaselineId(null)}
+                      className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      {t('compareExit')}
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => {
+                      // Baseline: the oldest snapshot, unless that's the one being viewed
+                      const oldest = history[history.length - 1].id;
+                      setCompareBaselineId(oldest !== selectedHistoryId ? oldest : history[0].id);
+                      setActiveTab('maturity');
+                    }}
+                    className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                    title={t('compareSnapshotsHint')}
+                  >
+                    🔀 {t('compare')}
+                  </button>
+                )}
               </div>
             )}
+
+            {metrics && (
+              <button
+                onClick={() => setShowExportPanel(!showExportPanel)}
+                className="px-3 py-2 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                ⬇ {showExportPanel ? t('hideExport') : t('export')}
+              </button>
+            )}
           </div>
 
+          {/* Export Panel */}
+          {showExportPanel && metrics && (
+            <div className="mt-4 p-4 bg-white border border-gray-200 rounded-lg shadow-sm">
+              <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+                <h3 className="font-semibold text-gray-800">{t('exportData')}</h3>
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  {t('exportCsvDataset')}:
+                  <select value={exportDataset} onChange={(e) => setExportDataset(e.target.value)} className="input-field text-sm">
+                    {EXPORT_DATASETS.map(dataset => (
+                      <option key={dataset.id} value={dataset.id}>{t(dataset.labelKey)}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <h4 className="text-sm font-medium text-gray-700">{t('exportThisSnapshot')}</h4>
+                  <p className="text-xs text-gray-500 mb-2">
+                    {selectedHistoryId && history.find(h => h.id === selectedHistoryId)
+                      ? formatHistoryEntry(history.find(h => h.id === selectedHistoryId))
+                      : t('exportLatestSnapshot')}
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => runDownload('pdf', () => api.downloadBoardReport(selectedBoardId, selectedHistoryId, locale))}
+                      disabled={downloading !== null}
+                      className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      title={t('downloadReportHint')}
+                    >
+                      📄 {downloading === 'pdf' ? t('reportGenerating') : t('downloadReport')}
+                    </button>
+                    <button
+                      onClick={() => runDownload('xlsx', () => api.downloadBoardExport(selectedBoardId, selectedHistoryId, 'xlsx'))}
+                      disabled={downloading !== null}
+                      className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      title={t('exportXlsxHint')}
+                    >
+                      📊 {downloading === 'xlsx' ? t('reportGenerating') : 'Excel (XLSX)'}
+                    </button>
+                    <button
+                      onClick={() => runDownload('csv', () => api.downloadBoardExport(selectedBoardId, selectedHistoryId, 'csv', exportDataset))}
+                      disabled={downloading !== null}
+                      className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      🧾 {downloading === 'csv' ? t('reportGenerating') : 'CSV'}
+                    </button>
+                  </div>
+                </div>
+                <div>
+                  <h4 className="text-sm font-medium text-gray-700">{t('exportAllTeams')}</h4>
+                  <p className="text-xs text-gray-500 mb-2">{t('exportAllTeamsDesc')}</p>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => runDownload('org-xlsx', () => api.downloadOrgExport('xlsx'))}
+                      disabled={downloading !== null}
+                      className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                      title={t('exportXlsxHint')}
+                    >
+                      📊 {downloading === 'org-xlsx' ? t('reportGenerating') : 'Excel (XLSX)'}
+                    </button>
+                    <button
+                      onClick={() => runDownload('org-csv', () => api.downloadOrgExport('csv', exportDataset))}
+                      disabled={downloading !== null}
+                      className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      🧾 {downloading === 'org-csv' ? t('reportGenerating') : 'CSV'}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Sprint Selector Panel */}
           {showSprintSelector && (
             <div className="mt-4 p-4 bg-white border border-gray-200 rounded-lg shadow-sm">
@@ -769,10 +903,10 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                     </span>
                     <button
                       onClick={refreshWithSelectedSprints}
-                      disabled={selectedSprintIds.length === 0 || refreshing}
+                      disabled={selectedSprintIds.length === 0 || refreshing || !!selectedBoardJob}
                       className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                     >
-                      {refreshing ? t('analyzing') : t('analyzeSelectedSprints')}
+                      {refreshing || selectedBoardJob ? t('analyzing') : t('analyzeSelectedSprints')}
                     </button>
                   </div>
                 </>
@@ -782,11 +916,104 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
 
         </div>
 
+        <RefreshJobsPanel jobs={Object.values(jobs)} locale={locale} t={t} />
+
+        {/* View tabs */}
+        <div className="flex gap-2 mb-6 border-b border-gray-200">
+          {[
+            { id: 'maturity', label: `📊 ${t('maturityTab')}` },
+            { id: 'trend', label: `📈 ${t('maturityTrend')}` },
+            { id: 'overview', label: `🏢 ${t('orgOverview')}` },
+            { id: 'releases', label: `🚀 ${t('releases')}` },
+            { id: 'portfolio', label: `🗺️ ${t('portfolio')}` },
+            { id: 'dependencies', label: `🕸️ ${t('dependencyGraph')}` },
+            ...(canDelete ? [{ id: 'audit', label: `📜 ${t('auditLog')}` }] : [])
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 transition-colors ${
+                activeTab === tab.id
+                  ? 'border-primary-600 text-primary-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Level and key metrics of the selected board across its snapshots */}
+        {activeTab === 'trend' && (
+          <MaturityTrendView
+            boardId={selectedBoardId}
+            locale={locale}
+            t={t}
+            onSelectSnapshot={(historyId) => { loadHistoricalMetrics(historyId); setActiveTab('maturity'); }}
+          />
+        )}
+
+        {/* Every team's latest maturity side by side; a row opens the team's dashboard */}
+        {activeTab === 'overview' && (
+          <OrgOverview
+            locale={locale}
+            t={t}
+            onSelectBoard={(boardId) => { selectBoard(boardId); setActiveTab('maturity'); }}
+          />
+        )}
+
+        {/* Releases */}
+        {activeTab === 'releases' && (
+          <ReleasesView
+            session={session}
+            boardId={typeof selectedBoard === 'object' ? selectedBoard.id : selectedBoard}
+            locale={locale}
+            t={t}
+          />
+        )}
+
+        {/* Epic portfolio across all dashboard boards */}
+        {activeTab === 'portfolio' && (
+          <PortfolioView session={session} boards={displayBoards} locale={locale} t={t} />
+        )}
+
+        {/* Epic dependency graph across all dashboard boards */}
+        {activeTab === 'dependencies' && (
+          <DependencyGraphView session={session} boards={displayBoards} locale={locale} t={t} />
+        )}
+
+        {/* Audit trail of refreshes, deletions and config changes (admins) */}
+        {activeTab === 'audit' && canDelete && (
+          <AuditLogView boards={displayBoards} locale={locale} t={t} />
+        )}
+
         {/* Inline loading/empty state when no metrics available */}
-        {!metrics && renderLoadingOrEmpty()}
+        {activeTab === 'maturity' && !metrics && renderLoadingOrEmpty()}
+
+        {/* Partial data: an issue listing hit the server's safety cap */}
+        {activeTab === 'maturity' && metrics?.warnings?.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-6">
+            <p className="text-sm font-semibold">{t('truncatedDataWarning')}</p>
+            <ul className="text-xs mt-1 list-disc list-inside">
+              {metrics.warnings.map((w, i) => (
+                <li key={i}>{w.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Compare mode: what changed since the baseline snapshot */}
+        {activeTab === 'maturity' && compareBaselineId && selectedHistoryId && (
+          <SnapshotDiffView fromId={compareBaselineId} toId={selectedHistoryId} locale={locale} t={t} />
+        )}
+
+        {/* Kanban boards: flow-based layout */}
+        {activeTab === 'maturity' && metrics?.mode === 'kanban' && (
+          <KanbanDashboard metrics={metrics} locale={locale} t={t} />
+        )}
 
         {/* Scrum Maturity Content */}
-        {metrics && (
+        {activeTab === 'maturity' && metrics && metrics.mode !== 'kanban' && (
         <>
         {/* Maturity Level Card */}
         <div className="card mb-8">
@@ -812,25 +1039,57 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                   <p className="text-xs text-yellow-800">{metrics.maturityLevel.supportModel}</p>
                 </div>
               )}
+
+              {/* Level stability — sustain rule (e.g. Level 3 must hold for 3 consecutive sprints) */}
+              {metrics.maturityLevel.stability && (() => {
+                const stability = metrics.maturityLevel.stability;
+                const pending = stability.status === 'promotion-pending' || stability.status === 'demotion-pending';
+                const messages = {
+                  'promotion-pending': t('promotionPending', { count: stability.qualifyingSprints, required: stability.requiredSprints, level: stability.rawLevel }),
+                  'demotion-pending': t('demotionPending', { count: stability.qualifyingSprints, required: stability.requiredSprints, level: stability.level }),
+                  promoted: t('levelPromoted', { from: stability.previousLevel, to: stability.level }),
+                  demoted: t('levelDemoted', { from: stability.previousLevel, to: stability.level }),
+                  stable: t('levelConfirmed', { level: stability.level })
+                };
+                const dotColors = { 1: 'bg-red-500', 2: 'bg-yellow-500', 3: 'bg-green-500' };
+                return (
+                  <div className={`mt-4 p-3 rounded-lg border ${pending ? 'bg-blue-50 border-blue-200' : 'bg-gray-50 border-gray-200'}`}>
+                    <p className={`text-xs font-semibold ${pending ? 'text-blue-900' : 'text-gray-700'}`}>{t('levelStability')}</p>
+                    <p className={`text-xs mt-0.5 ${pending ? 'text-blue-800' : 'text-gray-600'}`}>{messages[stability.status] || stability.message}</p>
+                    {stability.sprintLevels?.length > 0 && (
+                      <div className="flex items-center gap-1 mt-2">
+                        {stability.sprintLevels.slice(-8).map(s => (
+                          <span
+                            key={s.sprintId}
+                            title={`${s.sprintName}: ${t('maturityLevel')} ${s.level}`}
+                            className={`w-5 h-5 rounded-full text-[10px] font-bold text-white flex items-center justify-center ${dotColors[s.level] || 'bg-gray-400'}`}
+                          >
+                            {s.level}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })()}
             </div>
 
-            {/* Right: Key metrics aligned to pillars */}
+            {/* Right: Key metrics aligned to pillars (criteria of the next level in the maturity model) */}
             {(() => {
-              const level = metrics.maturityLevel.level;
-              const rollover = metrics.aggregated?.avgRolloverRate ?? 0;
-              const backlogReady = metrics.backlogHealth?.overallScore ?? 0;
-
-              // Thresholds for next level
-              const thresholds = level === 1
-                ? { rollover: { max: 25, label: '≤25%' }, backlogReady: { min: 25, label: '≥25%' }, nextLevel: 2 }
-                : level === 2
-                ? { rollover: { max: 15, label: '<15%' }, backlogReady: { min: 75, label: '>75%' }, nextLevel: 3 }
-                : null;
-
-              const metricItems = [
-                { icon: '📉', label: t('rolloverRate'), blocking: thresholds ? rollover > thresholds.rollover.max : false, target: thresholds?.rollover.label, current: `${formatNumber(rollover)}%` },
-                { icon: '📋', label: t('backlogReadiness'), blocking: thresholds ? backlogReady < thresholds.backlogReady.min : false, target: thresholds?.backlogReady.label, current: `${formatNumber(backlogReady)}%` },
-              ];
+              const nextLevel = nextLevelCriteria(metrics, maturityModel, metricCatalog, locale);
+              const isTopLevel = !nextLevel && (metrics.maturityLevel.nextLevel === null || !!maturityModel);
+
+              const metricItems = nextLevel
+                ? nextLevel.criteria.map(c => ({
+                    label: c.label,
+                    blocking: !c.passed,
+                    target: formatTarget(c.operator, c.value, c.unit),
+                    current: `${formatNumber(c.actual)}${c.unit}`
+                  }))
+                : [
+                    { icon: '📉', label: t('rolloverRate'), blocking: false, current: `${formatNumber(metrics.aggregated?.avgRolloverRate)}%` },
+                    { icon: '📋', label: t('backlogReadiness'), blocking: false, current: `${formatNumber(metrics.backlogHealth?.overallScore)}%` },
+                  ];
 
               const blockingCount = metricItems.filter(m => m.blocking).length;
 
@@ -841,19 +1100,19 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                       <div key={idx} className={`flex items-start gap-2 p-3 rounded-lg border ${
                         item.blocking
                           ? 'bg-red-50 border-red-200'
-                          : thresholds
+                          : nextLevel
                           ? 'bg-green-50 border-green-200'
                           : 'bg-gray-50 border-gray-100'
                       }`}>
-                        <span className="text-base shrink-0">{item.blocking ? '🚫' : thresholds ? '✅' : item.icon}</span>
+                        <span className="text-base shrink-0">{item.blocking ? '🚫' : nextLevel ? '✅' : item.icon}</span>
                         <div className="flex-1">
-                          <div className={`text-sm font-medium ${item.blocking ? 'text-red-800' : thresholds ? 'text-green-800' : 'text-gray-700'}`}>
+                          <div className={`text-sm font-medium ${item.blocking ? 'text-red-800' : nextLevel ? 'text-green-800' : 'text-gray-700'}`}>
                             {item.label}: {item.current}
                           </div>
-                          {thresholds && (
+                          {nextLevel && (
                             <div className={`text-xs mt-0.5 ${item.blocking ? 'text-red-600 font-semibold' : 'text-green-600'}`}>
                               {item.blocking
-                                ? t('needsForLevel', { target: item.target, level: thresholds.nextLevel })
+                                ? t('needsForLevel', { target: item.target, level: nextLevel.level })
                                 : t('passing', { target: item.target })}
                             </div>
                           )}
@@ -861,17 +1120,17 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                       </div>
                     ))}
                   </div>
-                  {thresholds && blockingCount > 0 && (
+                  {nextLevel && blockingCount > 0 && (
                     <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
                       <p className="text-sm font-semibold text-red-800">
-                        {t('metricsBlocking', { count: blockingCount, level: thresholds.nextLevel })}
+                        {t('metricsBlocking', { count: blockingCount, level: nextLevel.level })}
                       </p>
                       <p className="text-xs text-red-600 mt-1">
                         {metricItems.filter(m => m.blocking).map(m => `${m.label} (${m.current} → ${m.target})`).join(' · ')}
                       </p>
                     </div>
                   )}
-                  {level === 3 && (
+                  {isTopLevel && (
                     <div className="mt-3 p-3 bg-green-50 border border-green-200 rounded-lg">
                       <p className="text-sm font-semibold text-green-800">{t('allMetricsHighest')}</p>
                     </div>
@@ -915,23 +1174,27 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
             <div className="text-3xl font-bold text-red-600">
               {formatNumber(metrics.aggregated?.avgRolloverRate)}%
             </div>
-            <div className="text-xs text-gray-500 mt-1">
-              {t('targetLevel3')}: &lt;10-15%
-            </div>
+            {topLevelTarget(maturityModel, 'rolloverRate', metricCatalog) && (
+              <div className="text-xs text-gray-500 mt-1">
+                {t('targetLevel', { level: maturityModel.levels[maturityModel.levels.length - 1].level })}: {topLevelTarget(maturityModel, 'rolloverRate', metricCatalog)}
+              </div>
+            )}
           </div>
           <div className="card">
             <div className="text-sm text-gray-600 mb-1">{t('backlogReadiness')}</div>
             <div className="text-3xl font-bold text-blue-600">
               {formatNumber(metrics.backlogHealth?.overallScore)}%
             </div>
-            <div className="text-xs text-gray-500 mt-1">
-              {t('targetLevel3')}: &gt;75%
-            </div>
+            {topLevelTarget(maturityModel, 'backlogReadiness', metricCatalog) && (
+              <div className="text-xs text-gray-500 mt-1">
+                {t('targetLevel', { level: maturityModel.levels[maturityModel.levels.length - 1].level })}: {topLevelTarget(maturityModel, 'backlogReadiness', metricCatalog)}
+              </div>
+            )}
           </div>
         </div>
 
         {/* Maturity Levels Reference */}
-        <MaturityLevelsReference locale={locale} t={t} />
+        <MaturityLevelsReference model={maturityModel} metrics={metricCatalog} locale={locale} t={t} />
 
         {/* Pillar 1: Delivery Predictability */}
         <div className="card mb-8">
@@ -1094,6 +1357,10 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                 {sortedSprintMetrics.map(sprint => {
                   const issues = sprint.rolloverIssues || [];
                   const breakdown = sprint.rolloverReasonBreakdown || {};
+                  // Tenant-defined labels without a translation show the name from the tenant settings
+                  const reasonName = (reason) => t(reason) !== reason
+                    ? t(reason)
+                    : (metrics.rolloverLabels || []).find(l => l.label === reason)?.name || reason;
                   if (issues.length === 0) return null;
                   return (
                     <details key={sprint.sprintId} className="bg-red-50 rounded-lg border border-red-100">
@@ -1114,7 +1381,7 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                                 reason === 'dev-qa-spill' ? 'bg-cyan-100 text-cyan-800' :
                                 'bg-gray-100 text-gray-600'
                               }`}>
-                                {t(reason) !== reason ? t(reason) : reason}: {count}
+                                {reasonName(reason)}: {count}
                               </span>
                             ))}
                           </div>
@@ -1129,7 +1396,7 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                         <div className="space-y-0">
                           {issues.map(issue => (
                             <div key={issue.key} className="flex items-center gap-2 text-xs text-gray-700 py-1.5 border-t border-red-100">
-                              <a href={`${credentials.jiraUrl.replace(/\/$/, '')}/browse/${issue.key}`} target="_blank" rel="noopener noreferrer" className="font-mono font-semibold text-red-700 shrink-0 hover:underline">
+                              <a href={`${session.jiraUrl.replace(/\/$/, '')}/browse/${issue.key}`} target="_blank" rel="noopener noreferrer" className="font-mono font-semibold text-red-700 shrink-0 hover:underline">
                                 {issue.key}
                                 {issue.addedMidSprint && (
                                   <span className="text-amber-600 ml-0.5" title={locale === 'pt-BR' ? 'added to the sprint (mid-sprint injection)' : 'added to the sprint (mid-sprint injection)'}>*</span>
@@ -1348,7 +1615,7 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                             <div className="px-2 pb-2">
                               {s.reworkDetails.map(d => (
                                 <div key={d.key} className="flex items-center gap-2 text-xs text-gray-700 py-1 border-t border-red-100">
-                                  <a href={`${credentials?.jiraUrl?.replace(/\/$/, '')}/browse/${d.key}`} target="_blank" rel="noopener noreferrer" className="font-mono font-semibold text-red-700 shrink-0 hover:underline">{d.key}</a>
+                                  <a href={`${session?.jiraUrl?.replace(/\/$/, '')}/browse/${d.key}`} target="_blank" rel="noopener noreferrer" className="font-mono font-semibold text-red-700 shrink-0 hover:underline">{d.key}</a>
                                   <span className="px-1 bg-gray-200 rounded text-gray-600 shrink-0">{d.type}</span>
                                   <span className="flex-1 truncate" title={d.summary}>{d.summary}</span>
                                 </div>
@@ -1450,7 +1717,7 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                         <div className="max-h-56 overflow-y-auto rounded-lg bg-white border border-gray-100">
                           {metric.missing.map((issue, idx) => (
                             <div key={issue.key} className={`flex items-center gap-2 text-xs text-gray-700 px-3 py-2 ${idx > 0 ? 'border-t border-gray-100' : ''}`}>
-                              <a href={`${credentials.jiraUrl.replace(/\/$/, '')}/browse/${issue.key}`} target="_blank" rel="noopener noreferrer" className={`font-mono font-semibold ${metric.color.link} shrink-0 hover:underline`}>{issue.key}</a>
+                              <a href={`${session.jiraUrl.replace(/\/$/, '')}/browse/${issue.key}`} target="_blank" rel="noopener noreferrer" className={`font-mono font-semibold ${metric.color.link} shrink-0 hover:underline`}>{issue.key}</a>
                               <span className={`px-1.5 py-0.5 rounded text-xs font-medium shrink-0 ${metric.color.badge}`}>{issue.type}</span>
                               <span className="flex-1 truncate" title={issue.summary}>{issue.summary}</span>
                               <span className="px-1.5 py-0.5 bg-gray-100 rounded text-gray-500 text-xs shrink-0">{issue.status}</span>
@@ -1524,7 +1791,7 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
                                 {s.issues.map((issue, iIdx) => (
                                   <div key={iIdx} className="flex items-center justify-between text-xs px-3 py-1.5 bg-white rounded border border-gray-100">
                                     <div className="flex items-center gap-2">
-                                      <a href={`${credentials?.jiraUrl?.replace(/\/$/, '')}/browse/${issue.key}`} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline font-medium">{issue.key}</a>
+                                      <a href={`${session?.jiraUrl?.replace(/\/$/, '')}/browse/${issue.key}`} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline font-medium">{issue.key}</a>
                                       <span className="text-gray-400">|</span>
                                       <span className="text-gray-500 truncate max-w-xs">{issue.summary}</span>
                                     </div>
@@ -1547,6 +1814,9 @@ export default function Dashboard({ credentials: credentialsProp, selectedBoards
               );
             })()}
           </div>
+
+          {/* Monte Carlo delivery forecast */}
+          <ForecastPanel boardId={metrics.boardId} historyId={selectedHistoryId} snapshotKey={metrics} locale={locale} t={t} />
         </div>
         </>
         )}
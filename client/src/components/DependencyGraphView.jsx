@@ -0,0 +1,351 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Node box size and spacing (SVG units)
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 54;
+const COLUMN_GAP = 90;
+const ROW_GAP = 22;
+const PADDING = 20;
+
+// Epic dependency graph across boards: cycles, critical path, cross-team blockers and bottlenecks
+export default function DependencyGraphView({ session, boards, locale = 'en', t }) {
+  const boardOptions = boards.map(b => ({
+    id: typeof b === 'object' ? b.id : b,
+    name: typeof b === 'object' ? b.name : `Board ${b}`
+  }));
+  const [selectedBoardIds, setSelectedBoardIds] = useState(boardOptions.map(b => b.id));
+  const [graph, setGraph] = useState(null);
+  const [cacheInfo, setCacheInfo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [showDone, setShowDone] = useState(true);
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatDate = (iso) => iso
+    ? new Date(`${iso.split('T')[0]}T00:00:00`).toLocaleDateString(dateLocale, { month: 'short', day: 'numeric', year: 'numeric' })
+    : '—';
+
+  const loadGraph = async (forceRefresh = false) => {
+    if (!session || selectedBoardIds.length === 0) return;
+    setLoading(true);
+    setError('');
+    try {
+      const result = await api.getDependencyGraph(selectedBoardIds, forceRefresh);
+      setGraph(result.data);
+      setCacheInfo(result.cached ? { age: result.age } : null);
+      setSelectedKey(null);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadGraph();
+  }, [selectedBoardIds.join(','), session?.jiraUrl]);
+
+  const toggleBoard = (id) => {
+    setSelectedBoardIds(prev => prev.includes(id) ? prev.filter(b => b !== id) : [...prev, id]);
+  };
+
+  if (!session) {
+    return <div className="card mb-8 text-center text-gray-500 py-12">{t('releasesNeedConnection')}</div>;
+  }
+
+  // Layered layout: one column per depth, nodes stacked in each column
+  const nodes = (graph?.nodes || []).filter(n => showDone || !n.done);
+  const visibleKeys = new Set(nodes.map(n => n.key));
+  const edges = (graph?.edges || []).filter(e => visibleKeys.has(e.from) && visibleKeys.has(e.to));
+  const columns = [];
+  for (const node of nodes) {
+    (columns[node.depth] = columns[node.depth] || []).push(node);
+  }
+  const positions = new Map();
+  columns.filter(Boolean).forEach((column, col) => {
+    column
+      .sort((a, b) => Number(b.onCriticalPath) - Number(a.onCriticalPath) || a.key.localeCompare(b.key))
+      .forEach((node, row) => {
+        positions.set(node.key, {
+          x: PADDING + col * (NODE_WIDTH + COLUMN_GAP),
+          y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+        });
+      });
+  });
+  const columnCount = columns.filter(Boolean).length;
+  const maxRows = Math.max(0, ...columns.filter(Boolean).map(c => c.length));
+  const width = PADDING * 2 + columnCount * NODE_WIDTH + Math.max(0, columnCount - 1) * COLUMN_GAP;
+  const height = PADDING * 2 + maxRows * NODE_HEIGHT + Math.max(0, maxRows - 1) * ROW_GAP;
+
+  // Upstream/downstream of the selected node
+  const related = new Set();
+  if (selectedKey) {
+    const walk = (key, direction) => {
+      for (const e of edges) {
+        const next = direction === 'up' ? (e.to === key && e.from) : (e.from === key && e.to);
+        if (next && !related.has(next)) {
+          related.add(next);
+          walk(next, direction);
+        }
+      }
+    };
+    related.add(selectedKey);
+    walk(selectedKey, 'up');
+    walk(selectedKey, 'down');
+  }
+  const dimmed = (key) => selectedKey && !related.has(key);
+
+  const bottleneckKeys = new Set((graph?.bottlenecks || []).map(b => b.key));
+  const nodeStyle = (node) => {
+    if (node.done) return { fill: '#f0fdf4', stroke: '#86efac' };
+    if (node.inCycle) return { fill: '#faf5ff', stroke: '#a855f7' };
+    if (node.blockedByOtherTeam) return { fill: '#fef2f2', stroke: '#ef4444' };
+    if (node.external) return { fill: '#f9fafb', stroke: '#9ca3af' };
+    return { fill: '#eff6ff', stroke: '#3b82f6' };
+  };
+  const edgeColor = (edge) => {
+    if (edge.inCycle) return '#a855f7';
+    if (edge.critical) return '#dc2626';
+    if (!edge.open) return '#d1d5db';
+    return edge.crossTeam ? '#f97316' : '#6b7280';
+  };
+
+  const selected = graph?.nodes.find(n => n.key === selectedKey);
+  const jiraBase = session.jiraUrl?.replace(/\/$/, '');
+
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🕸️ {t('dependencyGraph')}</h2>
+          <p className="text-sm text-gray-500">{t('dependencyGraphDesc')}</p>
+        </div>
+        <button
+          onClick={() => loadGraph(true)}
+          disabled={loading}
+          className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+        >
+          🔄 {loading ? t('refreshing') : t('refreshFromJira')}
+        </button>
+      </div>
+
+      {/* Board filter */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {boardOptions.map(b => (
+          <label key={b.id} className={`flex items-center gap-1.5 px-3 py-1 rounded-full border text-xs cursor-pointer ${
+            selectedBoardIds.includes(b.id) ? 'bg-primary-50 border-primary-300 text-primary-700' : 'border-gray-200 text-gray-500'
+          }`}>
+            <input type="checkbox" className="w-3 h-3" checked={selectedBoardIds.includes(b.id)} onChange={() => toggleBoard(b.id)} />
+            {b.name}
+          </label>
+        ))}
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+
+      {loading && !graph && (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+          <p className="mt-2 text-sm text-gray-500">{t('loadingPortfolio')}</p>
+        </div>
+      )}
+
+      {graph && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4 text-center">
+            {[
+              { label: t('linkedEpics'), value: graph.summary.totalNodes, color: 'text-gray-800' },
+              { label: t('dependencies'), value: graph.summary.totalEdges, color: 'text-gray-800' },
+              { label: t('crossTeamDependencies'), value: graph.summary.crossTeamEdges, color: 'text-orange-600' },
+              { label: t('blockedByOtherTeams'), value: graph.summary.blockedByOtherTeam, color: 'text-red-600' },
+              { label: t('dependencyCycles'), value: graph.summary.cycles, color: 'text-purple-600' }
+            ].map(item => (
+              <div key={item.label} className="p-3 rounded-lg bg-gray-50 border border-gray-100">
+                <div className={`text-2xl font-bold ${item.color}`}>{item.value}</div>
+                <div className="text-xs text-gray-500">{item.label}</div>
+              </div>
+            ))}
+          </div>
+
+          {cacheInfo && (
+            <p className="text-xs text-gray-400 mb-2">{t('portfolioCached', { age: cacheInfo.age })}</p>
+          )}
+
+          {graph.cycles.length > 0 && (
+            <div className="mb-4 p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-800">
+              🔁 {t('cyclesDetected')}
+              {graph.cycles.map(cycle => (
+                <div key={cycle.join('-')} className="text-xs mt-1 font-mono">{[...cycle, cycle[0]].join(' → ')}</div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+            {/* Graph */}
+            <div className="lg:col-span-3">
+              <div className="flex flex-wrap items-center gap-4 mb-2 text-[11px] text-gray-500">
+                <label className="flex items-center gap-1.5 cursor-pointer">
+                  <input type="checkbox" className="w-3 h-3" checked={showDone} onChange={(e) => setShowDone(e.target.checked)} />
+                  {t('showDoneEpics')}
+                </label>
+                <span><span className="inline-block w-4 h-0.5 bg-red-600 align-middle mr-1"></span>{t('criticalPath')}</span>
+                <span><span className="inline-block w-4 h-0.5 bg-orange-500 align-middle mr-1"></span>{t('crossTeam')}</span>
+                <span><span className="inline-block w-4 h-0.5 bg-purple-500 align-middle mr-1"></span>{t('dependencyCycles')}</span>
+                <span>⚠ {t('bottleneck')}</span>
+              </div>
+
+              {nodes.length === 0 ? (
+                <p className="text-sm text-gray-400 py-6">{t('noDependencies')}</p>
+              ) : (
+                <div className="overflow-auto border border-gray-100 rounded-lg bg-white" style={{ maxHeight: 560 }}>
+                  <svg width={width} height={height} onClick={() => setSelectedKey(null)}>
+                    <defs>
+                      {['#dc2626', '#f97316', '#a855f7', '#6b7280', '#d1d5db'].map(color => (
+                        <marker key={color} id={`arrow-${color.slice(1)}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                          <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+                        </marker>
+                      ))}
+                    </defs>
+
+                    {edges.map(edge => {
+                      const from = positions.get(edge.from);
+                      const to = positions.get(edge.to);
+                      const color = edgeColor(edge);
+                      const x1 = from.x + NODE_WIDTH;
+                      const y1 = from.y + NODE_HEIGHT / 2;
+                      const x2 = to.x;
+                      const y2 = to.y + NODE_HEIGHT / 2;
+                      // Back edges (cycles or same column) loop around the right side
+                      const path = x2 > x1
+                        ? `M ${x1} ${y1} C ${x1 + COLUMN_GAP / 2} ${y1}, ${x2 - COLUMN_GAP / 2} ${y2}, ${x2} ${y2}`
+                        : `M ${x1} ${y1} C ${x1 + COLUMN_GAP / 2} ${y1 - 40}, ${x2 - COLUMN_GAP / 2} ${y2 - 40}, ${x2} ${y2}`;
+                      const faded = selectedKey && !(related.has(edge.from) && related.has(edge.to));
+                      return (
+                        <path
+                          key={`${edge.from}->${edge.to}`}
+                          d={path}
+                          fill="none"
+                          stroke={color}
+                          strokeWidth={edge.critical ? 2.5 : 1.5}
+                          strokeDasharray={edge.open ? undefined : '4 3'}
+                          opacity={faded ? 0.15 : 1}
+                          markerEnd={`url(#arrow-${color.slice(1)})`}
+                        />
+                      );
+                    })}
+
+                    {nodes.map(node => {
+                      const pos = positions.get(node.key);
+                      const style = nodeStyle(node);
+                      return (
+                        <g
+                          key={node.key}
+                          transform={`translate(${pos.x}, ${pos.y})`}
+                          opacity={dimmed(node.key) ? 0.25 : 1}
+                          className="cursor-pointer"
+                          onClick={(e) => { e.stopPropagation(); setSelectedKey(node.key === selectedKey ? null : node.key); }}
+                        >
+                          <rect
+                            width={NODE_WIDTH}
+                            height={NODE_HEIGHT}
+                            rx="6"
+                            fill={style.fill}
+                            stroke={node.onCriticalPath ? '#dc2626' : style.stroke}
+                            strokeWidth={node.onCriticalPath || node.key === selectedKey ? 2.5 : 1}
+                            strokeDasharray={node.external ? '4 3' : undefined}
+                          />
+                          <text x="8" y="17" fontSize="11" fontWeight="600" fill="#1f2937">
+                            {bottleneckKeys.has(node.key) ? '⚠ ' : ''}{node.key}
+                          </text>
+                          <text x={NODE_WIDTH - 8} y="17" fontSize="9" textAnchor="end" fill="#6b7280">{node.status}</text>
+                          <text x="8" y="32" fontSize="10" fill="#4b5563">
+                            {node.summary.length > 28 ? `${node.summary.slice(0, 27)}…` : node.summary}
+                          </text>
+                          <text x="8" y="46" fontSize="9" fill={node.pushedDays > 0 ? '#dc2626' : '#6b7280'}>
+                            {node.external
+                              ? t('externalEpic', { project: node.projectKey })
+                              : `${node.remainingPoints ?? 0} ${t('points')} · ${formatDate(node.projectedEnd || node.targetEnd)}`}
+                          </text>
+                        </g>
+                      );
+                    })}
+                  </svg>
+                </div>
+              )}
+            </div>
+
+            {/* Side panel: selection detail, critical path and bottlenecks */}
+            <div className="space-y-4 text-xs">
+              {selected && (
+                <div className="p-3 rounded-lg border border-blue-200 bg-blue-50">
+                  <a href={`${jiraBase}/browse/${selected.key}`} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline font-semibold text-sm">
+                    {selected.key}
+                  </a>
+                  <div className="text-gray-700 mb-2">{selected.summary}</div>
+                  <div>{t('status')}: {selected.status}</div>
+                  {!selected.external && (
+                    <>
+                      <div>{t('targetEnd')}: {formatDate(selected.targetEnd)}</div>
+                      <div>{t('projectedEnd')}: {formatDate(selected.projectedEnd)}</div>
+                      {selected.pushedDays > 0 && (
+                        <div className="text-red-600">{t('pushedByDependencies', { days: selected.pushedDays })}</div>
+                      )}
+                      <div>{t('remaining')}: {selected.remainingPoints ?? 0} {t('points')}</div>
+                    </>
+                  )}
+                  <div>{t('downstreamEpics')}: {selected.downstreamCount}</div>
+                  {selected.otherTeamBlockers.length > 0 && (
+                    <div className="mt-2 text-red-700">
+                      ⛔ {t('waitingOnOtherTeams')}
+                      {selected.otherTeamBlockers.map(b => (
+                        <div key={b.key}>{b.key} ({b.projectKey}) · {b.status}</div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="p-3 rounded-lg border border-red-100 bg-red-50">
+                <div className="font-semibold text-red-800 mb-1">{t('criticalPath')}</div>
+                {graph.criticalPath.keys.length > 0 ? (
+                  <>
+                    <div className="font-mono text-red-700 break-words">{graph.criticalPath.keys.join(' → ')}</div>
+                    <div className="text-gray-600 mt-1">
+                      {t('criticalPathSummary', { points: graph.criticalPath.remainingPoints, date: formatDate(graph.criticalPath.projectedEnd) })}
+                    </div>
+                  </>
+                ) : (
+                  <div className="text-gray-500">{t('noCriticalPath')}</div>
+                )}
+              </div>
+
+              <div className="p-3 rounded-lg border border-orange-100 bg-orange-50">
+                <div className="font-semibold text-orange-800 mb-1">⚠ {t('bottlenecks')}</div>
+                {graph.bottlenecks.length === 0 && <div className="text-gray-500">—</div>}
+                {graph.bottlenecks.map(b => (
+                  <button
+                    key={b.key}
+                    onClick={() => setSelectedKey(b.key)}
+                    className="w-full text-left py-1 hover:underline"
+                  >
+                    <span className="font-medium text-gray-800">{b.key}</span>
+                    <span className="text-gray-500"> · {t('holdsUpEpics', { count: b.downstreamCount })}</span>
+                    {b.overdue && <span className="text-red-600"> · {t('overdue')}</span>}
+                    {b.external && <span className="text-gray-400"> · {t('externalEpic', { project: b.projectKey })}</span>}
+                  </button>
+                ))}
+              </div>
+
+              {graph.summary.unlinkedEpics > 0 && (
+                <p className="text-gray-400">{t('unlinkedEpics', { count: graph.summary.unlinkedEpics })}</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Monte Carlo delivery forecast (Pillar 3) — resamples historical sprint throughput
+export default function ForecastPanel({ boardId, historyId = null, snapshotKey, locale = 'en', t }) {
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [itemCount, setItemCount] = useState('');
+
+  const loadForecast = async (items = itemCount) => {
+    if (!boardId) return;
+    setLoading(true);
+    setError('');
+    try {
+      const result = await api.getForecast(boardId, { items: items || undefined, historyId });
+      if (result.success) {
+        setForecast(result.data);
+        if (!items) setItemCount(String(result.data.nextItems?.target || ''));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+      setForecast(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload whenever a different board/snapshot is shown
+  useEffect(() => {
+    setItemCount('');
+    loadForecast('');
+  }, [boardId, historyId, snapshotKey]);
+
+  const formatDate = (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString(locale === 'pt-BR' ? 'pt-BR' : 'en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+  const levels = forecast?.confidenceLevels || [50, 85, 95];
+  const levelColors = { 50: 'text-yellow-700', 85: 'text-blue-700', 95: 'text-green-700' };
+
+  // One row per forecast target: confidence → date (sprints)
+  const renderRow = (label, result, unit) => {
+    if (!result) return null;
+    return (
+      <tr className="border-t border-teal-100">
+        <td className="py-2 pr-3 text-gray-700">
+          <div className="font-medium">{label}</div>
+          <div className="text-xs text-gray-400">{result.target} {unit}</div>
+        </td>
+        {result.forecastable ? levels.map(level => {
+          const c = result.confidence[level];
+          return (
+            <td key={level} className="py-2 px-3 text-center">
+              <div className={`font-semibold ${levelColors[level] || 'text-gray-700'}`}>
+                {c.capped ? '—' : formatDate(c.date)}
+              </div>
+              <div className="text-xs text-gray-400">{c.sprints} {t('sprints')}</div>
+            </td>
+          );
+        }) : (
+          <td colSpan={levels.length} className="py-2 px-3 text-center text-xs text-gray-400">{t('forecastNoThroughput')}</td>
+        )}
+      </tr>
+    );
+  };
+
+  return (
+    <div className="rounded-xl border border-teal-200 overflow-hidden mt-6">
+      <div className="p-5 bg-teal-50">
+        <div className="flex items-center justify-between mb-3">
+          <div>
+            <div className="font-semibold text-gray-800">{t('deliveryForecast')}</div>
+            <div className="text-xs text-gray-500">{t('deliveryForecastDesc')}</div>
+          </div>
+          <form
+            className="flex items-center gap-2"
+            onSubmit={(e) => { e.preventDefault(); loadForecast(itemCount); }}
+          >
+            <label className="text-xs text-gray-600">{t('forecastNextItems')}</label>
+            <input
+              type="number"
+              min="1"
+              value={itemCount}
+              onChange={(e) => setItemCount(e.target.value)}
+              className="w-20 px-2 py-1 text-sm border border-teal-200 rounded"
+            />
+            <button type="submit" disabled={loading} className="px-3 py-1 text-xs font-medium bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50">
+              {loading ? t('loading') : t('forecastRun')}
+            </button>
+          </form>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {forecast && (
+          <>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500">
+                  <th className="text-left font-medium pb-2">{t('forecastTarget')}</th>
+                  {levels.map(level => (
+                    <th key={level} className="font-medium pb-2 px-3">{t('forecastConfidence', { percent: level })}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {renderRow(t('forecastNextItemsRow'), forecast.nextItems, t('issues'))}
+                {forecast.futureSprints && renderRow(t('forecastFutureSprintsItems', { count: forecast.futureSprints.sprintCount }), forecast.futureSprints.byItems, t('issues'))}
+                {forecast.futureSprints && renderRow(t('forecastFutureSprintsPoints', { count: forecast.futureSprints.sprintCount }), forecast.futureSprints.byPoints, t('points'))}
+              </tbody>
+            </table>
+
+            {/* Capacity: how much fits in the next sprints */}
+            <div className="mt-4 text-xs text-gray-600">
+              <span className="font-semibold">{t('forecastCapacity', { count: forecast.capacity.sprints })}:</span>{' '}
+              {levels.map(level => (
+                <span key={level} className="mr-3">
+                  {level}% → {forecast.capacity.confidence[level].items} {t('issues')} / {forecast.capacity.confidence[level].points} {t('points')}
+                </span>
+              ))}
+            </div>
+
+            <div className="mt-2 text-xs text-gray-400">
+              {t('forecastBasis', {
+                sprints: forecast.basis.sprintsSampled,
+                items: forecast.basis.itemsPerSprint.join(', '),
+                points: forecast.basis.pointsPerSprint.join(', '),
+                trials: forecast.basis.trials.toLocaleString(),
+                days: forecast.basis.sprintLengthDays
+              })}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
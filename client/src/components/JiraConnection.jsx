@@ -3,60 +3,57 @@ import api from '../services/api';
 
 const STORAGE_KEY_JIRA_URL = 'scrum-dashboard-jira-url';
 const STORAGE_KEY_EMAIL = 'scrum-dashboard-email';
-const STORAGE_KEY_TOKEN = 'scrum-dashboard-api-token';
+const STORAGE_KEY_DEPLOYMENT_TYPE = 'scrum-dashboard-deployment-type';
 
-export default function JiraConnection({ onConnectionSuccess, locale = 'en', t }) {
+// The API token is never stored in the browser: login hands it to the server, which keeps it
+// in the session. Only the URL, email and deployment type are remembered to prefill the form.
+export default function JiraConnection({ onConnectionSuccess, serverCredentials = false, locale = 'en', t }) {
   const [formData, setFormData] = useState({
     jiraUrl: '',
     email: '',
-    apiToken: ''
+    apiToken: '',
+    deploymentType: 'auto'
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const isDataCenter = formData.deploymentType === 'datacenter';
 
-  // Load saved credentials on mount
+  // Load saved connection details on mount
   useEffect(() => {
     try {
       const savedUrl = localStorage.getItem(STORAGE_KEY_JIRA_URL);
       const savedEmail = localStorage.getItem(STORAGE_KEY_EMAIL);
-      const savedToken = localStorage.getItem(STORAGE_KEY_TOKEN);
+      const savedDeploymentType = localStorage.getItem(STORAGE_KEY_DEPLOYMENT_TYPE);
 
       setFormData(prev => ({
         ...prev,
         jiraUrl: savedUrl || '',
         email: savedEmail || '',
-        apiToken: savedToken || ''
+        deploymentType: savedDeploymentType || 'auto'
       }));
     } catch (err) {
-      console.error('Failed to load saved credentials:', err);
+      console.error('Failed to load saved connection details:', err);
     }
   }, []);
 
-  const saveCredentials = (jiraUrl, email) => {
+  const saveConnectionDetails = (jiraUrl, email, deploymentType) => {
     try {
       localStorage.setItem(STORAGE_KEY_JIRA_URL, jiraUrl);
       localStorage.setItem(STORAGE_KEY_EMAIL, email);
+      localStorage.setItem(STORAGE_KEY_DEPLOYMENT_TYPE, deploymentType);
     } catch (err) {
-      console.error('Failed to save credentials:', err);
+      console.error('Failed to save connection details:', err);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const login = async (request) => {
     setLoading(true);
     setError('');
 
     try {
-      const result = await api.testConnection(
-        formData.jiraUrl,
-        formData.email,
-        formData.apiToken
-      );
-
+      const result = await request();
       if (result.success) {
-        saveCredentials(formData.jiraUrl, formData.email);
-        // Pass tenant and locale from server response
-        onConnectionSuccess(formData, result.tenantId, result.locale);
+        onConnectionSuccess(result.session, result.locale);
       }
     } catch (err) {
       setError(err.response?.data?.message || (locale === 'pt-BR' ? 'Falha ao conectar ao Jira' : 'Failed to connect to Jira'));
@@ -65,11 +62,55 @@ export default function JiraConnection({ onConnectionSuccess, locale = 'en', t }
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    login(async () => {
+      const result = await api.login(formData.jiraUrl, formData.email, formData.apiToken, formData.deploymentType);
+      // Remember the detected type so the next login skips detection
+      if (result.success) {
+        saveConnectionDetails(formData.jiraUrl, formData.email, result.session.deploymentType);
+      }
+      return result;
+    });
+  };
+
   return (
     <div className="max-w-2xl mx-auto card">
       <h2 className="text-2xl font-bold mb-6 text-gray-800">{t('connectToJira')}</h2>
 
+      {serverCredentials && (
+        <div className="mb-6">
+          <button
+            type="button"
+            onClick={() => login(() => api.loginWithServerCredentials())}
+            disabled={loading}
+            className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('useServerConnection')}
+          </button>
+          <p className="text-xs text-gray-500 text-center mt-3">{t('orConnectManually')}</p>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t('deploymentType')}
+          </label>
+          <select
+            className="input-field"
+            value={formData.deploymentType}
+            onChange={(e) => setFormData({ ...formData, deploymentType: e.target.value })}
+          >
+            <option value="auto">{t('deploymentAuto')}</option>
+            <option value="cloud">{t('deploymentCloud')}</option>
+            <option value="datacenter">{t('deploymentDataCenter')}</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            {t('deploymentTypeHint')}
+          </p>
+        </div>
+
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
             {t('jiraUrl')}
@@ -77,7 +118,7 @@ export default function JiraConnection({ onConnectionSuccess, locale = 'en', t }
           <input
             type="url"
             className="input-field"
-            placeholder="https://your-domain.atlassian.net"
+            placeholder={isDataCenter ? 'https://jira.your-company.com' : 'https://your-domain.atlassian.net'}
             value={formData.jiraUrl}
             onChange={(e) => setFormData({ ...formData, jiraUrl: e.target.value })}
             required
@@ -89,15 +130,15 @@ export default function JiraConnection({ onConnectionSuccess, locale = 'en', t }
 
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            {t('email')}
+            {isDataCenter ? t('usernameOptional') : t('email')}
           </label>
           <input
-            type="email"
+            type={isDataCenter ? 'text' : 'email'}
             className="input-field"
-            placeholder="your-email@company.com"
+            placeholder={isDataCenter ? 'jsmith' : 'your-email@company.com'}
             value={formData.email}
             onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-            required
+            required={!isDataCenter}
           />
           <p className="text-xs text-gray-500 mt-1">
             {t('savedAutomatically')}
@@ -106,25 +147,31 @@ export default function JiraConnection({ onConnectionSuccess, locale = 'en', t }
 
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            {t('apiToken')}
+            {isDataCenter ? t('personalAccessToken') : t('apiToken')}
           </label>
           <input
             type="password"
             className="input-field"
-            placeholder={locale === 'pt-BR' ? 'Seu token de API do Jira' : 'Your Jira API token'}
+            placeholder={isDataCenter
+              ? (locale === 'pt-BR' ? 'Seu Personal Access Token do Jira' : 'Your Jira Personal Access Token')
+              : (locale === 'pt-BR' ? 'Seu token de API do Jira' : 'Your Jira API token')}
             value={formData.apiToken}
             onChange={(e) => setFormData({ ...formData, apiToken: e.target.value })}
             required
           />
           <p className="text-xs text-gray-500 mt-1">
-            <a
-              href="https://id.atlassian.com/manage-profile/security/api-tokens"
-              target="_blank"
-              rel="noopener noreferrer"
-              className="text-primary-600 hover:underline"
-            >
-              {t('createTokenHere')}
-            </a>
+            {isDataCenter ? (
+              <span>{t('patHint')}</span>
+            ) : (
+              <a
+                href="https://id.atlassian.com/manage-profile/security/api-tokens"
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-primary-600 hover:underline"
+              >
+                {t('createTokenHere')}
+              </a>
+            )}
             {' • '}
             <span className="text-orange-600">{t('savedForAutoLogin')}</span>
           </p>
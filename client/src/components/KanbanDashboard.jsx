@@ -0,0 +1,298 @@
+import { useState, useEffect } from 'react';
+import { Line, Bar } from 'react-chartjs-2';
+import api from '../services/api';
+import MaturityBadge from './MaturityBadge';
+import MaturityLevelsReference from './MaturityLevelsReference';
+import { formatTarget } from '../services/maturityModel';
+
+// Aging WIP colors by position against the cycle time percentiles
+const AGING_STYLES = {
+  ok: 'bg-green-100 text-green-700',
+  watch: 'bg-yellow-100 text-yellow-700',
+  warning: 'bg-orange-100 text-orange-700',
+  critical: 'bg-red-100 text-red-700'
+};
+
+// Dashboard layout for Kanban boards: flow maturity, throughput, arrivals vs departures,
+// WIP over time, cycle time percentiles and aging WIP (metrics.mode === 'kanban')
+export default function KanbanDashboard({ metrics, locale = 'en', t }) {
+  const [flowModel, setFlowModel] = useState(null);
+  const [metricCatalog, setMetricCatalog] = useState({});
+  const [showAllAging, setShowAllAging] = useState(false);
+
+  // The tenant's flow maturity model (levels reference)
+  useEffect(() => {
+    api.getMaturityModel('kanban')
+      .then(data => {
+        if (data.success) {
+          setFlowModel(data.model);
+          setMetricCatalog(data.metrics || {});
+        }
+      })
+      .catch(err => console.warn('Could not load flow maturity model:', err.message));
+  }, []);
+
+  const flow = metrics.flowMetrics;
+  const summary = flow?.summary || {};
+  const maturity = metrics.maturityLevel;
+  const nextLevel = maturity?.nextLevel;
+  const weekLabels = (flow?.weeks || []).map(w =>
+    new Date(`${w.weekStart}T00:00:00`).toLocaleDateString(locale === 'pt-BR' ? 'pt-BR' : 'en-US', { month: 'short', day: 'numeric' })
+  );
+
+  const formatNumber = (value, decimals = 1) => {
+    if (value === null || value === undefined || isNaN(value)) return '—';
+    return Number(value).toFixed(decimals);
+  };
+
+  const baseOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'bottom', labels: { boxWidth: 10, font: { size: 11 } } },
+      datalabels: { display: false }
+    },
+    scales: {
+      y: { beginAtZero: true, ticks: { font: { size: 10 }, precision: 0 }, grid: { color: 'rgba(0,0,0,0.05)' } },
+      x: { ticks: { font: { size: 10 } }, grid: { display: false } }
+    }
+  };
+
+  // Cycle time scatter: one point per finished item (oldest first) + percentile lines
+  const samples = [...(flow?.cycleTime?.samples || [])].sort((a, b) => a.doneAt.localeCompare(b.doneAt));
+  const percentileLine = (label, value, color) => ({
+    label: `${label}: ${formatNumber(value)}d`,
+    data: samples.map(() => value),
+    borderColor: color,
+    borderDash: [5, 5],
+    borderWidth: 1.5,
+    pointRadius: 0,
+    fill: false
+  });
+
+  const agingItems = showAllAging ? flow?.agingWip || [] : (flow?.agingWip || []).slice(0, 10);
+
+  if (!flow) {
+    return <div className="card mb-8 text-center text-gray-500 py-12">{t('noData')}</div>;
+  }
+
+  return (
+    <>
+      {/* Flow Maturity Card */}
+      <div className="card mb-8">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">{t('flowMaturityLevel')}</h2>
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <span className="px-2 py-0.5 rounded bg-indigo-100 text-indigo-700 text-xs font-semibold">Kanban</span>
+            <span>{t('basedOn')}</span>
+            <span className="font-semibold text-primary-600">{t('lastNWeeks', { n: flow.windowWeeks })}</span>
+          </div>
+        </div>
+
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className="lg:w-64 shrink-0">
+            <MaturityBadge {...maturity} size="large" locale={locale} />
+            {maturity.supportModel && (
+              <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <p className="text-xs font-semibold text-yellow-900">{t('supportModel')}:</p>
+                <p className="text-xs text-yellow-800">{maturity.supportModel}</p>
+              </div>
+            )}
+          </div>
+
+          <div className="flex-1">
+            {nextLevel ? (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {nextLevel.criteria.map(c => (
+                  <div key={c.id} className={`flex items-start gap-2 p-3 rounded-lg border ${c.passed ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+                    <span className="text-base shrink-0">{c.passed ? '✅' : '🚫'}</span>
+                    <div className="flex-1">
+                      <div className={`text-sm font-medium ${c.passed ? 'text-green-800' : 'text-red-800'}`}>
+                        {c.label}: {formatNumber(c.actual)}{c.unit}
+                      </div>
+                      <div className={`text-xs mt-0.5 ${c.passed ? 'text-green-600' : 'text-red-600 font-semibold'}`}>
+                        {c.passed
+                          ? t('passing', { target: formatTarget(c.operator, c.value, c.unit) })
+                          : t('needsForLevel', { target: formatTarget(c.operator, c.value, c.unit), level: nextLevel.level })}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+                <p className="text-sm font-semibold text-green-800">{t('allMetricsHighest')}</p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {maturity.recommendations?.length > 0 && (
+          <details className="mt-6">
+            <summary className="cursor-pointer text-sm font-semibold text-gray-700 hover:text-gray-900">
+              {t('recommendations')} ({maturity.recommendations.length})
+            </summary>
+            <ul className="mt-3 space-y-2 pl-1">
+              {maturity.recommendations.map((rec, idx) => (
+                <li key={idx} className="flex items-start text-sm text-gray-600">
+                  <span className="text-primary-600 mr-2 shrink-0">{idx + 1}.</span>
+                  <span>{rec}</span>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+
+      {/* Key flow metrics */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        <div className="card">
+          <div className="text-sm text-gray-600 mb-1">{t('throughputPerWeek')}</div>
+          <div className="text-3xl font-bold text-primary-600">{formatNumber(summary.throughputPerWeek)}</div>
+          <div className="text-xs text-gray-500 mt-1">{t('throughputVariationDesc', { value: formatNumber(summary.throughputVariation, 0) })}</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600 mb-1">{t('cycleTimeP85')}</div>
+          <div className="text-3xl font-bold text-blue-600">{formatNumber(summary.cycleTimeP85)}d</div>
+          <div className="text-xs text-gray-500 mt-1">{t('cycleTimeP50Desc', { value: formatNumber(summary.cycleTimeP50) })}</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600 mb-1">{t('currentWip')}</div>
+          <div className="text-3xl font-bold text-orange-600">{summary.currentWip}</div>
+          <div className="text-xs text-gray-500 mt-1">{t('agingWipRateDesc', { value: formatNumber(summary.agingWipRate, 0) })}</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600 mb-1">{t('flowBalance')}</div>
+          <div className={`text-3xl font-bold ${summary.flowBalance >= 85 ? 'text-green-600' : 'text-red-600'}`}>{formatNumber(summary.flowBalance, 0)}%</div>
+          <div className="text-xs text-gray-500 mt-1">{t('arrivalsDepartures', { arrivals: summary.arrivals, departures: summary.departures })}</div>
+        </div>
+      </div>
+
+      <MaturityLevelsReference model={flowModel} metrics={metricCatalog} locale={locale} t={t} />
+
+      {/* Throughput + arrivals vs departures */}
+      <div className="card mb-8">
+        <h2 className="text-2xl font-bold mb-2 text-gray-800">📦 {t('weeklyThroughput')}</h2>
+        <p className="text-sm text-gray-500 mb-6">{t('weeklyThroughputDesc')}</p>
+        <div className="h-72">
+          <Bar
+            data={{
+              labels: weekLabels,
+              datasets: [
+                {
+                  label: t('departures'),
+                  data: flow.weeks.map(w => w.throughput),
+                  backgroundColor: 'rgba(34, 197, 94, 0.7)'
+                },
+                {
+                  label: t('arrivals'),
+                  data: flow.weeks.map(w => w.arrivals),
+                  backgroundColor: 'rgba(59, 130, 246, 0.5)'
+                }
+              ]
+            }}
+            options={baseOptions}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+        {/* WIP over time */}
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-800 mb-1">{t('wipOverTime')}</h3>
+          <p className="text-xs text-gray-500 mb-4">{t('wipOverTimeDesc')}</p>
+          <div className="h-64">
+            <Line
+              data={{
+                labels: weekLabels,
+                datasets: [{
+                  label: t('wip'),
+                  data: flow.weeks.map(w => w.wip),
+                  borderColor: 'rgb(249, 115, 22)',
+                  backgroundColor: 'rgba(249, 115, 22, 0.1)',
+                  fill: true,
+                  tension: 0.3
+                }]
+              }}
+              options={baseOptions}
+            />
+          </div>
+        </div>
+
+        {/* Cycle time scatter with percentiles */}
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-800 mb-1">{t('cycleTimePercentiles')}</h3>
+          <p className="text-xs text-gray-500 mb-4">{t('cycleTimePercentilesDesc', { count: flow.cycleTime.count })}</p>
+          {samples.length > 0 ? (
+            <div className="h-64">
+              <Line
+                data={{
+                  labels: samples.map(s => s.doneAt),
+                  datasets: [
+                    {
+                      label: t('cycleTimeDays'),
+                      data: samples.map(s => s.days),
+                      showLine: false,
+                      pointRadius: 3,
+                      pointBackgroundColor: 'rgba(59, 130, 246, 0.7)',
+                      borderColor: 'rgba(59, 130, 246, 0.7)'
+                    },
+                    percentileLine('p50', flow.cycleTime.p50, 'rgb(34, 197, 94)'),
+                    percentileLine('p85', flow.cycleTime.p85, 'rgb(234, 179, 8)'),
+                    percentileLine('p95', flow.cycleTime.p95, 'rgb(239, 68, 68)')
+                  ]
+                }}
+                options={{
+                  ...baseOptions,
+                  plugins: {
+                    ...baseOptions.plugins,
+                    tooltip: { callbacks: { label: (item) => item.datasetIndex === 0 ? `${samples[item.dataIndex].key}: ${item.raw}d` : item.dataset.label } }
+                  },
+                  scales: {
+                    ...baseOptions.scales,
+                    x: { ticks: { font: { size: 9 }, maxRotation: 45, autoSkip: true, maxTicksLimit: 12 }, grid: { display: false } }
+                  }
+                }}
+              />
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400">{t('noData')}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Aging WIP */}
+      <div className="card mb-8">
+        <h2 className="text-2xl font-bold mb-2 text-gray-800">⏳ {t('agingWip')}</h2>
+        <p className="text-sm text-gray-500 mb-4">{t('agingWipDesc')}</p>
+        {agingItems.length === 0 ? (
+          <p className="text-sm text-gray-400">{t('noWip')}</p>
+        ) : (
+          <div className="space-y-1">
+            {agingItems.map(item => (
+              <div key={item.key} className="flex items-center justify-between text-xs px-3 py-2 bg-gray-50 rounded">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className="font-medium text-gray-800">{item.key}</span>
+                  <span className="text-gray-500 truncate">{item.summary}</span>
+                </div>
+                <div className="flex items-center gap-2 shrink-0 text-gray-400">
+                  <span>{item.status}</span>
+                  <span>|</span>
+                  <span>{item.assignee}</span>
+                  <span className={`px-2 py-0.5 rounded font-semibold ${AGING_STYLES[item.agingLevel]}`}>
+                    {formatNumber(item.ageDays, 0)}d
+                  </span>
+                </div>
+              </div>
+            ))}
+            {flow.agingWip.length > 10 && (
+              <button onClick={() => setShowAllAging(!showAllAging)} className="text-xs text-primary-600 hover:underline mt-2">
+                {showAllAging ? t('showLess') : t('showAll', { count: flow.agingWip.length })}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -1,4 +1,6 @@
-export default function MaturityBadge({ level, name, description, size = 'default', locale = 'en' }) {
+export default function MaturityBadge({ level, name, description, color, size = 'default', locale = 'en' }) {
+  // Colors by model color name (custom maturity models), falling back to the level number
+  const colorLevels = { red: 1, yellow: 2, green: 3 };
   const config = {
     1: {
       bg: 'bg-red-600',
@@ -20,7 +22,8 @@ export default function MaturityBadge({ level, name, description, size = 'defaul
     }
   };
 
-  const c = config[level] || config[1];
+  const colorKey = colorLevels[color] || level;
+  const c = config[colorKey] || config[1];
   const levelLabel = locale === 'pt-BR' ? 'Nivel' : 'Level';
 
   if (size === 'small') {
@@ -30,7 +33,7 @@ export default function MaturityBadge({ level, name, description, size = 'defaul
       3: 'bg-green-100 text-green-800 border-green-300'
     };
     return (
-      <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold border ${smallColors[level]}`}>
+      <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold border ${smallColors[colorKey] || smallColors[1]}`}>
         {levelLabel} {level}
       </span>
     );
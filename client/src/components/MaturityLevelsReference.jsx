@@ -1,72 +1,32 @@
-export default function MaturityLevelsReference({ locale = 'en', t }) {
+import { localize, levelColors, describeCriteria } from '../services/maturityModel';
+
+export default function MaturityLevelsReference({ model, metrics: metricsCatalog = {}, locale = 'en', t }) {
   const isPtBR = locale === 'pt-BR';
 
-  const levels = [
-    {
-      level: 1,
-      name: t ? t('level1Name') : 'Assisted Scrum',
-      desc: t ? t('level1Desc') : 'Scrum Manager Required',
-      border: 'border-red-300', bg: 'bg-red-50', badge: 'bg-red-600',
-      title: 'text-red-900', subtitle: 'text-red-700', text: 'text-red-800', divider: 'border-red-300',
-      characteristics: [
-        { label: isPtBR ? 'Rollover' : 'Rollover', value: '> 20-25%' },
-        { label: isPtBR ? 'Injecao Mid-Sprint' : 'Mid-Sprint Injection', value: isPtBR ? 'Alta (subjetivo)' : 'High (subjective measure)' },
-        { label: isPtBR ? 'Taxa de "Pronto"' : '"Ready" Rate', value: isPtBR ? 'Baixa (<25% dos tickets prontos)' : 'Low (<25% of tickets are ready)' },
-        { label: isPtBR ? 'Higiene do Backlog' : 'Backlog Hygiene', value: isPtBR ? 'Ruim' : 'Poor' },
-        { label: isPtBR ? 'Cycle Time' : 'Dev Cycle Time', value: isPtBR ? 'Crescente' : 'Rising' },
-      ],
-      focus: {
-        label: isPtBR ? 'Foco do Scrum Manager' : 'Scrum Manager Focus',
-        items: isPtBR
-          ? ['Estabelecer cadencia operacional basica', 'Melhorar prontidao do backlog e planejamento de capacidade', 'Reduzir mudancas de escopo', 'Coaching de comportamentos de ownership', 'Introduzir metricas e padroes visiveis']
-          : ['Establish basic operating cadence', 'Improve backlog readiness and capacity planning', 'Reduce scope churn', 'Coach ownership behaviors', 'Introduce visible metrics and patterns']
-      }
-    },
-    {
-      level: 2,
-      name: t ? t('level2Name') : 'Supported Scrum',
-      desc: t ? t('level2Desc') : 'Conditional Support',
-      border: 'border-yellow-300', bg: 'bg-yellow-50', badge: 'bg-yellow-600',
-      title: 'text-yellow-900', subtitle: 'text-yellow-700', text: 'text-yellow-800', divider: 'border-yellow-300',
-      characteristics: [
-        { label: isPtBR ? 'Rollover' : 'Rollover', value: '~10-20%' },
-        { label: isPtBR ? 'Mudanca de Escopo' : 'Scope Churn', value: isPtBR ? 'Alguma, mas gerenciavel' : 'Some but manageable' },
-        { label: isPtBR ? 'Saude do Backlog' : 'Backlog Health', value: isPtBR ? 'Geralmente saudavel (25-75% prontos)' : 'Mostly healthy (25-75% ready)' },
-        { label: isPtBR ? 'Fluxo' : 'Flow', value: isPtBR ? 'Melhorando mas inconsistente' : 'Improving but inconsistent' },
-      ],
-      focus: {
-        label: isPtBR ? 'Foco do Scrum Manager' : 'Scrum Manager Focus',
-        items: isPtBR
-          ? ['Reconhecimento de padroes (correria de ultima hora, WIP envelhecido)', 'Coaching de Product em ownership do backlog', 'Habilitando cerimonias lideradas pelo time', 'Conduzindo execucao de acoes da retro']
-          : ['Pattern recognition (last-minute rush, WIP aging)', 'Coaching Product on backlog ownership', 'Enabling team-led ceremonies', 'Driving retro action execution']
-      },
-      support: isPtBR
-        ? 'Scrum Manager compartilhado, engajamento por tempo limitado (1-2 sprints/mes)'
-        : 'Shared Scrum Manager, Time-bound engagement (1-2 sprints/month)'
+  if (!model?.levels?.length) return null;
+
+  // Levels, entry criteria and characteristics come from the tenant's maturity model
+  const levels = model.levels.map((levelDef, index) => ({
+    level: levelDef.level,
+    name: localize(levelDef.name, locale),
+    desc: localize(levelDef.description, locale),
+    ...levelColors(levelDef, index),
+    criteria: describeCriteria(model, levelDef, metricsCatalog, locale),
+    characteristics: (levelDef.characteristics || []).map(c => ({
+      label: localize(c.label, locale),
+      value: localize(c.value, locale)
+    })),
+    focus: {
+      label: localize(levelDef.focusLabel, locale) || (isPtBR ? 'Foco do Scrum Manager' : 'Scrum Manager Focus'),
+      items: localize(levelDef.recommendations, locale) || []
     },
-    {
-      level: 3,
-      name: t ? t('level3Name') : 'Self-Managed Scrum',
-      desc: t ? t('level3Desc') : 'Scrum Manager Optional',
-      border: 'border-green-300', bg: 'bg-green-50', badge: 'bg-green-600',
-      title: 'text-green-900', subtitle: 'text-green-700', text: 'text-green-800', divider: 'border-green-300',
-      characteristics: [
-        { label: isPtBR ? 'Rollover Medio' : 'Avg Rollover', value: '< 10-15%' },
-        { label: isPtBR ? 'Mudanca Mid-Sprint' : 'Mid-Sprint Churn', value: isPtBR ? 'Minima' : 'Minimal' },
-        { label: isPtBR ? 'Backlog "Pronto"' : 'Backlog "Ready"', value: isPtBR ? 'Quase tudo (+75% prontos)' : 'Almost all (+75% ready)' },
-        { label: isPtBR ? 'Throughput' : 'Throughput', value: isPtBR ? 'Estavel' : 'Stable' },
-        { label: isPtBR ? 'Qualidade' : 'Quality Issues', value: isPtBR ? 'Tendencia de queda' : 'Trending down' },
-        { label: isPtBR ? 'Cerimonias' : 'Ceremonies', value: isPtBR ? 'Funcionam sem dependencia' : 'Run without dependency' },
-        { label: isPtBR ? 'Bloqueios' : 'Blockers', value: isPtBR ? 'Resolvidos dentro do time' : 'Resolved within the team' },
-      ],
-      focus: {
-        label: isPtBR ? 'Papel do Scrum Manager' : 'Scrum Manager Role',
-        items: isPtBR
-          ? ['Coaching sob demanda', 'Verificacao de saude trimestral', 'Check-in com stakeholders/produto', 'Escalacao de padroes se houver regressao']
-          : ['On-demand coaching', 'Quarterly health check', 'Stakeholder/product check in', 'Pattern escalation if regression occurs']
-      }
-    }
-  ];
+    support: localize(levelDef.supportModel, locale)
+  }));
+
+  // Levels that must hold for several consecutive sprints (sustain rule)
+  const sustained = model.levels.filter(l => l.sustainSprints > 1);
+
+  const gridCols = levels.length >= 4 ? 'md:grid-cols-4' : levels.length === 2 ? 'md:grid-cols-2' : 'md:grid-cols-3';
 
   return (
     <div className="card mb-8">
@@ -74,7 +34,7 @@ export default function MaturityLevelsReference({ locale = 'en', t }) {
         {isPtBR ? '📖 Referencia de Niveis de Maturidade' : '📖 Maturity Levels Reference'}
       </h2>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className={`grid grid-cols-1 ${gridCols} gap-6`}>
         {levels.map(l => (
           <div key={l.level} className={`border-2 ${l.border} rounded-lg p-4 ${l.bg}`}>
             <div className="flex items-center gap-2 mb-3">
@@ -87,11 +47,17 @@ export default function MaturityLevelsReference({ locale = 'en', t }) {
               </div>
             </div>
 
-            {/* Typical Characteristics */}
+            {/* Typical Characteristics — entry criteria first, then descriptive traits */}
             <div className={`text-xs font-semibold ${l.title} mb-2`}>
               {isPtBR ? 'Caracteristicas Tipicas' : 'Typical Characteristics'}
             </div>
             <div className="space-y-1.5 text-sm mb-4">
+              {l.criteria.map((c, idx) => (
+                <div key={`criterion-${idx}`} className="bg-white bg-opacity-50 rounded p-2">
+                  <span className={`font-semibold ${l.title}`}>{c.label}:</span>{' '}
+                  <span className={l.text}>{c.target}</span>
+                </div>
+              ))}
               {l.characteristics.map((c, idx) => (
                 <div key={idx} className="bg-white bg-opacity-50 rounded p-2">
                   <span className={`font-semibold ${l.title}`}>{c.label}:</span>{' '}
@@ -113,7 +79,7 @@ export default function MaturityLevelsReference({ locale = 'en', t }) {
               </ul>
             </div>
 
-            {/* Support Model (Level 2 only) */}
+            {/* Support Model (levels that define one) */}
             {l.support && (
               <div className={`mt-3 pt-3 border-t ${l.divider}`}>
                 <div className={`text-xs font-semibold ${l.title} mb-1`}>
@@ -128,9 +94,14 @@ export default function MaturityLevelsReference({ locale = 'en', t }) {
 
       <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
         <p className="text-sm text-blue-900">
-          <strong>{isPtBR ? 'Nota:' : 'Note:'}</strong> {isPtBR
-            ? 'Os criterios de entrada do Nivel 3 devem ser sustentados por 3-4 sprints. Os limites de rollover podem variar conforme os processos internos de fechamento de tickets (nem todos os times seguem os mesmos passos).'
-            : 'Level 3 entry criteria must be sustained for 3-4 sprints. Rollover thresholds may vary based on internal ticket closure processes (not all teams follow the same steps).'}
+          <strong>{isPtBR ? 'Nota:' : 'Note:'}</strong>{' '}
+          {sustained.map(l => isPtBR
+            ? `Os criterios de entrada do Nivel ${l.level} devem ser sustentados por ${l.sustainSprints} sprints consecutivas antes da promocao (e falhar por ${l.sustainSprints} sprints antes do rebaixamento). `
+            : `Level ${l.level} entry criteria must be sustained for ${l.sustainSprints} consecutive sprints before promotion (and fail for ${l.sustainSprints} sprints before demotion). `
+          ).join('')}
+          {isPtBR
+            ? 'Os limites de rollover podem variar conforme os processos internos de fechamento de tickets (nem todos os times seguem os mesmos passos).'
+            : 'Rollover thresholds may vary based on internal ticket closure processes (not all teams follow the same steps).'}
         </p>
       </div>
     </div>
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import { Line } from 'react-chartjs-2';
+import api from '../services/api';
+import MaturityBadge from './MaturityBadge';
+
+// Plotted metrics (percentages, left axis); cycle time only shows in "what moved"
+const TREND_LINES = [
+  { key: 'rolloverRate', labelKey: 'rolloverRate', color: 'rgb(239, 68, 68)' },
+  { key: 'sprintHitRate', labelKey: 'sprintHitRate', color: 'rgb(59, 130, 246)' },
+  { key: 'backlogReadiness', labelKey: 'overviewBacklogReady', color: 'rgb(16, 185, 129)' },
+  { key: 'reworkRate', labelKey: 'overviewRework', color: 'rgb(245, 158, 11)' }
+];
+const METRIC_LABEL_KEYS = {
+  rolloverRate: 'rolloverRate',
+  sprintHitRate: 'sprintHitRate',
+  backlogReadiness: 'overviewBacklogReady',
+  reworkRate: 'overviewRework',
+  cycleTime: 'overviewCycleTime'
+};
+const OPERATOR_SYMBOLS = { '<=': '≤', '>=': '≥', '==': '=', '!=': '≠' };
+
+// Maturity trend of a board across all its stored snapshots: level (stepped, right axis) and
+// headline metrics, level changes marked on the chart, and what moved between snapshots
+export default function MaturityTrendView({ boardId, locale = 'en', t, onSelectSnapshot }) {
+  const [trend, setTrend] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatDate = (iso) => new Date(iso).toLocaleDateString(dateLocale, { month: 'short', day: 'numeric', year: 'numeric' });
+
+  useEffect(() => {
+    if (!boardId) return;
+    setLoading(true);
+    setError('');
+    setTrend(null);
+    api.getMaturityTrend(boardId, locale)
+      .then(result => setTrend(result.data))
+      .catch(err => setError(err.response?.status === 404 ? t('trendNoHistory') : (err.response?.data?.message || err.message)))
+      .finally(() => setLoading(false));
+  }, [boardId, locale]);
+
+  if (loading) {
+    return (
+      <div className="card mb-8 text-center py-12">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+  if (error) return <div className="card mb-8 text-center text-gray-500 py-12">{error}</div>;
+  if (!trend) return null;
+
+  const { points, changes } = trend;
+  // Level change into each point (index in points), for the chart markers
+  const levelChangeAt = new Map(changes.map((change, i) => [i + 1, change.levelChange]).filter(([, lc]) => lc));
+  const formatValue = (metric, value) => `${value}${metric === 'cycleTime' ? 'd' : '%'}`;
+  const formatDelta = (metric, delta) => `${delta > 0 ? '+' : ''}${delta}${metric === 'cycleTime' ? 'd' : ' pp'}`;
+
+  // Newest first; without "show all", only snapshots where something moved
+  const listed = [...changes].reverse().filter(c => showAll || c.levelChange || c.moved.length > 0 || c.criteria.length > 0);
+
+  return (
+    <div className="mb-8 space-y-6">
+      <div className="card">
+        <div className="mb-4">
+          <h2 className="text-2xl font-bold text-gray-900">📈 {t('maturityTrend')}</h2>
+          <p className="text-sm text-gray-500">{t('maturityTrendDesc', { count: points.length, name: trend.boardName })}</p>
+        </div>
+        {points.length < 2 ? (
+          <p className="text-sm text-gray-500 py-8 text-center">{t('trendNeedsTwoSnapshots')}</p>
+        ) : (
+          <div className="h-80">
+            <Line
+              data={{
+                labels: points.map(p => formatDate(p.calculatedAt)),
+                datasets: [
+                  {
+                    label: t('overviewLevel'),
+                    data: points.map(p => p.maturityLevel),
+                    yAxisID: 'level',
+                    stepped: true,
+                    borderColor: 'rgb(99, 102, 241)',
+                    backgroundColor: 'rgb(99, 102, 241)',
+                    borderWidth: 3,
+                    pointRadius: points.map((_, i) => (levelChangeAt.has(i) ? 7 : 2)),
+                    pointBackgroundColor: points.map((_, i) => {
+                      const change = levelChangeAt.get(i);
+                      if (!change) return 'rgb(99, 102, 241)';
+                      return change.direction === 'up' ? 'rgb(22, 163, 74)' : 'rgb(220, 38, 38)';
+                    }),
+                    datalabels: {
+                      display: (ctx) => levelChangeAt.has(ctx.dataIndex),
+                      formatter: (value, ctx) => `${levelChangeAt.get(ctx.dataIndex)?.direction === 'up' ? '▲' : '▼'} ${t('overviewLevel')} ${value}`,
+                      color: (ctx) => (levelChangeAt.get(ctx.dataIndex)?.direction === 'up' ? '#15803d' : '#b91c1c'),
+                      font: { size: 11, weight: 'bold' },
+                      align: 'top',
+                      offset: 6
+                    }
+                  },
+                  ...TREND_LINES.map(line => ({
+                    label: t(line.labelKey),
+                    data: points.map(p => p.metrics[line.key]),
+                    yAxisID: 'percent',
+                    borderColor: line.color,
+                    backgroundColor: line.color,
+                    borderWidth: 2,
+                    pointRadius: 2,
+                    tension: 0.3,
+                    spanGaps: true,
+                    datalabels: { display: false }
+                  }))
+                ]
+              }}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                  legend: { position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } },
+                  tooltip: {
+                    callbacks: {
+                      label: (item) => item.dataset.yAxisID === 'level'
+                        ? `${t('overviewLevel')}: ${item.raw}${points[item.dataIndex].maturityName ? ` (${points[item.dataIndex].maturityName})` : ''}`
+                        : `${item.dataset.label}: ${item.raw ?? '—'}%`
+                    }
+                  }
+                },
+                scales: {
+                  percent: { type: 'linear', position: 'left', min: 0, max: 100, ticks: { callback: (v) => `${v}%` }, grid: { color: 'rgba(0,0,0,0.05)' } },
+                  level: { type: 'linear', position: 'right', min: 0.5, max: 3.5, ticks: { stepSize: 1, callback: (v) => (Number.isInteger(v) ? `L${v}` : '') }, grid: { display: false } },
+                  x: { ticks: { font: { size: 10 }, maxRotation: 45 }, grid: { display: false } }
+                }
+              }}
+            />
+          </div>
+        )}
+      </div>
+
+      {changes.length > 0 && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold">{t('whatMoved')}</h3>
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+              {t('trendShowUnchanged')}
+            </label>
+          </div>
+          {listed.length === 0 && <p className="text-sm text-gray-500">{t('trendNoMoves')}</p>}
+          <div className="space-y-3">
+            {listed.map(change => (
+              <div
+                key={change.toId}
+                className={`border rounded-lg p-3 ${change.levelChange
+                  ? (change.levelChange.direction === 'up' ? 'border-green-300 bg-green-50' : 'border-red-300 bg-red-50')
+                  : 'border-gray-200'}`}
+              >
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                  <div className="flex items-center gap-3">
+                    <span className="text-sm font-medium text-gray-900">{formatDate(change.at)}</span>
+                    {change.levelChange && (
+                      <span className="flex items-center gap-1 text-sm">
+                        <MaturityBadge level={change.levelChange.from} size="small" locale={locale} />
+                        →
+                        <MaturityBadge level={change.levelChange.to} size="small" locale={locale} />
+                      </span>
+                    )}
+                  </div>
+                  {onSelectSnapshot && (
+                    <button onClick={() => onSelectSnapshot(change.toId)} className="text-xs text-primary-600 hover:text-primary-800">
+                      {t('trendViewSnapshot')} →
+                    </button>
+                  )}
+                </div>
+
+                {change.moved.length > 0 ? (
+                  <div className="flex flex-wrap gap-2 mb-1">
+                    {change.moved.map(move => (
+                      <span
+                        key={move.metric}
+                        className={`text-xs px-2 py-1 rounded-full ${move.improved ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}
+                      >
+                        {t(METRIC_LABEL_KEYS[move.metric])}: {formatValue(move.metric, move.from)} → {formatValue(move.metric, move.to)} ({formatDelta(move.metric, move.delta)})
+                      </span>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-xs text-gray-500">{t('trendNoMoves')}</p>
+                )}
+
+                {change.criteria.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {change.criteria.map(c => (
+                      <li key={`${c.level}.${c.id}`} className="text-xs text-gray-700">
+                        {c.passed ? '✅' : '❌'} {t(c.passed ? 'trendCriterionMet' : 'trendCriterionLost', {
+                          label: c.label,
+                          from: `${c.from}${c.unit}`,
+                          to: `${c.to}${c.unit}`,
+                          target: `${OPERATOR_SYMBOLS[c.operator] || c.operator} ${c.value}${c.unit}`,
+                          level: c.level
+                        })}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
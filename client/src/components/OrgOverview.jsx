@@ -0,0 +1,283 @@
+import { useState, useEffect } from 'react';
+import { Bar } from 'react-chartjs-2';
+import api from '../services/api';
+import MaturityBadge from './MaturityBadge';
+
+// Level colors by model color name, falling back to the level number (as MaturityBadge)
+const LEVEL_COLORS = { 1: 'rgba(220, 38, 38, 0.75)', 2: 'rgba(234, 179, 8, 0.75)', 3: 'rgba(22, 163, 74, 0.75)' };
+const COLOR_LEVELS = { red: 1, yellow: 2, green: 3 };
+
+// Heatmap shades from best to worst fifth of the boards shown
+const HEAT_SHADES = ['bg-green-200', 'bg-green-100', 'bg-yellow-100', 'bg-orange-100', 'bg-red-200'];
+
+// Metric columns; lowerIsBetter decides which end of the heatmap is green
+const METRIC_COLUMNS = [
+  { key: 'rolloverRate', labelKey: 'rolloverRate', unit: '%', lowerIsBetter: true },
+  { key: 'sprintHitRate', labelKey: 'sprintHitRate', unit: '%', lowerIsBetter: false },
+  { key: 'backlogReadiness', labelKey: 'overviewBacklogReady', unit: '%', lowerIsBetter: false },
+  { key: 'reworkRate', labelKey: 'overviewRework', unit: '%', lowerIsBetter: true },
+  { key: 'cycleTime', labelKey: 'overviewCycleTime', unit: 'd', lowerIsBetter: true }
+];
+
+// Org overview: every team's maturity level and headline metrics side by side (sortable table
+// with a heatmap), level distribution overall and per group, filters by the tenant's team
+// groups; clicking a team opens its dashboard
+export default function OrgOverview({ locale = 'en', t, onSelectBoard }) {
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Selected group per category ('' = all)
+  const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState({ key: 'boardName', desc: false });
+  const [groupBy, setGroupBy] = useState('');
+  const [downloading, setDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState('');
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatDate = (iso) => new Date(iso).toLocaleDateString(dateLocale, { month: 'short', day: 'numeric' });
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    api.getOrgOverview(locale)
+      .then(result => {
+        setOverview(result);
+        setGroupBy(prev => prev || result.categories?.[0] || '');
+      })
+      .catch(err => setError(err.response?.data?.message || err.message))
+      .finally(() => setLoading(false));
+  }, [locale]);
+
+  if (loading) {
+    return (
+      <div className="card mb-8 text-center py-12">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+  if (error) {
+    return <div className="card mb-8 p-4 bg-red-50 border border-red-200 text-red-700">{error}</div>;
+  }
+  if (!overview || overview.boards.length === 0) {
+    return <div className="card mb-8 text-center text-gray-500 py-12">{t('overviewNoBoards')}</div>;
+  }
+
+  const { categories = [], levels = [] } = overview;
+  const boards = overview.boards.filter(b => Object.entries(filters).every(([category, group]) => !group || b.groups[category] === group));
+
+  // Sort: missing values last in both directions
+  const sortValue = (board) => {
+    if (sort.key === 'boardName') return board.boardName.toLowerCase();
+    if (sort.key === 'maturityLevel') return board.maturityLevel;
+    if (sort.key === 'calculatedAt') return new Date(board.calculatedAt).getTime();
+    if (sort.key.startsWith('group:')) return board.groups[sort.key.slice(6)] || null;
+    return board.metrics[sort.key];
+  };
+  const sorted = [...boards].sort((a, b) => {
+    const va = sortValue(a);
+    const vb = sortValue(b);
+    if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+    if (vb === null || vb === undefined) return -1;
+    const order = va < vb ? -1 : va > vb ? 1 : 0;
+    return sort.desc ? -order : order;
+  });
+  const toggleSort = (key) => setSort(prev => ({ key, desc: prev.key === key ? !prev.desc : false }));
+
+  // Heatmap shade of a value: its rank among the boards shown, best first
+  const heatShade = (column, value) => {
+    if (value === null || value === undefined) return 'bg-gray-50';
+    const values = boards.map(b => b.metrics[column.key]).filter(v => v !== null && v !== undefined);
+    if (values.length < 2) return '';
+    const better = values.filter(v => (column.lowerIsBetter ? v < value : v > value)).length;
+    const rank = better / values.length;
+    return HEAT_SHADES[Math.min(HEAT_SHADES.length - 1, Math.floor(rank * HEAT_SHADES.length))];
+  };
+
+  const levelColor = (level) => LEVEL_COLORS[COLOR_LEVELS[level.color] || level.level] || 'rgba(107, 114, 128, 0.7)';
+  const countLevels = (rows) => levels.map(l => rows.filter(b => b.maturityLevel === l.level).length);
+  const groupNames = groupBy ? overview.groups.filter(g => g.category === groupBy).map(g => g.name) : [];
+
+  // PDF pack of the boards shown (the active group filters)
+  const downloadReport = async () => {
+    setDownloading(true);
+    setDownloadError('');
+    try {
+      await api.downloadOrgReport(locale, Object.fromEntries(Object.entries(filters).filter(([, group]) => group)));
+    } catch (err) {
+      setDownloadError(`${t('reportFailed')}: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const SortHeader = ({ sortKey, children, className = '' }) => (
+    <th className={`py-2 px-3 cursor-pointer select-none hover:text-gray-700 ${className}`} onClick={() => toggleSort(sortKey)}>
+      {children}{sort.key === sortKey ? (sort.desc ? ' ▼' : ' ▲') : ''}
+    </th>
+  );
+
+  return (
+    <div className="mb-8 space-y-6">
+      <div className="card">
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">🏢 {t('orgOverview')}</h2>
+            <p className="text-sm text-gray-500">{t('orgOverviewDesc', { count: boards.length })}</p>
+          </div>
+          <div className="flex flex-wrap items-end gap-3">
+            {categories.map(category => (
+              <label key={category} className="text-xs text-gray-600 capitalize">
+                {category}
+                <select
+                  value={filters[category] || ''}
+                  onChange={(e) => setFilters(prev => ({ ...prev, [category]: e.target.value }))}
+                  className="input-field mt-1"
+                >
+                  <option value="">{t('overviewAllGroups')}</option>
+                  {overview.groups.filter(g => g.category === category).map(g => (
+                    <option key={g.name} value={g.name}>{g.name}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <button
+              onClick={downloadReport}
+              disabled={downloading || boards.length === 0}
+              className="btn-secondary text-sm disabled:opacity-50"
+              title={t('downloadOrgReportHint')}
+            >
+              📄 {downloading ? t('reportGenerating') : t('downloadOrgReport')}
+            </button>
+          </div>
+        </div>
+        {downloadError && <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg">{downloadError}</div>}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <SortHeader sortKey="boardName">{t('overviewTeam')}</SortHeader>
+                {categories.map(category => (
+                  <SortHeader key={category} sortKey={`group:${category}`} className="capitalize">{category}</SortHeader>
+                ))}
+                <SortHeader sortKey="maturityLevel">{t('overviewLevel')}</SortHeader>
+                {METRIC_COLUMNS.map(column => (
+                  <SortHeader key={column.key} sortKey={column.key} className="text-right">{t(column.labelKey)}</SortHeader>
+                ))}
+                <SortHeader sortKey="calculatedAt" className="text-right">{t('overviewUpdated')}</SortHeader>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(board => (
+                <tr
+                  key={board.boardId}
+                  onClick={() => onSelectBoard(board.boardId)}
+                  className="border-b border-gray-100 cursor-pointer hover:bg-primary-50"
+                  title={t('overviewOpenDashboard')}
+                >
+                  <td className="py-2 px-3 font-medium text-primary-700">
+                    {board.boardName}
+                    {board.mode === 'kanban' && <span className="ml-2 text-xs text-gray-400">Kanban</span>}
+                  </td>
+                  {categories.map(category => (
+                    <td key={category} className="py-2 px-3 text-gray-600">{board.groups[category] || '—'}</td>
+                  ))}
+                  <td className="py-2 px-3">
+                    {board.maturityLevel !== null
+                      ? <MaturityBadge level={board.maturityLevel} size="small" locale={locale} />
+                      : '—'}
+                  </td>
+                  {METRIC_COLUMNS.map(column => {
+                    const value = board.metrics[column.key];
+                    return (
+                      <td key={column.key} className={`py-2 px-3 text-right tabular-nums ${heatShade(column, value)}`}>
+                        {value === null || value === undefined ? '—' : `${value}${column.unit}`}
+                      </td>
+                    );
+                  })}
+                  <td className="py-2 px-3 text-right text-xs text-gray-500 whitespace-nowrap">{formatDate(board.calculatedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-400 mt-3">{t('overviewHeatmapHint')}</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card">
+          <h3 className="font-semibold mb-4">{t('overviewLevelDistribution')}</h3>
+          <div className="h-56">
+            <Bar
+              data={{
+                labels: levels.map(l => `${l.level}. ${l.name}`),
+                datasets: [{
+                  label: t('overviewTeams'),
+                  data: countLevels(boards),
+                  backgroundColor: levels.map(levelColor),
+                  borderRadius: 6
+                }]
+              }}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                  legend: { display: false },
+                  datalabels: {
+                    display: true,
+                    color: '#374151',
+                    font: { size: 11, weight: 'bold' },
+                    anchor: 'end',
+                    align: 'top',
+                    offset: -2,
+                    formatter: (value) => value > 0 ? value : ''
+                  }
+                },
+                scales: { y: { beginAtZero: true, ticks: { precision: 0 }, grid: { color: 'rgba(0,0,0,0.05)' } }, x: { grid: { display: false } } }
+              }}
+            />
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold">{t('overviewLevelsByGroup')}</h3>
+            {categories.length > 1 && (
+              <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="input-field text-sm capitalize">
+                {categories.map(category => <option key={category} value={category}>{category}</option>)}
+              </select>
+            )}
+          </div>
+          {groupNames.length > 0 ? (
+            <div className="h-56">
+              <Bar
+                data={{
+                  labels: groupNames,
+                  datasets: levels.map(level => ({
+                    label: `${level.level}. ${level.name}`,
+                    data: groupNames.map(name => boards.filter(b => b.groups[groupBy] === name && b.maturityLevel === level.level).length),
+                    backgroundColor: levelColor(level)
+                  }))
+                }}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  plugins: {
+                    legend: { position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } },
+                    datalabels: { display: (ctx) => ctx.dataset.data[ctx.dataIndex] > 0, color: '#fff', font: { size: 10, weight: 'bold' } }
+                  },
+                  scales: {
+                    x: { stacked: true, grid: { display: false } },
+                    y: { stacked: true, beginAtZero: true, ticks: { precision: 0 }, grid: { color: 'rgba(0,0,0,0.05)' } }
+                  }
+                }}
+              />
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 py-8 text-center">{t('overviewNoGroups')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
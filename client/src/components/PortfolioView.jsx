@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bar colors by slippage status
+const SLIPPAGE_STYLES = {
+  'late': { bar: 'bg-red-200', fill: 'bg-red-500', badge: 'bg-red-100 text-red-700' },
+  'at-risk': { bar: 'bg-yellow-200', fill: 'bg-yellow-500', badge: 'bg-yellow-100 text-yellow-700' },
+  'on-track': { bar: 'bg-blue-200', fill: 'bg-blue-500', badge: 'bg-blue-100 text-blue-700' },
+  'done-on-time': { bar: 'bg-green-200', fill: 'bg-green-500', badge: 'bg-green-100 text-green-700' },
+  'done-late': { bar: 'bg-green-200', fill: 'bg-green-600', badge: 'bg-orange-100 text-orange-700' },
+  'no-target': { bar: 'bg-gray-200', fill: 'bg-gray-400', badge: 'bg-gray-100 text-gray-600' }
+};
+
+// Epic portfolio timeline (roadmap/Gantt) across boards, grouped by initiative
+export default function PortfolioView({ session, boards, locale = 'en', t }) {
+  const boardOptions = boards.map(b => ({
+    id: typeof b === 'object' ? b.id : b,
+    name: typeof b === 'object' ? b.name : `Board ${b}`
+  }));
+  const [selectedBoardIds, setSelectedBoardIds] = useState(boardOptions.map(b => b.id));
+  const [portfolio, setPortfolio] = useState(null);
+  const [cacheInfo, setCacheInfo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expandedEpic, setExpandedEpic] = useState(null);
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatDate = (iso) => iso
+    ? new Date(`${iso.split('T')[0]}T00:00:00`).toLocaleDateString(dateLocale, { month: 'short', day: 'numeric', year: 'numeric' })
+    : '—';
+
+  const loadPortfolio = async (forceRefresh = false) => {
+    if (!session || selectedBoardIds.length === 0) return;
+    setLoading(true);
+    setError('');
+    try {
+      const result = await api.getPortfolio(selectedBoardIds, forceRefresh);
+      setPortfolio(result.data);
+      setCacheInfo(result.cached ? { age: result.age } : null);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPortfolio();
+  }, [selectedBoardIds.join(','), session?.jiraUrl]);
+
+  const toggleBoard = (id) => {
+    setSelectedBoardIds(prev => prev.includes(id) ? prev.filter(b => b !== id) : [...prev, id]);
+  };
+
+  if (!session) {
+    return <div className="card mb-8 text-center text-gray-500 py-12">{t('releasesNeedConnection')}</div>;
+  }
+
+  // Timeline range: all target dates plus today, padded by a week on each side
+  const epicsByKey = new Map((portfolio?.epics || []).map(e => [e.key, e]));
+  const dates = (portfolio?.epics || [])
+    .flatMap(e => [e.targetStart, e.targetEnd])
+    .filter(Boolean)
+    .map(d => new Date(d).getTime());
+  const today = Date.now();
+  const rangeStart = Math.min(today, ...dates) - 7 * DAY_MS;
+  const rangeEnd = Math.max(today, ...dates) + 7 * DAY_MS;
+  const toPercent = (time) => ((time - rangeStart) / (rangeEnd - rangeStart)) * 100;
+
+  // Month ticks along the top axis
+  const months = [];
+  const cursor = new Date(rangeStart);
+  cursor.setDate(1);
+  cursor.setMonth(cursor.getMonth() + 1);
+  while (cursor.getTime() < rangeEnd) {
+    months.push(new Date(cursor));
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+
+  const renderEpicRow = (epic) => {
+    const style = SLIPPAGE_STYLES[epic.slippage.status] || SLIPPAGE_STYLES['no-target'];
+    const start = epic.targetStart ? new Date(epic.targetStart).getTime() : null;
+    const end = epic.targetEnd ? new Date(epic.targetEnd).getTime() : null;
+    const barStart = start ?? (end ? end - 14 * DAY_MS : null);
+    const progress = epic.progress.totalPoints > 0 ? epic.progress.pointsPercent : epic.progress.percent;
+
+    return (
+      <div key={epic.key}>
+        <div
+          className="flex items-center gap-3 py-1.5 hover:bg-gray-50 cursor-pointer"
+          onClick={() => setExpandedEpic(expandedEpic === epic.key ? null : epic.key)}
+        >
+          <div className="w-72 shrink-0 min-w-0 pl-2">
+            <div className="flex items-center gap-1.5 text-xs">
+              <a
+                href={`${session.jiraUrl?.replace(/\/$/, '')}/browse/${epic.key}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={(e) => e.stopPropagation()}
+                className="text-blue-600 hover:underline font-medium"
+              >
+                {epic.key}
+              </a>
+              {epic.blocked && <span title={t('blockedBy', { keys: epic.openBlockers.join(', ') })}>⛔</span>}
+              <span className={`px-1.5 py-0.5 rounded text-[10px] font-medium ${style.badge}`}>
+                {t(`slippage_${epic.slippage.status}`, { days: epic.slippage.days })}
+              </span>
+            </div>
+            <div className="text-xs text-gray-600 truncate">{epic.summary}</div>
+          </div>
+          <div className="relative flex-1 h-6">
+            {barStart !== null && end !== null ? (
+              <div
+                className={`absolute top-1 h-4 rounded ${style.bar} overflow-hidden`}
+                style={{ left: `${toPercent(barStart)}%`, width: `${Math.max(0.5, toPercent(end) - toPercent(barStart))}%` }}
+                title={`${formatDate(epic.targetStart)} → ${formatDate(epic.targetEnd)} · ${progress}%`}
+              >
+                <div className={`h-full ${style.fill}`} style={{ width: `${progress}%` }}></div>
+              </div>
+            ) : (
+              <span className="absolute top-1 text-[10px] text-gray-400">{t('unscheduled')}</span>
+            )}
+            <div className="absolute top-0 bottom-0 w-px bg-red-400" style={{ left: `${toPercent(today)}%` }}></div>
+          </div>
+          <div className="w-20 shrink-0 text-right text-xs text-gray-600">
+            {epic.progress.done}/{epic.progress.total} · {progress}%
+          </div>
+        </div>
+
+        {expandedEpic === epic.key && (
+          <div className="ml-2 mb-2 p-3 bg-gray-50 rounded-lg text-xs text-gray-600 grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <div className="font-semibold text-gray-700 mb-1">{t('epicDates')}</div>
+              <div>{t('targetStart')}: {formatDate(epic.targetStart)}</div>
+              <div>{t('targetEnd')}: {formatDate(epic.targetEnd)}</div>
+              {epic.resolutionDate && <div>{t('resolved')}: {formatDate(epic.resolutionDate)}</div>}
+              <div>{t('status')}: {epic.status} · {epic.assignee}</div>
+            </div>
+            <div>
+              <div className="font-semibold text-gray-700 mb-1">{t('epicProgress')}</div>
+              <div>{epic.progress.done} {t('completed').toLowerCase()} · {epic.progress.inProgress} {t('inProgress').toLowerCase()} · {epic.progress.todo} {t('toDo').toLowerCase()}</div>
+              <div>{epic.progress.donePoints}/{epic.progress.totalPoints} {t('points')}</div>
+            </div>
+            <div>
+              <div className="font-semibold text-gray-700 mb-1">{t('dependencies')}</div>
+              {epic.dependencies.blockedBy.length === 0 && epic.dependencies.blocks.length === 0 && <div>—</div>}
+              {epic.dependencies.blockedBy.map(d => (
+                <div key={`by-${d.key}`} className={epic.openBlockers.includes(d.key) ? 'text-red-600' : ''}>
+                  ⬅ {t('blockedByLabel')} {d.key} ({epicsByKey.get(d.key)?.status || d.status})
+                </div>
+              ))}
+              {epic.dependencies.blocks.map(d => (
+                <div key={`blocks-${d.key}`}>➡ {t('blocksLabel')} {d.key} ({epicsByKey.get(d.key)?.status || d.status})</div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🗺️ {t('portfolio')}</h2>
+          <p className="text-sm text-gray-500">{t('portfolioDesc')}</p>
+        </div>
+        <button
+          onClick={() => loadPortfolio(true)}
+          disabled={loading}
+          className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+        >
+          🔄 {loading ? t('refreshing') : t('refreshFromJira')}
+        </button>
+      </div>
+
+      {/* Board filter */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {boardOptions.map(b => (
+          <label key={b.id} className={`flex items-center gap-1.5 px-3 py-1 rounded-full border text-xs cursor-pointer ${
+            selectedBoardIds.includes(b.id) ? 'bg-primary-50 border-primary-300 text-primary-700' : 'border-gray-200 text-gray-500'
+          }`}>
+            <input type="checkbox" className="w-3 h-3" checked={selectedBoardIds.includes(b.id)} onChange={() => toggleBoard(b.id)} />
+            {b.name}
+          </label>
+        ))}
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+
+      {loading && !portfolio && (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+          <p className="mt-2 text-sm text-gray-500">{t('loadingPortfolio')}</p>
+        </div>
+      )}
+
+      {portfolio && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-6 text-center">
+            {[
+              { label: t('epics'), value: portfolio.summary.totalEpics, color: 'text-gray-800' },
+              { label: t('completed'), value: portfolio.summary.done, color: 'text-green-600' },
+              { label: t('lateEpics'), value: portfolio.summary.late, color: 'text-red-600' },
+              { label: t('slippage_at-risk'), value: portfolio.summary.atRisk, color: 'text-yellow-600' },
+              { label: t('blocked'), value: portfolio.summary.blocked, color: 'text-red-700' },
+              { label: t('unscheduled'), value: portfolio.summary.unscheduled, color: 'text-gray-500' }
+            ].map(item => (
+              <div key={item.label} className="p-3 rounded-lg bg-gray-50 border border-gray-100">
+                <div className={`text-2xl font-bold ${item.color}`}>{item.value}</div>
+                <div className="text-xs text-gray-500">{item.label}</div>
+              </div>
+            ))}
+          </div>
+
+          {cacheInfo && (
+            <p className="text-xs text-gray-400 mb-2">{t('portfolioCached', { age: cacheInfo.age })}</p>
+          )}
+
+          {/* Timeline */}
+          <div className="overflow-x-auto">
+            <div className="min-w-[900px]">
+              <div className="flex items-end gap-3 border-b border-gray-200 pb-1 mb-1">
+                <div className="w-72 shrink-0 text-xs font-semibold text-gray-500 pl-2">{t('epic')}</div>
+                <div className="relative flex-1 h-5">
+                  {months.map(m => (
+                    <span key={m.toISOString()} className="absolute text-[10px] text-gray-400 border-l border-gray-200 pl-1" style={{ left: `${toPercent(m.getTime())}%` }}>
+                      {m.toLocaleDateString(dateLocale, { month: 'short', year: '2-digit' })}
+                    </span>
+                  ))}
+                </div>
+                <div className="w-20 shrink-0 text-right text-xs font-semibold text-gray-500">{t('progress')}</div>
+              </div>
+
+              {portfolio.groups.map(group => (
+                <div key={group.key || 'none'} className="mb-3">
+                  <div className="px-2 py-1.5 bg-indigo-50 rounded text-sm font-semibold text-indigo-900">
+                    {group.key ? `${group.key} · ${group.summary}` : t('noInitiative')}
+                    <span className="ml-2 text-xs font-normal text-indigo-600">{group.epicKeys.length} {t('epics').toLowerCase()}</span>
+                  </div>
+                  {group.epicKeys.map(key => epicsByKey.get(key)).filter(Boolean).map(renderEpicRow)}
+                </div>
+              ))}
+
+              {portfolio.epics.length === 0 && <p className="text-sm text-gray-400 py-4">{t('noEpics')}</p>}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
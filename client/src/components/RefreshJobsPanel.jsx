@@ -0,0 +1,93 @@
+import { useState } from 'react';
+
+// Per-board progress of refresh jobs running on the server (queued, running, retrying) and
+// jobs that failed; fed by the jobs event stream, so it survives page reloads
+export default function RefreshJobsPanel({ jobs, locale = 'en', t }) {
+  const [dismissed, setDismissed] = useState([]);
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatTime = (iso) => new Date(iso).toLocaleTimeString(dateLocale, { hour: '2-digit', minute: '2-digit' });
+
+  const visible = jobs
+    .filter(job => job.status === 'queued' || job.status === 'running' || (job.status === 'failed' && !dismissed.includes(job.id)))
+    .sort((a, b) => a.id - b.id);
+  if (visible.length === 0) return null;
+
+  // Rough completion: sprint downloads are most of the work
+  const percent = (progress) => {
+    if (!progress) return 0;
+    switch (progress.stage) {
+      case 'sprints':
+      case 'issues':
+        return 5;
+      case 'sprint':
+      case 'changelogs':
+        return progress.total ? 10 + Math.round((70 * progress.current) / progress.total) : 10;
+      case 'backlog':
+        return 80;
+      case 'metrics':
+        return 85;
+      case 'saving':
+        return 95;
+      case 'done':
+        return 100;
+      default:
+        return 0;
+    }
+  };
+
+  const describe = (job) => {
+    if (job.status === 'failed') return t('jobFailed', { error: job.error || '' });
+    if (job.status === 'queued') {
+      return job.attempts > 0
+        ? t('jobRetrying', { time: formatTime(job.runAfter), attempt: job.attempts + 1, max: job.maxAttempts })
+        : t('jobQueued');
+    }
+    const p = job.progress;
+    switch (p?.stage) {
+      case 'sprints': return t('jobStageSprints');
+      case 'issues': return t('jobStageIssues');
+      case 'sprint': return t('jobStageSprint', { current: p.current, total: p.total });
+      case 'changelogs': return t('jobStageChangelogs', { issues: p.issues }) + (p.detail ? ` · ${p.detail}` : '');
+      case 'backlog': return t('jobStageBacklog', { issues: p.issues });
+      case 'metrics': return t('jobStageMetrics');
+      case 'saving': return t('jobStageSaving');
+      default: return t('jobStarting');
+    }
+  };
+
+  return (
+    <div className="card mb-6">
+      <h3 className="text-sm font-semibold text-gray-700 mb-3">⚙️ {t('refreshJobs')}</h3>
+      <div className="space-y-3">
+        {visible.map(job => (
+          <div key={job.id}>
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-medium text-gray-900">{job.result?.boardName || job.boardName || `Board ${job.boardId}`}</span>
+              <span className={`flex items-center gap-2 text-xs ${job.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                {describe(job)}
+                {job.status === 'failed' && (
+                  <button
+                    onClick={() => setDismissed(prev => [...prev, job.id])}
+                    className="text-gray-400 hover:text-gray-600"
+                    title={t('dismiss')}
+                  >
+                    ✕
+                  </button>
+                )}
+              </span>
+            </div>
+            {job.status !== 'failed' && (
+              <div className="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full transition-all duration-500 ${job.status === 'running' ? 'bg-primary-600' : 'bg-gray-300'}`}
+                  style={{ width: `${job.status === 'running' ? Math.max(percent(job.progress), 3) : 0}%` }}
+                />
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
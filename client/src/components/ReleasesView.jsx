@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import { Line } from 'react-chartjs-2';
+import api from '../services/api';
+
+// Release readiness for the selected board's project: scope changes, completion,
+// burndown/burnup and projected completion date
+export default function ReleasesView({ session, boardId, locale = 'en', t }) {
+  const [versions, setVersions] = useState([]);
+  const [projectKey, setProjectKey] = useState('');
+  const [selectedVersionId, setSelectedVersionId] = useState('');
+  const [detail, setDetail] = useState(null);
+  const [burndown, setBurndown] = useState(null);
+  const [loadingVersions, setLoadingVersions] = useState(false);
+  const [loadingRelease, setLoadingRelease] = useState(false);
+  const [error, setError] = useState('');
+  const [showIssues, setShowIssues] = useState({});
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatDate = (iso) => iso
+    ? new Date(`${iso.split('T')[0]}T00:00:00`).toLocaleDateString(dateLocale, { month: 'short', day: 'numeric', year: 'numeric' })
+    : '—';
+
+  // Load versions when the board changes
+  useEffect(() => {
+    if (!session || !boardId) return;
+    setLoadingVersions(true);
+    setError('');
+    setVersions([]);
+    setDetail(null);
+    setBurndown(null);
+    api.getReleases(boardId)
+      .then(result => {
+        setVersions(result.versions || []);
+        setProjectKey(result.projectKey || '');
+        // Default: first unreleased version (list is sorted unreleased first)
+        setSelectedVersionId(result.versions?.[0]?.id || '');
+      })
+      .catch(err => setError(err.response?.data?.message || err.message))
+      .finally(() => setLoadingVersions(false));
+  }, [boardId, session?.jiraUrl]);
+
+  // Load release detail + burndown when a version is selected
+  useEffect(() => {
+    if (!session || !selectedVersionId) return;
+    setLoadingRelease(true);
+    setError('');
+    Promise.all([
+      api.getReleaseDetail(boardId, selectedVersionId),
+      api.getReleaseBurndown(boardId, selectedVersionId)
+    ])
+      .then(([detailResult, burndownResult]) => {
+        setDetail(detailResult);
+        setBurndown(burndownResult);
+      })
+      .catch(err => setError(err.response?.data?.message || err.message))
+      .finally(() => setLoadingRelease(false));
+  }, [selectedVersionId]);
+
+  if (!session) {
+    return (
+      <div className="card mb-8 text-center text-gray-500 py-12">{t('releasesNeedConnection')}</div>
+    );
+  }
+
+  const jiraBase = session.jiraUrl?.replace(/\/$/, '');
+  const version = detail?.version;
+  const metrics = detail?.metrics;
+  const projection = burndown?.projection;
+  const series = burndown?.burndown || [];
+
+  const issueList = (key, title, issues, color) => (
+    <div className="rounded-lg border border-gray-200">
+      <button
+        onClick={() => setShowIssues(prev => ({ ...prev, [key]: !prev[key] }))}
+        className="w-full flex items-center justify-between px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+      >
+        <span>{showIssues[key] ? '▼' : '▶'} {title}</span>
+        <span className={`font-semibold ${color}`}>{issues.length}</span>
+      </button>
+      {showIssues[key] && issues.length > 0 && (
+        <div className="px-4 pb-3 space-y-1">
+          {issues.map(issue => (
+            <div key={issue.key} className="flex items-center justify-between text-xs px-3 py-1.5 bg-gray-50 rounded">
+              <div className="flex items-center gap-2 min-w-0">
+                <a href={`${jiraBase}/browse/${issue.key}`} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline font-medium">{issue.key}</a>
+                <span className="text-gray-500 truncate">{issue.summary}</span>
+              </div>
+              <div className="flex items-center gap-2 shrink-0 text-gray-400">
+                <span>{issue.type}</span>
+                <span>|</span>
+                <span>{issue.status}</span>
+                {issue.movedTo && <span className="text-orange-600">→ {issue.movedTo}</span>}
+                {issue.storyPoints > 0 && <span className="text-blue-600 font-medium">{issue.storyPoints} pts</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🚀 {t('releases')}</h2>
+          {projectKey && <p className="text-sm text-gray-500">{t('releasesProject', { project: projectKey })}</p>}
+        </div>
+        {versions.length > 0 && (
+          <select
+            value={selectedVersionId}
+            onChange={(e) => setSelectedVersionId(e.target.value)}
+            className="input-field max-w-sm"
+          >
+            {versions.map(v => (
+              <option key={v.id} value={v.id}>
+                {v.name}{v.released ? ` (${t('released')})` : v.overdue ? ` (${t('overdue')})` : ''}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+
+      {(loadingVersions || loadingRelease) && (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+          <p className="mt-2 text-sm text-gray-500">{loadingVersions ? t('loadingReleases') : t('loadingRelease')}</p>
+        </div>
+      )}
+
+      {!loadingVersions && versions.length === 0 && !error && (
+        <p className="text-sm text-gray-400">{t('noReleases')}</p>
+      )}
+
+      {!loadingRelease && detail && metrics && (
+        <>
+          {/* Summary cards */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div className="p-4 rounded-lg bg-blue-50 border border-blue-100">
+              <div className="text-xs text-gray-600">{t('releaseCompletion')}</div>
+              <div className="text-3xl font-bold text-blue-600">{metrics.completionPercentage}%</div>
+              <div className="text-xs text-gray-500">{metrics.completedIssues}/{metrics.totalIssues} {t('issues')} · {metrics.storyPointsCompletion}% {t('points')}</div>
+            </div>
+            <div className="p-4 rounded-lg bg-orange-50 border border-orange-100">
+              <div className="text-xs text-gray-600">{t('scopeAddedAfterStart')}</div>
+              <div className="text-3xl font-bold text-orange-600">{detail.scopeChange.hasStartDate ? detail.scopeChange.addedAfterStartCount : '—'}</div>
+              <div className="text-xs text-gray-500">
+                {detail.scopeChange.hasStartDate ? `${detail.scopeChange.addedAfterStartPoints} ${t('points')}` : t('releaseNoStartDate')}
+              </div>
+            </div>
+            <div className="p-4 rounded-lg bg-red-50 border border-red-100">
+              <div className="text-xs text-gray-600">{t('scopeRemoved')}</div>
+              <div className="text-3xl font-bold text-red-600">{detail.scopeChange.removedCount}</div>
+              <div className="text-xs text-gray-500">{t('issues')}</div>
+            </div>
+            <div className={`p-4 rounded-lg border ${projection?.onTrack === false ? 'bg-red-50 border-red-100' : 'bg-green-50 border-green-100'}`}>
+              <div className="text-xs text-gray-600">{t('projectedCompletion')}</div>
+              <div className={`text-xl font-bold ${projection?.onTrack === false ? 'text-red-600' : 'text-green-600'}`}>
+                {projection?.projectedDate ? formatDate(projection.projectedDate) : '—'}
+              </div>
+              <div className="text-xs text-gray-500">
+                {t('releaseDate')}: {formatDate(version.releaseDate)}
+                {projection?.onTrack === true && ` · ${t('onTrack')}`}
+                {projection?.onTrack === false && ` · ${t('atRisk')}`}
+              </div>
+            </div>
+          </div>
+
+          {/* Burndown / burnup */}
+          {series.length > 1 ? (
+            <div className="mb-6">
+              <h3 className="font-semibold mb-2">{t('releaseBurnChart')}</h3>
+              <div className="h-72">
+                <Line
+                  data={{
+                    labels: series.map(d => d.date),
+                    datasets: [
+                      {
+                        label: t('scope'),
+                        data: series.map(d => d.scopePoints),
+                        borderColor: 'rgb(107, 114, 128)',
+                        backgroundColor: 'transparent',
+                        borderDash: [4, 4],
+                        pointRadius: 0,
+                        borderWidth: 2,
+                        stepped: true
+                      },
+                      {
+                        label: t('completed'),
+                        data: series.map(d => d.completedPoints),
+                        borderColor: 'rgb(34, 197, 94)',
+                        backgroundColor: 'rgba(34, 197, 94, 0.1)',
+                        fill: true,
+                        pointRadius: 0,
+                        borderWidth: 2
+                      },
+                      {
+                        label: t('remaining'),
+                        data: series.map(d => d.remainingPoints),
+                        borderColor: 'rgb(239, 68, 68)',
+                        backgroundColor: 'transparent',
+                        pointRadius: 0,
+                        borderWidth: 2
+                      }
+                    ]
+                  }}
+                  options={{
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: {
+                      legend: { position: 'bottom', labels: { boxWidth: 10, font: { size: 11 } } },
+                      tooltip: { callbacks: { label: (item) => `${item.dataset.label}: ${item.raw} ${t('points')}` } },
+                      datalabels: { display: false }
+                    },
+                    scales: {
+                      y: { beginAtZero: true, ticks: { font: { size: 10 } }, grid: { color: 'rgba(0,0,0,0.05)' }, title: { display: true, text: t('points'), font: { size: 10 } } },
+                      x: { ticks: { font: { size: 9 }, maxRotation: 45, autoSkip: true, maxTicksLimit: 15 }, grid: { display: false } }
+                    }
+                  }}
+                />
+              </div>
+              {projection && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {projection.dailyRate > 0
+                    ? t('projectionBasis', { rate: projection.dailyRate, days: projection.basisDays, remaining: projection.remainingPoints })
+                    : projection.remainingPoints > 0 ? t('projectionNoProgress', { days: projection.basisDays }) : t('releaseComplete')}
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400 mb-6">{t('noBurndownData')}</p>
+          )}
+
+          {/* Scope change details */}
+          <div className="space-y-2">
+            {issueList('added', t('scopeAddedAfterStart'), detail.addedAfterStart.filter(i => !i._isSubtask), 'text-orange-600')}
+            {issueList('removed', t('scopeRemoved'), detail.removedIssues, 'text-red-600')}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
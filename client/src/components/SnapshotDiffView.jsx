@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import MaturityBadge from './MaturityBadge';
+
+const OPERATOR_SYMBOLS = { '<=': '≤', '>=': '≥', '==': '=', '!=': '≠' };
+
+// What changed between two snapshots of a board (compare mode): level, metric deltas, sprints
+// that entered/left the window, rollover issues new/resolved and backlog items that became ready
+export default function SnapshotDiffView({ fromId, toId, locale = 'en', t }) {
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const dateLocale = locale === 'pt-BR' ? 'pt-BR' : 'en-US';
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString(dateLocale, { month: 'short', day: 'numeric', year: 'numeric' }) : '—');
+
+  useEffect(() => {
+    if (!fromId || !toId) return;
+    setLoading(true);
+    setError('');
+    api.compareSnapshots(fromId, toId, locale)
+      .then(result => setDiff(result.data))
+      .catch(err => setError(err.response?.data?.errors?.join(', ') || err.response?.data?.message || err.message))
+      .finally(() => setLoading(false));
+  }, [fromId, toId, locale]);
+
+  if (fromId === toId) return <div className="card mb-8 text-center text-gray-500 py-8">{t('compareSameSnapshot')}</div>;
+  if (loading) {
+    return (
+      <div className="card mb-8 text-center py-12">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600 mx-auto"></div>
+      </div>
+    );
+  }
+  if (error) return <div className="card mb-8 p-4 bg-red-50 border border-red-200 text-red-700">{error}</div>;
+  if (!diff) return null;
+
+  const metrics = diff.metrics.filter(m => showUnchanged || m.delta !== 0);
+  const deltaClass = (m) => (m.improved === null ? 'text-gray-500' : m.improved ? 'text-green-700' : 'text-red-700');
+  const unitSuffix = (unit) => (unit === '%' ? ' pp' : unit);
+
+  // One column of issues (rollovers, backlog items)
+  const IssueList = ({ title, issues, tone, renderExtra }) => (
+    <div>
+      <h4 className={`text-sm font-semibold mb-2 ${tone}`}>{title} ({issues.length})</h4>
+      {issues.length === 0 ? (
+        <p className="text-xs text-gray-400">—</p>
+      ) : (
+        <ul className="space-y-1 max-h-64 overflow-y-auto">
+          {issues.map(issue => (
+            <li key={issue.key} className="text-xs text-gray-700">
+              <span className="font-mono font-semibold">{issue.key}</span> {issue.summary}
+              {renderExtra && <span className="text-gray-400"> · {renderExtra(issue)}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">🔀 {t('compareSnapshots')}</h2>
+          <p className="text-sm text-gray-500">
+            {diff.boardName}: {formatDate(diff.from.calculatedAt)} → {formatDate(diff.to.calculatedAt)}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {diff.from.maturityLevel !== null && <MaturityBadge level={diff.from.maturityLevel} size="small" locale={locale} />}
+          <span className="text-gray-400">→</span>
+          {diff.to.maturityLevel !== null && <MaturityBadge level={diff.to.maturityLevel} size="small" locale={locale} />}
+          <span className={`text-sm font-medium ${diff.levelChange ? (diff.levelChange.direction === 'up' ? 'text-green-700' : 'text-red-700') : 'text-gray-500'}`}>
+            {diff.levelChange ? t(diff.levelChange.direction === 'up' ? 'compareLevelUp' : 'compareLevelDown') : t('compareLevelSame')}
+          </span>
+        </div>
+      </div>
+
+      {/* Metric deltas */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold">{t('compareMetrics')}</h3>
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+            {t('compareShowUnchanged')}
+          </label>
+        </div>
+        {metrics.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('trendNoMoves')}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4">{t('compareMetric')}</th>
+                <th className="py-2 pr-4 text-right">{formatDate(diff.from.calculatedAt)}</th>
+                <th className="py-2 pr-4 text-right">{formatDate(diff.to.calculatedAt)}</th>
+                <th className="py-2 text-right">{t('compareDelta')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map(m => (
+                <tr key={m.metric} className="border-b border-gray-100">
+                  <td className="py-1.5 pr-4">{m.label}</td>
+                  <td className="py-1.5 pr-4 text-right tabular-nums text-gray-600">{m.from}{m.unit}</td>
+                  <td className="py-1.5 pr-4 text-right tabular-nums">{m.to}{m.unit}</td>
+                  <td className={`py-1.5 text-right tabular-nums font-medium ${deltaClass(m)}`}>
+                    {m.delta > 0 ? '+' : ''}{m.delta}{unitSuffix(m.unit)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {diff.criteria.length > 0 && (
+          <ul className="mt-3 space-y-1">
+            {diff.criteria.map(c => (
+              <li key={`${c.level}.${c.id}`} className="text-xs text-gray-700">
+                {c.passed ? '✅' : '❌'} {t(c.passed ? 'trendCriterionMet' : 'trendCriterionLost', {
+                  label: c.label,
+                  from: `${c.from}${c.unit}`,
+                  to: `${c.to}${c.unit}`,
+                  target: `${OPERATOR_SYMBOLS[c.operator] || c.operator} ${c.value}${c.unit}`,
+                  level: c.level
+                })}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Sprint window */}
+      <div className="mb-6">
+        <h3 className="font-semibold mb-2">{t('compareSprints')}</h3>
+        <div className="flex flex-wrap gap-2 text-xs">
+          {diff.sprints.added.map(s => (
+            <span key={`added-${s.sprintId ?? s.sprintName}`} className="px-2 py-1 rounded-full bg-green-100 text-green-800">+ {s.sprintName}</span>
+          ))}
+          {diff.sprints.dropped.map(s => (
+            <span key={`dropped-${s.sprintId ?? s.sprintName}`} className="px-2 py-1 rounded-full bg-gray-100 text-gray-500 line-through">{s.sprintName}</span>
+          ))}
+          {diff.sprints.added.length === 0 && diff.sprints.dropped.length === 0 && (
+            <span className="text-gray-500">{t('compareSameSprints')}</span>
+          )}
+        </div>
+      </div>
+
+      {/* Rollover issues and backlog readiness */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          <h3 className="font-semibold">{t('compareRollovers')}</h3>
+          <IssueList
+            title={t('compareNewRollovers')}
+            issues={diff.rollovers.new}
+            tone="text-red-700"
+            renderExtra={(issue) => [issue.sprintName, ...issue.reasons].filter(Boolean).join(', ')}
+          />
+          <IssueList title={t('compareResolvedRollovers')} issues={diff.rollovers.resolved} tone="text-green-700" />
+        </div>
+        <div className="space-y-4">
+          <h3 className="font-semibold">
+            {t('compareBacklog')}
+            {diff.backlog.readiness.from !== null && diff.backlog.readiness.to !== null && (
+              <span className="ml-2 text-sm font-normal text-gray-500">{diff.backlog.readiness.from}% → {diff.backlog.readiness.to}%</span>
+            )}
+          </h3>
+          <IssueList title={t('compareBecameReady')} issues={diff.backlog.becameReady} tone="text-green-700" />
+          <IssueList
+            title={t('compareNewGaps')}
+            issues={diff.backlog.newGaps}
+            tone="text-red-700"
+            renderExtra={(issue) => issue.gaps.map(gap => t(gap === 'estimate' ? 'compareGapEstimate' : 'compareGapAC')).join(', ')}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
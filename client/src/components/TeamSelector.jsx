@@ -9,7 +9,7 @@ function getTenantKey(prefix, tenantId) {
   return tenantId ? `${prefix}-${tenantId}` : prefix;
 }
 
-export default function TeamSelector({ credentials, onTeamsSelected, existingBoards = [], onBack, locale = 'en', t }) {
+export default function TeamSelector({ session, onTeamsSelected, existingBoards = [], onBack, locale = 'en', t }) {
   const [boards, setBoards] = useState([]);
   const [selectedBoards, setSelectedBoards] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
@@ -17,8 +17,8 @@ export default function TeamSelector({ credentials, onTeamsSelected, existingBoa
   const [polling, setPolling] = useState(false);
   const [error, setError] = useState('');
 
-  // Derive tenantId from credentials for tenant-scoped storage
-  const tenantId = credentials?.jiraUrl ? (() => { try { return new URL(credentials.jiraUrl).hostname; } catch { return null; } })() : null;
+  // Tenant of the session for tenant-scoped storage
+  const tenantId = session?.tenantId || null;
   const STORAGE_KEY = getTenantKey(STORAGE_KEY_PREFIX, tenantId);
   const BOARDS_CACHE_KEY = getTenantKey(BOARDS_CACHE_PREFIX, tenantId);
 
@@ -96,12 +96,7 @@ export default function TeamSelector({ credentials, onTeamsSelected, existingBoa
 
       if (forceRefresh) {
         try {
-          const result = await api.getBoards(
-            credentials.jiraUrl,
-            credentials.email,
-            credentials.apiToken,
-            true
-          );
+          const result = await api.getBoards(true);
           // Background fetch triggered — poll for results
           if (result.loading) {
             return await pollForBoards();
@@ -135,11 +130,7 @@ export default function TeamSelector({ credentials, onTeamsSelected, existingBoa
 
       // No cache available — trigger background fetch from Jira API
       try {
-        const result = await api.getBoards(
-          credentials.jiraUrl,
-          credentials.email,
-          credentials.apiToken
-        );
+        const result = await api.getBoards();
         // Background fetch triggered — poll for results
         if (result.loading) {
           return await pollForBoards();
@@ -6,60 +6,68 @@ class ApiService {
   constructor() {
     this.client = axios.create({
       baseURL: API_BASE_URL,
+      // The Jira credentials live in a server-side session identified by an HttpOnly cookie
+      withCredentials: true,
+      // X-Requested-With: the server refuses state-changing requests without it (CSRF)
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
       }
     });
-    // Tenant ID set after login (extracted from Jira URL)
-    this.tenantId = null;
-  }
+    // Called when the session expired or was revoked (401 outside /auth)
+    this.onUnauthorized = null;
 
-  // Set tenant for all subsequent requests
-  setTenant(tenantId) {
-    this.tenantId = tenantId;
+    this.client.interceptors.response.use(null, (error) => {
+      if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/') && this.onUnauthorized) {
+        this.onUnauthorized();
+      }
+      return Promise.reject(error);
+    });
   }
 
-  // Helper: append tenant query param to GET URLs
-  _withTenant(url) {
-    if (!this.tenantId) return url;
-    const separator = url.includes('?') ? '&' : '?';
-    return `${url}${separator}tenant=${encodeURIComponent(this.tenantId)}`;
+  setUnauthorizedHandler(handler) {
+    this.onUnauthorized = handler;
   }
 
-  async testConnection(jiraUrl, email, apiToken) {
-    const response = await this.client.post('/jira/test-connection', {
+  // Session: login validates the credentials against Jira and sets the session cookie
+  async login(jiraUrl, email, apiToken, deploymentType = 'auto') {
+    const response = await this.client.post('/auth/login', {
       jiraUrl,
       email,
-      apiToken
+      apiToken,
+      deploymentType
     });
     return response.data;
   }
 
-  async getBoards(jiraUrl, email, apiToken, forceRefresh = false) {
-    const response = await this.client.post('/jira/boards', {
-      jiraUrl,
-      email,
-      apiToken,
-      forceRefresh
-    });
+  // Login with the Jira credentials configured on the server (JIRA_URL / JIRA_API_TOKEN)
+  async loginWithServerCredentials() {
+    const response = await this.client.post('/auth/login', { useServerCredentials: true });
     return response.data;
   }
 
-  async getSprints(jiraUrl, email, apiToken, boardId) {
-    const response = await this.client.post('/jira/sprints', {
-      jiraUrl,
-      email,
-      apiToken,
-      boardId
-    });
+  async getSession() {
+    const response = await this.client.get('/auth/session');
+    return response.data;
+  }
+
+  async logout() {
+    const response = await this.client.post('/auth/logout');
+    return response.data;
+  }
+
+  async getBoards(forceRefresh = false) {
+    const response = await this.client.post('/jira/boards', { forceRefresh });
     return response.data;
   }
 
-  async getTeamMetrics(jiraUrl, email, apiToken, boardId, sprintCount = 6, forceRefresh = false, sprintIds = null) {
+  async getSprints(boardId) {
+    const response = await this.client.post('/jira/sprints', { boardId });
+    return response.data;
+  }
+
+  async getTeamMetrics(boardId, sprintCount = 6, forceRefresh = false, sprintIds = null) {
     const body = {
-      jiraUrl,
-      email,
-      apiToken,
       boardId,
       sprintCount,
       forceRefresh
@@ -69,38 +77,180 @@ class ApiService {
     return response.data;
   }
 
-  // Cached boards (tenant-scoped)
+  // Releases (versions of the board's project)
+  async getReleases(boardId) {
+    const response = await this.client.post('/jira/releases', { boardId });
+    return response.data;
+  }
+
+  async getReleaseDetail(boardId, versionId) {
+    const response = await this.client.post(`/jira/releases/${versionId}`, { boardId });
+    return response.data;
+  }
+
+  async getReleaseBurndown(boardId, versionId) {
+    const response = await this.client.post(`/jira/releases/${versionId}/burndown`, { boardId });
+    return response.data;
+  }
+
+  // Epic portfolio across boards (tenant-scoped cache on the server)
+  async getPortfolio(boardIds, forceRefresh = false) {
+    const response = await this.client.post('/portfolio', { boardIds, forceRefresh });
+    return response.data;
+  }
+
+  async getDependencyGraph(boardIds, forceRefresh = false) {
+    const response = await this.client.post('/portfolio/dependency-graph', { boardIds, forceRefresh });
+    return response.data;
+  }
+
+  // Refresh jobs: the server's worker refreshes the boards (with retries) instead of this
+  // request; progress arrives through subscribeToJobs
+  async submitRefreshJobs(boards, { sprintCount = 6, sprintIds = null, fullResync = false } = {}) {
+    const response = await this.client.post('/jobs', {
+      boards: boards.map(b => (typeof b === 'object' ? { id: Number(b.id), name: b.name } : { id: Number(b) })),
+      sprintCount,
+      sprintIds,
+      fullResync
+    });
+    return response.data;
+  }
+
+  // Live job updates (Server-Sent Events): onSnapshot(jobs) on every (re)connect, onJob(job) on
+  // each change. Returns a function that closes the stream.
+  subscribeToJobs({ onSnapshot, onJob }) {
+    const source = new EventSource(`${API_BASE_URL}/jobs/events`, { withCredentials: true });
+    source.addEventListener('snapshot', (e) => onSnapshot(JSON.parse(e.data).jobs));
+    source.addEventListener('job', (e) => onJob(JSON.parse(e.data)));
+    return () => source.close();
+  }
+
+  // Cached boards (tenant of the session)
   async getCachedBoards() {
-    const response = await this.client.get(this._withTenant('/jira/boards/cached'));
+    const response = await this.client.get('/jira/boards/cached');
     return response.data;
   }
 
-  // History endpoints (all tenant-scoped)
+  // History endpoints (all scoped to the session's tenant)
   async getBoardsWithHistory() {
-    const response = await this.client.get(this._withTenant('/history/boards'));
+    const response = await this.client.get('/history/boards');
     return response.data;
   }
 
   async getAllLatestMetrics() {
-    const response = await this.client.get(this._withTenant('/history/all-latest'));
+    const response = await this.client.get('/history/all-latest');
     return response.data;
   }
 
+  // Maturity level and headline metrics across the board's stored snapshots, with what moved
+  // between consecutive ones
+  async getMaturityTrend(boardId, locale) {
+    const response = await this.client.get(`/history/board/${boardId}/trend`, { params: { locale } });
+    return response.data;
+  }
+
+  // Structured diff of two snapshots of the same board (from = baseline)
+  async compareSnapshots(fromId, toId, locale) {
+    const response = await this.client.get('/history/compare', { params: { from: fromId, to: toId, locale } });
+    return response.data;
+  }
+
+  // Org overview: latest level and headline metrics of every board, team groups, distribution
+  async getOrgOverview(locale) {
+    const response = await this.client.get('/history/overview', { params: { locale } });
+    return response.data;
+  }
+
+  // Fetch a generated file (report) and hand it to the browser as a download, named by the
+  // server's Content-Disposition
+  async _download(url, params, fallbackName) {
+    let response;
+    try {
+      response = await this.client.get(url, { params, responseType: 'blob' });
+    } catch (error) {
+      // Error bodies arrive as blobs too: surface the JSON message like other calls
+      if (error.response?.data instanceof Blob) {
+        try {
+          error.response.data = JSON.parse(await error.response.data.text());
+        } catch {
+          // not JSON, keep the blob
+        }
+      }
+      throw error;
+    }
+    const match = /filename="?([^"]+)"?/.exec(response.headers['content-disposition'] || '');
+    const href = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(href);
+  }
+
+  // PDF report of a board's latest (or a given) snapshot
+  async downloadBoardReport(boardId, historyId, locale) {
+    await this._download(`/reports/board/${boardId}.pdf`, { historyId: historyId || undefined, locale }, `maturity-report-${boardId}.pdf`);
+  }
+
+  // Spreadsheet export of a board's latest (or a given) snapshot: csv (one dataset) or xlsx
+  async downloadBoardExport(boardId, historyId, format, dataset) {
+    await this._download(`/reports/board/${boardId}.${format}`, { historyId: historyId || undefined, dataset }, `metrics-${boardId}.${format}`);
+  }
+
+  // Spreadsheet export of every board's latest snapshot
+  async downloadOrgExport(format, dataset) {
+    await this._download(`/reports/org.${format}`, { dataset }, `metrics-org.${format}`);
+  }
+
+  // Org-wide PDF pack; groups ({ category: groupName }) keeps only the boards of those team groups
+  async downloadOrgReport(locale, groups = {}) {
+    await this._download('/reports/org.pdf', { locale, groups }, 'maturity-report-org.pdf');
+  }
+
   async getBoardHistory(boardId) {
-    const response = await this.client.get(this._withTenant(`/history/board/${boardId}`));
+    const response = await this.client.get(`/history/board/${boardId}`);
     return response.data;
   }
 
   async getHistoricalMetrics(id) {
-    const response = await this.client.get(this._withTenant(`/history/metrics/${id}`));
+    const response = await this.client.get(`/history/metrics/${id}`);
     return response.data;
   }
 
   async deleteBoard(boardId) {
-    const response = await this.client.delete(this._withTenant(`/history/board/${boardId}`));
+    const response = await this.client.delete(`/history/board/${boardId}`);
     return response.data;
   }
 
+  // Monte Carlo forecast from the board's latest (or a historical) snapshot
+  async getForecast(boardId, { items, sprints, historyId } = {}) {
+    const params = new URLSearchParams();
+    if (items) params.set('items', items);
+    if (sprints) params.set('sprints', sprints);
+    if (historyId) params.set('historyId', historyId);
+    const query = params.toString();
+    const response = await this.client.get(`/forecast/board/${boardId}${query ? `?${query}` : ''}`);
+    return response.data;
+  }
+
+  // Maturity model of the session's tenant
+  async getMaturityModel(mode = 'scrum') {
+    const response = await this.client.get(mode === 'kanban' ? '/maturity-model?mode=kanban' : '/maturity-model');
+    return response.data;
+  }
+
+  // Audit log of the session's tenant (admin only), newest first; `before` pages to older entries
+  async getAuditLog({ action, boardId, actor, from, to, before, limit } = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ action, boardId, actor, from, to, before, limit })) {
+      if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    }
+    const query = params.toString();
+    const response = await this.client.get(`/audit${query ? `?${query}` : ''}`);
+    return response.data;
+  }
 }
 
 export default new ApiService();
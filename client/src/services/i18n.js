@@ -18,20 +18,31 @@ const translations = {
     connecting: 'Connecting...',
     connectButton: 'Connect to Jira',
     securityNotice: 'Security Notice',
-    securityText: 'Your credentials (including API token) will be saved in your browser\'s local storage for automatic login. This data stays only on your device and is never sent to any server except Jira. Use the "Logout" button to clear all saved data.',
+    securityText: 'Your API token is sent once to the dashboard server, checked against Jira and kept encrypted in a server-side session. Your browser only holds a session cookie, never the token. Use the "Logout" button to end the session.',
     howToGetToken: 'How to get your API token:',
     tokenStep1: 'Go to Atlassian account settings',
     tokenStep2: 'Click "Security" → "Create and manage API tokens"',
     tokenStep3: 'Click "Create API token"',
     tokenStep4: 'Copy the token and paste it above',
     createTokenHere: 'Create an API token here',
-    savedForAutoLogin: 'Saved locally for auto-login',
+    deploymentType: 'Jira Deployment',
+    deploymentAuto: 'Detect automatically',
+    deploymentCloud: 'Jira Cloud (atlassian.net)',
+    deploymentDataCenter: 'Jira Server / Data Center',
+    deploymentTypeHint: 'Cloud uses email + API token; Server / Data Center uses a Personal Access Token',
+    usernameOptional: 'Username (optional)',
+    personalAccessToken: 'Personal Access Token',
+    patHint: 'Create it in Jira under Profile > Personal Access Tokens',
+    savedForAutoLogin: 'Kept encrypted on the server for this session',
+    useServerConnection: 'Use the organization\'s Jira connection',
+    orConnectManually: 'or connect with your own credentials',
     preConfigured: 'Pre-configured for your organization (saved automatically)',
     savedAutomatically: 'Saved automatically for convenience',
 
     // Team Selector
     selectBoards: 'Select Boards to Analyze',
     refreshFromJira: 'Refresh from Jira',
+    truncatedDataWarning: 'Some Jira listings were too large and were cut off — metrics below are based on partial data',
     searchPlaceholder: 'Search by board name, project key, or ID...',
     clearSelection: 'Clear Selection',
     showing: 'Showing',
@@ -75,14 +86,6 @@ const translations = {
     history: 'History',
     current: 'Current',
 
-    // Maturity Levels
-    level1Name: 'Assisted Scrum',
-    level1Desc: 'Scrum Manager Required',
-    level2Name: 'Supported Scrum',
-    level2Desc: 'Conditional Support',
-    level3Name: 'Self-Managed Scrum',
-    level3Desc: 'Scrum Manager Optional',
-
     // Flow & Quality
     leadTime: 'Lead Time',
     wipAging: 'WIP Aging',
@@ -134,7 +137,7 @@ const translations = {
     avgSprintHitRate: 'Avg Sprint Hit Rate',
     sprintHitRateDesc: '% of committed items completed per sprint',
     backlogReadiness: 'Backlog Readiness',
-    targetLevel3: 'Target Level 3',
+    targetLevel: 'Target Level {level}',
     sprintHitRateChartDesc: '% of committed vs completed items (if hit rate is 80%, rollover is 20%)',
     plannedVsCompleted: 'Committed vs Completed Story Points',
     plannedVsCompletedDesc: 'Committed points at sprint start vs completed points at sprint end',
@@ -184,6 +187,134 @@ const translations = {
     passing: 'Passing (target: {target})',
     metricsBlocking: '{count} metric(s) blocking Level {level}',
     allMetricsHighest: 'All metrics at highest level',
+    levelStability: 'Level Stability',
+    promotionPending: '{count} of {required} qualifying sprints for Level {level} — promotion pending',
+    demotionPending: '{count} of {required} sprints below criteria — Level {level} held',
+    levelPromoted: 'Promoted from Level {from} to Level {to}',
+    levelDemoted: 'Moved from Level {from} to Level {to}',
+    levelConfirmed: 'Level {level} confirmed by recent sprints',
+    deliveryForecast: 'Delivery Forecast',
+    deliveryForecastDesc: 'Monte Carlo simulation over historical sprint throughput',
+    forecastNextItems: 'Next items',
+    forecastRun: 'Forecast',
+    forecastTarget: 'Scope',
+    forecastConfidence: '{percent}% confidence',
+    forecastNextItemsRow: 'Next backlog items',
+    forecastFutureSprintsItems: 'Planned sprints ({count}) — items',
+    forecastFutureSprintsPoints: 'Planned sprints ({count}) — points',
+    forecastNoThroughput: 'Not enough completed work to forecast',
+    forecastCapacity: 'Capacity in the next {count} sprints',
+    forecastBasis: 'Based on {sprints} sprints (items: {items}; points: {points}), {trials} simulations, {days}-day sprints',
+
+    // Releases
+    maturityTab: 'Scrum Maturity',
+    releases: 'Releases',
+    releasesProject: 'Versions of project {project}',
+    releasesNeedConnection: 'Connect to Jira to see releases',
+    released: 'released',
+    overdue: 'overdue',
+    loadingReleases: 'Loading releases...',
+    loadingRelease: 'Loading release data...',
+    noReleases: 'No versions found for this board\'s project',
+    releaseCompletion: 'Completion',
+    scopeAddedAfterStart: 'Added After Start',
+    releaseNoStartDate: 'Release has no start date',
+    scopeRemoved: 'Removed From Release',
+    projectedCompletion: 'Projected Completion',
+    releaseDate: 'Release date',
+    onTrack: 'on track',
+    atRisk: 'at risk',
+    releaseBurnChart: 'Burndown / Burnup (story points)',
+    scope: 'Scope',
+    completed: 'Completed',
+    remaining: 'Remaining',
+    projectionBasis: 'Projection: {rate} pts/day over the last {days} days, {remaining} pts remaining',
+    projectionNoProgress: 'No points completed in the last {days} days — completion cannot be projected',
+    releaseComplete: 'All scope completed',
+    noBurndownData: 'No burndown data for this release',
+
+    // Portfolio
+    portfolio: 'Epic Portfolio',
+    portfolioDesc: 'Epic timeline across boards, grouped by initiative',
+    loadingPortfolio: 'Loading epics, children and dependencies...',
+    portfolioCached: 'Cached {age} min ago — refresh to fetch from Jira',
+    epic: 'Epic',
+    epics: 'Epics',
+    lateEpics: 'Late',
+    blocked: 'Blocked',
+    unscheduled: 'No target dates',
+    noInitiative: 'No initiative',
+    noEpics: 'No epics found for the selected boards',
+    progress: 'Progress',
+    epicDates: 'Dates',
+    targetStart: 'Target start',
+    targetEnd: 'Target end',
+    resolved: 'Resolved',
+    status: 'Status',
+    epicProgress: 'Progress',
+    inProgress: 'In progress',
+    toDo: 'To do',
+    dependencies: 'Dependencies',
+    blockedByLabel: 'blocked by',
+    blocksLabel: 'blocks',
+    blockedBy: 'Blocked by {keys}',
+    'slippage_late': '{days}d late',
+    'slippage_at-risk': 'At risk',
+    'slippage_on-track': 'On track',
+    'slippage_done-on-time': 'Done on time',
+    'slippage_done-late': 'Done {days}d late',
+    'slippage_no-target': 'No target',
+
+    // Kanban
+    flowMaturityLevel: 'Flow Maturity Level',
+    lastNWeeks: 'last {n} weeks',
+    throughputPerWeek: 'Throughput / week',
+    throughputVariationDesc: 'Week-to-week variation: {value}%',
+    cycleTimeP85: 'Cycle Time (85%)',
+    cycleTimeP50Desc: 'Half of the items finish within {value}d',
+    currentWip: 'Work in Progress',
+    agingWipRateDesc: '{value}% older than the 85th percentile',
+    flowBalance: 'Departures vs Arrivals',
+    arrivalsDepartures: '{arrivals} arrived · {departures} finished',
+    weeklyThroughput: 'Weekly Throughput',
+    weeklyThroughputDesc: 'Items finished (departures) vs items created (arrivals) per week',
+    departures: 'Departures',
+    arrivals: 'Arrivals',
+    wipOverTime: 'WIP Over Time',
+    wipOverTimeDesc: 'Items started and not finished at the end of each week',
+    wip: 'WIP',
+    cycleTimePercentiles: 'Cycle Time Percentiles',
+    cycleTimePercentilesDesc: 'Days from start to done for {count} finished items',
+    cycleTimeDays: 'Cycle time (days)',
+    agingWip: 'Aging Work in Progress',
+    agingWipDesc: 'Age of every in-progress item compared with the cycle time percentiles (green < p50, yellow < p85, orange < p95, red beyond)',
+    noWip: 'No items in progress',
+    showAll: 'Show all ({count})',
+    showLess: 'Show less',
+
+    // Dependency graph
+    dependencyGraph: 'Dependencies',
+    dependencyGraphDesc: 'Blocking links between epics across boards — critical path, cycles and cross-team blockers',
+    linkedEpics: 'Linked epics',
+    crossTeamDependencies: 'Cross-team links',
+    blockedByOtherTeams: 'Blocked by other teams',
+    dependencyCycles: 'Cycles',
+    cyclesDetected: 'Circular dependencies detected — these epics block each other:',
+    showDoneEpics: 'Show done epics',
+    criticalPath: 'Critical path',
+    crossTeam: 'Cross-team',
+    bottleneck: 'Bottleneck',
+    bottlenecks: 'Bottlenecks',
+    noDependencies: 'No blocking links between the epics of the selected boards',
+    externalEpic: 'Outside portfolio ({project})',
+    projectedEnd: 'Projected end',
+    pushedByDependencies: 'Pushed {days}d past target by its blockers',
+    downstreamEpics: 'Epics waiting downstream',
+    waitingOnOtherTeams: 'Waiting on other teams:',
+    criticalPathSummary: '{points} points remaining · projected end {date}',
+    noCriticalPath: 'No chain of unfinished dependent epics',
+    holdsUpEpics: 'holds up {count} epic(s)',
+    unlinkedEpics: '{count} epic(s) without blocking links not shown',
 
     // General
     noData: 'No data available',
@@ -198,6 +329,137 @@ const translations = {
     days: 'days',
     remove: 'Remove',
     confirmDelete: 'Remove "{name}" and all its saved metrics?',
+    roleViewer: 'Viewer',
+    roleTeamLead: 'Team lead',
+    roleAdmin: 'Admin',
+    noDataAskTeamLead: 'No metrics stored for this board yet. A team lead or admin needs to refresh it from Jira.',
+
+    // Audit log
+    auditLog: 'Audit log',
+    auditLogDesc: 'Who refreshed, deleted or reconfigured what, and when. Entries cannot be edited or removed.',
+    auditTime: 'When',
+    auditActor: 'Actor',
+    auditAction: 'Action',
+    auditBoard: 'Board',
+    auditParams: 'Parameters',
+    auditFrom: 'From',
+    auditTo: 'To',
+    auditAll: 'All',
+    auditActorPlaceholder: 'Name or account id',
+    auditApplyFilters: 'Apply',
+    auditClearFilters: 'Clear',
+    noAuditEntries: 'No audit entries match these filters',
+    loadMore: 'Load more',
+    audit_metrics_refresh: 'Load from Jira',
+    audit_metrics_force_refresh: 'Force refresh from Jira',
+    audit_history_delete_board: 'Delete board history',
+    audit_history_prune_all: 'Prune all history',
+    audit_maturity_model_save: 'Save maturity model',
+    audit_maturity_model_reset: 'Reset maturity model',
+    audit_tenant_save_settings: 'Save tenant settings',
+    audit_tenant_delete: 'Delete tenant',
+    audit_member_set_role: 'Set member role',
+    audit_member_remove: 'Remove member role',
+    audit_scheduler_run: 'Run scheduled refresh now',
+    audit_service_credentials_save: 'Save service account',
+    audit_service_credentials_delete: 'Remove service account',
+
+    // Refresh jobs
+    refreshJobs: 'Refresh jobs',
+    dismiss: 'Dismiss',
+    jobsInProgress: 'Refreshing ({count} jobs)...',
+    jobQueued: 'Queued',
+    jobRetrying: 'Retrying at {time} (attempt {attempt}/{max})',
+    jobFailed: 'Failed: {error}',
+    jobStarting: 'Starting...',
+    jobStageSprints: 'Loading sprints...',
+    jobStageIssues: 'Loading board issues...',
+    jobStageSprint: 'Sprint {current}/{total}',
+    jobStageChangelogs: 'Loading history of {issues} issues',
+    jobStageBacklog: 'Checking backlog ({issues} issues)',
+    jobStageMetrics: 'Calculating metrics...',
+    jobStageSaving: 'Saving...',
+
+    // Org overview
+    orgOverview: 'Org Overview',
+    orgOverviewDesc: 'Latest maturity of {count} teams. Click a team to open its dashboard.',
+    overviewNoBoards: 'No team has stored metrics yet.',
+    overviewAllGroups: 'All',
+    overviewTeam: 'Team',
+    overviewLevel: 'Level',
+    overviewBacklogReady: 'Backlog Ready',
+    overviewRework: 'Rework',
+    overviewCycleTime: 'Cycle Time',
+    overviewUpdated: 'Updated',
+    overviewOpenDashboard: 'Open dashboard',
+    overviewHeatmapHint: 'Colors compare each team with the teams shown: green = best fifth, red = worst fifth. Kanban teams show the median cycle time.',
+    overviewLevelDistribution: 'Maturity Level Distribution',
+    overviewTeams: 'Teams',
+    overviewLevelsByGroup: 'Levels by Group',
+    overviewNoGroups: 'No team groups configured. An admin can define them in the tenant settings (teamGroups).',
+
+    // Maturity trend
+    maturityTrend: 'Maturity Trend',
+    maturityTrendDesc: '{name}: maturity level and key metrics across {count} stored snapshots.',
+    trendNoHistory: 'No stored snapshots for this board yet.',
+    trendNeedsTwoSnapshots: 'The trend needs at least two snapshots. Refresh the board again after the next sprint.',
+    whatMoved: 'What moved',
+    trendShowUnchanged: 'Show snapshots without changes',
+    trendNoMoves: 'No significant change.',
+    trendViewSnapshot: 'View snapshot',
+    trendCriterionMet: '{label}: {from} → {to}, now meets {target} (Level {level})',
+    trendCriterionLost: '{label}: {from} → {to}, no longer meets {target} (Level {level})',
+
+    // Snapshot comparison
+    compare: 'Compare',
+    compareWith: 'Compare with',
+    compareExit: 'Exit compare',
+    compareSnapshotsHint: 'Compare the selected snapshot with an earlier one',
+    compareSnapshots: 'Snapshot Comparison',
+    compareSameSnapshot: 'Pick two different snapshots to compare.',
+    compareLevelUp: 'Level up',
+    compareLevelDown: 'Level down',
+    compareLevelSame: 'Same level',
+    compareMetrics: 'Metrics',
+    compareShowUnchanged: 'Show unchanged',
+    compareMetric: 'Metric',
+    compareDelta: 'Change',
+    compareSprints: 'Sprints analyzed',
+    compareSameSprints: 'Same sprints in both snapshots.',
+    compareRollovers: 'Rollover issues',
+    compareNewRollovers: 'Newly rolled over',
+    compareResolvedRollovers: 'No longer rolling over',
+    compareBacklog: 'Backlog readiness',
+    compareBecameReady: 'Became ready (or left the backlog)',
+    compareNewGaps: 'New items missing AC or estimates',
+    compareGapAC: 'no AC',
+    compareGapEstimate: 'no estimate',
+
+    // PDF reports
+    downloadReport: 'PDF report',
+    downloadReportHint: 'Download this snapshot as a PDF report (maturity level, pillars, rollovers, backlog gaps)',
+    downloadOrgReport: 'PDF pack',
+    downloadOrgReportHint: 'Download a PDF with the overview and every team\'s report (only the filtered group, if any)',
+    reportGenerating: 'Generating...',
+    reportFailed: 'Failed to generate the report',
+
+    // Spreadsheet exports
+    export: 'Export',
+    hideExport: 'Hide Export',
+    exportData: 'Export data',
+    exportThisSnapshot: 'This team',
+    exportLatestSnapshot: 'Latest snapshot',
+    exportAllTeams: 'All teams',
+    exportAllTeamsDesc: 'Latest snapshot of every team, each row tagged with its team',
+    exportCsvDataset: 'CSV dataset',
+    exportXlsxHint: 'Workbook with every dataset as a sheet',
+    exportDatasetSprints: 'Sprint metrics',
+    exportDatasetRollovers: 'Rollover issues',
+    exportDatasetBacklogGaps: 'Backlog gaps (missing AC / estimates)',
+    exportDatasetRework: 'Rework by sprint',
+    exportDatasetLeadTime: 'Lead time by type and sprint',
+    exportFailed: 'Export failed',
+
     sprintsAnalyzed: 'sprints analyzed',
     failedToRefresh: 'Failed to refresh from Jira',
     showingCachedBoards: 'Showing cached boards.',
@@ -220,20 +482,31 @@ const translations = {
     connecting: 'Conectando...',
     connectButton: 'Conectar ao Jira',
     securityNotice: 'Aviso de Seguranca',
-    securityText: 'Suas credenciais (incluindo o token de API) serao salvas no armazenamento local do seu navegador para login automatico. Esses dados ficam apenas no seu dispositivo e nunca sao enviados a nenhum servidor exceto o Jira. Use o botao "Sair" para limpar todos os dados salvos.',
+    securityText: 'Seu token de API e enviado uma unica vez ao servidor do dashboard, validado no Jira e mantido criptografado em uma sessao no servidor. Seu navegador guarda apenas um cookie de sessao, nunca o token. Use o botao "Sair" para encerrar a sessao.',
     howToGetToken: 'Como obter seu token de API:',
     tokenStep1: 'Acesse as configuracoes da conta Atlassian',
     tokenStep2: 'Clique em "Seguranca" → "Criar e gerenciar tokens de API"',
     tokenStep3: 'Clique em "Criar token de API"',
     tokenStep4: 'Copie o token e cole acima',
     createTokenHere: 'Crie um token de API aqui',
-    savedForAutoLogin: 'Salvo localmente para login automatico',
+    deploymentType: 'Implantacao do Jira',
+    deploymentAuto: 'Detectar automaticamente',
+    deploymentCloud: 'Jira Cloud (atlassian.net)',
+    deploymentDataCenter: 'Jira Server / Data Center',
+    deploymentTypeHint: 'Cloud usa email + token de API; Server / Data Center usa um Personal Access Token',
+    usernameOptional: 'Usuario (opcional)',
+    personalAccessToken: 'Personal Access Token',
+    patHint: 'Crie no Jira em Perfil > Personal Access Tokens',
+    savedForAutoLogin: 'Mantido criptografado no servidor durante a sessao',
+    useServerConnection: 'Usar a conexao Jira da organizacao',
+    orConnectManually: 'ou conecte com suas proprias credenciais',
     preConfigured: 'Pre-configurado para sua organizacao (salvo automaticamente)',
     savedAutomatically: 'Salvo automaticamente por conveniencia',
 
     // Team Selector
     selectBoards: 'Selecione Boards para Analisar',
     refreshFromJira: 'Atualizar do Jira',
+    truncatedDataWarning: 'Algumas listas do Jira eram grandes demais e foram cortadas — as metricas abaixo usam dados parciais',
     searchPlaceholder: 'Buscar por nome do board, chave do projeto ou ID...',
     clearSelection: 'Limpar Selecao',
     showing: 'Mostrando',
@@ -277,14 +550,6 @@ const translations = {
     history: 'Historico',
     current: 'Atual',
 
-    // Maturity Levels
-    level1Name: 'Scrum Assistido',
-    level1Desc: 'Scrum Manager Necessario',
-    level2Name: 'Scrum Suportado',
-    level2Desc: 'Suporte Condicional',
-    level3Name: 'Scrum Autogerido',
-    level3Desc: 'Scrum Manager Opcional',
-
     // Flow & Quality
     leadTime: 'Lead Time',
     wipAging: 'Envelhecimento WIP',
@@ -336,7 +601,7 @@ const translations = {
     avgSprintHitRate: 'Taxa de Conclusao Media',
     sprintHitRateDesc: '% de itens comprometidos concluidos por sprint',
     backlogReadiness: 'Prontidao do Backlog',
-    targetLevel3: 'Meta Nivel 3',
+    targetLevel: 'Meta Nivel {level}',
     sprintHitRateChartDesc: '% de itens comprometidos vs concluidos (se taxa e 80%, rollover e 20%)',
     plannedVsCompleted: 'Story Points: Committed vs Concluido',
     plannedVsCompletedDesc: 'Pontos comprometidos no inicio da sprint vs pontos concluidos no final',
@@ -386,6 +651,134 @@ const translations = {
     passing: 'Aprovado (meta: {target})',
     metricsBlocking: '{count} metrica(s) bloqueando Nivel {level}',
     allMetricsHighest: 'Todas as metricas no nivel mais alto',
+    levelStability: 'Estabilidade do Nivel',
+    promotionPending: '{count} de {required} sprints qualificadas para o Nivel {level} — promocao pendente',
+    demotionPending: '{count} de {required} sprints abaixo dos criterios — Nivel {level} mantido',
+    levelPromoted: 'Promovido do Nivel {from} para o Nivel {to}',
+    levelDemoted: 'Passou do Nivel {from} para o Nivel {to}',
+    levelConfirmed: 'Nivel {level} confirmado pelas sprints recentes',
+    deliveryForecast: 'Previsao de Entrega',
+    deliveryForecastDesc: 'Simulacao de Monte Carlo sobre o throughput historico das sprints',
+    forecastNextItems: 'Proximos itens',
+    forecastRun: 'Prever',
+    forecastTarget: 'Escopo',
+    forecastConfidence: '{percent}% de confianca',
+    forecastNextItemsRow: 'Proximos itens do backlog',
+    forecastFutureSprintsItems: 'Sprints planejadas ({count}) — itens',
+    forecastFutureSprintsPoints: 'Sprints planejadas ({count}) — pontos',
+    forecastNoThroughput: 'Trabalho concluido insuficiente para prever',
+    forecastCapacity: 'Capacidade nas proximas {count} sprints',
+    forecastBasis: 'Baseado em {sprints} sprints (itens: {items}; pontos: {points}), {trials} simulacoes, sprints de {days} dias',
+
+    // Releases
+    maturityTab: 'Maturidade Scrum',
+    releases: 'Releases',
+    releasesProject: 'Versoes do projeto {project}',
+    releasesNeedConnection: 'Conecte ao Jira para ver as releases',
+    released: 'lancada',
+    overdue: 'atrasada',
+    loadingReleases: 'Carregando releases...',
+    loadingRelease: 'Carregando dados da release...',
+    noReleases: 'Nenhuma versao encontrada para o projeto deste board',
+    releaseCompletion: 'Conclusao',
+    scopeAddedAfterStart: 'Adicionados Apos o Inicio',
+    releaseNoStartDate: 'Release sem data de inicio',
+    scopeRemoved: 'Removidos da Release',
+    projectedCompletion: 'Conclusao Projetada',
+    releaseDate: 'Data da release',
+    onTrack: 'no prazo',
+    atRisk: 'em risco',
+    releaseBurnChart: 'Burndown / Burnup (story points)',
+    scope: 'Escopo',
+    completed: 'Concluido',
+    remaining: 'Restante',
+    projectionBasis: 'Projecao: {rate} pts/dia nos ultimos {days} dias, {remaining} pts restantes',
+    projectionNoProgress: 'Nenhum ponto concluido nos ultimos {days} dias — nao e possivel projetar a conclusao',
+    releaseComplete: 'Todo o escopo concluido',
+    noBurndownData: 'Sem dados de burndown para esta release',
+
+    // Portfolio
+    portfolio: 'Portfolio de Epicos',
+    portfolioDesc: 'Linha do tempo de epicos entre boards, agrupados por iniciativa',
+    loadingPortfolio: 'Carregando epicos, filhos e dependencias...',
+    portfolioCached: 'Cache de {age} min atras — atualize para buscar do Jira',
+    epic: 'Epico',
+    epics: 'Epicos',
+    lateEpics: 'Atrasados',
+    blocked: 'Bloqueados',
+    unscheduled: 'Sem datas alvo',
+    noInitiative: 'Sem iniciativa',
+    noEpics: 'Nenhum epico encontrado para os boards selecionados',
+    progress: 'Progresso',
+    epicDates: 'Datas',
+    targetStart: 'Inicio alvo',
+    targetEnd: 'Fim alvo',
+    resolved: 'Resolvido',
+    status: 'Status',
+    epicProgress: 'Progresso',
+    inProgress: 'Em andamento',
+    toDo: 'A fazer',
+    dependencies: 'Dependencias',
+    blockedByLabel: 'bloqueado por',
+    blocksLabel: 'bloqueia',
+    blockedBy: 'Bloqueado por {keys}',
+    'slippage_late': '{days}d de atraso',
+    'slippage_at-risk': 'Em risco',
+    'slippage_on-track': 'No prazo',
+    'slippage_done-on-time': 'Concluido no prazo',
+    'slippage_done-late': 'Concluido com {days}d de atraso',
+    'slippage_no-target': 'Sem meta',
+
+    // Kanban
+    flowMaturityLevel: 'Nivel de Maturidade do Fluxo',
+    lastNWeeks: 'ultimas {n} semanas',
+    throughputPerWeek: 'Throughput / semana',
+    throughputVariationDesc: 'Variacao semanal: {value}%',
+    cycleTimeP85: 'Cycle Time (85%)',
+    cycleTimeP50Desc: 'Metade dos itens termina em ate {value}d',
+    currentWip: 'Trabalho em Andamento',
+    agingWipRateDesc: '{value}% acima do percentil 85',
+    flowBalance: 'Saidas vs Chegadas',
+    arrivalsDepartures: '{arrivals} chegaram · {departures} concluidos',
+    weeklyThroughput: 'Throughput Semanal',
+    weeklyThroughputDesc: 'Itens concluidos (saidas) vs itens criados (chegadas) por semana',
+    departures: 'Saidas',
+    arrivals: 'Chegadas',
+    wipOverTime: 'WIP ao Longo do Tempo',
+    wipOverTimeDesc: 'Itens iniciados e nao concluidos ao final de cada semana',
+    wip: 'WIP',
+    cycleTimePercentiles: 'Percentis de Cycle Time',
+    cycleTimePercentilesDesc: 'Dias do inicio ate a conclusao de {count} itens concluidos',
+    cycleTimeDays: 'Cycle time (dias)',
+    agingWip: 'Envelhecimento do WIP',
+    agingWipDesc: 'Idade de cada item em andamento comparada aos percentis de cycle time (verde < p50, amarelo < p85, laranja < p95, vermelho acima)',
+    noWip: 'Nenhum item em andamento',
+    showAll: 'Mostrar todos ({count})',
+    showLess: 'Mostrar menos',
+
+    // Dependency graph
+    dependencyGraph: 'Dependencias',
+    dependencyGraphDesc: 'Bloqueios entre epicos de varios boards — caminho critico, ciclos e bloqueios entre times',
+    linkedEpics: 'Epicos vinculados',
+    crossTeamDependencies: 'Vinculos entre times',
+    blockedByOtherTeams: 'Bloqueados por outros times',
+    dependencyCycles: 'Ciclos',
+    cyclesDetected: 'Dependencias circulares detectadas — estes epicos bloqueiam uns aos outros:',
+    showDoneEpics: 'Mostrar epicos concluidos',
+    criticalPath: 'Caminho critico',
+    crossTeam: 'Entre times',
+    bottleneck: 'Gargalo',
+    bottlenecks: 'Gargalos',
+    noDependencies: 'Nenhum bloqueio entre os epicos dos boards selecionados',
+    externalEpic: 'Fora do portfolio ({project})',
+    projectedEnd: 'Termino projetado',
+    pushedByDependencies: 'Atrasado {days}d alem da meta pelos bloqueios',
+    downstreamEpics: 'Epicos aguardando',
+    waitingOnOtherTeams: 'Aguardando outros times:',
+    criticalPathSummary: '{points} pontos restantes · termino projetado {date}',
+    noCriticalPath: 'Nenhuma cadeia de epicos dependentes em aberto',
+    holdsUpEpics: 'segura {count} epico(s)',
+    unlinkedEpics: '{count} epico(s) sem bloqueios nao exibidos',
 
     // General
     noData: 'Sem dados disponiveis',
@@ -400,6 +793,137 @@ const translations = {
     days: 'dias',
     remove: 'Remover',
     confirmDelete: 'Remover "{name}" e todas as metricas salvas?',
+    roleViewer: 'Leitor',
+    roleTeamLead: 'Lider de time',
+    roleAdmin: 'Admin',
+    noDataAskTeamLead: 'Ainda nao ha metricas salvas para este board. Um lider de time ou admin precisa atualiza-lo a partir do Jira.',
+
+    // Audit log
+    auditLog: 'Auditoria',
+    auditLogDesc: 'Quem atualizou, excluiu ou reconfigurou o que, e quando. Registros nao podem ser editados nem removidos.',
+    auditTime: 'Quando',
+    auditActor: 'Autor',
+    auditAction: 'Acao',
+    auditBoard: 'Board',
+    auditParams: 'Parametros',
+    auditFrom: 'De',
+    auditTo: 'Ate',
+    auditAll: 'Todos',
+    auditActorPlaceholder: 'Nome ou account id',
+    auditApplyFilters: 'Aplicar',
+    auditClearFilters: 'Limpar',
+    noAuditEntries: 'Nenhum registro de auditoria para estes filtros',
+    loadMore: 'Carregar mais',
+    audit_metrics_refresh: 'Carga do Jira',
+    audit_metrics_force_refresh: 'Atualizacao forcada do Jira',
+    audit_history_delete_board: 'Excluir historico do board',
+    audit_history_prune_all: 'Limpar todo o historico',
+    audit_maturity_model_save: 'Salvar modelo de maturidade',
+    audit_maturity_model_reset: 'Restaurar modelo de maturidade',
+    audit_tenant_save_settings: 'Salvar configuracoes do tenant',
+    audit_tenant_delete: 'Excluir tenant',
+    audit_member_set_role: 'Definir papel de membro',
+    audit_member_remove: 'Remover papel de membro',
+    audit_scheduler_run: 'Executar atualizacao agendada agora',
+    audit_service_credentials_save: 'Salvar conta de servico',
+    audit_service_credentials_delete: 'Remover conta de servico',
+
+    // Refresh jobs
+    refreshJobs: 'Atualizacoes em andamento',
+    dismiss: 'Dispensar',
+    jobsInProgress: 'Atualizando ({count} jobs)...',
+    jobQueued: 'Na fila',
+    jobRetrying: 'Nova tentativa as {time} (tentativa {attempt}/{max})',
+    jobFailed: 'Falhou: {error}',
+    jobStarting: 'Iniciando...',
+    jobStageSprints: 'Carregando sprints...',
+    jobStageIssues: 'Carregando issues do board...',
+    jobStageSprint: 'Sprint {current}/{total}',
+    jobStageChangelogs: 'Carregando historico de {issues} issues',
+    jobStageBacklog: 'Verificando backlog ({issues} issues)',
+    jobStageMetrics: 'Calculando metricas...',
+    jobStageSaving: 'Salvando...',
+
+    // Org overview
+    orgOverview: 'Visao da Organizacao',
+    orgOverviewDesc: 'Maturidade mais recente de {count} times. Clique em um time para abrir o dashboard.',
+    overviewNoBoards: 'Nenhum time tem metricas salvas ainda.',
+    overviewAllGroups: 'Todos',
+    overviewTeam: 'Time',
+    overviewLevel: 'Nivel',
+    overviewBacklogReady: 'Backlog Pronto',
+    overviewRework: 'Retrabalho',
+    overviewCycleTime: 'Cycle Time',
+    overviewUpdated: 'Atualizado',
+    overviewOpenDashboard: 'Abrir dashboard',
+    overviewHeatmapHint: 'As cores comparam cada time com os times exibidos: verde = melhor quinto, vermelho = pior quinto. Times Kanban mostram a mediana do cycle time.',
+    overviewLevelDistribution: 'Distribuicao dos Niveis de Maturidade',
+    overviewTeams: 'Times',
+    overviewLevelsByGroup: 'Niveis por Grupo',
+    overviewNoGroups: 'Nenhum grupo de times configurado. Um admin pode defini-los nas configuracoes do tenant (teamGroups).',
+
+    // Maturity trend
+    maturityTrend: 'Tendencia de Maturidade',
+    maturityTrendDesc: '{name}: nivel de maturidade e metricas principais em {count} snapshots salvos.',
+    trendNoHistory: 'Ainda nao ha snapshots salvos para este board.',
+    trendNeedsTwoSnapshots: 'A tendencia precisa de pelo menos dois snapshots. Atualize o board novamente apos a proxima sprint.',
+    whatMoved: 'O que mudou',
+    trendShowUnchanged: 'Mostrar snapshots sem mudancas',
+    trendNoMoves: 'Nenhuma mudanca significativa.',
+    trendViewSnapshot: 'Ver snapshot',
+    trendCriterionMet: '{label}: {from} → {to}, agora atende {target} (Nivel {level})',
+    trendCriterionLost: '{label}: {from} → {to}, deixou de atender {target} (Nivel {level})',
+
+    // Snapshot comparison
+    compare: 'Comparar',
+    compareWith: 'Comparar com',
+    compareExit: 'Sair da comparacao',
+    compareSnapshotsHint: 'Comparar o snapshot selecionado com um anterior',
+    compareSnapshots: 'Comparacao de Snapshots',
+    compareSameSnapshot: 'Escolha dois snapshots diferentes para comparar.',
+    compareLevelUp: 'Subiu de nivel',
+    compareLevelDown: 'Desceu de nivel',
+    compareLevelSame: 'Mesmo nivel',
+    compareMetrics: 'Metricas',
+    compareShowUnchanged: 'Mostrar sem mudanca',
+    compareMetric: 'Metrica',
+    compareDelta: 'Variacao',
+    compareSprints: 'Sprints analisadas',
+    compareSameSprints: 'Mesmas sprints nos dois snapshots.',
+    compareRollovers: 'Issues com rollover',
+    compareNewRollovers: 'Novos rollovers',
+    compareResolvedRollovers: 'Sem rollover agora',
+    compareBacklog: 'Prontidao do backlog',
+    compareBecameReady: 'Ficaram prontos (ou sairam do backlog)',
+    compareNewGaps: 'Novos itens sem AC ou estimativa',
+    compareGapAC: 'sem AC',
+    compareGapEstimate: 'sem estimativa',
+
+    // PDF reports
+    downloadReport: 'Relatorio PDF',
+    downloadReportHint: 'Baixar este snapshot como relatorio PDF (nivel de maturidade, pilares, rollovers, lacunas do backlog)',
+    downloadOrgReport: 'Pacote PDF',
+    downloadOrgReportHint: 'Baixar um PDF com a visao geral e o relatorio de cada time (so o grupo filtrado, se houver)',
+    reportGenerating: 'Gerando...',
+    reportFailed: 'Falha ao gerar o relatorio',
+
+    // Spreadsheet exports
+    export: 'Exportar',
+    hideExport: 'Ocultar Exportacao',
+    exportData: 'Exportar dados',
+    exportThisSnapshot: 'Este time',
+    exportLatestSnapshot: 'Snapshot mais recente',
+    exportAllTeams: 'Todos os times',
+    exportAllTeamsDesc: 'Snapshot mais recente de cada time, linhas identificadas pelo time',
+    exportCsvDataset: 'Dados do CSV',
+    exportXlsxHint: 'Planilha com cada conjunto de dados em uma aba',
+    exportDatasetSprints: 'Metricas das sprints',
+    exportDatasetRollovers: 'Issues com rollover',
+    exportDatasetBacklogGaps: 'Lacunas do backlog (sem AC / estimativa)',
+    exportDatasetRework: 'Retrabalho por sprint',
+    exportDatasetLeadTime: 'Lead time por tipo e sprint',
+    exportFailed: 'Falha na exportacao',
+
     sprintsAnalyzed: 'sprints analisadas',
     failedToRefresh: 'Falha ao atualizar do Jira',
     showingCachedBoards: 'Mostrando boards em cache.',
@@ -421,11 +945,11 @@ export function getTranslations(locale = 'en') {
   };
 }
 
-// Detect locale from tenant ID (matches server-side logic)
+// Guess locale from tenant ID when the server sent none (matches TenantService.detectLocale;
+// the tenant's locale setting on the server takes precedence)
 export function detectLocale(tenantId) {
   if (!tenantId) return 'en';
-  const brTenants = ['uolinc.atlassian.net'];
-  if (brTenants.includes(tenantId) || tenantId.includes('.com.br')) {
+  if (tenantId.includes('.com.br')) {
     return 'pt-BR';
   }
   return 'en';
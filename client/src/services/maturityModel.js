@@ -0,0 +1,148 @@
+// Helpers for rendering the tenant's maturity model (served by GET /api/maturity-model)
+
+// Tailwind classes per level color — kept literal so Tailwind picks them up
+export const LEVEL_COLORS = {
+  red: {
+    border: 'border-red-300', bg: 'bg-red-50', badge: 'bg-red-600',
+    title: 'text-red-900', subtitle: 'text-red-700', text: 'text-red-800', divider: 'border-red-300'
+  },
+  yellow: {
+    border: 'border-yellow-300', bg: 'bg-yellow-50', badge: 'bg-yellow-600',
+    title: 'text-yellow-900', subtitle: 'text-yellow-700', text: 'text-yellow-800', divider: 'border-yellow-300'
+  },
+  green: {
+    border: 'border-green-300', bg: 'bg-green-50', badge: 'bg-green-600',
+    title: 'text-green-900', subtitle: 'text-green-700', text: 'text-green-800', divider: 'border-green-300'
+  },
+  blue: {
+    border: 'border-blue-300', bg: 'bg-blue-50', badge: 'bg-blue-600',
+    title: 'text-blue-900', subtitle: 'text-blue-700', text: 'text-blue-800', divider: 'border-blue-300'
+  },
+  purple: {
+    border: 'border-purple-300', bg: 'bg-purple-50', badge: 'bg-purple-600',
+    title: 'text-purple-900', subtitle: 'text-purple-700', text: 'text-purple-800', divider: 'border-purple-300'
+  }
+};
+
+const DEFAULT_COLORS = ['red', 'yellow', 'green', 'blue', 'purple'];
+
+const OPERATOR_SYMBOLS = { '<=': '≤', '>=': '≥', '==': '=', '!=': '≠', '<': '<', '>': '>' };
+const NEGATED_OPERATORS = { '<': '>=', '<=': '>', '>': '<=', '>=': '<', '==': '!=', '!=': '==' };
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// Resolve a model string that may be localized ({ en, 'pt-BR' })
+export function localize(value, locale = 'en') {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string' || Array.isArray(value)) return value;
+  return value[locale] ?? value.en ?? Object.values(value)[0];
+}
+
+// Color classes for a level (model color, or by position)
+export function levelColors(levelDef, index = 0) {
+  return LEVEL_COLORS[levelDef?.color] || LEVEL_COLORS[DEFAULT_COLORS[index % DEFAULT_COLORS.length]];
+}
+
+// Parse "rolloverRate < 15" (or { metric, operator, value }) into its parts
+export function parseCriterion(criterion) {
+  if (criterion?.expression) {
+    const match = criterion.expression.match(/^\s*([A-Za-z][A-Za-z0-9_]*)\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (!match) return null;
+    return { metric: match[1], operator: match[2], value: parseFloat(match[3]) };
+  }
+  if (criterion?.metric && criterion?.operator) {
+    return { metric: criterion.metric, operator: criterion.operator, value: criterion.value };
+  }
+  return null;
+}
+
+// "<15%" style target label
+export function formatTarget(operator, value, unit = '') {
+  return `${OPERATOR_SYMBOLS[operator] || operator}${value}${unit}`;
+}
+
+// Describe a level's entry criteria as [{ metric, label, target }]
+// For the base level (no criteria), describes the opposite of the next level's criteria.
+export function describeCriteria(model, levelDef, metricsCatalog = {}, locale = 'en') {
+  const index = model.levels.indexOf(levelDef);
+  const negate = (levelDef.criteria || []).length === 0;
+  const source = negate ? (model.levels[index + 1]?.criteria || []) : levelDef.criteria;
+
+  return source.map(criterion => {
+    const parsed = parseCriterion(criterion);
+    if (!parsed) return null;
+    const metricDef = metricsCatalog[parsed.metric] || {};
+    const operator = negate ? NEGATED_OPERATORS[parsed.operator] : parsed.operator;
+    return {
+      metric: parsed.metric,
+      label: localize(criterion.label || metricDef.label, locale) || parsed.metric,
+      target: formatTarget(operator, parsed.value, metricDef.unit || '')
+    };
+  }).filter(Boolean);
+}
+
+// Target for a metric at the model's highest level (e.g. "<15%"), or null if not a criterion there
+export function topLevelTarget(model, metricId, metricsCatalog = {}) {
+  const top = model?.levels?.[model.levels.length - 1];
+  const criterion = (top?.criteria || []).map(parseCriterion).find(c => c?.metric === metricId);
+  if (!criterion) return null;
+  return formatTarget(criterion.operator, criterion.value, metricsCatalog[metricId]?.unit || '');
+}
+
+// Metric values available client-side from a stored metrics snapshot
+function snapshotMetricValue(metrics, metricId) {
+  const values = {
+    rolloverRate: metrics.aggregated?.avgRolloverRate,
+    sprintGoalAttainment: metrics.aggregated?.avgSprintGoalAttainment,
+    sprintHitRate: metrics.aggregated?.avgSprintHitRate,
+    sprintHitRatePoints: metrics.aggregated?.avgSprintHitRatePoints,
+    midSprintAdditions: metrics.aggregated?.avgMidSprintAdditions,
+    reworkRate: metrics.flowQuality?.reworkRate,
+    backlogReadiness: metrics.backlogHealth?.overallScore,
+    acceptanceCriteriaRate: metrics.backlogHealth?.withAcceptanceCriteria,
+    estimateRate: metrics.backlogHealth?.withEstimates
+  };
+  return values[metricId] ?? 0;
+}
+
+// Next-level criteria with pass/fail for the current metrics.
+// New snapshots carry maturityLevel.nextLevel from the server; snapshots saved before the
+// maturity model existed are evaluated here against the current model.
+export function nextLevelCriteria(metrics, model, metricsCatalog = {}, locale = 'en') {
+  const maturity = metrics?.maturityLevel;
+  if (!maturity) return null;
+  if (maturity.nextLevel !== undefined) return maturity.nextLevel;
+  if (!model) return null;
+
+  const index = model.levels.findIndex(l => l.level === maturity.level);
+  const next = index >= 0 ? model.levels[index + 1] : null;
+  if (!next) return null;
+
+  return {
+    level: next.level,
+    name: localize(next.name, locale),
+    criteria: (next.criteria || []).map(criterion => {
+      const parsed = parseCriterion(criterion);
+      if (!parsed) return null;
+      const metricDef = metricsCatalog[parsed.metric] || {};
+      const actual = snapshotMetricValue(metrics, parsed.metric);
+      return {
+        id: criterion.id,
+        metric: parsed.metric,
+        operator: parsed.operator,
+        value: parsed.value,
+        unit: metricDef.unit || '',
+        label: localize(criterion.label || metricDef.label, locale) || parsed.metric,
+        actual,
+        passed: COMPARE[parsed.operator]?.(actual, parsed.value) ?? false
+      };
+    }).filter(Boolean)
+  };
+}
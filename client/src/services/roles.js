@@ -0,0 +1,13 @@
+// Tenant roles (see server accessService): viewer < team_lead < admin
+
+export const ROLES = ['viewer', 'team_lead', 'admin'];
+
+// Whether the session's role grants at least `required`
+export function hasRole(session, required) {
+  return ROLES.indexOf(session?.role) >= ROLES.indexOf(required);
+}
+
+// i18n key of a role's display name
+export function roleLabelKey(role) {
+  return { viewer: 'roleViewer', team_lead: 'roleTeamLead', admin: 'roleAdmin' }[role] || 'roleViewer';
+}
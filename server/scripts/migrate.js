@@ -0,0 +1,55 @@
+// Schema migration CLI
+// Run from server/:
+//   npm run migrate                 show applied / pending migrations
+//   npm run migrate -- up           apply pending migrations
+//   npm run migrate -- down [n]     revert the last n applied migrations (default 1)
+
+import database from '../src/services/database.js';
+import migrationService from '../src/services/migrationService.js';
+
+async function printStatus() {
+  const migrations = await migrationService.status();
+  for (const m of migrations) {
+    const state = m.applied ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+    const flags = [
+      m.modified && 'MODIFIED since applied',
+      m.missing && 'MISSING on disk',
+      m.reversible === false && 'no down'
+    ].filter(Boolean);
+    console.log(`${m.applied ? '✓' : '·'} ${m.id.padEnd(40)} ${state}${flags.length ? `  (${flags.join(', ')})` : ''}`);
+  }
+  const pending = migrations.filter(m => !m.applied).length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (!database.pool) {
+    throw new Error('Missing DATABASE_URL in server/.env');
+  }
+
+  if (command === 'status') {
+    await printStatus();
+  } else if (command === 'up') {
+    const applied = await migrationService.migrate();
+    console.log(applied.length > 0 ? `\n${applied.length} migration(s) applied` : 'Schema up to date');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(`Invalid step count: ${arg}`);
+    }
+    const reverted = await migrationService.rollback(steps);
+    console.log(reverted.length > 0 ? `\n${reverted.length} migration(s) reverted` : 'Nothing to revert');
+  } else {
+    throw new Error(`Unknown command "${command}" (expected status, up or down [n])`);
+  }
+}
+
+main()
+  .then(() => database.close())
+  .catch(async err => {
+    console.error('Migration failed:', err.message);
+    await database.close().catch(() => {});
+    process.exit(1);
+  });
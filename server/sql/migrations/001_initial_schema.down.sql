@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS maturity_models;
+DROP TABLE IF EXISTS product_data_cache;
+DROP TABLE IF EXISTS boards_cache;
+DROP TABLE IF EXISTS metrics_history CASCADE;
@@ -1,5 +1,5 @@
--- PostgreSQL Schema (compatible with Aurora, RDS, Neon, or any standard PostgreSQL)
--- Run this once to create all tables for Scrum Maturity + Product Management dashboards
+-- Initial schema: metrics history, boards cache, product data cache and maturity models.
+-- IF NOT EXISTS everywhere, so databases set up before migrations existed are adopted as-is.
 
 -- 1. Metrics History (scrum metrics per board)
 CREATE TABLE IF NOT EXISTS metrics_history (
@@ -13,6 +13,9 @@ CREATE TABLE IF NOT EXISTS metrics_history (
   calculated_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+-- Databases created before multi-tenancy lack tenant_id
+ALTER TABLE metrics_history ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+
 CREATE INDEX IF NOT EXISTS idx_metrics_history_tenant ON metrics_history (tenant_id);
 CREATE INDEX IF NOT EXISTS idx_metrics_history_tenant_board ON metrics_history (tenant_id, board_id);
 CREATE INDEX IF NOT EXISTS idx_metrics_history_calculated ON metrics_history (calculated_at DESC);
@@ -25,6 +28,8 @@ CREATE TABLE IF NOT EXISTS boards_cache (
   updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+ALTER TABLE boards_cache ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+
 CREATE INDEX IF NOT EXISTS idx_boards_cache_tenant ON boards_cache (tenant_id);
 
 -- 3. Product Data Cache (epic intelligence, prioritization, portfolio data)
@@ -39,6 +44,15 @@ CREATE TABLE IF NOT EXISTS product_data_cache (
   created_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+ALTER TABLE product_data_cache ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+
 CREATE INDEX IF NOT EXISTS idx_product_cache_key ON product_data_cache (cache_key);
 CREATE INDEX IF NOT EXISTS idx_product_board_ids ON product_data_cache (board_ids);
 CREATE INDEX IF NOT EXISTS idx_product_data_cache_tenant ON product_data_cache (tenant_id);
+
+-- 4. Maturity Models (per-tenant maturity level definitions, thresholds and pillar weights)
+CREATE TABLE IF NOT EXISTS maturity_models (
+  tenant_key TEXT PRIMARY KEY,
+  model JSONB NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
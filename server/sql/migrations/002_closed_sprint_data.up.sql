@@ -0,0 +1,15 @@
+-- Closed Sprint Data (incremental sync: closed sprints never change, so their issues,
+-- Sprint Report data and computed sprintMetrics entry are fetched from Jira only once)
+CREATE TABLE IF NOT EXISTS closed_sprint_data (
+  tenant_key TEXT NOT NULL,
+  board_id INTEGER NOT NULL,
+  sprint_id INTEGER NOT NULL,
+  sprint_name TEXT,
+  story_points_field TEXT,
+  issues JSONB NOT NULL DEFAULT '[]',
+  report_data JSONB,
+  sprint_metrics JSONB,
+  metrics_context TEXT,
+  synced_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (tenant_key, board_id, sprint_id)
+);
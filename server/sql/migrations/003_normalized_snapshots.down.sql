@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS flow_metrics;
+DROP TABLE IF EXISTS backlog_snapshots;
+DROP TABLE IF EXISTS rollover_issues;
+DROP TABLE IF EXISTS sprint_metrics;
+DROP TABLE IF EXISTS sprints;
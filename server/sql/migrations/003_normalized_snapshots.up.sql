@@ -0,0 +1,75 @@
+-- Normalized snapshot data. metrics_history keeps the snapshot header and the remaining
+-- JSONB (aggregated, maturityLevel, ...); the parts below are stored per tenant/board/sprint
+-- and reassembled by DatabaseService. Rows written this way carry "_normalized" in metrics_data.
+CREATE TABLE IF NOT EXISTS sprints (
+  tenant_key TEXT NOT NULL,
+  board_id INTEGER NOT NULL,
+  sprint_id INTEGER NOT NULL,
+  sprint_name TEXT,
+  start_date TIMESTAMPTZ,
+  end_date TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (tenant_key, board_id, sprint_id)
+);
+
+CREATE TABLE IF NOT EXISTS sprint_metrics (
+  snapshot_id BIGINT NOT NULL REFERENCES metrics_history (id) ON DELETE CASCADE,
+  tenant_key TEXT NOT NULL,
+  board_id INTEGER NOT NULL,
+  sprint_id INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  sprint_goal_attainment DOUBLE PRECISION,
+  planned_points DOUBLE PRECISION,
+  committed_points DOUBLE PRECISION,
+  completed_points DOUBLE PRECISION,
+  sprint_hit_rate DOUBLE PRECISION,
+  sprint_hit_rate_points DOUBLE PRECISION,
+  rollover_rate DOUBLE PRECISION,
+  total_issues INTEGER,
+  completed_issues INTEGER,
+  details JSONB NOT NULL DEFAULT '{}',
+  PRIMARY KEY (snapshot_id, sprint_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sprint_metrics_sprint ON sprint_metrics (tenant_key, board_id, sprint_id);
+
+CREATE TABLE IF NOT EXISTS rollover_issues (
+  snapshot_id BIGINT NOT NULL REFERENCES metrics_history (id) ON DELETE CASCADE,
+  tenant_key TEXT NOT NULL,
+  board_id INTEGER NOT NULL,
+  sprint_id INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  issue_key TEXT NOT NULL,
+  summary TEXT,
+  status TEXT,
+  issue_type TEXT,
+  reasons TEXT[] NOT NULL DEFAULT '{}',
+  added_mid_sprint BOOLEAN NOT NULL DEFAULT false,
+  PRIMARY KEY (snapshot_id, sprint_id, issue_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rollover_issues_sprint ON rollover_issues (tenant_key, board_id, sprint_id);
+
+CREATE TABLE IF NOT EXISTS backlog_snapshots (
+  snapshot_id BIGINT PRIMARY KEY REFERENCES metrics_history (id) ON DELETE CASCADE,
+  tenant_key TEXT NOT NULL,
+  board_id INTEGER NOT NULL,
+  score DOUBLE PRECISION,
+  data JSONB NOT NULL DEFAULT '{}',
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_backlog_snapshots_board ON backlog_snapshots (tenant_key, board_id, captured_at DESC);
+
+-- kind: "flowQuality" (Scrum, Pillar 2) or "flowMetrics" (Kanban)
+CREATE TABLE IF NOT EXISTS flow_metrics (
+  snapshot_id BIGINT NOT NULL REFERENCES metrics_history (id) ON DELETE CASCADE,
+  tenant_key TEXT NOT NULL,
+  board_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (snapshot_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_metrics_board ON flow_metrics (tenant_key, board_id, kind, captured_at DESC);
@@ -0,0 +1,48 @@
+-- Put sprint, backlog and flow data back into metrics_history.metrics_data (the shape
+-- DatabaseService._assembleSnapshots returns) and empty the normalized tables.
+
+UPDATE metrics_history m
+SET metrics_data = (m.metrics_data - '_normalized')
+  || jsonb_build_object('sprintMetrics', COALESCE((
+    SELECT jsonb_agg(
+      jsonb_build_object(
+        'sprintId', sm.sprint_id,
+        'sprintName', s.sprint_name,
+        'startDate', to_char(s.start_date AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+        'endDate', to_char(s.end_date AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+        'sprintGoalAttainment', sm.sprint_goal_attainment,
+        'plannedPoints', sm.planned_points,
+        'committedPoints', sm.committed_points,
+        'completedPoints', sm.completed_points,
+        'sprintHitRate', sm.sprint_hit_rate,
+        'sprintHitRatePoints', sm.sprint_hit_rate_points,
+        'rolloverRate', sm.rollover_rate,
+        'totalIssues', sm.total_issues,
+        'completedIssues', sm.completed_issues,
+        'rolloverIssues', COALESCE((
+          SELECT jsonb_agg(jsonb_build_object(
+            'key', r.issue_key,
+            'summary', r.summary,
+            'status', r.status,
+            'type', r.issue_type,
+            'reasons', to_jsonb(r.reasons),
+            'addedMidSprint', r.added_mid_sprint
+          ) ORDER BY r.position)
+          FROM rollover_issues r
+          WHERE r.snapshot_id = sm.snapshot_id AND r.sprint_id = sm.sprint_id
+        ), '[]'::jsonb)
+      ) || sm.details
+      ORDER BY sm.position)
+    FROM sprint_metrics sm
+    LEFT JOIN sprints s ON s.tenant_key = sm.tenant_key AND s.board_id = sm.board_id AND s.sprint_id = sm.sprint_id
+    WHERE sm.snapshot_id = m.id
+  ), '[]'::jsonb))
+  || COALESCE((SELECT jsonb_build_object('backlogHealth', b.data) FROM backlog_snapshots b WHERE b.snapshot_id = m.id), '{}'::jsonb)
+  || COALESCE((SELECT jsonb_object_agg(f.kind, f.data) FROM flow_metrics f WHERE f.snapshot_id = m.id), '{}'::jsonb)
+WHERE m.metrics_data ? '_normalized';
+
+DELETE FROM rollover_issues;
+DELETE FROM sprint_metrics;
+DELETE FROM backlog_snapshots;
+DELETE FROM flow_metrics;
+DELETE FROM sprints;
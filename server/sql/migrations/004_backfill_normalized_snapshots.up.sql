@@ -0,0 +1,114 @@
+-- Backfill the normalized snapshot tables (003) from metrics_history.metrics_data, then strip
+-- the moved parts from the JSONB. Only snapshots without the "_normalized" marker are processed.
+
+CREATE TEMP TABLE pending_snapshots ON COMMIT DROP AS
+SELECT
+  id,
+  board_id,
+  COALESCE(tenant_id, 'default') AS tenant_key,
+  metrics_data,
+  CASE WHEN jsonb_typeof(metrics_data->'sprintMetrics') = 'array'
+    THEN metrics_data->'sprintMetrics' ELSE '[]'::jsonb END AS sprint_entries,
+  calculated_at
+FROM metrics_history
+WHERE NOT (metrics_data ? '_normalized');
+
+-- Sprints: name and dates from the most recent snapshot containing each sprint
+INSERT INTO sprints (tenant_key, board_id, sprint_id, sprint_name, start_date, end_date, updated_at)
+SELECT DISTINCT ON (p.tenant_key, p.board_id, (e->>'sprintId')::int)
+  p.tenant_key,
+  p.board_id,
+  (e->>'sprintId')::int,
+  e->>'sprintName',
+  NULLIF(e->>'startDate', '')::timestamptz,
+  NULLIF(e->>'endDate', '')::timestamptz,
+  now()
+FROM pending_snapshots p
+CROSS JOIN LATERAL jsonb_array_elements(p.sprint_entries) AS e
+WHERE (e->>'sprintId') ~ '^[0-9]+$'
+ORDER BY p.tenant_key, p.board_id, (e->>'sprintId')::int, p.calculated_at DESC
+ON CONFLICT (tenant_key, board_id, sprint_id) DO NOTHING;
+
+INSERT INTO sprint_metrics (
+  snapshot_id, tenant_key, board_id, sprint_id, position,
+  sprint_goal_attainment, planned_points, committed_points, completed_points,
+  sprint_hit_rate, sprint_hit_rate_points, rollover_rate, total_issues, completed_issues, details
+)
+SELECT
+  p.id,
+  p.tenant_key,
+  p.board_id,
+  (e->>'sprintId')::int,
+  x.pos - 1,
+  (e->>'sprintGoalAttainment')::double precision,
+  (e->>'plannedPoints')::double precision,
+  (e->>'committedPoints')::double precision,
+  (e->>'completedPoints')::double precision,
+  (e->>'sprintHitRate')::double precision,
+  (e->>'sprintHitRatePoints')::double precision,
+  (e->>'rolloverRate')::double precision,
+  ROUND((e->>'totalIssues')::numeric)::int,
+  ROUND((e->>'completedIssues')::numeric)::int,
+  e - ARRAY[
+    'sprintId', 'sprintName', 'startDate', 'endDate', 'rolloverIssues',
+    'sprintGoalAttainment', 'plannedPoints', 'committedPoints', 'completedPoints',
+    'sprintHitRate', 'sprintHitRatePoints', 'rolloverRate', 'totalIssues', 'completedIssues'
+  ]
+FROM pending_snapshots p
+CROSS JOIN LATERAL jsonb_array_elements(p.sprint_entries) WITH ORDINALITY AS x(e, pos)
+WHERE (e->>'sprintId') ~ '^[0-9]+$'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO rollover_issues (
+  snapshot_id, tenant_key, board_id, sprint_id, position,
+  issue_key, summary, status, issue_type, reasons, added_mid_sprint
+)
+SELECT
+  p.id,
+  p.tenant_key,
+  p.board_id,
+  (e->>'sprintId')::int,
+  r.pos - 1,
+  r.issue->>'key',
+  r.issue->>'summary',
+  r.issue->>'status',
+  r.issue->>'type',
+  ARRAY(SELECT jsonb_array_elements_text(
+    CASE WHEN jsonb_typeof(r.issue->'reasons') = 'array' THEN r.issue->'reasons' ELSE '[]'::jsonb END
+  )),
+  COALESCE((r.issue->>'addedMidSprint')::boolean, false)
+FROM pending_snapshots p
+CROSS JOIN LATERAL jsonb_array_elements(p.sprint_entries) AS e
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(e->'rolloverIssues') = 'array' THEN e->'rolloverIssues' ELSE '[]'::jsonb END
+) WITH ORDINALITY AS r(issue, pos)
+WHERE (e->>'sprintId') ~ '^[0-9]+$' AND r.issue ? 'key'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO backlog_snapshots (snapshot_id, tenant_key, board_id, score, data, captured_at)
+SELECT
+  p.id,
+  p.tenant_key,
+  p.board_id,
+  (p.metrics_data->'backlogHealth'->>'score')::double precision,
+  p.metrics_data->'backlogHealth',
+  p.calculated_at
+FROM pending_snapshots p
+WHERE jsonb_typeof(p.metrics_data->'backlogHealth') = 'object'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO flow_metrics (snapshot_id, tenant_key, board_id, kind, data, captured_at)
+SELECT p.id, p.tenant_key, p.board_id, f.kind, f.data, p.calculated_at
+FROM pending_snapshots p
+CROSS JOIN LATERAL (VALUES
+  ('flowQuality', p.metrics_data->'flowQuality'),
+  ('flowMetrics', p.metrics_data->'flowMetrics')
+) AS f(kind, data)
+WHERE jsonb_typeof(f.data) = 'object'
+ON CONFLICT DO NOTHING;
+
+UPDATE metrics_history m
+SET metrics_data = (m.metrics_data - 'sprintMetrics' - 'backlogHealth' - 'flowQuality' - 'flowMetrics')
+  || '{"_normalized": true}'::jsonb
+FROM pending_snapshots p
+WHERE m.id = p.id;
@@ -0,0 +1,15 @@
+-- Tenant registry: per-tenant settings read by tenantSettingsService. A NULL column falls
+-- back to the default setting.
+CREATE TABLE IF NOT EXISTS tenants (
+  tenant_key TEXT PRIMARY KEY,
+  display_name TEXT,
+  locale TEXT,
+  story_points_field TEXT,
+  rollover_labels JSONB,
+  qa_statuses JSONB,
+  dev_statuses JSONB,
+  defect_labels JSONB,
+  maturity_thresholds JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
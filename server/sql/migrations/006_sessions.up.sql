@@ -0,0 +1,16 @@
+-- Server-side login sessions (see sessionService). The cookie carries a random token; only its
+-- SHA-256 hash is stored here, and the Jira credentials are AES-256-GCM encrypted with a key
+-- derived from SESSION_SECRET.
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  deployment_type TEXT NOT NULL,
+  credentials TEXT NOT NULL,
+  account_id TEXT,
+  display_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
@@ -0,0 +1,3 @@
+ALTER TABLE sessions DROP COLUMN IF EXISTS shared_login;
+ALTER TABLE sessions DROP COLUMN IF EXISTS jira_admin;
+DROP TABLE IF EXISTS tenant_members;
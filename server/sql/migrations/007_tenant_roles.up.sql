@@ -0,0 +1,15 @@
+-- Role per Jira account and tenant (see accessService): viewer, team_lead or admin. Accounts
+-- without a row get the default role (admin for Jira administrators, viewer otherwise).
+CREATE TABLE IF NOT EXISTS tenant_members (
+  tenant_key TEXT NOT NULL,
+  account_id TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'team_lead', 'admin')),
+  display_name TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (tenant_key, account_id)
+);
+
+-- Identity facts captured at login: Jira global admin permission, and whether the session was
+-- opened with the server's shared credentials (those get SHARED_LOGIN_ROLE, not the account's role)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS jira_admin BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS shared_login BOOLEAN NOT NULL DEFAULT false;
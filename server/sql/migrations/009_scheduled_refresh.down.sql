@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS refresh_runs;
+DROP TABLE IF EXISTS tenant_service_credentials;
+ALTER TABLE tenants DROP COLUMN IF EXISTS refresh_schedule;
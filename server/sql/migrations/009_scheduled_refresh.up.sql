@@ -0,0 +1,34 @@
+-- Scheduled background refresh (see schedulerService)
+
+-- Cron expression (UTC) of the tenant's scheduled refresh; NULL disables it
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS refresh_schedule TEXT;
+
+-- Jira service account used by scheduled refreshes, encrypted like session credentials
+CREATE TABLE IF NOT EXISTS tenant_service_credentials (
+  tenant_key TEXT PRIMARY KEY,
+  deployment_type TEXT NOT NULL,
+  credentials TEXT NOT NULL,
+  account_id TEXT,
+  display_name TEXT,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One row per refresh run of a tenant; scheduled_for is the cron occurrence a scheduled run
+-- served (the next run is due at the following occurrence)
+CREATE TABLE IF NOT EXISTS refresh_runs (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+  scheduled_for TIMESTAMPTZ,
+  started_by TEXT,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'partial', 'failed')),
+  boards_total INTEGER NOT NULL DEFAULT 0,
+  boards_refreshed INTEGER NOT NULL DEFAULT 0,
+  failures JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_runs_tenant_started ON refresh_runs(tenant_id, started_at DESC);
@@ -0,0 +1,29 @@
+-- Background refresh jobs (see jobService): one row per board refresh, processed by a worker
+-- with retries. credentials holds the submitter's encrypted Jira credentials until the job
+-- finishes; progress is the latest progress event (stage, current, total) for clients that
+-- reconnect.
+CREATE TABLE IF NOT EXISTS jobs (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'team_metrics',
+  board_id INTEGER NOT NULL,
+  board_name TEXT,
+  params JSONB NOT NULL DEFAULT '{}',
+  credentials TEXT,
+  deployment_type TEXT,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT now(),
+  progress JSONB,
+  result JSONB,
+  error TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_queue ON jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_jobs_tenant_updated ON jobs(tenant_id, updated_at DESC);
@@ -0,0 +1,2 @@
+-- Team groups (department, tribe, ...) of the org overview; NULL → no groups
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS team_groups JSONB;
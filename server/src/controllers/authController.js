@@ -0,0 +1,87 @@
+import JiraService from '../services/jiraService.js';
+import TenantService from '../services/tenantService.js';
+import tenantSettingsService from '../services/tenantSettingsService.js';
+import sessionService from '../services/sessionService.js';
+import accessService from '../services/accessService.js';
+
+// Login / logout: validates Jira credentials once and keeps them in a server-side session
+class AuthController {
+
+  // Validate credentials against Jira (/myself) and open a session.
+  // Body: { jiraUrl, email, apiToken, deploymentType } or { useServerCredentials: true }
+  async login(req, res) {
+    try {
+      const sharedLogin = !!req.body.useServerCredentials;
+      const credentials = sharedLogin ? sessionService.serverCredentials() : req.body;
+      if (!credentials) {
+        return res.status(404).json({ success: false, message: 'No server credentials configured' });
+      }
+
+      const { jiraUrl, email, apiToken, deploymentType } = credentials;
+      if (!jiraUrl || !apiToken) {
+        return res.status(400).json({ success: false, message: 'jiraUrl and apiToken are required' });
+      }
+
+      // Cloud vs Server/Data Center: detect from the instance unless the user picked one
+      const resolvedType = !deploymentType || deploymentType === 'auto'
+        ? await JiraService.detectDeploymentType(jiraUrl)
+        : JiraService.normalizeDeploymentType(deploymentType);
+
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType: resolvedType });
+      let user;
+      try {
+        user = await jiraService.getCurrentUser();
+      } catch (error) {
+        return res.status(401).json({ success: false, message: error.message });
+      }
+
+      const tenantId = TenantService.extractTenantId(jiraUrl);
+      const jiraAdmin = sharedLogin ? false : await jiraService.isJiraAdmin();
+      const { token, session } = await sessionService.create({
+        jiraUrl, email, apiToken, deploymentType: resolvedType, tenantId, user, jiraAdmin, sharedLogin
+      });
+      sessionService.setCookie(res, token);
+      session.role = await accessService.resolveRole(session);
+
+      res.json({
+        success: true,
+        message: 'Connection successful',
+        session: sessionService.toPublic(session),
+        locale: await tenantSettingsService.getLocale(tenantId)
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+
+  async logout(req, res) {
+    try {
+      await sessionService.destroy(sessionService.readToken(req));
+      sessionService.clearCookie(res);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+
+  // Current session (for auto-login); when signed out, whether server credentials exist
+  async getSession(req, res) {
+    try {
+      const session = await sessionService.get(sessionService.readToken(req));
+      if (!session) {
+        return res.json({ success: true, authenticated: false, serverCredentials: !!sessionService.serverCredentials() });
+      }
+      session.role = await accessService.resolveRole(session);
+      res.json({
+        success: true,
+        authenticated: true,
+        session: sessionService.toPublic(session),
+        locale: await tenantSettingsService.getLocale(session.tenantId)
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+}
+
+export default AuthController;
@@ -1,76 +1,35 @@
-import axios from 'axios';
+import crypto from 'crypto';
 import JiraService from '../services/jiraService.js';
 import MetricsService from '../services/metricsService.js';
 import cacheService from '../services/cacheService.js';
+import jiraHttpClient from '../services/jiraHttpClient.js';
+import jiraRecorder from '../services/jiraRecorder.js';
 import database from '../services/database.js';
 import TenantService from '../services/tenantService.js';
+import maturityModelService from '../services/maturityModelService.js';
+import tenantSettingsService from '../services/tenantSettingsService.js';
+import kanbanService from '../services/kanbanService.js';
+import { AccessService } from '../services/accessService.js';
+import auditService from '../services/auditService.js';
 import { waitUntil } from '@vercel/functions';
 
-// Cache for auto-detected story points fields per tenant (avoids repeated API calls)
-const storyPointsFieldCache = new Map();
+// Version of the per-sprint metrics formulas. Stored closed-sprint entries computed with an
+// older version are recalculated from their stored issues — bump when sprintMetrics changes.
+const SPRINT_METRICS_VERSION = 1;
 
 class DashboardController {
-  constructor() {
-    this.metricsService = new MetricsService();
-  }
-
   // Extract tenant ID from request
   _getTenantId(req) {
     return TenantService.extractFromRequest(req);
   }
 
-  // Get or auto-detect story points field for a tenant
-  async _getStoryPointsField(jiraService, tenantId) {
-    if (!tenantId) return 'customfield_10061';
-
-    // Check cache first
-    if (storyPointsFieldCache.has(tenantId)) {
-      return storyPointsFieldCache.get(tenantId);
-    }
-
-    // Known tenants
-    if (tenantId === 'indeed.atlassian.net') {
-      storyPointsFieldCache.set(tenantId, 'customfield_10061');
-      return 'customfield_10061';
-    }
-
-    // Auto-detect for unknown tenants
-    const fieldId = await jiraService.detectStoryPointsField();
-    storyPointsFieldCache.set(tenantId, fieldId);
-    return fieldId;
-  }
-
-  // Initialize Jira connection (lightweight — validates credentials only)
-  async testConnection(req, res) {
-    try {
-      const { jiraUrl, email, apiToken } = req.body;
-      const tenantId = TenantService.extractTenantId(jiraUrl);
-      const locale = TenantService.detectLocale(tenantId);
-
-      const jiraService = new JiraService(jiraUrl, email, apiToken);
-      const user = await jiraService.getCurrentUser();
-
-      res.json({
-        success: true,
-        message: 'Connection successful',
-        tenantId,
-        locale,
-        displayName: user?.displayName || null
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        message: error.message
-      });
-    }
-  }
-
   // Get available boards/teams (tenant-scoped)
   // Returns cached boards immediately when available, or triggers a background
   // fetch from Jira and returns { loading: true } so the frontend can poll.
   async getBoards(req, res) {
     try {
-      const { jiraUrl, email, apiToken, forceRefresh = false } = req.body;
+      const { jiraUrl, email, apiToken, deploymentType } = req.session;
+      const { forceRefresh = false } = req.body;
       const tenantId = this._getTenantId(req);
 
       // Check database cache first (tenant-scoped)
@@ -89,7 +48,7 @@ class DashboardController {
 
       // No cache — fetch from Jira in background to avoid serverless timeout
       console.log(`📡 Triggering background fetch of boards from Jira (tenant: ${tenantId})...`);
-      const jiraService = new JiraService(jiraUrl, email, apiToken);
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
 
       // Background fetch: uses waitUntil on Vercel so the work continues after response
       const fetchPromise = jiraService.getBoards()
@@ -130,8 +89,9 @@ class DashboardController {
   // Get available sprints for a board
   async getSprints(req, res) {
     try {
-      const { jiraUrl, email, apiToken, boardId } = req.body;
-      const jiraService = new JiraService(jiraUrl, email, apiToken);
+      const { jiraUrl, email, apiToken, deploymentType } = req.session;
+      const { boardId } = req.body;
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
 
       // Get board name for sprint filtering
       const board = await jiraService.getBoard(boardId);
@@ -170,8 +130,11 @@ class DashboardController {
   // Get team metrics (tenant-scoped)
   async getTeamMetrics(req, res) {
     try {
-      const { jiraUrl, email, apiToken, boardId, sprintCount = 6, sprintIds, forceRefresh = false } = req.body;
+      const { jiraUrl, email, apiToken, deploymentType } = req.session;
+      const { boardId, sprintCount = 6, sprintIds, forceRefresh = false, fullResync = false, mode = 'auto', windowWeeks = 12 } = req.body;
       const tenantId = this._getTenantId(req);
+      // Progress events ({ stage, current, total, issues, detail }) for refresh jobs (see jobService)
+      const progress = req.onProgress || (() => {});
 
       console.log(`\n🎯 getTeamMetrics called with:`);
       console.log(`  Board ID: ${boardId} (type: ${typeof boardId})`);
@@ -197,20 +160,56 @@ class DashboardController {
         }
       }
 
+      // Fetching from Jira writes a new snapshot for everyone, which takes a team lead; below
+      // that a cache miss is served from the latest stored snapshot. Jobs and scheduled
+      // refreshes (req.background) were authorized when submitted.
+      if (!req.background && !AccessService.hasRole(req.session.role, 'team_lead')) {
+        const snapshot = await database.getLatestMetrics(parseInt(boardId), tenantId);
+        if (!snapshot) {
+          return res.status(404).json({
+            success: false,
+            message: 'No stored metrics for this board yet — a team lead has to load it from Jira first'
+          });
+        }
+        return res.json({
+          success: true,
+          data: snapshot.metrics_data,
+          cached: true,
+          historyId: snapshot.id,
+          calculatedAt: snapshot.calculated_at,
+          message: 'Data loaded from history'
+        });
+      }
+
       console.log(`  📡 Fetching fresh data from Jira for board ${boardId}`);
-      const jiraService = new JiraService(jiraUrl, email, apiToken);
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
 
-      // Auto-detect story points field for this tenant
-      const storyPointsField = await this._getStoryPointsField(jiraService, tenantId);
-      this.metricsService.setStoryPointsField(storyPointsField);
+      // Tenant settings: story points field (else auto-detected), rollover labels, QA/dev
+      // statuses and defect labels
+      const tenantSettings = await tenantSettingsService.getSettings(tenantId);
+      const metricsService = new MetricsService(tenantSettings);
+      const storyPointsField = await jiraService.getStoryPointsField();
+      metricsService.setStoryPointsField(storyPointsField);
 
       // Get board name early (needed for sprint filtering)
       const board = await jiraService.getBoard(boardId);
       const boardName = board?.name || `Board ${boardId}`;
 
+      // Kanban boards have no sprints — analyze flow over a time window instead
+      if (mode === 'kanban' || (mode === 'auto' && board?.type === 'kanban')) {
+        return await this._getKanbanMetrics(req, res, { jiraService, metricsService, boardId, boardName, tenantId, windowWeeks, progress });
+      }
+
       // Get sprints
+      progress({ stage: 'sprints', detail: boardName });
       const allSprints = await jiraService.getSprints(boardId, 'closed');
 
+      // Scrum board that never closed a sprint: fall back to the flow analysis
+      if (allSprints.length === 0 && mode === 'auto') {
+        console.log(`  ℹ No closed sprints on board ${boardId} — using Kanban flow analysis`);
+        return await this._getKanbanMetrics(req, res, { jiraService, metricsService, boardId, boardName, tenantId, windowWeeks, progress });
+      }
+
       // Filter sprints to match the board's naming convention
       const boardKey = boardName.replace(/\s*Scrum\s*Board\s*/i, '').trim().toUpperCase();
       const filteredSprints = allSprints.filter(sprint => {
@@ -254,20 +253,54 @@ class DashboardController {
         console.log(`  ${idx + 1}. ${s.name} (${s.startDate?.split('T')[0]} to ${s.endDate?.split('T')[0]})`);
       });
 
-      // Pre-fetch ALL sprint issues + backlog + future sprints in parallel
-      console.log(`  ⚡ Fetching all sprint issues + backlog + future sprints + velocity in parallel...`);
+      // Incremental sync: closed sprints already stored are not downloaded again
+      // (fullResync ignores the stored copies, e.g. after fixing data in Jira)
+      const storedSprints = fullResync
+        ? new Map()
+        : await database.getClosedSprintData(boardId, recentSprints.map(s => s.id), tenantId);
+      for (const [sprintId, stored] of storedSprints) {
+        if (stored.storyPointsField !== storyPointsField) storedSprints.delete(sprintId);
+      }
+      const sprintsToFetch = recentSprints.filter(s => !storedSprints.has(s.id));
+
+      // Pre-fetch new sprint issues + backlog + future sprints in parallel
+      console.log(`  ⚡ Fetching ${sprintsToFetch.length} new sprints (${storedSprints.size} stored) + backlog + future sprints + velocity in parallel...`);
       const sprintIssuesMap = new Map();
       let backlogIssuesResult = [];
+      const truncatedListings = []; // Listings that hit JiraService's safety cap
       let futureSprintItems = { count: 0, sprints: [] };
       let velocityData = null;
 
-      const fetchPromises = recentSprints.map(async (sprint) => {
-        const issues = await jiraService.getSprintIssues(sprint.id, boardId);
+      for (const [sprintId, stored] of storedSprints) {
+        const issues = stored.issues;
+        if (stored.reportData) issues._sprintReportData = stored.reportData;
+        sprintIssuesMap.set(sprintId, issues);
+      }
+
+      let sprintsFetched = 0;
+      progress({ stage: 'sprint', current: 0, total: sprintsToFetch.length });
+      const fetchPromises = sprintsToFetch.map(async (sprint) => {
+        const issues = await jiraService.getSprintIssues(sprint.id, boardId, {
+          onChangelogs: (count) => progress({ stage: 'changelogs', current: sprintsFetched, total: sprintsToFetch.length, issues: count, detail: sprint.name })
+        });
         sprintIssuesMap.set(sprint.id, issues);
+        progress({ stage: 'sprint', current: ++sprintsFetched, total: sprintsToFetch.length, detail: sprint.name });
+        // A truncated listing is not stored, so the next refresh tries again
+        if (!issues._truncated) {
+          await database.saveClosedSprintData(boardId, sprint.id, {
+            sprintName: sprint.name,
+            storyPointsField,
+            issues: this._compactIssues(issues),
+            reportData: issues._sprintReportData || null
+          }, tenantId);
+        }
       });
       fetchPromises.push(
         jiraService.getBacklogIssues(boardId)
-          .then(issues => { backlogIssuesResult = issues; })
+          .then(issues => {
+            backlogIssuesResult = issues;
+            progress({ stage: 'backlog', issues: issues.length });
+          })
           .catch(err => { console.warn('  ⚠ Could not fetch backlog:', err.message); })
       );
       // Fetch velocity chart data (for accurate Committed vs Completed matching Jira)
@@ -289,14 +322,13 @@ class DashboardController {
             let totalPoints = 0;
             const sprintDetails = [];
             const allRawIssues = []; // Full issue objects for backlog health merge
-            const storyPointsField = jiraService.storyPointsField || 'customfield_10061';
             for (const sprint of upcomingSprints.slice(0, 5)) {
               try {
-                // Use agile API directly (not getSprintIssues which calls Sprint Report API)
-                const resp = await jiraService.agileApi.get(`/board/${boardId}/sprint/${sprint.id}/issue`, {
-                  params: { maxResults: 1000, fields: `summary,issuetype,status,assignee,description,${storyPointsField}` }
-                });
-                const allIssues = resp.data.issues || [];
+                // Not getSprintIssues, which also calls the Sprint Report API
+                const allIssues = await jiraService.getBoardSprintIssues(
+                  boardId, sprint.id, ['summary', 'issuetype', 'status', 'assignee', 'description', storyPointsField].filter(Boolean).join(',')
+                );
+                if (allIssues._truncated) truncatedListings.push(allIssues._truncated);
                 const parentIssues = allIssues.filter(i => !i.fields?.issuetype?.subtask);
                 allRawIssues.push(...parentIssues);
                 const sprintPoints = parentIssues.reduce((sum, i) => sum + (i.fields?.[storyPointsField] || 0), 0);
@@ -324,11 +356,8 @@ class DashboardController {
             // Fetch average velocity from Jira Velocity Chart API
             let avgVelocity = null;
             try {
-              const velResp = await axios.get(
-                `${jiraService.baseUrl}/rest/greenhopper/1.0/rapid/charts/velocity`,
-                { params: { rapidViewId: boardId }, headers: { 'Authorization': `Basic ${jiraService.auth}`, 'Accept': 'application/json' } }
-              );
-              const velEntries = Object.values(velResp.data?.velocityStatEntries || {});
+              const velocityChart = await jiraService.getVelocityChart(boardId);
+              const velEntries = Object.values(velocityChart?.velocityStatEntries || {});
               if (velEntries.length > 0) {
                 const completedVals = velEntries.map(e => e.completed?.value || 0);
                 avgVelocity = Math.round((completedVals.reduce((a, b) => a + b, 0) / completedVals.length) * 10) / 10;
@@ -345,7 +374,12 @@ class DashboardController {
       console.log(`  ✓ All data fetched in parallel`);
 
       // Process each sprint
+      progress({ stage: 'metrics', total: recentSprints.length });
       const sprintMetrics = [];
+      // Stored entries also go stale when the tenant's rollover or defect labels change
+      const settingsFingerprint = crypto.createHash('sha1')
+        .update(JSON.stringify([tenantSettings.rolloverLabels, tenantSettings.defectLabels]))
+        .digest('hex').slice(0, 8);
 
       for (let i = 0; i < recentSprints.length; i++) {
         const sprint = recentSprints[i];
@@ -377,11 +411,20 @@ class DashboardController {
         const nextSprint = recentSprints[i + 1];
         const nextSprintIssues = nextSprint ? sprintIssuesMap.get(nextSprint.id) : [];
 
-        const sprintGoalResult = this.metricsService.calculateSprintGoalAttainment(sprint, issues);
-        const rolloverResult = this.metricsService.calculateRolloverRate(issues, nextSprintIssues, sprint.name, sprint);
-        const sprintHitRate = this.metricsService.calculateSprintHitRate(issues, sprint.completeDate || sprint.endDate);
-        const midSprintAdditions = this.metricsService.calculateMidSprintAdditions(issues, sprint.startDate);
-        const defectDistribution = this.metricsService.calculateDefectDistribution(issues);
+        // Rollover depends on the following sprint, so a stored entry is only reused when it
+        // was computed with the same next sprint, metrics version and tenant labels
+        const metricsContext = `${SPRINT_METRICS_VERSION}:${settingsFingerprint}:${nextSprint?.id ?? 'none'}`;
+        const stored = storedSprints.get(sprint.id);
+        if (stored?.sprintMetrics && stored.metricsContext === metricsContext) {
+          sprintMetrics.push(stored.sprintMetrics);
+          continue;
+        }
+
+        const sprintGoalResult = metricsService.calculateSprintGoalAttainment(sprint, issues);
+        const rolloverResult = metricsService.calculateRolloverRate(issues, nextSprintIssues, sprint.name, sprint);
+        const sprintHitRate = metricsService.calculateSprintHitRate(issues, sprint.completeDate || sprint.endDate);
+        const midSprintAdditions = metricsService.calculateMidSprintAdditions(issues, sprint.startDate);
+        const defectDistribution = metricsService.calculateDefectDistribution(issues);
 
         // Use Velocity Chart API for plannedPoints (Committed) — exact match with Jira Velocity Report
         // Fall back to Sprint Report data if velocity not available
@@ -410,8 +453,12 @@ class DashboardController {
           sprintHitRate,
           midSprintAdditions,
           defectDistribution,
-          totalIssues: issues.filter(i => !i.fields.issuetype.subtask).length
+          totalIssues: issues.filter(i => !i.fields.issuetype.subtask).length,
+          completedIssues: Math.round((sprintHitRate / 100) * issues.filter(i => !i.fields.issuetype.subtask).length)
         });
+        if (!issues._truncated) {
+          await database.saveClosedSprintMetrics(boardId, sprint.id, sprintMetrics[sprintMetrics.length - 1], metricsContext, tenantId);
+        }
       }
 
       // Backlog health
@@ -429,7 +476,7 @@ class DashboardController {
           });
         const allBacklogIssues = [...backlogIssuesResult, ...sprintToDoIssues];
         console.log(`  Found ${backlogIssuesResult.length} backlog + ${sprintToDoIssues.length} sprint To Do = ${allBacklogIssues.length} total`);
-        backlogHealth = this.metricsService.calculateBacklogHealth(allBacklogIssues);
+        backlogHealth = metricsService.calculateBacklogHealth(allBacklogIssues);
         // Attach future sprint item data to backlog health (exclude _rawIssues from response)
         const { _rawIssues, ...futureSprintItemsClean } = futureSprintItems;
         backlogHealth.futureSprintItems = futureSprintItemsClean;
@@ -438,7 +485,7 @@ class DashboardController {
       }
 
       // Aggregate metrics
-      const aggregated = this.metricsService.aggregateSprintMetrics(sprintMetrics);
+      const aggregated = metricsService.aggregateSprintMetrics(sprintMetrics);
 
       if (!aggregated) {
         return res.status(400).json({
@@ -447,19 +494,27 @@ class DashboardController {
         });
       }
 
-      // Determine maturity level
-      const maturityLevel = this.metricsService.determineMaturityLevel({
-        rolloverRate: aggregated.avgRolloverRate || 0,
-        sprintGoalAttainment: aggregated.avgSprintGoalAttainment || 0,
-        backlogHealth,
-        midSprintAdditions: aggregated.avgMidSprintAdditions || 0
-      });
-
-      // Flow & Quality metrics (Pillar 2)
-      const flowQuality = this.metricsService.calculateFlowQuality(
+      // Flow & Quality metrics (Pillar 2) — computed first so maturity criteria can use them
+      const flowQuality = metricsService.calculateFlowQuality(
         sprintIssuesMap, sprintMetrics, recentSprints
       );
 
+      // Determine maturity level from the tenant's maturity model
+      // (previous snapshot provides the confirmed level + older sprints for the sustain rule)
+      const maturityModel = await maturityModelService.getModel(tenantId);
+      const previousSnapshot = await database.getLatestMetrics(boardId, tenantId);
+      const maturityLevel = metricsService.determineMaturityLevel(
+        { aggregated, backlogHealth, flowQuality, sprintMetrics, previousSnapshot },
+        maturityModel,
+        await tenantSettingsService.getLocale(tenantId)
+      );
+
+      // Issue listings cut at the safety cap make backlog and rollover numbers partial
+      for (const issues of [...sprintIssuesMap.values(), backlogIssuesResult]) {
+        if (issues?._truncated) truncatedListings.push(issues._truncated);
+      }
+      const warnings = this._truncationWarnings(truncatedListings);
+
       // Prepare response data
       const responseData = {
         sprintMetrics,
@@ -470,31 +525,25 @@ class DashboardController {
         boardId,
         boardName,
         sprintsAnalyzed: sprintMetrics.length,
-        tenantId
+        tenantId,
+        rolloverLabels: tenantSettings.rolloverLabels,
+        ...(warnings.length > 0 && { warnings })
       };
 
-      // Cache the data (tenant-scoped)
+      // Save to database (tenant-scoped), then cache the data
+      progress({ stage: 'saving' });
+      const historyId = await this._saveSnapshot(req, {
+        boardId, boardName, sprintCount, data: responseData, level: maturityLevel.level, tenantId
+      });
       const cacheKey = cacheService.generateKey(boardId, 'team-metrics', tenantId);
       cacheService.set(cacheKey, responseData);
 
-      // Save to database (tenant-scoped)
-      try {
-        await database.saveMetrics(
-          boardId,
-          boardName,
-          sprintCount,
-          responseData,
-          maturityLevel.level,
-          tenantId
-        );
-      } catch (dbError) {
-        console.warn('Failed to save metrics to database:', dbError.message);
-      }
-
       res.json({
         success: true,
         data: responseData,
         cached: false,
+        historyId,
+        sync: { storedSprints: storedSprints.size, fetchedSprints: sprintsToFetch.length },
         message: 'Data fetched from Jira API'
       });
 
@@ -507,12 +556,137 @@ class DashboardController {
     }
   }
 
+  // getTeamMetrics outside an HTTP request (scheduled refreshes, jobs): runs it for a
+  // session-like { tenantId, jiraUrl, email, apiToken, deploymentType } → { status, body },
+  // without the role check (the job or schedule was authorized when it was set up).
+  // onProgress receives the progress events.
+  async runTeamMetrics(session, params, onProgress = null) {
+    const result = { status: 200, body: null };
+    const res = {
+      status(code) { result.status = code; return this; },
+      json(body) { result.body = body; return this; }
+    };
+    await this.getTeamMetrics({ session, body: params, onProgress, background: true }, res);
+    return result;
+  }
+
+  // Store a new snapshot; returns its history id (null when the database is unavailable).
+  // A request stores it in one short transaction with its audit entry — metrics.force_refresh
+  // when forced, else metrics.refresh — so when the entry can't be written the snapshot is
+  // rolled back and this throws. Jobs and scheduled refreshes were audited when submitted.
+  async _saveSnapshot(req, { boardId, boardName, sprintCount, data, level, tenantId }) {
+    const save = () => database.saveMetrics(boardId, boardName, sprintCount, data, level, tenantId);
+    if (req.background || !database.sql) return save();
+
+    const { forceRefresh = false, fullResync = false, sprintIds, mode = 'auto' } = req.body;
+    return database.transaction(async () => {
+      const historyId = await save();
+      if (historyId !== null) {
+        await auditService.record(req.session, forceRefresh ? 'metrics.force_refresh' : 'metrics.refresh', {
+          boardId: parseInt(boardId),
+          params: { sprintCount, sprintIds, fullResync: !!fullResync, mode, historyId }
+        });
+      }
+      return historyId;
+    });
+  }
+
+  // Sprint issues as stored for incremental sync: null fields dropped (most of a '*all'
+  // payload), annotations and changelogs kept
+  _compactIssues(issues) {
+    return issues.map(issue => ({
+      ...issue,
+      fields: Object.fromEntries(Object.entries(issue.fields || {}).filter(([, value]) => value !== null))
+    }));
+  }
+
+  // Response warnings for issue listings that stopped at the safety cap
+  _truncationWarnings(truncated) {
+    return truncated.map(t => ({
+      type: 'truncated',
+      source: t.source,
+      fetched: t.fetched,
+      total: t.total,
+      message: `${t.source}: only the first ${t.fetched}${t.total ? ` of ${t.total}` : ''} issues were analyzed (safety cap ${t.cap})`
+    }));
+  }
+
+  // Kanban analysis: weekly throughput, cycle time percentiles, WIP over time, aging WIP and
+  // arrivals vs departures over the last `windowWeeks` weeks, assessed with the tenant's
+  // flow maturity model. Cached and stored like sprint-based metrics (mode: 'kanban').
+  async _getKanbanMetrics(req, res, { jiraService, metricsService, boardId, boardName, tenantId, windowWeeks, progress = () => {} }) {
+    const weeks = Math.min(Math.max(parseInt(windowWeeks, 10) || 12, 4), 52);
+    console.log(`\n📋 Board ${boardId} (${boardName}) - Kanban flow analysis over ${weeks} weeks`);
+    progress({ stage: 'issues', detail: boardName });
+
+    const [issues, statusCategories] = await Promise.all([
+      jiraService.getBoardIssuesForFlow(boardId, weeks * 7),
+      jiraService.getStatusCategories()
+    ]);
+
+    // Changelogs only for items that left "To Do" (the others have no flow history yet)
+    const flowKeys = issues
+      .filter(i => !i.fields?.issuetype?.subtask && i.fields?.status?.statusCategory?.key !== 'new')
+      .map(i => i.key);
+    progress({ stage: 'changelogs', issues: flowKeys.length });
+    const changelogMap = await jiraService.batchGetIssueChangelogs(flowKeys);
+    progress({ stage: 'metrics' });
+
+    const flowMetrics = kanbanService.calculateFlowMetrics(issues, changelogMap, statusCategories, { weeks });
+
+    // The board's own "To Do" items are the Kanban backlog
+    let backlogHealth = { score: 0, details: {} };
+    try {
+      backlogHealth = metricsService.calculateBacklogHealth(issues);
+    } catch (err) {
+      console.warn('  ❌ Could not calculate backlog health:', err.message);
+    }
+
+    const maturityModel = await maturityModelService.getModel(tenantId, 'kanban');
+    const maturityLevel = metricsService.determineFlowMaturityLevel(
+      { flowMetrics, backlogHealth },
+      maturityModel,
+      await tenantSettingsService.getLocale(tenantId)
+    );
+
+    const warnings = this._truncationWarnings(issues._truncated ? [issues._truncated] : []);
+    const responseData = {
+      mode: 'kanban',
+      flowMetrics,
+      backlogHealth,
+      maturityLevel,
+      sprintMetrics: [],
+      boardId,
+      boardName,
+      sprintsAnalyzed: 0,
+      windowWeeks: weeks,
+      tenantId,
+      ...(warnings.length > 0 && { warnings })
+    };
+
+    progress({ stage: 'saving' });
+    const historyId = await this._saveSnapshot(req, {
+      boardId, boardName, sprintCount: 0, data: responseData, level: maturityLevel.level, tenantId
+    });
+    const cacheKey = cacheService.generateKey(boardId, 'team-metrics', tenantId);
+    cacheService.set(cacheKey, responseData);
+
+    return res.json({
+      success: true,
+      data: responseData,
+      cached: false,
+      historyId,
+      message: 'Kanban flow data fetched from Jira API'
+    });
+  }
+
   // Diagnostic endpoint to find story points field
   async diagnostics(req, res) {
     try {
-      const { jiraUrl, email, apiToken, boardId } = req.body;
+      const { jiraUrl, email, apiToken, deploymentType } = req.session;
+      const { boardId } = req.body;
 
-      const jiraService = new JiraService(jiraUrl, email, apiToken);
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
 
       // Find story points field candidates
       const storyPointsCandidates = await jiraService.findStoryPointsField();
@@ -543,7 +717,10 @@ class DashboardController {
             .reduce((acc, k) => {
               acc[k] = sampleIssue.fields[k];
               return acc;
-            }, {}) : {}
+            }, {}) : {},
+          // Request layer health (retries, 429s, latency) of this Jira site
+          requestMetrics: jiraHttpClient.getMetrics(jiraService.tenantId),
+          recorder: jiraRecorder.getStatus()
         }
       });
     } catch (error) {
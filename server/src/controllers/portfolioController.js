@@ -0,0 +1,77 @@
+import JiraService from '../services/jiraService.js';
+import database from '../services/database.js';
+import portfolioService from '../services/portfolioService.js';
+import dependencyGraphService from '../services/dependencyGraphService.js';
+import TenantService from '../services/tenantService.js';
+
+// Portfolio cache freshness (product_data_cache)
+const PORTFOLIO_MAX_AGE_MS = 30 * 60 * 1000;
+
+// Epic portfolio across boards (roadmap / timeline)
+class PortfolioController {
+
+  // Extract tenant ID from request
+  _getTenantId(req) {
+    return TenantService.extractFromRequest(req);
+  }
+
+  // Portfolio from product_data_cache while fresh, otherwise rebuilt from Jira and cached
+  async _loadPortfolio(req) {
+    const { jiraUrl, email, apiToken, deploymentType } = req.session;
+    const { boardIds, forceRefresh = false } = req.body;
+    const tenantId = this._getTenantId(req);
+
+    if (!forceRefresh) {
+      const cached = await database.getProductData([...boardIds], 'portfolio', PORTFOLIO_MAX_AGE_MS, tenantId);
+      if (cached && !cached.stale) {
+        return { portfolio: cached.data, cached: true, age: cached.age };
+      }
+    }
+
+    console.log(`\n🗺️  Building epic portfolio for boards [${boardIds.join(', ')}] (tenant: ${tenantId})`);
+    const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
+    const portfolio = await portfolioService.buildPortfolio(jiraService, boardIds);
+
+    await database.saveProductData([...boardIds], 'portfolio', portfolio, tenantId);
+    return { portfolio, cached: false };
+  }
+
+  // Portfolio for the selected boards
+  async getPortfolio(req, res) {
+    try {
+      const { boardIds = [] } = req.body;
+      if (!Array.isArray(boardIds) || boardIds.length === 0) {
+        return res.status(400).json({ success: false, message: 'boardIds is required' });
+      }
+
+      const { portfolio, cached, age } = await this._loadPortfolio(req);
+      res.json({ success: true, data: portfolio, cached, ...(cached && { age }) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  // Epic dependency graph (cycles, critical path, cross-team blockers) built on the portfolio
+  async getDependencyGraph(req, res) {
+    try {
+      const { boardIds = [] } = req.body;
+      if (!Array.isArray(boardIds) || boardIds.length === 0) {
+        return res.status(400).json({ success: false, message: 'boardIds is required' });
+      }
+
+      const { portfolio, cached, age } = await this._loadPortfolio(req);
+      const graph = dependencyGraphService.buildGraph(portfolio);
+      res.json({ success: true, data: graph, cached, ...(cached && { age }) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+export default PortfolioController;
@@ -0,0 +1,146 @@
+import JiraService from '../services/jiraService.js';
+
+// Release readiness: versions of a board's project, release scope/completion and burndown
+class ReleaseController {
+
+  // Compact version shape returned to the dashboard
+  _formatVersion(version) {
+    const releaseDate = version.releaseDate || null;
+    return {
+      id: version.id,
+      name: version.name,
+      description: version.description || '',
+      released: !!version.released,
+      archived: !!version.archived,
+      startDate: version.startDate || null,
+      releaseDate,
+      overdue: !version.released && !!releaseDate && new Date(releaseDate) < new Date()
+    };
+  }
+
+  // Project the completion date from the burndown: average completed points/day over the
+  // last 14 days of the series (whole series when shorter), applied to the remaining points
+  _projectCompletion(burndown, releaseDate) {
+    if (!burndown || burndown.length < 2) return null;
+
+    const last = burndown[burndown.length - 1];
+    const window = burndown.slice(-15);
+    const first = window[0];
+    const days = window.length - 1;
+    const dailyRate = days > 0 ? (last.completedPoints - first.completedPoints) / days : 0;
+
+    const result = {
+      remainingPoints: last.remainingPoints,
+      dailyRate: Math.round(dailyRate * 100) / 100,
+      basisDays: days,
+      projectedDate: null,
+      onTrack: null
+    };
+
+    if (last.remainingPoints <= 0) {
+      result.projectedDate = last.date;
+    } else if (dailyRate > 0) {
+      const projected = new Date(`${last.date}T00:00:00Z`);
+      projected.setUTCDate(projected.getUTCDate() + Math.ceil(last.remainingPoints / dailyRate));
+      result.projectedDate = projected.toISOString().split('T')[0];
+    }
+
+    if (result.projectedDate && releaseDate) {
+      result.onTrack = result.projectedDate <= releaseDate;
+    }
+    return result;
+  }
+
+  // List versions for the board's project (unreleased first, then most recent releases)
+  async getReleases(req, res) {
+    try {
+      const { jiraUrl, email, apiToken, deploymentType } = req.session;
+      const { boardId, includeArchived = false } = req.body;
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
+
+      const projectKey = await jiraService.getProjectKeyFromBoard(boardId);
+      const versions = (await jiraService.getProjectVersions(projectKey))
+        .filter(v => includeArchived || !v.archived)
+        .map(v => this._formatVersion(v))
+        .sort((a, b) => {
+          if (a.released !== b.released) return a.released ? 1 : -1;
+          return new Date(b.releaseDate || 0) - new Date(a.releaseDate || 0);
+        });
+
+      res.json({ success: true, projectKey, versions });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  // Release detail: scope added before/after start, removed issues, completion
+  async getReleaseDetail(req, res) {
+    try {
+      const { jiraUrl, email, apiToken, deploymentType } = req.session;
+      const { boardId } = req.body;
+      const { versionId } = req.params;
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
+
+      const [version, projectKey] = await Promise.all([
+        jiraService.getVersion(versionId),
+        jiraService.getProjectKeyFromBoard(boardId)
+      ]);
+      const details = await jiraService.getReleaseDetails(projectKey, version.id, version.name, version.startDate);
+
+      const sumPoints = (issues) => issues
+        .filter(i => !i._isSubtask)
+        .reduce((sum, i) => sum + (i.storyPoints || 0), 0);
+
+      res.json({
+        success: true,
+        version: this._formatVersion(version),
+        projectKey,
+        ...details,
+        scopeChange: {
+          hasStartDate: !!version.startDate,
+          addedAfterStartCount: details.addedAfterStart.filter(i => !i._isSubtask).length,
+          addedAfterStartPoints: sumPoints(details.addedAfterStart),
+          removedCount: details.removedIssues.length
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  // Daily burndown/burnup series + projected completion date
+  async getReleaseBurndown(req, res) {
+    try {
+      const { jiraUrl, email, apiToken, deploymentType } = req.session;
+      const { boardId } = req.body;
+      const { versionId } = req.params;
+      const jiraService = new JiraService(jiraUrl, email, apiToken, { deploymentType });
+
+      const [version, projectKey] = await Promise.all([
+        jiraService.getVersion(versionId),
+        jiraService.getProjectKeyFromBoard(boardId)
+      ]);
+      const burndown = await jiraService.getVersionBurndown(projectKey, version.name, version.startDate, version.releaseDate);
+
+      res.json({
+        success: true,
+        version: this._formatVersion(version),
+        burndown,
+        projection: this._projectCompletion(burndown, version.releaseDate || null)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+export default ReleaseController;
@@ -2,33 +2,49 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import path from 'path';
-import fs from 'fs';
 import { fileURLToPath } from 'url';
 import DashboardController from './controllers/dashboardController.js';
+import ReleaseController from './controllers/releaseController.js';
+import PortfolioController from './controllers/portfolioController.js';
+import AuthController from './controllers/authController.js';
+import JiraService from './services/jiraService.js';
+import jiraHttpClient from './services/jiraHttpClient.js';
+import jiraRecorder from './services/jiraRecorder.js';
 import database from './services/database.js';
+import migrationService from './services/migrationService.js';
+import maturityModelService, { MaturityModelService } from './services/maturityModelService.js';
+import forecastService from './services/forecastService.js';
+import tenantSettingsService, { TenantSettingsService } from './services/tenantSettingsService.js';
+import sessionService from './services/sessionService.js';
+import accessService, { AccessService } from './services/accessService.js';
+import auditService, { AuditService } from './services/auditService.js';
+import schedulerService from './services/schedulerService.js';
+import jobService from './services/jobService.js';
+import overviewService from './services/overviewService.js';
+import trendService from './services/trendService.js';
+import reportService from './services/reportService.js';
+import exportService from './services/exportService.js';
+import { waitUntil } from '@vercel/functions';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Apply schema.sql on boot in non-serverless environments (Aurora container, local dev).
-// Idempotent via CREATE TABLE IF NOT EXISTS — safe to run on every startup.
-// Skipped on Vercel: serverless cold starts would re-run per invocation and the
-// Neon-backed Vercel deployment already has the schema applied.
-async function applySchema() {
+// Apply pending migrations (sql/migrations) on boot in non-serverless environments (Aurora
+// container, local dev). Skipped on Vercel: serverless cold starts would re-run per invocation;
+// run `npm run migrate -- up` against the Neon database when deploying there.
+async function runMigrations() {
   if (process.env.VERCEL) return;
   if (!database.sql) {
-    console.warn('⚠ DATABASE_URL not set — skipping schema init');
+    console.warn('⚠ DATABASE_URL not set — skipping migrations');
     return;
   }
   try {
-    const schemaPath = path.join(__dirname, '../sql/schema.sql');
-    const sql = fs.readFileSync(schemaPath, 'utf8');
-    await database.sql.query(sql);
-    console.log('✓ Schema applied (idempotent)');
+    const applied = await migrationService.migrate();
+    console.log(applied.length > 0 ? `✓ ${applied.length} migration(s) applied` : '✓ Schema up to date');
   } catch (err) {
-    console.error('❌ Schema init failed:', err.message);
+    console.error('❌ Migrations failed:', err.message);
     throw err;
   }
 }
@@ -37,47 +53,143 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Frontends on another origin (CORS_ORIGIN, comma-separated) send the session cookie along and
+// read report filenames from Content-Disposition
+app.use(process.env.CORS_ORIGIN
+  ? cors({ origin: process.env.CORS_ORIGIN.split(',').map(o => o.trim()), credentials: true, exposedHeaders: ['Content-Disposition'] })
+  : cors());
 app.use(express.json({ limit: '10mb' }));
 
+// CSRF: state-changing API calls must carry X-Requested-With. Another site can only set that
+// header after a CORS preflight, which fails unless it is listed in CORS_ORIGIN — plain form
+// posts and body-less POSTs from other sites are refused.
+app.use('/api', (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.get('X-Requested-With') === 'XMLHttpRequest') {
+    return next();
+  }
+  res.status(403).json({ success: false, message: 'Missing X-Requested-With header' });
+});
+
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
   const frontendPath = path.join(__dirname, '../public');
   app.use(express.static(frontendPath));
 }
 
-// Initialize controller
+// Initialize controllers
 const dashboardController = new DashboardController();
+const releaseController = new ReleaseController();
+const portfolioController = new PortfolioController();
+const authController = new AuthController();
 
-// API Routes
-// Get default Jira credentials (for team-wide access)
-app.get('/api/credentials', (req, res) => {
-  const jiraUrl = process.env.JIRA_URL;
-  const jiraEmail = process.env.JIRA_EMAIL;
-  const jiraToken = process.env.JIRA_API_TOKEN;
-
-  // Only return credentials if all are configured
-  if (jiraUrl && jiraEmail && jiraToken) {
-    res.json({
-      success: true,
-      credentials: {
-        jiraUrl,
-        email: jiraEmail,
-        apiToken: jiraToken
-      }
+// Resolve the login session from the HttpOnly cookie: req.session carries the decrypted Jira
+// credentials, deployment type, tenant and role. Unauthenticated requests get 401.
+async function requireSession(req, res, next) {
+  if (req.session) return next();
+  try {
+    const session = await sessionService.get(sessionService.readToken(req));
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Not signed in' });
+    }
+    session.role = await accessService.resolveRole(session);
+    req.session = session;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+}
+
+// Refuse (403) sessions whose role is below `role` (viewer < team_lead < admin); runs after
+// requireSession
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.session) {
+      return res.status(401).json({ success: false, message: 'Not signed in' });
+    }
+    if (!AccessService.hasRole(req.session.role, role)) {
+      return res.status(403).json({ success: false, message: `Requires the ${role} role (you are ${req.session.role})` });
+    }
+    next();
+  };
+}
+
+// Run the request in one database transaction with its audit entry: the handler's response is
+// held back until the entry is written and the transaction committed. A failed request (status
+// >= 400) is rolled back and not recorded; one whose entry can't be written fails with 500 and
+// is rolled back. describe(req) → { boardId, params }, or null to skip; handlers can add result
+// details (e.g. rows removed) in res.locals.auditParams.
+function audit(action, describe = () => ({})) {
+  return (req, res, next) => {
+    const entry = describe(req);
+    if (!entry || !database.sql) return next();
+
+    const json = res.json.bind(res);
+    let body;
+    const responded = new Promise(resolve => {
+      res.json = (value) => {
+        body = value;
+        resolve();
+        return res;
+      };
     });
-  } else {
-    res.status(404).json({
-      success: false,
-      message: 'No default credentials configured'
+    res.locals.afterCommit = [];
+    const failed = new Error('Request failed');
+
+    database.transaction(async () => {
+      next();
+      await responded;
+      if (res.statusCode >= 400) throw failed;
+      await auditService.record(req.session, action, {
+        boardId: entry.boardId ?? null,
+        params: { ...entry.params, ...res.locals.auditParams }
+      });
+    }).then(() => {
+      res.locals.afterCommit.forEach(start => start());
+      json(body);
+    }, (error) => {
+      if (error === failed) return json(body);
+      console.warn(`Audited request ${action} rolled back:`, error.message);
+      res.status(500);
+      json({ success: false, message: error.message });
     });
-  }
-});
+  };
+}
 
-app.post('/api/jira/test-connection', (req, res) =>
-  dashboardController.testConnection(req, res)
+// Start background work that outlives the request (job drain, refresh run). Audited requests
+// start it once their transaction committed, so it sees their changes and runs outside it.
+function startInBackground(res, start) {
+  const launch = () => {
+    const work = start();
+    if (process.env.VERCEL) {
+      waitUntil(work);
+    }
+  };
+  if (res.locals.afterCommit) res.locals.afterCommit.push(launch);
+  else launch();
+}
+
+// API Routes
+// Login (validates the Jira credentials and opens a session), logout and current session
+app.post('/api/auth/login', (req, res) =>
+  authController.login(req, res)
+);
+
+app.post('/api/auth/logout', (req, res) =>
+  authController.logout(req, res)
 );
 
+app.get('/api/auth/session', (req, res) =>
+  authController.getSession(req, res)
+);
+
+// Every Jira-backed and tenant-scoped route runs with the session's credentials and tenant;
+// the tenant always comes from the session, never from the request
+app.use([
+  '/api/jira', '/api/metrics', '/api/portfolio', '/api/debug', '/api/history', '/api/forecast',
+  '/api/maturity-model', '/api/admin', '/api/jobs', '/api/reports'
+], requireSession);
+app.use(['/api/debug', '/api/admin'], requireRole('admin'));
+
 app.post('/api/jira/boards', (req, res) => 
   dashboardController.getBoards(req, res)
 );
@@ -86,18 +198,131 @@ app.post('/api/jira/sprints', (req, res) =>
   dashboardController.getSprints(req, res)
 );
 
-app.post('/api/metrics/team', (req, res) =>
-  dashboardController.getTeamMetrics(req, res)
+// Loading from Jira writes a new snapshot for everyone and takes a team lead: forcing it is
+// refused (403) below that, and a viewer's cache miss is served from the latest stored
+// snapshot (see getTeamMetrics). Each stored snapshot is audited with it — the Jira fetch runs
+// outside any transaction, so this route doesn't use audit().
+app.post('/api/metrics/team',
+  (req, res, next) => (req.body.forceRefresh || req.body.fullResync ? requireRole('team_lead')(req, res, next) : next()),
+  (req, res) => dashboardController.getTeamMetrics(req, res)
 );
 
-app.post('/api/diagnostics', (req, res) =>
+// Refresh jobs (see jobService): boards are refreshed by the worker instead of inside the
+// request. Body: { boards: [{ id, name }], sprintCount, sprintIds, fullResync, mode } → 202 with
+// one job per board (a board already queued or running keeps its job).
+app.post('/api/jobs', requireRole('team_lead'), audit('metrics.force_refresh', req => {
+  const { boards, sprintCount, sprintIds, fullResync, mode } = req.body;
+  const boardIds = Array.isArray(boards) ? boards.map(b => b?.id) : [];
+  return { boardId: boardIds.length === 1 ? boardIds[0] : null, params: { boardIds, sprintCount, sprintIds, fullResync: !!fullResync, mode, job: true } };
+}), async (req, res) => {
+  try {
+    if (!database.sql) {
+      return res.status(503).json({ success: false, message: 'Database not available' });
+    }
+    const { jobs, errors } = await jobService.submit(req.session, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid job', errors });
+    }
+    startInBackground(res, () => jobService.drain().catch(err => console.warn('Job worker failed:', err.message)));
+    res.status(202).json({ success: true, jobs });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Active jobs of the tenant plus those finished in the last hour
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const jobs = await jobService.list(req.session.tenantId, { since: new Date(Date.now() - 3600 * 1000) });
+    res.json({ success: true, jobs });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Server-Sent Events: a "snapshot" of the jobs (as GET /api/jobs), then a "job" event for every
+// status or progress change of the tenant's jobs. The session is checked again on every poll;
+// the stream ends once it is signed out or expired.
+app.get('/api/jobs/events', async (req, res) => {
+  const { tenantId } = req.session;
+  const token = sessionService.readToken(req);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const unwatch = jobService.watch(tenantId, {
+    onJob: (job) => send('job', job),
+    onTick: async () => {
+      const session = await sessionService.get(token).catch(() => null);
+      if (session?.tenantId !== tenantId) {
+        unwatch();
+        return res.end();
+      }
+      res.write(': ping\n\n');
+    }
+  });
+  req.on('close', unwatch);
+
+  try {
+    send('snapshot', { jobs: await jobService.list(tenantId, { since: new Date(Date.now() - 3600 * 1000) }) });
+  } catch (error) {
+    send('error', { message: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobService.get(req.session.tenantId, parseInt(req.params.id));
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/diagnostics', requireSession, (req, res) =>
   dashboardController.diagnostics(req, res)
 );
 
-// Cached boards endpoint (tenant-scoped via query param)
+// Jira request metrics of the session's site only (no Jira call)
+app.get('/api/diagnostics', requireSession, (req, res) => {
+  const metrics = jiraHttpClient.getMetrics(req.session.tenantId);
+  res.json({ success: true, requestMetrics: metrics, recorder: jiraRecorder.getStatus() });
+});
+
+// Release readiness (versions of the board's project)
+app.post('/api/jira/releases', (req, res) =>
+  releaseController.getReleases(req, res)
+);
+
+app.post('/api/jira/releases/:versionId', (req, res) =>
+  releaseController.getReleaseDetail(req, res)
+);
+
+app.post('/api/jira/releases/:versionId/burndown', (req, res) =>
+  releaseController.getReleaseBurndown(req, res)
+);
+
+// Epic portfolio across boards (cached in product_data_cache)
+app.post('/api/portfolio', (req, res) =>
+  portfolioController.getPortfolio(req, res)
+);
+
+app.post('/api/portfolio/dependency-graph', (req, res) =>
+  portfolioController.getDependencyGraph(req, res)
+);
+
+// Cached boards endpoint (tenant-scoped)
 app.get('/api/jira/boards/cached', async (req, res) => {
   try {
-    const tenantId = req.query.tenant || null;
+    const tenantId = req.session.tenantId;
     const cachedBoards = await database.getCachedBoards(24 * 3600 * 1000, tenantId);
     if (cachedBoards && cachedBoards.length > 0) {
       res.json({ success: true, boards: cachedBoards, source: 'cache' });
@@ -109,10 +334,10 @@ app.get('/api/jira/boards/cached', async (req, res) => {
   }
 });
 
-// Metrics History endpoints (all tenant-scoped via query param)
+// Metrics History endpoints (all tenant-scoped)
 app.get('/api/history/boards', async (req, res) => {
   try {
-    const tenantId = req.query.tenant || null;
+    const tenantId = req.session.tenantId;
     const boards = await database.getAllBoardsWithMetrics(tenantId);
     res.json({ success: true, boards });
   } catch (error) {
@@ -122,7 +347,7 @@ app.get('/api/history/boards', async (req, res) => {
 
 app.get('/api/history/all-latest', async (req, res) => {
   try {
-    const tenantId = req.query.tenant || null;
+    const tenantId = req.session.tenantId;
     const allMetrics = await database.getAllBoardsWithLatestMetrics(tenantId);
     res.json({ success: true, boards: allMetrics });
   } catch (error) {
@@ -130,10 +355,25 @@ app.get('/api/history/all-latest', async (req, res) => {
   }
 });
 
+// Org overview: every board's latest maturity level and headline metrics, the tenant's team
+// groups and the level distribution (?locale= for the level names)
+app.get('/api/history/overview', async (req, res) => {
+  try {
+    const tenantId = req.session.tenantId;
+    const locale = TenantSettingsService.LOCALES.includes(req.query.locale)
+      ? req.query.locale
+      : await tenantSettingsService.getLocale(tenantId);
+    const overview = await overviewService.getOverview(tenantId, locale);
+    res.json({ success: true, ...overview });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 app.get('/api/history/board/:boardId', async (req, res) => {
   try {
     const { boardId } = req.params;
-    const tenantId = req.query.tenant || null;
+    const tenantId = req.session.tenantId;
     const history = await database.getMetricsHistory(parseInt(boardId), 30, tenantId);
     res.json({ success: true, history });
   } catch (error) {
@@ -141,10 +381,57 @@ app.get('/api/history/board/:boardId', async (req, res) => {
   }
 });
 
+// Maturity trend of a board over its stored snapshots: level and headline metrics per snapshot,
+// plus what moved between consecutive ones (?limit= snapshots, default all 100 kept; ?locale= for
+// criterion labels)
+app.get('/api/history/board/:boardId/trend', async (req, res) => {
+  try {
+    const boardId = parseInt(req.params.boardId);
+    const tenantId = req.session.tenantId;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 2), 100);
+    const locale = TenantSettingsService.LOCALES.includes(req.query.locale)
+      ? req.query.locale
+      : await tenantSettingsService.getLocale(tenantId);
+    const trend = await trendService.getTrend(boardId, tenantId, { limit, locale });
+    if (!trend) {
+      return res.status(404).json({ success: false, message: 'No metrics history for this board' });
+    }
+    res.json({ success: true, data: trend });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Structured diff of two snapshots of a board (?from=<baseline id>&to=<id>): metric deltas,
+// level change, sprints added/dropped, rollover issues new/resolved, backlog items that became ready
+app.get('/api/history/compare', async (req, res) => {
+  try {
+    const fromId = parseInt(req.query.from);
+    const toId = parseInt(req.query.to);
+    if (!Number.isInteger(fromId) || !Number.isInteger(toId)) {
+      return res.status(400).json({ success: false, message: 'Invalid comparison', errors: ['from and to must be history ids'] });
+    }
+    const tenantId = req.session.tenantId;
+    const locale = TenantSettingsService.LOCALES.includes(req.query.locale)
+      ? req.query.locale
+      : await tenantSettingsService.getLocale(tenantId);
+    const { diff, errors } = await trendService.compare(fromId, toId, tenantId, locale);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid comparison', errors });
+    }
+    if (!diff) {
+      return res.status(404).json({ success: false, message: 'Snapshot not found' });
+    }
+    res.json({ success: true, data: diff });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 app.get('/api/history/metrics/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const tenantId = req.query.tenant || null;
+    const tenantId = req.session.tenantId;
     const metrics = await database.getMetricsById(parseInt(id), tenantId);
     if (metrics) {
       res.json({ success: true, data: metrics });
@@ -156,23 +443,200 @@ app.get('/api/history/metrics/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/history/board/:boardId', async (req, res) => {
+app.delete('/api/history/board/:boardId', requireRole('admin'), audit('history.delete_board', req => ({ boardId: parseInt(req.params.boardId) })), async (req, res) => {
   try {
     const { boardId } = req.params;
-    const tenantId = req.query.tenant || null;
+    const tenantId = req.session.tenantId;
     const removed = await database.deleteBoardMetrics(parseInt(boardId), tenantId);
+    res.locals.auditParams = { removed };
     res.json({ success: true, removed });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Monte Carlo delivery forecast for a board, from its latest (or a given) metrics snapshot
+// Query: items (next N backlog items), sprints (capacity horizon), trials, historyId
+app.get('/api/forecast/board/:boardId', async (req, res) => {
+  try {
+    const boardId = parseInt(req.params.boardId);
+    const tenantId = req.session.tenantId;
+    const snapshot = req.query.historyId
+      ? await database.getMetricsById(parseInt(req.query.historyId), tenantId)
+      : await database.getLatestMetrics(boardId, tenantId);
+
+    if (!snapshot || snapshot.board_id !== boardId) {
+      return res.status(404).json({ success: false, message: 'No metrics available for this board' });
+    }
+
+    const forecast = forecastService.forecast(snapshot.metrics_data, {
+      items: req.query.items,
+      sprints: req.query.sprints,
+      trials: req.query.trials
+    });
+    res.json({ success: true, data: forecast, calculatedAt: snapshot.calculated_at });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PDF reports: a board's latest (or a given) snapshot, or the org pack of every board's latest
+// snapshot (?groups[category]=name for the boards of some team groups)
+const reportLocale = async (req) => (TenantSettingsService.LOCALES.includes(req.query.locale)
+  ? req.query.locale
+  : tenantSettingsService.getLocale(req.session.tenantId));
+
+const EXPORT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const sendFile = (res, file, filename, format) => {
+  res.set({
+    'Content-Type': EXPORT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': file.length
+  });
+  res.send(file);
+};
+
+app.get('/api/reports/board/:boardId.pdf', async (req, res) => {
+  try {
+    const boardId = parseInt(req.params.boardId);
+    const tenantId = req.session.tenantId;
+    const snapshot = req.query.historyId
+      ? await database.getMetricsById(parseInt(req.query.historyId), tenantId)
+      : await database.getLatestMetrics(boardId, tenantId);
+
+    if (!snapshot || snapshot.board_id !== boardId) {
+      return res.status(404).json({ success: false, message: 'No metrics available for this board' });
+    }
+
+    const pdf = await reportService.buildBoardReport(snapshot, tenantId, await reportLocale(req));
+    const day = new Date(snapshot.calculated_at).toISOString().split('T')[0];
+    sendFile(res, pdf, `maturity-report-${boardId}-${day}.pdf`, 'pdf');
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/reports/org.pdf', async (req, res) => {
+  try {
+    const filters = req.query.groups && typeof req.query.groups === 'object' ? req.query.groups : {};
+    const groups = Object.fromEntries(Object.entries(filters).filter(([, name]) => typeof name === 'string' && name));
+    const pdf = await reportService.buildOrgReport(req.session.tenantId, { locale: await reportLocale(req), groups });
+    if (!pdf) {
+      return res.status(404).json({ success: false, message: 'No metrics available for the organization' });
+    }
+    sendFile(res, pdf, `maturity-report-org-${new Date().toISOString().split('T')[0]}.pdf`, 'pdf');
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Spreadsheet exports of the raw numbers: ?dataset= (sprints, rollovers, backlogGaps, rework,
+// leadTime) for CSV; XLSX has every dataset as a sheet
+const exportFilename = (prefix, { format, dataset }) => `${prefix}${format === 'csv' ? `-${dataset}` : ''}.${format}`;
+
+app.get('/api/reports/board/:boardId.:format(csv|xlsx)', async (req, res) => {
+  try {
+    const { options, errors } = exportService.parseOptions({ format: req.params.format, dataset: req.query.dataset });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid export', errors });
+    }
+    const boardId = parseInt(req.params.boardId);
+    const tenantId = req.session.tenantId;
+    const snapshot = req.query.historyId
+      ? await database.getMetricsById(parseInt(req.query.historyId), tenantId)
+      : await database.getLatestMetrics(boardId, tenantId);
+
+    if (!snapshot || snapshot.board_id !== boardId) {
+      return res.status(404).json({ success: false, message: 'No metrics available for this board' });
+    }
+
+    const file = await exportService.exportBoard(snapshot, options);
+    const day = new Date(snapshot.calculated_at).toISOString().split('T')[0];
+    sendFile(res, file, exportFilename(`metrics-${boardId}-${day}`, options), options.format);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/reports/org.:format(csv|xlsx)', async (req, res) => {
+  try {
+    const { options, errors } = exportService.parseOptions({ format: req.params.format, dataset: req.query.dataset });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid export', errors });
+    }
+    const file = await exportService.exportOrg(req.session.tenantId, options);
+    if (!file) {
+      return res.status(404).json({ success: false, message: 'No metrics available for the organization' });
+    }
+    sendFile(res, file, exportFilename(`metrics-org-${new Date().toISOString().split('T')[0]}`, options), options.format);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+const maturityMode = (req) => (req.query.mode === 'kanban' ? 'kanban' : 'scrum');
+
+// Maturity model endpoints (tenant-scoped; ?mode=kanban for the flow model); changes take an admin
+// GET returns the effective model plus the metric catalog criteria can reference
+app.get('/api/maturity-model', async (req, res) => {
+  try {
+    const tenantId = req.session.tenantId;
+    const mode = maturityMode(req);
+    const model = await maturityModelService.getModel(tenantId, mode, { withThresholds: false });
+    const custom = await maturityModelService.hasCustomModel(tenantId, mode);
+    const { maturityThresholds } = await tenantSettingsService.getSettings(tenantId);
+    res.json({
+      success: true,
+      model,
+      custom,
+      thresholdOverrides: maturityThresholds[mode] || {},
+      metrics: MaturityModelService.METRICS
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/maturity-model', requireRole('admin'), audit('maturity_model.save', req => ({ params: { mode: maturityMode(req), model: req.body.model } })), async (req, res) => {
+  try {
+    const tenantId = req.session.tenantId;
+    const mode = maturityMode(req);
+    const { saved, errors } = await maturityModelService.saveModel(tenantId, req.body.model, mode);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid maturity model', errors });
+    }
+    if (!saved) {
+      return res.status(503).json({ success: false, message: 'Database not available' });
+    }
+    res.json({ success: true, model: req.body.model });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Reset to the default model
+app.delete('/api/maturity-model', requireRole('admin'), audit('maturity_model.reset', req => ({ params: { mode: maturityMode(req) } })), async (req, res) => {
+  try {
+    const tenantId = req.session.tenantId;
+    const mode = maturityMode(req);
+    const removed = await maturityModelService.resetModel(tenantId, mode);
+    res.json({ success: true, removed, model: MaturityModelService.defaultModel(mode) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Diagnostic: raw sprint report data from Jira GreenHopper API
 app.post('/api/debug/sprint-report', async (req, res) => {
   try {
-    const { jiraUrl, email, apiToken, boardId, sprintId } = req.body;
-    const JiraService = (await import('./services/jiraService.js')).default;
-    const jira = new JiraService(jiraUrl, email, apiToken);
+    const { jiraUrl, email, apiToken, deploymentType } = req.session;
+    const { boardId, sprintId } = req.body;
+    const jira = new JiraService(jiraUrl, email, apiToken, { deploymentType });
     const reportData = await jira.getSprintReportData(boardId, sprintId);
     res.json({ success: true, data: reportData });
   } catch (error) {
@@ -181,9 +645,9 @@ app.post('/api/debug/sprint-report', async (req, res) => {
 });
 
 // Prune all boards to keep only the latest report per board
-app.post('/api/admin/prune-all', async (req, res) => {
+app.post('/api/admin/prune-all', audit('history.prune_all'), async (req, res) => {
   try {
-    const tenantId = req.body.tenant || null;
+    const tenantId = req.session.tenantId;
     const boards = await database.getAllBoardsWithMetrics(tenantId);
     let totalRemoved = 0;
     for (const board of boards) {
@@ -199,12 +663,190 @@ app.post('/api/admin/prune-all', async (req, res) => {
         console.log(`✓ Pruned ${idsToDelete.length} old reports for board ${board.board_name}`);
       }
     }
+    res.locals.auditParams = { removed: totalRemoved, boards: boards.length };
     res.json({ success: true, message: `Pruned ${totalRemoved} old reports across ${boards.length} boards` });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Tenant registry: per-tenant settings (see tenantSettingsService). Admins see and change
+// only their own tenant.
+app.use('/api/admin/tenants/:tenantId', (req, res, next) => {
+  if (req.params.tenantId !== req.session.tenantId) {
+    return res.status(403).json({ success: false, message: 'Not an admin of this tenant' });
+  }
+  next();
+});
+
+app.get('/api/admin/tenants', async (req, res) => {
+  try {
+    const tenants = (await tenantSettingsService.listTenants()).filter(t => t.tenantId === req.session.tenantId);
+    res.json({ success: true, tenants, defaults: TenantSettingsService.DEFAULT_SETTINGS });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/tenants/:tenantId', async (req, res) => {
+  try {
+    const settings = await tenantSettingsService.getSettings(req.params.tenantId);
+    res.json({ success: true, settings, defaults: TenantSettingsService.DEFAULT_SETTINGS });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Partial update: omitted settings keep their value, null resets one to the default
+app.put('/api/admin/tenants/:tenantId', audit('tenant.save_settings', req => ({ params: { updates: req.body } })), async (req, res) => {
+  try {
+    const { saved, errors, settings } = await tenantSettingsService.saveSettings(req.params.tenantId, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid tenant settings', errors });
+    }
+    if (!saved) {
+      return res.status(503).json({ success: false, message: 'Database not available' });
+    }
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/admin/tenants/:tenantId', audit('tenant.delete'), async (req, res) => {
+  try {
+    const removed = await tenantSettingsService.deleteTenant(req.params.tenantId);
+    res.json({ success: true, removed });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Tenant members: explicit roles per Jira account (see accessService)
+app.get('/api/admin/members', async (req, res) => {
+  try {
+    const members = await accessService.listMembers(req.session.tenantId);
+    res.json({ success: true, members, roles: AccessService.ROLES });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/members/:accountId', audit('member.set_role', req => ({ params: { accountId: req.params.accountId, role: req.body.role } })), async (req, res) => {
+  try {
+    const { role, displayName = null } = req.body;
+    const { saved, errors } = await accessService.setMemberRole(req.session.tenantId, req.params.accountId, role, displayName);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid member', errors });
+    }
+    if (!saved) {
+      return res.status(503).json({ success: false, message: 'Database not available' });
+    }
+    res.json({ success: true, member: { accountId: req.params.accountId, role, displayName } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Back to the default role (admin for Jira administrators, viewer otherwise)
+app.delete('/api/admin/members/:accountId', audit('member.remove', req => ({ params: { accountId: req.params.accountId } })), async (req, res) => {
+  try {
+    const removed = await accessService.removeMember(req.session.tenantId, req.params.accountId);
+    res.json({ success: true, removed });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Scheduled refresh (see schedulerService): schedule, next run, service account, recent runs
+// with their failures. The schedule itself is the refreshSchedule tenant setting.
+app.get('/api/admin/scheduler', async (req, res) => {
+  try {
+    const status = await schedulerService.getStatus(req.session.tenantId);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Refresh all tracked boards now, in the background; 409 while a run is in progress
+app.post('/api/admin/scheduler/run', audit('scheduler.run'), async (req, res) => {
+  try {
+    const { tenantId, accountId } = req.session;
+    if (!database.sql) {
+      return res.status(503).json({ success: false, message: 'Database not available' });
+    }
+    if ((await schedulerService.getStatus(tenantId)).running) {
+      return res.status(409).json({ success: false, message: 'A refresh run is already in progress' });
+    }
+    startInBackground(res, () => schedulerService.runTenant(tenantId, { trigger: 'manual', startedBy: accountId })
+      .catch(err => console.warn(`Manual refresh of ${tenantId} failed:`, err.message)));
+    res.status(202).json({ success: true, message: 'Refresh started' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Jira service account for scheduled refreshes; validated with Jira before it is stored.
+// Body: { jiraUrl (default: the session's site), email, apiToken, deploymentType }
+app.put('/api/admin/service-credentials', audit('service_credentials.save'), async (req, res) => {
+  try {
+    const { jiraUrl = req.session.jiraUrl, email, apiToken, deploymentType } = req.body;
+    const { saved, errors, credentials } = await schedulerService.saveCredentials(
+      req.session.tenantId, { jiraUrl, email, apiToken, deploymentType }, req.session.accountId
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid service credentials', errors });
+    }
+    if (!saved) {
+      return res.status(503).json({ success: false, message: 'Database not available' });
+    }
+    res.locals.auditParams = { accountId: credentials.accountId, deploymentType: credentials.deploymentType };
+    res.json({ success: true, credentials });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/admin/service-credentials', audit('service_credentials.delete'), async (req, res) => {
+  try {
+    const removed = await schedulerService.deleteCredentials(req.session.tenantId);
+    res.json({ success: true, removed });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Scheduler tick and job queue drain for serverless deployments (Vercel Cron), where no
+// in-process timer runs. Requires "Authorization: Bearer <CRON_SECRET>".
+app.get('/api/cron/refresh', async (req, res) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  try {
+    const tenants = await schedulerService.tick();
+    await jobService.drain();
+    res.json({ success: true, tenants });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Audit trail of the admin's tenant, newest first
+// Query: action, boardId, actor (account id or name), from, to, before (entry id), limit (≤ 500)
+app.get('/api/audit', requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const { filters, errors } = auditService.parseFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid filters', errors });
+    }
+    const { entries, nextBefore } = await auditService.list(req.session.tenantId, filters);
+    res.json({ success: true, entries, nextBefore, actions: AuditService.ACTIONS });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -229,9 +871,9 @@ app.use((err, req, res, next) => {
 
 // Only listen when running locally (not on Vercel serverless)
 if (!process.env.VERCEL) {
-  applySchema()
+  runMigrations()
     .catch(err => {
-      console.error('Fatal: schema init failed, exiting', err);
+      console.error('Fatal: migrations failed, exiting', err);
       process.exit(1);
     })
     .then(() => {
@@ -244,6 +886,9 @@ if (!process.env.VERCEL) {
       // Allow up to 2 minutes for heavy cross-board queries
       server.timeout = 120000;
       server.keepAliveTimeout = 120000;
+
+      schedulerService.start();
+      jobService.start();
     });
 }
 
@@ -0,0 +1,67 @@
+import database from './database.js';
+
+// Role-based access per tenant
+// viewer reads dashboards and history, team_lead also refreshes metrics from Jira, admin also
+// deletes history and manages tenant settings, the maturity model and members. An account's
+// role comes from tenant_members; without a row, Jira administrators are admins and everyone
+// else is a viewer. Sessions opened with the server's shared credentials get SHARED_LOGIN_ROLE
+// (default viewer), since anyone reaching the login screen can use them.
+
+class AccessService {
+  static ROLES = ['viewer', 'team_lead', 'admin'];
+
+  static isValidRole(role) {
+    return AccessService.ROLES.includes(role);
+  }
+
+  // Whether `role` grants at least `required`
+  static hasRole(role, required) {
+    return AccessService.ROLES.indexOf(role) >= AccessService.ROLES.indexOf(required);
+  }
+
+  _sharedLoginRole() {
+    const role = process.env.SHARED_LOGIN_ROLE;
+    return AccessService.isValidRole(role) ? role : 'viewer';
+  }
+
+  // Effective role of a session in its tenant
+  async resolveRole(session) {
+    if (session.sharedLogin) return this._sharedLoginRole();
+
+    const stored = session.accountId
+      ? await database.getMemberRole(session.tenantId, session.accountId)
+      : null;
+    if (stored) return stored;
+    return session.jiraAdmin ? 'admin' : 'viewer';
+  }
+
+  async listMembers(tenantId) {
+    const rows = await database.listMembers(tenantId);
+    return rows.map(row => ({
+      accountId: row.account_id,
+      role: row.role,
+      displayName: row.display_name,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  // Assign a role; returns { saved, errors }
+  async setMemberRole(tenantId, accountId, role, displayName = null) {
+    const errors = [];
+    if (!accountId || typeof accountId !== 'string') errors.push('accountId is required');
+    if (!AccessService.isValidRole(role)) errors.push(`role must be one of ${AccessService.ROLES.join(', ')}`);
+    if (displayName !== null && typeof displayName !== 'string') errors.push('displayName must be a string');
+    if (errors.length > 0) return { saved: false, errors };
+
+    const saved = await database.saveMember(tenantId, accountId, role, displayName);
+    return { saved, errors: [] };
+  }
+
+  // Remove an explicit role (the account falls back to the default role)
+  async removeMember(tenantId, accountId) {
+    return database.deleteMember(tenantId, accountId);
+  }
+}
+
+export { AccessService };
+export default new AccessService();
@@ -0,0 +1,96 @@
+import database from './database.js';
+
+// Audit trail
+// Append-only record of force refreshes, deletions and configuration changes: actor (Jira
+// account, name, role), tenant, action, target board and parameters. An audited request that
+// can't write its entry fails (see audit() in index.js).
+
+class AuditService {
+  static ACTIONS = [
+    'metrics.refresh',
+    'metrics.force_refresh',
+    'history.delete_board',
+    'history.prune_all',
+    'maturity_model.save',
+    'maturity_model.reset',
+    'tenant.save_settings',
+    'tenant.delete',
+    'member.set_role',
+    'member.remove',
+    'scheduler.run',
+    'service_credentials.save',
+    'service_credentials.delete'
+  ];
+
+  static MAX_LIMIT = 500;
+
+  // Append an entry for the session's tenant and account; throws when it can't be written
+  async record(session, action, { boardId = null, params = {} } = {}) {
+    const id = await database.appendAudit({
+      tenantId: session.tenantId,
+      actorAccountId: session.accountId || null,
+      actorName: session.displayName || null,
+      actorRole: session.role || null,
+      action,
+      boardId: Number.isInteger(boardId) ? boardId : null,
+      params
+    });
+    if (id === null && database.sql) {
+      throw new Error(`Audit entry could not be written: ${action} by ${session.accountId} (tenant: ${session.tenantId})`);
+    }
+    return id;
+  }
+
+  // Query-string filters → { filters, errors }
+  parseFilters(query) {
+    const errors = [];
+    const filters = {};
+
+    if (query.action) {
+      if (!AuditService.ACTIONS.includes(query.action)) errors.push(`action must be one of ${AuditService.ACTIONS.join(', ')}`);
+      filters.action = query.action;
+    }
+    if (query.boardId) {
+      filters.boardId = parseInt(query.boardId);
+      if (!Number.isInteger(filters.boardId)) errors.push('boardId must be a number');
+    }
+    if (query.actor) filters.actor = String(query.actor);
+    for (const key of ['from', 'to']) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) errors.push(`${key} must be a date`);
+      // A bare date as "to" includes that whole day
+      else filters[key] = key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])
+        ? new Date(date.getTime() + 24 * 3600 * 1000 - 1)
+        : date;
+    }
+    if (query.before) {
+      filters.before = parseInt(query.before);
+      if (!Number.isInteger(filters.before)) errors.push('before must be an entry id');
+    }
+    const limit = query.limit ? parseInt(query.limit) : 100;
+    filters.limit = Math.min(Math.max(Number.isInteger(limit) ? limit : 100, 1), AuditService.MAX_LIMIT);
+
+    return { filters, errors };
+  }
+
+  // Entries of a tenant, newest first; nextBefore pages to older entries (null on the last page)
+  async list(tenantId, filters) {
+    const rows = await database.getAuditEntries(tenantId, filters);
+    const entries = rows.map(row => ({
+      id: Number(row.id),
+      actor: { accountId: row.actor_account_id, name: row.actor_name, role: row.actor_role },
+      action: row.action,
+      boardId: row.board_id,
+      params: row.params,
+      createdAt: row.created_at
+    }));
+    return {
+      entries,
+      nextBefore: entries.length === filters.limit ? entries[entries.length - 1].id : null
+    };
+  }
+}
+
+export { AuditService };
+export default new AuditService();
@@ -0,0 +1,131 @@
+// Cron expressions for scheduled refreshes
+// Standard five fields — minute hour day-of-month month day-of-week — evaluated in UTC, with
+// lists (1,15), ranges (1-5), steps (*/2, 8-18/2), month/day names (jan, mon) and the @hourly,
+// @daily, @weekly and @monthly shortcuts. As in cron, when both day fields are restricted a
+// day matches either one.
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Scanning stops after this long without a match (e.g. "0 0 31 2 *")
+const MAX_SCAN_MS = 5 * 366 * 24 * 3600 * 1000;
+
+class CronSchedule {
+  constructor(expression) {
+    this.expression = expression;
+    const source = ALIASES[expression.trim().toLowerCase()] || expression;
+    const parts = source.trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => CronSchedule._parseField(part, FIELDS[i]));
+    this.minutes = minutes;
+    this.hours = hours;
+    this.days = days;
+    this.months = months;
+    this.weekdays = new Set([...weekdays].map(d => d % 7));
+    this.daysRestricted = parts[2] !== '*';
+    this.weekdaysRestricted = parts[4] !== '*';
+  }
+
+  static _parseField(part, { name, min, max, names }) {
+    const values = new Set();
+    const toNumber = (token) => {
+      const index = names ? names.indexOf(token.toLowerCase()) : -1;
+      const value = index >= 0 ? index + min : (/^\d+$/.test(token) ? Number(token) : NaN);
+      if (!(value >= min && value <= max)) {
+        throw new Error(`Invalid ${name} "${token}" (allowed ${min}-${max})`);
+      }
+      return value;
+    };
+
+    for (const item of part.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepText}" in ${name}`);
+
+      let from = min;
+      let to = max;
+      if (range !== '*') {
+        const [start, end] = range.split('-');
+        from = toNumber(start);
+        // "5/15" means from 5 to the end in steps of 15
+        to = end !== undefined ? toNumber(end) : (stepText !== undefined ? max : from);
+      }
+      if (from > to) throw new Error(`Invalid range "${range}" in ${name}`);
+      for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+  }
+
+  // Error message of an invalid expression, or null
+  static validate(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') return 'Cron expression must be a non-empty string';
+    try {
+      new CronSchedule(expression);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  _dayMatches(date) {
+    const day = this.days.has(date.getUTCDate());
+    const weekday = this.weekdays.has(date.getUTCDay());
+    if (this.daysRestricted && this.weekdaysRestricted) return day || weekday;
+    if (this.daysRestricted) return day;
+    if (this.weekdaysRestricted) return weekday;
+    return true;
+  }
+
+  // First matching minute strictly after `after`, or null when none within five years
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + MAX_SCAN_MS;
+
+    // Skip whole months, days and hours that can't match
+    while (date.getTime() <= limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0);
+      } else if (!this._dayMatches(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0);
+      } else if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0);
+      } else if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+    return null;
+  }
+
+  // Latest matching minute in (after, until], or null when there is none
+  lastBetween(after, until = new Date()) {
+    let last = null;
+    let next = this.next(after);
+    while (next && next <= until) {
+      last = next;
+      next = this.next(next);
+    }
+    return last;
+  }
+}
+
+export default CronSchedule;
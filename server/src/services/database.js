@@ -1,11 +1,33 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { AsyncLocalStorage } from 'async_hooks';
 
 dotenv.config();
 
+// sprintMetrics entry fields stored as sprint_metrics columns; everything else except the
+// sprint identity and rolloverIssues goes to sprint_metrics.details
+const SPRINT_METRIC_COLUMNS = {
+  sprintGoalAttainment: 'sprint_goal_attainment',
+  plannedPoints: 'planned_points',
+  committedPoints: 'committed_points',
+  completedPoints: 'completed_points',
+  sprintHitRate: 'sprint_hit_rate',
+  sprintHitRatePoints: 'sprint_hit_rate_points',
+  rolloverRate: 'rollover_rate',
+  totalIssues: 'total_issues',
+  completedIssues: 'completed_issues'
+};
+// Snapshot parts kept in flow_metrics, by kind
+const FLOW_KINDS = ['flowQuality', 'flowMetrics'];
+// { client } of the transaction() running in the current async context; client is cleared when
+// it ends, so work that outlives it falls back to the pool
+const transactionContext = new AsyncLocalStorage();
+
 class DatabaseService {
   constructor() {
     const databaseUrl = process.env.DATABASE_URL;
+    // Counter for unique savepoint names (see _transaction)
+    this._savepoints = 0;
 
     if (!databaseUrl) {
       console.warn('⚠ DATABASE_URL not configured. Database will not work.');
@@ -38,68 +60,292 @@ class DatabaseService {
     // Also expose .query() for parameterized string queries
     this.sql.query = (text, params) => self._query(text, params);
 
-    // In-memory locks to prevent concurrent read-modify-write on the same board
-    this._updateLocks = new Map();
     console.log('✓ PostgreSQL database initialized');
   }
 
   // Execute a parameterized query, returning rows array (pg-compatible)
   async _query(text, params = []) {
-    const result = await this.pool.query(text, params);
+    const result = await (transactionContext.getStore()?.client || this.pool).query(text, params);
     return result.rows;
   }
 
   // Build tenant WHERE clause + params
   // Returns { clause: string, params: any[] } with param indices starting at startIdx
+  // Rows stored before multi-tenancy (no tenant) match no tenant until LEGACY_TENANT_ID assigns
+  // them to one — see tagLegacyData()
   _tenantWhere(tenantId, startIdx = 1) {
     if (!tenantId) return { clause: '', params: [] };
-    const originalTenant = 'indeed.atlassian.net';
-    if (tenantId === originalTenant) {
-      return {
-        clause: ` AND (tenant_id = $${startIdx} OR tenant_id IS NULL)`,
-        params: [tenantId]
-      };
-    }
     return {
       clause: ` AND tenant_id = $${startIdx}`,
       params: [tenantId]
     };
   }
 
-  // Acquire a per-board lock to serialize JSONB merges
-  async _withLock(boardId, fn) {
-    const key = String(boardId);
-    while (this._updateLocks.get(key)) {
-      await new Promise(r => setTimeout(r, 50));
+  // Run fn inside a transaction; fn receives query(text, params) bound to the same connection.
+  // Within transaction() it runs in a savepoint of that transaction instead, so its failure
+  // leaves the outer transaction usable.
+  async _transaction(fn) {
+    const outer = transactionContext.getStore()?.client;
+    if (outer) {
+      const savepoint = `nested_${++this._savepoints}`;
+      await outer.query(`SAVEPOINT ${savepoint}`);
+      try {
+        const result = await fn(async (text, params = []) => (await outer.query(text, params)).rows);
+        await outer.query(`RELEASE SAVEPOINT ${savepoint}`);
+        return result;
+      } catch (err) {
+        await outer.query(`ROLLBACK TO SAVEPOINT ${savepoint}`).catch(() => {});
+        throw err;
+      }
     }
-    this._updateLocks.set(key, true);
+
+    const client = await this.pool.connect();
     try {
-      return await fn();
+      await client.query('BEGIN');
+      const result = await fn(async (text, params = []) => (await client.query(text, params)).rows);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Run fn in one transaction covering every query it makes through this service: commits when
+  // fn resolves, rolls back when it throws. Audited requests run in one (see audit() in
+  // index.js), so a change and its audit entry are stored together or not at all.
+  async transaction(fn) {
+    const store = { client: await this.pool.connect() };
+    try {
+      await store.client.query('BEGIN');
+      const result = await transactionContext.run(store, fn);
+      await store.client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await store.client.query('ROLLBACK').catch(() => {});
+      throw err;
     } finally {
-      this._updateLocks.delete(key);
+      store.client.release();
+      store.client = null;
     }
   }
 
-  // Save calculated metrics (tenant-scoped)
+  // Save calculated metrics (tenant-scoped). The snapshot header and remaining JSONB go to
+  // metrics_history; sprint metrics, rollover issues, backlog health and flow metrics go to
+  // their normalized tables in the same transaction.
   async saveMetrics(boardId, boardName, sprintCount, metricsData, maturityLevel, tenantId = null) {
     if (!this.sql) return null;
 
     try {
-      const rows = await this.sql`
-        INSERT INTO metrics_history (board_id, board_name, sprint_count, metrics_data, maturity_level, tenant_id)
-        VALUES (${boardId}, ${boardName}, ${sprintCount}, ${JSON.stringify(metricsData)}, ${maturityLevel}, ${tenantId})
-        RETURNING id
-      `;
+      const { sprintMetrics = [], backlogHealth, ...rest } = metricsData;
+      const flowParts = {};
+      for (const kind of FLOW_KINDS) {
+        if (rest[kind]) flowParts[kind] = rest[kind];
+        delete rest[kind];
+      }
+
+      const id = await this._transaction(async (query) => {
+        const rows = await query(
+          `INSERT INTO metrics_history (board_id, board_name, sprint_count, metrics_data, maturity_level, tenant_id)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id, calculated_at`,
+          [boardId, boardName, sprintCount, JSON.stringify({ ...rest, _normalized: true }), maturityLevel, tenantId]
+        );
+        const { id: snapshotId, calculated_at: calculatedAt } = rows[0];
+        await this._insertNormalized(query, {
+          snapshotId,
+          tenantKey: tenantId || 'default',
+          boardId,
+          calculatedAt,
+          sprintMetrics,
+          backlogHealth,
+          flowParts
+        });
+        return snapshotId;
+      });
 
       console.log(`✓ Metrics saved for board ${boardName} (ID: ${boardId}, tenant: ${tenantId || 'default'})`);
       await this._pruneOldEntries(boardId, 100, tenantId);
-      return rows[0]?.id || null;
+      return id;
     } catch (err) {
       console.error('Failed to save metrics:', err.message);
       return null;
     }
   }
 
+  // Write the normalized parts of one snapshot (rows are passed as JSON recordsets)
+  async _insertNormalized(query, { snapshotId, tenantKey, boardId, calculatedAt, sprintMetrics, backlogHealth, flowParts }) {
+    const entries = (sprintMetrics || []).filter(e => Number.isInteger(Number(e?.sprintId)) && e.sprintId !== null);
+
+    // Latest name/dates per sprint (a sprint appears once per snapshot)
+    const sprints = [...new Map(entries.map(e => [Number(e.sprintId), {
+      sprint_id: Number(e.sprintId),
+      sprint_name: e.sprintName ?? null,
+      start_date: e.startDate || null,
+      end_date: e.endDate || null
+    }])).values()];
+    if (sprints.length > 0) {
+      await query(
+        `INSERT INTO sprints (tenant_key, board_id, sprint_id, sprint_name, start_date, end_date, updated_at)
+         SELECT $1, $2, x.sprint_id, x.sprint_name, x.start_date, x.end_date, now()
+         FROM jsonb_to_recordset($3::jsonb) AS x(sprint_id INTEGER, sprint_name TEXT, start_date TIMESTAMPTZ, end_date TIMESTAMPTZ)
+         ON CONFLICT (tenant_key, board_id, sprint_id) DO UPDATE SET
+           sprint_name = EXCLUDED.sprint_name,
+           start_date = EXCLUDED.start_date,
+           end_date = EXCLUDED.end_date,
+           updated_at = now()`,
+        [tenantKey, boardId, JSON.stringify(sprints)]
+      );
+    }
+
+    const metricRows = [];
+    const rolloverRows = [];
+    entries.forEach((entry, position) => {
+      const { sprintId, sprintName, startDate, endDate, rolloverIssues, ...values } = entry;
+      const row = { sprint_id: Number(sprintId), position, details: {} };
+      for (const [key, value] of Object.entries(values)) {
+        if (SPRINT_METRIC_COLUMNS[key]) row[SPRINT_METRIC_COLUMNS[key]] = value;
+        else row.details[key] = value;
+      }
+      row.total_issues = row.total_issues == null ? null : Math.round(row.total_issues);
+      row.completed_issues = row.completed_issues == null ? null : Math.round(row.completed_issues);
+      metricRows.push(row);
+
+      (rolloverIssues || []).forEach((issue, issuePosition) => {
+        if (!issue?.key) return;
+        rolloverRows.push({
+          sprint_id: Number(sprintId),
+          position: issuePosition,
+          issue_key: issue.key,
+          summary: issue.summary ?? null,
+          status: issue.status ?? null,
+          issue_type: issue.type ?? null,
+          reasons: issue.reasons || [],
+          added_mid_sprint: issue.addedMidSprint === true
+        });
+      });
+    });
+
+    if (metricRows.length > 0) {
+      const columns = Object.values(SPRINT_METRIC_COLUMNS);
+      const types = columns.map(c => `${c} ${c.endsWith('_issues') ? 'INTEGER' : 'DOUBLE PRECISION'}`);
+      await query(
+        `INSERT INTO sprint_metrics (snapshot_id, tenant_key, board_id, sprint_id, position, ${columns.join(', ')}, details)
+         SELECT $1, $2, $3, x.sprint_id, x.position, ${columns.map(c => `x.${c}`).join(', ')}, x.details
+         FROM jsonb_to_recordset($4::jsonb) AS x(sprint_id INTEGER, position INTEGER, ${types.join(', ')}, details JSONB)
+         ON CONFLICT DO NOTHING`,
+        [snapshotId, tenantKey, boardId, JSON.stringify(metricRows)]
+      );
+    }
+
+    if (rolloverRows.length > 0) {
+      await query(
+        `INSERT INTO rollover_issues (snapshot_id, tenant_key, board_id, sprint_id, position, issue_key, summary, status, issue_type, reasons, added_mid_sprint)
+         SELECT $1, $2, $3, x.sprint_id, x.position, x.issue_key, x.summary, x.status, x.issue_type,
+                ARRAY(SELECT jsonb_array_elements_text(x.reasons)), x.added_mid_sprint
+         FROM jsonb_to_recordset($4::jsonb) AS x(sprint_id INTEGER, position INTEGER, issue_key TEXT, summary TEXT,
+                                                 status TEXT, issue_type TEXT, reasons JSONB, added_mid_sprint BOOLEAN)
+         ON CONFLICT DO NOTHING`,
+        [snapshotId, tenantKey, boardId, JSON.stringify(rolloverRows)]
+      );
+    }
+
+    if (backlogHealth) {
+      await query(
+        `INSERT INTO backlog_snapshots (snapshot_id, tenant_key, board_id, score, data, captured_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [snapshotId, tenantKey, boardId, backlogHealth.score ?? null, JSON.stringify(backlogHealth), calculatedAt]
+      );
+    }
+
+    for (const [kind, data] of Object.entries(flowParts || {})) {
+      await query(
+        `INSERT INTO flow_metrics (snapshot_id, tenant_key, board_id, kind, data, captured_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [snapshotId, tenantKey, boardId, kind, JSON.stringify(data), calculatedAt]
+      );
+    }
+  }
+
+  // Put the normalized parts back into metrics_data so snapshots keep the shape of the
+  // /api/metrics/team response. Rows without the "_normalized" marker (not backfilled yet)
+  // are returned untouched.
+  async _assembleSnapshots(rows) {
+    const ids = rows.filter(r => r.metrics_data?._normalized).map(r => r.id);
+    if (ids.length === 0) return rows;
+
+    const [metricRows, rolloverRows, backlogRows, flowRows] = await Promise.all([
+      this.sql`
+        SELECT sm.*, s.sprint_name, s.start_date, s.end_date
+        FROM sprint_metrics sm
+        LEFT JOIN sprints s ON s.tenant_key = sm.tenant_key AND s.board_id = sm.board_id AND s.sprint_id = sm.sprint_id
+        WHERE sm.snapshot_id = ANY(${ids})
+        ORDER BY sm.snapshot_id, sm.position
+      `,
+      this.sql`
+        SELECT * FROM rollover_issues WHERE snapshot_id = ANY(${ids}) ORDER BY snapshot_id, sprint_id, position
+      `,
+      this.sql`SELECT snapshot_id, data FROM backlog_snapshots WHERE snapshot_id = ANY(${ids})`,
+      this.sql`SELECT snapshot_id, kind, data FROM flow_metrics WHERE snapshot_id = ANY(${ids})`
+    ]);
+
+    const rolloverBySprint = new Map();
+    for (const r of rolloverRows) {
+      const key = `${r.snapshot_id}:${r.sprint_id}`;
+      if (!rolloverBySprint.has(key)) rolloverBySprint.set(key, []);
+      rolloverBySprint.get(key).push({
+        key: r.issue_key,
+        summary: r.summary,
+        status: r.status,
+        type: r.issue_type,
+        reasons: r.reasons || [],
+        addedMidSprint: r.added_mid_sprint
+      });
+    }
+
+    const toIso = (date) => (date ? new Date(date).toISOString() : null);
+    const sprintsBySnapshot = new Map();
+    for (const m of metricRows) {
+      const entry = {
+        sprintId: Number(m.sprint_id),
+        sprintName: m.sprint_name,
+        startDate: toIso(m.start_date),
+        endDate: toIso(m.end_date)
+      };
+      for (const [key, column] of Object.entries(SPRINT_METRIC_COLUMNS)) entry[key] = m[column];
+      Object.assign(entry, m.details, {
+        rolloverIssues: rolloverBySprint.get(`${m.snapshot_id}:${m.sprint_id}`) || []
+      });
+      const snapshotKey = String(m.snapshot_id);
+      if (!sprintsBySnapshot.has(snapshotKey)) sprintsBySnapshot.set(snapshotKey, []);
+      sprintsBySnapshot.get(snapshotKey).push(entry);
+    }
+    const backlogBySnapshot = new Map(backlogRows.map(b => [String(b.snapshot_id), b.data]));
+    const flowBySnapshot = new Map();
+    for (const f of flowRows) {
+      const snapshotKey = String(f.snapshot_id);
+      if (!flowBySnapshot.has(snapshotKey)) flowBySnapshot.set(snapshotKey, {});
+      flowBySnapshot.get(snapshotKey)[f.kind] = f.data;
+    }
+
+    return rows.map(row => {
+      if (!row.metrics_data?._normalized) return row;
+      const key = String(row.id);
+      const { _normalized, ...data } = row.metrics_data;
+      return {
+        ...row,
+        metrics_data: {
+          ...data,
+          ...flowBySnapshot.get(key),
+          sprintMetrics: sprintsBySnapshot.get(key) || [],
+          ...(backlogBySnapshot.has(key) && { backlogHealth: backlogBySnapshot.get(key) })
+        }
+      };
+    });
+  }
+
   // Keep only the latest N entries per board (tenant-scoped)
   async _pruneOldEntries(boardId, keepCount, tenantId = null) {
     try {
@@ -128,7 +374,7 @@ class DatabaseService {
         `SELECT * FROM metrics_history WHERE board_id = $1${tenant.clause} ORDER BY calculated_at DESC LIMIT 1`,
         [boardId, ...tenant.params]
       );
-      return rows[0] || null;
+      return (await this._assembleSnapshots(rows))[0] || null;
     } catch (err) {
       console.warn('Failed to get latest metrics:', err.message);
       return null;
@@ -154,6 +400,24 @@ class DatabaseService {
     }
   }
 
+  // Full snapshots of a board, newest first (tenant-scoped)
+  async getMetricsSnapshots(boardId, limit = 30, tenantId = null) {
+    if (!this.sql) return [];
+
+    try {
+      const tenant = this._tenantWhere(tenantId, 3);
+      const rows = await this.sql.query(
+        `SELECT * FROM metrics_history WHERE board_id = $1${tenant.clause}
+         ORDER BY calculated_at DESC LIMIT $2`,
+        [boardId, limit, ...tenant.params]
+      );
+      return await this._assembleSnapshots(rows);
+    } catch (err) {
+      console.warn('Failed to get metrics snapshots:', err.message);
+      return [];
+    }
+  }
+
   // Get specific metrics by ID (tenant-scoped for safety)
   async getMetricsById(id, tenantId = null) {
     if (!this.sql) return null;
@@ -164,7 +428,7 @@ class DatabaseService {
         `SELECT * FROM metrics_history WHERE id = $1${tenant.clause} LIMIT 1`,
         [id, ...tenant.params]
       );
-      return rows[0] || null;
+      return (await this._assembleSnapshots(rows))[0] || null;
     } catch (err) {
       console.warn('Failed to get metrics by id:', err.message);
       return null;
@@ -178,7 +442,7 @@ class DatabaseService {
     try {
       const tenant = this._tenantWhere(tenantId, 1);
       const rows = await this.sql.query(
-        `SELECT board_id, board_name, calculated_at FROM metrics_history
+        `SELECT board_id, board_name, sprint_count, calculated_at FROM metrics_history
          WHERE 1=1${tenant.clause} ORDER BY calculated_at DESC`,
         [...tenant.params]
       );
@@ -189,6 +453,7 @@ class DatabaseService {
           boardMap.set(row.board_id, {
             board_id: row.board_id,
             board_name: row.board_name,
+            sprint_count: row.sprint_count,
             last_calculated: row.calculated_at
           });
         }
@@ -207,17 +472,13 @@ class DatabaseService {
     try {
       const tenant = this._tenantWhere(tenantId, 1);
       const rows = await this.sql.query(
-        `SELECT * FROM metrics_history WHERE 1=1${tenant.clause} ORDER BY calculated_at DESC`,
+        `SELECT DISTINCT ON (board_id) * FROM metrics_history
+         WHERE 1=1${tenant.clause} ORDER BY board_id, calculated_at DESC`,
         [...tenant.params]
       );
 
-      const boardMap = new Map();
-      for (const row of rows) {
-        if (!boardMap.has(row.board_id)) {
-          boardMap.set(row.board_id, row);
-        }
-      }
-      return Array.from(boardMap.values());
+      rows.sort((a, b) => new Date(b.calculated_at) - new Date(a.calculated_at));
+      return await this._assembleSnapshots(rows);
     } catch (err) {
       console.warn('Failed to get all boards with metrics:', err.message);
       return [];
@@ -275,50 +536,43 @@ class DatabaseService {
     }
   }
 
-  // Generic locked merge: read latest record, add/overwrite a JSONB key, write back
+  // Merge one key into the latest snapshot's JSONB in a single UPDATE, so concurrent
+  // writers for the same board cannot overwrite each other
   async _mergeIntoLatest(boardId, dataKey, data, retries = 3, tenantId = null) {
     if (!this.sql) return false;
 
-    return this._withLock(boardId, async () => {
-      for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-          const latest = await this.getLatestMetrics(boardId, tenantId);
-          if (!latest) {
-            if (attempt < retries) {
-              console.log(`⏳ No record for board ${boardId} yet, retrying in 2s... (${attempt}/${retries})`);
-              await new Promise(r => setTimeout(r, 2000));
-              continue;
-            }
-            console.warn(`✗ No record found for board ${boardId} after ${retries} attempts`);
-            return false;
-          }
-
-          const updatedData = { ...latest.metrics_data, [dataKey]: data };
-          await this.sql`
-            UPDATE metrics_history SET metrics_data = ${JSON.stringify(updatedData)} WHERE id = ${latest.id}
-          `;
+    const tenant = this._tenantWhere(tenantId, 4);
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        const rows = await this.sql.query(
+          `UPDATE metrics_history SET metrics_data = metrics_data || jsonb_build_object($1::text, $2::jsonb)
+           WHERE id = (
+             SELECT id FROM metrics_history WHERE board_id = $3${tenant.clause}
+             ORDER BY calculated_at DESC LIMIT 1
+           )
+           RETURNING id`,
+          [dataKey, JSON.stringify(data), boardId, ...tenant.params]
+        );
+        if (rows.length > 0) {
           console.log(`✓ ${dataKey} saved for board ${boardId}`);
           return true;
-        } catch (err) {
-          if (attempt < retries) {
-            console.warn(`Retry ${attempt}/${retries} for ${dataKey} on board ${boardId}: ${err.message}`);
-            await new Promise(r => setTimeout(r, 1000));
-          } else {
-            console.warn(`Failed to save ${dataKey} for board ${boardId}:`, err.message);
-            return false;
-          }
+        }
+        if (attempt < retries) {
+          console.log(`⏳ No record for board ${boardId} yet, retrying in 2s... (${attempt}/${retries})`);
+          await new Promise(r => setTimeout(r, 2000));
+        }
+      } catch (err) {
+        if (attempt < retries) {
+          console.warn(`Retry ${attempt}/${retries} for ${dataKey} on board ${boardId}: ${err.message}`);
+          await new Promise(r => setTimeout(r, 1000));
+        } else {
+          console.warn(`Failed to save ${dataKey} for board ${boardId}:`, err.message);
+          return false;
         }
       }
-      return false;
-    });
-  }
-
-  async updateLatestWithFlow(boardId, flowData, tenantId = null) {
-    return this._mergeIntoLatest(boardId, 'flowMetrics', flowData, 3, tenantId);
-  }
-
-  async updateLatestWithReleases(boardId, releasesData, tenantId = null) {
-    return this._mergeIntoLatest(boardId, 'releasesData', releasesData, 3, tenantId);
+    }
+    console.warn(`✗ No record found for board ${boardId} after ${retries} attempts`);
+    return false;
   }
 
   async updateLatestWithCapacity(boardId, capacityData, tenantId = null) {
@@ -336,6 +590,15 @@ class DatabaseService {
         [boardId, ...tenant.params]
       );
 
+      // Stored closed-sprint data goes too, so the next load re-syncs from Jira
+      // (normalized snapshot rows cascade from metrics_history)
+      await this.sql`
+        DELETE FROM closed_sprint_data WHERE tenant_key = ${tenantId || 'default'} AND board_id = ${boardId}
+      `;
+      await this.sql`
+        DELETE FROM sprints WHERE tenant_key = ${tenantId || 'default'} AND board_id = ${boardId}
+      `;
+
       const removed = rows.length;
       console.log(`✓ Deleted ${removed} metrics entries for board ${boardId}`);
       return removed;
@@ -428,6 +691,713 @@ class DatabaseService {
     }
   }
 
+  // ==============================
+  // MATURITY MODELS
+  // ==============================
+
+  // Tenant-less deployments store their model under 'default'
+  // Scrum models keep the plain tenant key; other analysis modes are stored as "<tenant>:<mode>"
+  _maturityModelKey(tenantId, mode = 'scrum') {
+    const key = tenantId || 'default';
+    return mode === 'scrum' ? key : `${key}:${mode}`;
+  }
+
+  async getMaturityModel(tenantId = null, mode = 'scrum') {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        SELECT model FROM maturity_models WHERE tenant_key = ${this._maturityModelKey(tenantId, mode)} LIMIT 1
+      `;
+      return rows.length > 0 ? rows[0].model : null;
+    } catch (err) {
+      console.warn('Failed to get maturity model:', err.message);
+      return null;
+    }
+  }
+
+  async saveMaturityModel(tenantId, model, mode = 'scrum') {
+    if (!this.sql) return false;
+
+    try {
+      await this.sql`
+        INSERT INTO maturity_models (tenant_key, model, updated_at)
+        VALUES (${this._maturityModelKey(tenantId, mode)}, ${JSON.stringify(model)}, now())
+        ON CONFLICT (tenant_key) DO UPDATE SET
+          model = EXCLUDED.model,
+          updated_at = now()
+      `;
+      console.log(`✓ Maturity model saved for ${this._maturityModelKey(tenantId, mode)}`);
+      return true;
+    } catch (err) {
+      console.warn('Failed to save maturity model:', err.message);
+      return false;
+    }
+  }
+
+  async deleteMaturityModel(tenantId, mode = 'scrum') {
+    if (!this.sql) return false;
+
+    try {
+      const rows = await this.sql`
+        DELETE FROM maturity_models WHERE tenant_key = ${this._maturityModelKey(tenantId, mode)} RETURNING tenant_key
+      `;
+      return rows.length > 0;
+    } catch (err) {
+      console.warn('Failed to delete maturity model:', err.message);
+      return false;
+    }
+  }
+
+  // Tenant registry (see tenantSettingsService)
+  async getTenant(tenantId) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`SELECT * FROM tenants WHERE tenant_key = ${tenantId} LIMIT 1`;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to get tenant:', err.message);
+      return null;
+    }
+  }
+
+  async listTenants() {
+    if (!this.sql) return [];
+
+    try {
+      return await this.sql`SELECT * FROM tenants ORDER BY tenant_key`;
+    } catch (err) {
+      console.warn('Failed to list tenants:', err.message);
+      return [];
+    }
+  }
+
+  // Upsert a tenant; columns maps tenants column → value (JSONB columns take plain values)
+  async saveTenant(tenantId, columns) {
+    if (!this.sql) return false;
+
+    const json = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+    try {
+      await this.sql`
+        INSERT INTO tenants (tenant_key, display_name, locale, story_points_field, rollover_labels,
+                             qa_statuses, dev_statuses, defect_labels, maturity_thresholds, refresh_schedule,
+                             team_groups, updated_at)
+        VALUES (${tenantId}, ${columns.display_name}, ${columns.locale}, ${columns.story_points_field},
+                ${json(columns.rollover_labels)}, ${json(columns.qa_statuses)}, ${json(columns.dev_statuses)},
+                ${json(columns.defect_labels)}, ${json(columns.maturity_thresholds)}, ${columns.refresh_schedule},
+                ${json(columns.team_groups)}, now())
+        ON CONFLICT (tenant_key) DO UPDATE SET
+          display_name = EXCLUDED.display_name,
+          locale = EXCLUDED.locale,
+          story_points_field = EXCLUDED.story_points_field,
+          rollover_labels = EXCLUDED.rollover_labels,
+          qa_statuses = EXCLUDED.qa_statuses,
+          dev_statuses = EXCLUDED.dev_statuses,
+          defect_labels = EXCLUDED.defect_labels,
+          maturity_thresholds = EXCLUDED.maturity_thresholds,
+          refresh_schedule = EXCLUDED.refresh_schedule,
+          team_groups = EXCLUDED.team_groups,
+          updated_at = now()
+      `;
+      console.log(`✓ Tenant settings saved for ${tenantId}`);
+      return true;
+    } catch (err) {
+      console.warn('Failed to save tenant:', err.message);
+      return false;
+    }
+  }
+
+  async deleteTenant(tenantId) {
+    if (!this.sql) return false;
+
+    try {
+      const rows = await this.sql`DELETE FROM tenants WHERE tenant_key = ${tenantId} RETURNING tenant_key`;
+      return rows.length > 0;
+    } catch (err) {
+      console.warn('Failed to delete tenant:', err.message);
+      return false;
+    }
+  }
+
+  // Assign rows stored before multi-tenancy (tenant_id NULL; tenant_key 'default' in the
+  // per-snapshot and per-sprint tables) to a tenant. Sprints the tenant already has win over the
+  // untagged copies. Returns the number of rows assigned per table.
+  async tagLegacyData(tenantId) {
+    if (!this.sql) return null;
+
+    return this._transaction(async (query) => {
+      const snapshots = await query('UPDATE metrics_history SET tenant_id = $1 WHERE tenant_id IS NULL RETURNING id', [tenantId]);
+      const snapshotIds = snapshots.map(r => r.id);
+      for (const table of ['sprint_metrics', 'rollover_issues', 'backlog_snapshots', 'flow_metrics']) {
+        await query(`UPDATE ${table} SET tenant_key = $1 WHERE snapshot_id = ANY($2)`, [tenantId, snapshotIds]);
+      }
+      for (const table of ['sprints', 'closed_sprint_data']) {
+        await query(
+          `UPDATE ${table} d SET tenant_key = $1
+           WHERE d.tenant_key = 'default' AND NOT EXISTS (
+             SELECT 1 FROM ${table} t WHERE t.tenant_key = $1 AND t.board_id = d.board_id AND t.sprint_id = d.sprint_id
+           )`,
+          [tenantId]
+        );
+        await query(
+          `DELETE FROM ${table} d
+           WHERE d.tenant_key = 'default' AND EXISTS (
+             SELECT 1 FROM ${table} t WHERE t.tenant_key = $1 AND t.board_id = d.board_id AND t.sprint_id = d.sprint_id
+           )`,
+          [tenantId]
+        );
+      }
+      const boards = await query('UPDATE boards_cache SET tenant_id = $1 WHERE tenant_id IS NULL RETURNING id', [tenantId]);
+      const product = await query('UPDATE product_data_cache SET tenant_id = $1 WHERE tenant_id IS NULL RETURNING id', [tenantId]);
+
+      if (snapshots.length + boards.length + product.length > 0) {
+        console.log(`✓ Untagged data assigned to ${tenantId}: ${snapshots.length} snapshots, ${boards.length} board lists, ${product.length} product entries`);
+      }
+      return { metricsHistory: snapshots.length, boardsCache: boards.length, productDataCache: product.length };
+    });
+  }
+
+  // Login sessions (see sessionService): id is the hash of the cookie token, credentials the
+  // encrypted Jira credentials
+  async createSession(session) {
+    if (!this.sql) return false;
+
+    try {
+      await this.sql`
+        INSERT INTO sessions (id, tenant_id, deployment_type, credentials, account_id, display_name,
+                              jira_admin, shared_login, expires_at)
+        VALUES (${session.id}, ${session.tenantId}, ${session.deploymentType}, ${session.credentials},
+                ${session.accountId}, ${session.displayName}, ${session.jiraAdmin}, ${session.sharedLogin},
+                ${session.expiresAt})
+      `;
+      return true;
+    } catch (err) {
+      console.warn('Failed to create session:', err.message);
+      return false;
+    }
+  }
+
+  // Unexpired session by id; touches last_seen_at
+  async getSession(id) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        UPDATE sessions SET last_seen_at = now()
+        WHERE id = ${id} AND expires_at > now()
+        RETURNING *
+      `;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to get session:', err.message);
+      return null;
+    }
+  }
+
+  async deleteSession(id) {
+    if (!this.sql) return false;
+
+    try {
+      const rows = await this.sql`DELETE FROM sessions WHERE id = ${id} RETURNING id`;
+      return rows.length > 0;
+    } catch (err) {
+      console.warn('Failed to delete session:', err.message);
+      return false;
+    }
+  }
+
+  async deleteExpiredSessions() {
+    if (!this.sql) return 0;
+
+    try {
+      const rows = await this.sql`DELETE FROM sessions WHERE expires_at <= now() RETURNING id`;
+      return rows.length;
+    } catch (err) {
+      console.warn('Failed to clean expired sessions:', err.message);
+      return 0;
+    }
+  }
+
+  // Tenant roles (see accessService)
+  async getMemberRole(tenantId, accountId) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        SELECT role FROM tenant_members WHERE tenant_key = ${tenantId} AND account_id = ${accountId}
+      `;
+      return rows[0]?.role || null;
+    } catch (err) {
+      console.warn('Failed to get member role:', err.message);
+      return null;
+    }
+  }
+
+  async listMembers(tenantId) {
+    if (!this.sql) return [];
+
+    try {
+      return await this.sql`
+        SELECT account_id, role, display_name, updated_at FROM tenant_members
+        WHERE tenant_key = ${tenantId} ORDER BY display_name NULLS LAST, account_id
+      `;
+    } catch (err) {
+      console.warn('Failed to list members:', err.message);
+      return [];
+    }
+  }
+
+  async saveMember(tenantId, accountId, role, displayName = null) {
+    if (!this.sql) return false;
+
+    try {
+      await this.sql`
+        INSERT INTO tenant_members (tenant_key, account_id, role, display_name, updated_at)
+        VALUES (${tenantId}, ${accountId}, ${role}, ${displayName}, now())
+        ON CONFLICT (tenant_key, account_id) DO UPDATE SET
+          role = EXCLUDED.role,
+          display_name = COALESCE(EXCLUDED.display_name, tenant_members.display_name),
+          updated_at = now()
+      `;
+      return true;
+    } catch (err) {
+      console.warn('Failed to save member:', err.message);
+      return false;
+    }
+  }
+
+  async deleteMember(tenantId, accountId) {
+    if (!this.sql) return false;
+
+    try {
+      const rows = await this.sql`
+        DELETE FROM tenant_members WHERE tenant_key = ${tenantId} AND account_id = ${accountId} RETURNING account_id
+      `;
+      return rows.length > 0;
+    } catch (err) {
+      console.warn('Failed to delete member:', err.message);
+      return false;
+    }
+  }
+
+  // Audit trail (append-only, see auditService)
+  async appendAudit(entry) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        INSERT INTO audit_log (tenant_id, actor_account_id, actor_name, actor_role, action, board_id, params)
+        VALUES (${entry.tenantId}, ${entry.actorAccountId}, ${entry.actorName}, ${entry.actorRole},
+                ${entry.action}, ${entry.boardId}, ${JSON.stringify(entry.params || {})})
+        RETURNING id
+      `;
+      return rows[0].id;
+    } catch (err) {
+      console.warn('Failed to write audit entry:', err.message);
+      return null;
+    }
+  }
+
+  // Audit entries of a tenant, newest first. Filters: action, boardId, actor (account id or
+  // name substring), from / to (dates), before (id cursor for paging), limit
+  async getAuditEntries(tenantId, { action, boardId, actor, from, to, before, limit = 100 } = {}) {
+    if (!this.sql) return [];
+
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+    // Each "?" in the clause takes the next value
+    const add = (clause, ...values) => {
+      for (const value of values) {
+        params.push(value);
+        clause = clause.replace('?', `$${params.length}`);
+      }
+      conditions.push(clause);
+    };
+    if (action) add('action = ?', action);
+    if (boardId) add('board_id = ?', boardId);
+    if (actor) add('(actor_account_id = ? OR actor_name ILIKE ?)', actor, `%${actor}%`);
+    if (from) add('created_at >= ?', from);
+    if (to) add('created_at <= ?', to);
+    if (before) add('id < ?', before);
+    params.push(limit);
+
+    try {
+      return await this.sql.query(
+        `SELECT id, actor_account_id, actor_name, actor_role, action, board_id, params, created_at
+         FROM audit_log WHERE ${conditions.join(' AND ')}
+         ORDER BY id DESC LIMIT $${params.length}`,
+        params
+      );
+    } catch (err) {
+      console.warn('Failed to read audit log:', err.message);
+      return [];
+    }
+  }
+
+  // Jira service account of a tenant for scheduled refreshes (see schedulerService);
+  // credentials are encrypted by sessionService
+  async getServiceCredentials(tenantId) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`SELECT * FROM tenant_service_credentials WHERE tenant_key = ${tenantId}`;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to get service credentials:', err.message);
+      return null;
+    }
+  }
+
+  async saveServiceCredentials(tenantId, { deploymentType, credentials, accountId, displayName, updatedBy }) {
+    if (!this.sql) return false;
+
+    try {
+      await this.sql`
+        INSERT INTO tenant_service_credentials (tenant_key, deployment_type, credentials, account_id,
+                                                display_name, updated_by, updated_at)
+        VALUES (${tenantId}, ${deploymentType}, ${credentials}, ${accountId}, ${displayName}, ${updatedBy}, now())
+        ON CONFLICT (tenant_key) DO UPDATE SET
+          deployment_type = EXCLUDED.deployment_type,
+          credentials = EXCLUDED.credentials,
+          account_id = EXCLUDED.account_id,
+          display_name = EXCLUDED.display_name,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = now()
+      `;
+      return true;
+    } catch (err) {
+      console.warn('Failed to save service credentials:', err.message);
+      return false;
+    }
+  }
+
+  async deleteServiceCredentials(tenantId) {
+    if (!this.sql) return false;
+
+    try {
+      const rows = await this.sql`DELETE FROM tenant_service_credentials WHERE tenant_key = ${tenantId} RETURNING tenant_key`;
+      return rows.length > 0;
+    } catch (err) {
+      console.warn('Failed to delete service credentials:', err.message);
+      return false;
+    }
+  }
+
+  // Refresh runs (see schedulerService)
+  async startRefreshRun({ tenantId, trigger, scheduledFor = null, startedBy = null }) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        INSERT INTO refresh_runs (tenant_id, trigger, scheduled_for, started_by)
+        VALUES (${tenantId}, ${trigger}, ${scheduledFor}, ${startedBy})
+        RETURNING id
+      `;
+      return rows[0].id;
+    } catch (err) {
+      console.warn('Failed to start refresh run:', err.message);
+      return null;
+    }
+  }
+
+  // Progress or outcome of a run; finished sets finished_at
+  async updateRefreshRun(id, { status = null, boardsTotal = null, boardsRefreshed = null, failures = null, error = null, finished = false }) {
+    if (!this.sql || id === null) return false;
+
+    try {
+      await this.sql`
+        UPDATE refresh_runs SET
+          status = COALESCE(${status}, status),
+          boards_total = COALESCE(${boardsTotal}, boards_total),
+          boards_refreshed = COALESCE(${boardsRefreshed}, boards_refreshed),
+          failures = COALESCE(${failures === null ? null : JSON.stringify(failures)}::jsonb, failures),
+          error = COALESCE(${error}, error),
+          finished_at = CASE WHEN ${finished} THEN now() ELSE finished_at END
+        WHERE id = ${id}
+      `;
+      return true;
+    } catch (err) {
+      console.warn('Failed to update refresh run:', err.message);
+      return false;
+    }
+  }
+
+  // Runs left "running" by a process that stopped mid-run; call while holding the tenant's
+  // refresh lock
+  async failInterruptedRuns(tenantId) {
+    if (!this.sql) return 0;
+
+    try {
+      const rows = await this.sql`
+        UPDATE refresh_runs SET status = 'failed', error = 'Interrupted (server stopped during the run)', finished_at = now()
+        WHERE tenant_id = ${tenantId} AND status = 'running'
+        RETURNING id
+      `;
+      return rows.length;
+    } catch (err) {
+      console.warn('Failed to close interrupted refresh runs:', err.message);
+      return 0;
+    }
+  }
+
+  async getRefreshRun(id) {
+    if (!this.sql || id === null) return null;
+
+    try {
+      const rows = await this.sql`SELECT * FROM refresh_runs WHERE id = ${id}`;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to get refresh run:', err.message);
+      return null;
+    }
+  }
+
+  async getRefreshRuns(tenantId, limit = 20) {
+    if (!this.sql) return [];
+
+    try {
+      return await this.sql`
+        SELECT * FROM refresh_runs WHERE tenant_id = ${tenantId}
+        ORDER BY started_at DESC, id DESC LIMIT ${limit}
+      `;
+    } catch (err) {
+      console.warn('Failed to get refresh runs:', err.message);
+      return [];
+    }
+  }
+
+  // Cron occurrence served by the tenant's latest scheduled run
+  async getLastScheduledFor(tenantId) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        SELECT max(scheduled_for) AS scheduled_for FROM refresh_runs
+        WHERE tenant_id = ${tenantId} AND trigger = 'schedule'
+      `;
+      return rows[0]?.scheduled_for || null;
+    } catch (err) {
+      console.warn('Failed to get last scheduled run:', err.message);
+      return null;
+    }
+  }
+
+  // Refresh jobs (see jobService)
+  async createJob(job) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        INSERT INTO jobs (tenant_id, type, board_id, board_name, params, credentials, deployment_type,
+                          max_attempts, created_by)
+        VALUES (${job.tenantId}, ${job.type}, ${job.boardId}, ${job.boardName}, ${JSON.stringify(job.params || {})},
+                ${job.credentials}, ${job.deploymentType}, ${job.maxAttempts}, ${job.createdBy})
+        RETURNING *
+      `;
+      return rows[0];
+    } catch (err) {
+      console.warn('Failed to create job:', err.message);
+      return null;
+    }
+  }
+
+  // Queued or running job of a board, if any
+  async getActiveJob(tenantId, boardId) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        SELECT * FROM jobs WHERE tenant_id = ${tenantId} AND board_id = ${boardId}
+          AND status IN ('queued', 'running')
+        ORDER BY id LIMIT 1
+      `;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to get active job:', err.message);
+      return null;
+    }
+  }
+
+  // Take the oldest queued job that is ready (SKIP LOCKED: several workers never take the same
+  // job) and mark it running
+  async claimJob() {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`
+        UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = now(), updated_at = now()
+        WHERE id = (
+          SELECT id FROM jobs WHERE status = 'queued' AND run_after <= now()
+          ORDER BY run_after, id FOR UPDATE SKIP LOCKED LIMIT 1
+        )
+        RETURNING *
+      `;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to claim job:', err.message);
+      return null;
+    }
+  }
+
+  // Partial update: progress, status, result, error, run_after; finished sets finished_at and
+  // drops the stored credentials
+  async updateJob(id, { status = null, progress = null, result = null, error = null, runAfter = null, finished = false }) {
+    if (!this.sql) return null;
+
+    const json = (value) => (value === null ? null : JSON.stringify(value));
+    try {
+      const rows = await this.sql`
+        UPDATE jobs SET
+          status = COALESCE(${status}, status),
+          progress = COALESCE(${json(progress)}::jsonb, progress),
+          result = COALESCE(${json(result)}::jsonb, result),
+          error = CASE WHEN ${status} = 'succeeded' THEN NULL ELSE COALESCE(${error}, error) END,
+          run_after = COALESCE(${runAfter}, run_after),
+          finished_at = CASE WHEN ${finished} THEN now() ELSE finished_at END,
+          credentials = CASE WHEN ${finished} THEN NULL ELSE credentials END,
+          updated_at = now()
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to update job:', err.message);
+      return null;
+    }
+  }
+
+  // Running jobs without an update for staleMs (their worker stopped): back to the queue, or
+  // failed when out of attempts. Returns the rows changed.
+  async requeueStaleJobs(staleMs) {
+    if (!this.sql) return [];
+
+    try {
+      return await this.sql`
+        UPDATE jobs SET
+          status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+          error = 'Worker stopped during the job',
+          finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE now() END,
+          credentials = CASE WHEN attempts < max_attempts THEN credentials ELSE NULL END,
+          updated_at = now()
+        WHERE status = 'running' AND updated_at < now() - make_interval(secs => ${staleMs / 1000})
+        RETURNING *
+      `;
+    } catch (err) {
+      console.warn('Failed to requeue stale jobs:', err.message);
+      return [];
+    }
+  }
+
+  async getJob(id, tenantId) {
+    if (!this.sql) return null;
+
+    try {
+      const rows = await this.sql`SELECT * FROM jobs WHERE id = ${id} AND tenant_id = ${tenantId}`;
+      return rows[0] || null;
+    } catch (err) {
+      console.warn('Failed to get job:', err.message);
+      return null;
+    }
+  }
+
+  // Jobs of a tenant, newest first: active ones plus those updated since `since`
+  async getJobs(tenantId, { since = null, limit = 100 } = {}) {
+    if (!this.sql) return [];
+
+    try {
+      return await this.sql`
+        SELECT * FROM jobs WHERE tenant_id = ${tenantId}
+          AND (status IN ('queued', 'running') OR updated_at > ${since || new Date(0)})
+        ORDER BY id DESC LIMIT ${limit}
+      `;
+    } catch (err) {
+      console.warn('Failed to get jobs:', err.message);
+      return [];
+    }
+  }
+
+  async deleteFinishedJobs(olderThanMs) {
+    if (!this.sql) return 0;
+
+    try {
+      const rows = await this.sql`
+        DELETE FROM jobs WHERE finished_at < now() - make_interval(secs => ${olderThanMs / 1000}) RETURNING id
+      `;
+      return rows.length;
+    } catch (err) {
+      console.warn('Failed to delete old jobs:', err.message);
+      return 0;
+    }
+  }
+
+  // Stored data of closed sprints (tenant-scoped) → Map of sprintId → { issues, reportData,
+  // sprintMetrics, metricsContext, storyPointsField }
+  async getClosedSprintData(boardId, sprintIds, tenantId = null) {
+    const result = new Map();
+    if (!this.sql || sprintIds.length === 0) return result;
+
+    try {
+      const rows = await this.sql`
+        SELECT sprint_id, story_points_field, issues, report_data, sprint_metrics, metrics_context
+        FROM closed_sprint_data
+        WHERE tenant_key = ${tenantId || 'default'} AND board_id = ${boardId} AND sprint_id = ANY(${sprintIds})
+      `;
+      for (const row of rows) {
+        result.set(Number(row.sprint_id), {
+          issues: row.issues,
+          reportData: row.report_data,
+          sprintMetrics: row.sprint_metrics,
+          metricsContext: row.metrics_context,
+          storyPointsField: row.story_points_field
+        });
+      }
+    } catch (err) {
+      console.warn('Failed to get closed sprint data:', err.message);
+    }
+    return result;
+  }
+
+  async saveClosedSprintData(boardId, sprintId, { sprintName, storyPointsField, issues, reportData }, tenantId = null) {
+    if (!this.sql) return false;
+
+    try {
+      await this.sql`
+        INSERT INTO closed_sprint_data (tenant_key, board_id, sprint_id, sprint_name, story_points_field, issues, report_data, synced_at)
+        VALUES (${tenantId || 'default'}, ${boardId}, ${sprintId}, ${sprintName}, ${storyPointsField},
+                ${JSON.stringify(issues)}, ${reportData ? JSON.stringify(reportData) : null}, now())
+        ON CONFLICT (tenant_key, board_id, sprint_id) DO UPDATE SET
+          sprint_name = EXCLUDED.sprint_name,
+          story_points_field = EXCLUDED.story_points_field,
+          issues = EXCLUDED.issues,
+          report_data = EXCLUDED.report_data,
+          sprint_metrics = NULL,
+          metrics_context = NULL,
+          synced_at = now()
+      `;
+      return true;
+    } catch (err) {
+      console.warn(`Failed to save closed sprint ${sprintId}:`, err.message);
+      return false;
+    }
+  }
+
+  async saveClosedSprintMetrics(boardId, sprintId, sprintMetrics, metricsContext, tenantId = null) {
+    if (!this.sql) return false;
+
+    try {
+      await this.sql`
+        UPDATE closed_sprint_data
+        SET sprint_metrics = ${JSON.stringify(sprintMetrics)}, metrics_context = ${metricsContext}
+        WHERE tenant_key = ${tenantId || 'default'} AND board_id = ${boardId} AND sprint_id = ${sprintId}
+      `;
+      return true;
+    } catch (err) {
+      console.warn(`Failed to save metrics of closed sprint ${sprintId}:`, err.message);
+      return false;
+    }
+  }
+
   async cleanOldMetrics() {
     if (!this.sql) return 0;
 
@@ -0,0 +1,313 @@
+// Epic dependency graph
+// Turns the "Blocks" links returned by getEpicDependencies into a directed graph across
+// boards/projects (edge: blocker → blocked), detects cycles, computes the critical path from
+// target dates and remaining child points, and flags epics waiting on other teams.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DONE_STATUS = /done|closed|resolved/i;
+
+class DependencyGraphService {
+
+  // Nodes and deduplicated edges. Linked issues outside the portfolio become external nodes.
+  buildNodesAndEdges(portfolio) {
+    const nodes = new Map();
+    for (const epic of portfolio.epics) {
+      nodes.set(epic.key, {
+        key: epic.key,
+        summary: epic.summary,
+        status: epic.status,
+        projectKey: epic.projectKey,
+        boardIds: epic.boardIds,
+        external: false,
+        done: epic.statusCategory === 'done',
+        targetStart: epic.targetStart,
+        targetEnd: epic.targetEnd,
+        remainingPoints: epic.progress.remainingPoints,
+        progress: epic.progress.totalPoints > 0 ? epic.progress.pointsPercent : epic.progress.percent,
+        slippage: epic.slippage.status
+      });
+    }
+
+    const addExternal = (link) => {
+      if (nodes.has(link.key)) return;
+      nodes.set(link.key, {
+        key: link.key,
+        summary: link.summary || '',
+        status: link.status || 'Unknown',
+        projectKey: link.key.split('-')[0],
+        boardIds: [],
+        external: true,
+        done: DONE_STATUS.test(link.status || ''),
+        targetStart: null,
+        targetEnd: null,
+        remainingPoints: null,
+        progress: null,
+        slippage: null
+      });
+    };
+
+    const edges = new Map();
+    const addEdge = (from, to) => {
+      if (from === to) return;
+      edges.set(`${from}->${to}`, { from, to });
+    };
+
+    for (const epic of portfolio.epics) {
+      for (const link of epic.dependencies.blockedBy) {
+        addExternal(link);
+        addEdge(link.key, epic.key);
+      }
+      for (const link of epic.dependencies.blocks) {
+        addExternal(link);
+        addEdge(epic.key, link.key);
+      }
+    }
+
+    return { nodes, edges: [...edges.values()] };
+  }
+
+  // Strongly connected components (Tarjan) — every component with more than one node is a cycle
+  findCycles(nodeKeys, edges) {
+    const adjacency = new Map(nodeKeys.map(k => [k, []]));
+    for (const { from, to } of edges) adjacency.get(from).push(to);
+
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+
+    const visit = (key) => {
+      indices.set(key, index);
+      lowLinks.set(key, index);
+      index++;
+      stack.push(key);
+      onStack.add(key);
+
+      for (const next of adjacency.get(key)) {
+        if (!indices.has(next)) {
+          visit(next);
+          lowLinks.set(key, Math.min(lowLinks.get(key), lowLinks.get(next)));
+        } else if (onStack.has(next)) {
+          lowLinks.set(key, Math.min(lowLinks.get(key), indices.get(next)));
+        }
+      }
+
+      if (lowLinks.get(key) === indices.get(key)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== key);
+        components.push(component);
+      }
+    };
+
+    for (const key of nodeKeys) {
+      if (!indices.has(key)) visit(key);
+    }
+
+    return components.filter(c => c.length > 1).map(c => c.reverse());
+  }
+
+  // Topological order (Kahn). Edges inside a cycle are ignored so the rest of the graph
+  // can still be scheduled.
+  topologicalOrder(nodeKeys, edges) {
+    const inDegree = new Map(nodeKeys.map(k => [k, 0]));
+    const adjacency = new Map(nodeKeys.map(k => [k, []]));
+    for (const { from, to } of edges) {
+      adjacency.get(from).push(to);
+      inDegree.set(to, inDegree.get(to) + 1);
+    }
+
+    const queue = nodeKeys.filter(k => inDegree.get(k) === 0);
+    const order = [];
+    while (queue.length > 0) {
+      const key = queue.shift();
+      order.push(key);
+      for (const next of adjacency.get(key)) {
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) queue.push(next);
+      }
+    }
+    return order;
+  }
+
+  // Build the dependency graph from a portfolio (see PortfolioService.buildPortfolio)
+  buildGraph(portfolio, now = new Date()) {
+    const { nodes, edges } = this.buildNodesAndEdges(portfolio);
+    const nodeKeys = [...nodes.keys()];
+
+    const cycles = this.findCycles(nodeKeys, edges);
+    const cycleOf = new Map();
+    cycles.forEach((cycle, i) => cycle.forEach(key => cycleOf.set(key, i)));
+    const isCycleEdge = (e) => cycleOf.has(e.from) && cycleOf.get(e.from) === cycleOf.get(e.to);
+    const schedulableEdges = edges.filter(e => !isCycleEdge(e));
+
+    const predecessors = new Map(nodeKeys.map(k => [k, []]));
+    const successors = new Map(nodeKeys.map(k => [k, []]));
+    for (const { from, to } of schedulableEdges) {
+      predecessors.get(to).push(from);
+      successors.get(from).push(to);
+    }
+
+    // Forward pass: depth (graph layer), remaining points along the longest chain, and the
+    // projected end date — an unfinished epic cannot end before its unfinished blockers plus
+    // its own target window.
+    const order = this.topologicalOrder(nodeKeys, schedulableEdges);
+    const today = now.getTime();
+    const schedule = new Map();
+
+    for (const key of order) {
+      const node = nodes.get(key);
+      const targetStart = node.targetStart ? new Date(node.targetStart).getTime() : null;
+      const targetEnd = node.targetEnd ? new Date(node.targetEnd).getTime() : null;
+      const duration = targetStart && targetEnd ? Math.max(0, targetEnd - targetStart) : 0;
+
+      let depth = 0;
+      let chainPoints = 0;
+      let chainEnd = null;
+      let via = null;
+      for (const pred of predecessors.get(key)) {
+        const p = schedule.get(pred);
+        depth = Math.max(depth, p.depth + 1);
+        if (nodes.get(pred).done) continue;
+        const better = via === null
+          || (p.projectedEnd ?? 0) > (chainEnd ?? 0)
+          || ((p.projectedEnd ?? 0) === (chainEnd ?? 0) && p.chainPoints > chainPoints);
+        if (better) {
+          via = pred;
+          chainEnd = p.projectedEnd;
+          chainPoints = p.chainPoints;
+        }
+      }
+
+      const ownPoints = node.done ? 0 : (node.remainingPoints || 0);
+      let projectedEnd = node.done ? null : targetEnd;
+      if (!node.done && chainEnd !== null) {
+        projectedEnd = Math.max(projectedEnd ?? 0, chainEnd + duration);
+      }
+
+      schedule.set(key, {
+        depth,
+        via,
+        chainPoints: chainPoints + ownPoints,
+        projectedEnd
+      });
+    }
+
+    // Critical path: the dependency chain that finishes last (ties broken by remaining points)
+    let criticalEnd = null;
+    for (const key of order) {
+      if (nodes.get(key).done || !schedule.get(key).via) continue;
+      const s = schedule.get(key);
+      const c = criticalEnd && schedule.get(criticalEnd);
+      if (!c
+        || (s.projectedEnd ?? 0) > (c.projectedEnd ?? 0)
+        || ((s.projectedEnd ?? 0) === (c.projectedEnd ?? 0) && s.chainPoints > c.chainPoints)) {
+        criticalEnd = key;
+      }
+    }
+    const criticalPath = [];
+    for (let key = criticalEnd; key; key = schedule.get(key).via) {
+      criticalPath.unshift(key);
+    }
+    const onCriticalPath = new Set(criticalPath);
+
+    // Unfinished epics reachable downstream of each node (ignoring done epics)
+    const downstreamCount = new Map();
+    for (const key of [...order].reverse()) {
+      const reachable = new Set();
+      for (const next of successors.get(key)) {
+        if (nodes.get(next).done) continue;
+        reachable.add(next);
+        for (const k of downstreamCount.get(next).keys) reachable.add(k);
+      }
+      downstreamCount.set(key, { keys: reachable });
+    }
+
+    // Only linked epics are drawn; the rest are counted in the summary
+    const linked = new Set(edges.flatMap(e => [e.from, e.to]));
+    const toIso = (time) => (time ? new Date(time).toISOString().split('T')[0] : null);
+    const resultNodes = nodeKeys.filter(key => linked.has(key)).map(key => {
+      const node = nodes.get(key);
+      const s = schedule.get(key);
+      const openBlockers = edges
+        .filter(e => e.to === key && !nodes.get(e.from).done)
+        .map(e => nodes.get(e.from));
+      const otherTeamBlockers = openBlockers.filter(b => b.projectKey !== node.projectKey);
+      const targetEnd = node.targetEnd ? new Date(node.targetEnd).getTime() : null;
+      const pushedDays = s?.projectedEnd && targetEnd && s.projectedEnd > targetEnd
+        ? Math.round((s.projectedEnd - targetEnd) / DAY_MS)
+        : 0;
+
+      return {
+        ...node,
+        depth: s?.depth ?? 0,
+        inCycle: cycleOf.has(key),
+        onCriticalPath: onCriticalPath.has(key),
+        projectedEnd: toIso(s?.projectedEnd),
+        pushedDays,
+        overdue: !node.done && !!targetEnd && targetEnd < today,
+        openBlockers: openBlockers.map(b => b.key),
+        blockedByOtherTeam: !node.done && otherTeamBlockers.length > 0,
+        otherTeamBlockers: otherTeamBlockers.map(b => ({ key: b.key, projectKey: b.projectKey, status: b.status })),
+        downstreamCount: node.done ? 0 : (downstreamCount.get(key)?.keys.size || 0)
+      };
+    });
+
+    // Bottlenecks: unfinished epics holding up the most downstream work
+    const bottlenecks = resultNodes
+      .filter(n => !n.done && n.downstreamCount > 0)
+      .sort((a, b) => b.downstreamCount - a.downstreamCount
+        || Number(b.onCriticalPath) - Number(a.onCriticalPath)
+        || Number(b.overdue) - Number(a.overdue))
+      .slice(0, 5)
+      .map(n => ({
+        key: n.key,
+        summary: n.summary,
+        projectKey: n.projectKey,
+        downstreamCount: n.downstreamCount,
+        onCriticalPath: n.onCriticalPath,
+        overdue: n.overdue,
+        external: n.external
+      }));
+
+    const resultEdges = edges.map(e => ({
+      ...e,
+      inCycle: isCycleEdge(e),
+      crossTeam: nodes.get(e.from).projectKey !== nodes.get(e.to).projectKey,
+      open: !nodes.get(e.from).done,
+      critical: onCriticalPath.has(e.from) && onCriticalPath.has(e.to) && schedule.get(e.to)?.via === e.from
+    }));
+
+    const criticalTail = criticalPath.length > 0 ? schedule.get(criticalPath[criticalPath.length - 1]) : null;
+
+    return {
+      nodes: resultNodes,
+      edges: resultEdges,
+      cycles,
+      criticalPath: {
+        keys: criticalPath,
+        remainingPoints: criticalTail?.chainPoints || 0,
+        projectedEnd: toIso(criticalTail?.projectedEnd)
+      },
+      bottlenecks,
+      summary: {
+        totalNodes: resultNodes.length,
+        unlinkedEpics: nodeKeys.length - linked.size,
+        totalEdges: resultEdges.length,
+        external: resultNodes.filter(n => n.external).length,
+        cycles: cycles.length,
+        crossTeamEdges: resultEdges.filter(e => e.crossTeam).length,
+        blockedByOtherTeam: resultNodes.filter(n => n.blockedByOtherTeam).length
+      },
+      generatedAt: now.toISOString()
+    };
+  }
+}
+
+export default new DependencyGraphService();
@@ -0,0 +1,238 @@
+import ExcelJS from 'exceljs';
+import database from './database.js';
+
+// Spreadsheet exports
+// The raw numbers of metrics_history snapshots as tables: one dataset per CSV file, or every
+// dataset as a sheet of one XLSX workbook. Board exports cover one snapshot; org exports stack
+// every board's latest snapshot, each row prefixed with its board. Datasets come from the scrum
+// sprint window, so Kanban snapshots only fill the backlog gaps.
+
+// Columns: `type` 'date' turns ISO strings into dates in XLSX, 'percent'/'number' stay numeric
+const DATASETS = {
+  sprints: {
+    sheet: 'Sprints',
+    columns: [
+      { key: 'sprintId', header: 'Sprint ID', type: 'number' },
+      { key: 'sprintName', header: 'Sprint', width: 28 },
+      { key: 'startDate', header: 'Start', type: 'date' },
+      { key: 'endDate', header: 'End', type: 'date' },
+      { key: 'sprintGoalAttainment', header: 'Goal Attainment %', type: 'percent' },
+      { key: 'plannedPoints', header: 'Planned Points', type: 'number' },
+      { key: 'committedPoints', header: 'Committed Points', type: 'number' },
+      { key: 'completedPoints', header: 'Completed Points', type: 'number' },
+      { key: 'sprintHitRate', header: 'Hit Rate %', type: 'percent' },
+      { key: 'sprintHitRatePoints', header: 'Hit Rate (Points) %', type: 'percent' },
+      { key: 'rolloverRate', header: 'Rollover Rate %', type: 'percent' },
+      { key: 'rolloverCount', header: 'Rollover Issues', type: 'number' },
+      { key: 'midSprintAdditions', header: 'Mid-sprint Additions %', type: 'percent' },
+      { key: 'totalIssues', header: 'Total Issues', type: 'number' },
+      { key: 'completedIssues', header: 'Completed Issues', type: 'number' },
+      { key: 'defectsPreMerge', header: 'Defects Pre-merge', type: 'number' },
+      { key: 'defectsInQA', header: 'Defects In QA', type: 'number' },
+      { key: 'defectsPostRelease', header: 'Defects Post-release', type: 'number' }
+    ],
+    rows: (data) => (data.sprintMetrics || []).map(s => ({
+      sprintId: s.sprintId,
+      sprintName: s.sprintName,
+      startDate: s.startDate,
+      endDate: s.endDate,
+      sprintGoalAttainment: s.sprintGoalAttainment,
+      plannedPoints: s.plannedPoints,
+      committedPoints: s.committedPoints,
+      completedPoints: s.completedPoints,
+      sprintHitRate: s.sprintHitRate,
+      sprintHitRatePoints: s.sprintHitRatePoints,
+      rolloverRate: s.rolloverRate,
+      rolloverCount: (s.rolloverIssues || []).length,
+      midSprintAdditions: s.midSprintAdditions?.percentage,
+      totalIssues: s.totalIssues,
+      completedIssues: s.completedIssues,
+      defectsPreMerge: s.defectDistribution?.preMerge,
+      defectsInQA: s.defectDistribution?.inQA,
+      defectsPostRelease: s.defectDistribution?.postRelease
+    }))
+  },
+  rollovers: {
+    sheet: 'Rollover Issues',
+    columns: [
+      { key: 'sprintId', header: 'Sprint ID', type: 'number' },
+      { key: 'sprintName', header: 'Sprint', width: 28 },
+      { key: 'key', header: 'Key', width: 12 },
+      { key: 'summary', header: 'Summary', width: 60 },
+      { key: 'type', header: 'Type' },
+      { key: 'status', header: 'Status', width: 16 },
+      { key: 'reasons', header: 'Reasons', width: 24 },
+      { key: 'addedMidSprint', header: 'Added Mid-sprint' }
+    ],
+    rows: (data) => (data.sprintMetrics || []).flatMap(s => (s.rolloverIssues || []).map(issue => ({
+      sprintId: s.sprintId,
+      sprintName: s.sprintName,
+      key: issue.key,
+      summary: issue.summary,
+      type: issue.type,
+      status: issue.status,
+      reasons: (issue.reasons || []).join('; '),
+      addedMidSprint: issue.addedMidSprint ? 'yes' : 'no'
+    })))
+  },
+  backlogGaps: {
+    sheet: 'Backlog Gaps',
+    columns: [
+      { key: 'key', header: 'Key', width: 12 },
+      { key: 'summary', header: 'Summary', width: 60 },
+      { key: 'type', header: 'Type' },
+      { key: 'status', header: 'Status', width: 16 },
+      { key: 'missingAC', header: 'Missing AC' },
+      { key: 'missingEstimate', header: 'Missing Estimate' }
+    ],
+    // One row per item; an item can miss both
+    rows: (data) => {
+      const items = new Map();
+      for (const [list, gap] of [['missingAC', 'missingAC'], ['missingEstimates', 'missingEstimate']]) {
+        for (const item of data.backlogHealth?.[list] || []) {
+          if (!items.has(item.key)) {
+            items.set(item.key, { key: item.key, summary: item.summary, type: item.type, status: item.status, missingAC: 'no', missingEstimate: 'no' });
+          }
+          items.get(item.key)[gap] = 'yes';
+        }
+      }
+      return [...items.values()];
+    }
+  },
+  rework: {
+    sheet: 'Rework',
+    columns: [
+      { key: 'sprint', header: 'Sprint', width: 28 },
+      { key: 'reworkCount', header: 'Reworked Issues', type: 'number' },
+      { key: 'totalIssues', header: 'Total Issues', type: 'number' },
+      { key: 'reworkRate', header: 'Rework Rate %', type: 'percent' },
+      { key: 'reworkedKeys', header: 'Reworked Keys', width: 40 }
+    ],
+    rows: (data) => (data.flowQuality?.reworkBySprint || []).map(r => ({
+      sprint: r.sprint,
+      reworkCount: r.reworkCount,
+      totalIssues: r.totalIssues,
+      reworkRate: r.reworkRate,
+      reworkedKeys: (r.reworkDetails || []).map(d => d.key).join('; ')
+    }))
+  },
+  leadTime: {
+    sheet: 'Lead Time',
+    columns: [
+      { key: 'sprint', header: 'Sprint', width: 28 },
+      { key: 'type', header: 'Work Type' },
+      { key: 'leadTimeDays', header: 'Lead Time (days)', type: 'number' }
+    ],
+    // Long format (one row per sprint and work type) so pivot tables can slice it
+    rows: (data) => (data.flowQuality?.leadTimeByTypeBySprint || []).flatMap(({ sprint, ...byType }) => Object.entries(byType)
+      .filter(([, days]) => typeof days === 'number')
+      .map(([type, leadTimeDays]) => ({ sprint, type, leadTimeDays })))
+  }
+};
+
+// Columns prepended to every row of org exports
+const BOARD_COLUMNS = [
+  { key: 'boardId', header: 'Board ID', type: 'number' },
+  { key: 'boardName', header: 'Board', width: 24 },
+  { key: 'calculatedAt', header: 'Snapshot', type: 'date' }
+];
+
+class ExportService {
+  static DATASETS = Object.keys(DATASETS);
+  static FORMATS = ['csv', 'xlsx'];
+
+  _boardFields(snapshot) {
+    return {
+      boardId: snapshot.board_id,
+      boardName: snapshot.board_name || snapshot.metrics_data?.boardName || `Board ${snapshot.board_id}`,
+      calculatedAt: snapshot.calculated_at instanceof Date ? snapshot.calculated_at.toISOString() : snapshot.calculated_at
+    };
+  }
+
+  // { columns, rows } of a dataset over one or more snapshots (withBoard: org export)
+  _table(dataset, snapshots, { withBoard = false } = {}) {
+    const definition = DATASETS[dataset];
+    const columns = withBoard ? [...BOARD_COLUMNS, ...definition.columns] : definition.columns;
+    const rows = snapshots.flatMap(snapshot => {
+      const snapshotRows = definition.rows(snapshot.metrics_data || {});
+      if (!withBoard) return snapshotRows;
+      const board = this._boardFields(snapshot);
+      return snapshotRows.map(row => ({ ...board, ...row }));
+    });
+    return { columns, rows };
+  }
+
+  // RFC 4180 cell; text that a spreadsheet would run as a formula is prefixed with a quote
+  _csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(Math.round(value * 100) / 100) : '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  _csv({ columns, rows }) {
+    const lines = [
+      columns.map(c => this._csvCell(c.header)).join(','),
+      ...rows.map(row => columns.map(c => this._csvCell(row[c.key])).join(','))
+    ];
+    // BOM so Excel opens UTF-8 (accented summaries) correctly
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+  }
+
+  async _xlsx(tables) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Scrum Maturity Dashboard';
+    for (const { sheet, columns, rows } of tables) {
+      const worksheet = workbook.addWorksheet(sheet, { views: [{ state: 'frozen', ySplit: 1 }] });
+      worksheet.columns = columns.map(c => ({
+        key: c.key,
+        header: c.header,
+        width: c.width || Math.max(12, c.header.length + 2),
+        style: c.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : c.type === 'percent' ? { numFmt: '0.0' } : {}
+      }));
+      worksheet.addRows(rows.map(row => Object.fromEntries(columns.map(c => {
+        const value = row[c.key];
+        if (value === null || value === undefined) return [c.key, null];
+        if (c.type === 'date') return [c.key, new Date(value)];
+        return [c.key, value];
+      }))));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  // File (Buffer) of snapshots in `format`: csv holds one dataset, xlsx every dataset as a sheet
+  async _build(snapshots, { format, dataset, withBoard }) {
+    if (format === 'xlsx') {
+      return this._xlsx(ExportService.DATASETS.map(name => ({ sheet: DATASETS[name].sheet, ...this._table(name, snapshots, { withBoard }) })));
+    }
+    return this._csv(this._table(dataset, snapshots, { withBoard }));
+  }
+
+  // Validates export options; returns { options, errors } (dataset defaults to sprints)
+  parseOptions({ format, dataset } = {}) {
+    const errors = [];
+    if (!ExportService.FORMATS.includes(format)) errors.push(`format must be one of ${ExportService.FORMATS.join(', ')}`);
+    const chosen = dataset || 'sprints';
+    if (!ExportService.DATASETS.includes(chosen)) errors.push(`dataset must be one of ${ExportService.DATASETS.join(', ')}`);
+    return { options: { format, dataset: chosen }, errors };
+  }
+
+  // Export of one metrics_history snapshot
+  async exportBoard(snapshot, options) {
+    return this._build([snapshot], { ...options, withBoard: false });
+  }
+
+  // Export of every board's latest snapshot; null when the tenant has none
+  async exportOrg(tenantId, options) {
+    const snapshots = await database.getAllBoardsWithLatestMetrics(tenantId);
+    if (snapshots.length === 0) return null;
+    const sorted = [...snapshots].sort((a, b) => this._boardFields(a).boardName.localeCompare(this._boardFields(b).boardName));
+    return this._build(sorted, { ...options, withBoard: true });
+  }
+}
+
+export { ExportService };
+export default new ExportService();
@@ -0,0 +1,166 @@
+// Monte Carlo delivery forecasting
+// Resamples historical per-sprint throughput (items and story points) to estimate how many
+// sprints — and therefore which dates — the next N backlog items or the planned future
+// sprints need, at 50/85/95% confidence.
+
+const CONFIDENCE_LEVELS = [50, 85, 95];
+const DEFAULT_TRIALS = 10000;
+const MAX_SPRINTS = 200; // Simulation cut-off when throughput is too low to finish
+// Request bounds: each trial walks the whole capacity horizon, so both limit the work per call
+const MAX_HORIZON = 52;
+const MAX_ITEMS = 5000;
+
+class ForecastService {
+
+  // Deterministic PRNG (mulberry32) so the same snapshot always produces the same forecast
+  static createRandom(seed = 1) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Historical throughput per sprint + typical sprint length
+  getThroughputSamples(sprintMetrics = []) {
+    const items = [];
+    const points = [];
+    const lengths = [];
+
+    for (const sprint of sprintMetrics) {
+      // completedIssues is stored since forecasting was added; older snapshots fall back
+      // to hit rate × total issues
+      const completedItems = sprint.completedIssues ?? Math.round(((sprint.sprintHitRate || 0) / 100) * (sprint.totalIssues || 0));
+      items.push(completedItems);
+      points.push(sprint.completedPoints || 0);
+
+      if (sprint.startDate && sprint.endDate) {
+        const days = Math.round((new Date(sprint.endDate) - new Date(sprint.startDate)) / (1000 * 60 * 60 * 24));
+        if (days > 0) lengths.push(days);
+      }
+    }
+
+    const sortedLengths = [...lengths].sort((a, b) => a - b);
+    const sprintLengthDays = sortedLengths.length > 0 ? sortedLengths[Math.floor(sortedLengths.length / 2)] : 14;
+
+    return { items, points, sprintLengthDays };
+  }
+
+  // Number of sprints needed to complete `target` units, per trial (sorted ascending)
+  simulateSprintsNeeded(samples, target, trials, random) {
+    const results = [];
+    for (let t = 0; t < trials; t++) {
+      let done = 0;
+      let sprints = 0;
+      while (done < target && sprints < MAX_SPRINTS) {
+        done += samples[Math.floor(random() * samples.length)];
+        sprints++;
+      }
+      results.push(sprints);
+    }
+    return results.sort((a, b) => a - b);
+  }
+
+  // Units completed within `sprintCount` sprints, per trial (sorted descending — at 85%
+  // confidence the team completes at least the 85th entry)
+  simulateCapacity(samples, sprintCount, trials, random) {
+    const results = [];
+    for (let t = 0; t < trials; t++) {
+      let done = 0;
+      for (let s = 0; s < sprintCount; s++) {
+        done += samples[Math.floor(random() * samples.length)];
+      }
+      results.push(done);
+    }
+    return results.sort((a, b) => b - a);
+  }
+
+  _percentile(sorted, percent) {
+    const index = Math.min(sorted.length - 1, Math.ceil((percent / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+
+  _addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result.toISOString().split('T')[0];
+  }
+
+  // Completion forecast for `target` units using one throughput series
+  _forecastTarget(samples, target, { trials, random, startDate, sprintLengthDays }) {
+    if (!target || target <= 0) return null;
+    if (samples.length === 0 || samples.every(v => v <= 0)) {
+      return { target, forecastable: false, reason: 'No completed work in the analyzed sprints' };
+    }
+
+    const sprintsNeeded = this.simulateSprintsNeeded(samples, target, trials, random);
+    const confidence = {};
+    for (const level of CONFIDENCE_LEVELS) {
+      const sprints = this._percentile(sprintsNeeded, level);
+      confidence[level] = {
+        sprints,
+        date: this._addDays(startDate, sprints * sprintLengthDays),
+        capped: sprints >= MAX_SPRINTS
+      };
+    }
+
+    return { target, forecastable: true, confidence };
+  }
+
+  // Forecast from a stored metrics snapshot (metrics_history.metrics_data)
+  // options: { items: next N backlog items, sprints: capacity horizon, trials, seed }
+  forecast(metricsData, options = {}) {
+    const sprintMetrics = metricsData?.sprintMetrics || [];
+    const futureSprintItems = metricsData?.backlogHealth?.futureSprintItems || null;
+    const trials = Math.min(Math.max(parseInt(options.trials) || DEFAULT_TRIALS, 100), 50000);
+    const random = ForecastService.createRandom(options.seed ?? metricsData?.boardId ?? 1);
+
+    const { items, points, sprintLengthDays } = this.getThroughputSamples(sprintMetrics);
+
+    // Forecast starts at the end of the last analyzed sprint (or today, if that is already past)
+    const lastEnd = sprintMetrics.length > 0 ? new Date(sprintMetrics[sprintMetrics.length - 1].endDate) : new Date();
+    const startDate = isNaN(lastEnd.getTime()) || lastEnd < new Date() ? new Date() : lastEnd;
+
+    const ctx = { trials, random, startDate, sprintLengthDays };
+    const backlogItems = metricsData?.backlogHealth?.totalItems || 0;
+    const nextItems = Math.min(Math.max(parseInt(options.items) || backlogItems || 10, 1), MAX_ITEMS);
+
+    // Capacity horizon defaults to the number of planned future sprints
+    const horizon = Math.min(Math.max(parseInt(options.sprints) || futureSprintItems?.sprints?.length || 3, 1), MAX_HORIZON);
+    const itemCapacity = items.some(v => v > 0) ? this.simulateCapacity(items, horizon, trials, random) : null;
+    const pointCapacity = points.some(v => v > 0) ? this.simulateCapacity(points, horizon, trials, random) : null;
+    const capacity = {};
+    for (const level of CONFIDENCE_LEVELS) {
+      capacity[level] = {
+        items: itemCapacity ? this._percentile(itemCapacity, level) : 0,
+        points: pointCapacity ? Math.round(this._percentile(pointCapacity, level) * 10) / 10 : 0
+      };
+    }
+
+    return {
+      basis: {
+        sprintsSampled: sprintMetrics.length,
+        itemsPerSprint: items,
+        pointsPerSprint: points,
+        sprintLengthDays,
+        startDate: startDate.toISOString().split('T')[0],
+        trials
+      },
+      nextItems: this._forecastTarget(items, nextItems, ctx),
+      futureSprints: futureSprintItems && futureSprintItems.count > 0
+        ? {
+            sprintCount: futureSprintItems.sprints?.length || 0,
+            byItems: this._forecastTarget(items, futureSprintItems.count, ctx),
+            byPoints: this._forecastTarget(points, futureSprintItems.totalPoints, ctx)
+          }
+        : null,
+      capacity: { sprints: horizon, confidence: capacity },
+      confidenceLevels: CONFIDENCE_LEVELS
+    };
+  }
+}
+
+export default new ForecastService();
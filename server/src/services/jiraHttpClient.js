@@ -0,0 +1,222 @@
+// Shared Jira request layer
+// Every axios instance of a JiraService (agile, REST and GreenHopper) goes through the same
+// per-tenant budget: at most N requests in flight per Jira site, 429 / 5xx / network errors
+// retried with exponential backoff (Retry-After wins when Jira sends it), and a 429 pauses the
+// whole tenant queue until the rate limit window is over. Request metrics are kept per tenant
+// and exposed on /api/diagnostics.
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+const LATENCY_SAMPLES = 200;
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Concurrency budget of one tenant: FIFO queue of waiters plus a shared pause window
+class TenantLimiter {
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+  }
+
+  async acquire() {
+    if (this.active >= this.concurrency || this.queue.length > 0) {
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+    // Honour a rate-limit pause started while this request was queued
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next(); // Slot handed over directly, active count unchanged
+    } else {
+      this.active = Math.max(0, this.active - 1);
+    }
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+class JiraHttpClient {
+  constructor() {
+    this.concurrency = Number(process.env.JIRA_MAX_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    this.maxRetries = Number(process.env.JIRA_MAX_RETRIES ?? DEFAULT_MAX_RETRIES);
+    this.limiters = new Map();
+    this.metrics = new Map();
+  }
+
+  _limiter(tenantId) {
+    const key = tenantId || 'default';
+    if (!this.limiters.has(key)) this.limiters.set(key, new TenantLimiter(this.concurrency));
+    return this.limiters.get(key);
+  }
+
+  _metrics(tenantId) {
+    const key = tenantId || 'default';
+    if (!this.metrics.has(key)) {
+      this.metrics.set(key, {
+        requests: 0,
+        succeeded: 0,
+        failed: 0,
+        retries: 0,
+        rateLimited: 0,
+        serverErrors: 0,
+        networkErrors: 0,
+        byApi: {},
+        latencies: [],
+        lastRateLimitAt: null,
+        lastRetryAfterMs: null,
+        lastError: null,
+        since: new Date().toISOString()
+      });
+    }
+    return this.metrics.get(key);
+  }
+
+  // Whether a failed request is worth retrying: rate limited, server errors and transient
+  // network failures. 4xx other than 429 are permanent.
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status === 429) return true;
+    if (status >= 500 && status !== 501) return true;
+    return !error.response && RETRYABLE_CODES.includes(error.code);
+  }
+
+  // Delay before retry `attempt` (1-based): Retry-After (seconds or HTTP date) when present,
+  // otherwise exponential backoff with jitter
+  retryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter !== undefined && retryAfter !== null) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+      if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, MAX_DELAY_MS * 4);
+    }
+    const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  // Route an axios instance through the tenant budget. `apiName` labels the metrics
+  // (agile / api / greenhopper).
+  attach(instance, tenantId, apiName) {
+    const limiter = this._limiter(tenantId);
+    const metrics = this._metrics(tenantId);
+    const apiMetrics = (metrics.byApi[apiName] ||= { requests: 0, failed: 0, retries: 0 });
+
+    instance.interceptors.request.use(async (config) => {
+      await limiter.acquire();
+      config._jiraStartedAt = Date.now();
+      metrics.requests++;
+      apiMetrics.requests++;
+      return config;
+    });
+
+    const finish = (config) => {
+      limiter.release();
+      if (config?._jiraStartedAt) {
+        metrics.latencies.push(Date.now() - config._jiraStartedAt);
+        if (metrics.latencies.length > LATENCY_SAMPLES) metrics.latencies.shift();
+      }
+    };
+
+    instance.interceptors.response.use(
+      (response) => {
+        finish(response.config);
+        metrics.succeeded++;
+        return response;
+      },
+      async (error) => {
+        const config = error.config;
+        finish(config);
+
+        const status = error.response?.status;
+        if (status === 429) metrics.rateLimited++;
+        else if (status >= 500) metrics.serverErrors++;
+        else if (!error.response) metrics.networkErrors++;
+
+        const attempt = (config?._jiraRetryCount || 0) + 1;
+        if (!config || !this.isRetryable(error) || attempt > this.maxRetries) {
+          metrics.failed++;
+          apiMetrics.failed++;
+          metrics.lastError = {
+            api: apiName,
+            url: config?.url || null,
+            status: status || error.code || null,
+            message: error.message,
+            at: new Date().toISOString()
+          };
+          throw error;
+        }
+
+        const delay = this.retryDelay(error, attempt);
+        if (status === 429) {
+          // The limit applies to the whole site: hold every queued request, not just this one
+          limiter.pause(delay);
+          metrics.lastRateLimitAt = new Date().toISOString();
+          metrics.lastRetryAfterMs = delay;
+        }
+        metrics.retries++;
+        apiMetrics.retries++;
+        console.warn(`  ↻ Jira ${apiName} ${config.url} → ${status || error.code}, retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+
+        config._jiraRetryCount = attempt;
+        await sleep(delay);
+        return instance(config);
+      }
+    );
+
+    return instance;
+  }
+
+  // Request metrics of one tenant (or all tenants when tenantId is omitted)
+  getMetrics(tenantId) {
+    const summarize = (key, m) => {
+      const limiter = this.limiters.get(key);
+      const sorted = [...m.latencies].sort((a, b) => a - b);
+      const pick = (p) => (sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : null);
+      return {
+        tenantId: key,
+        requests: m.requests,
+        succeeded: m.succeeded,
+        failed: m.failed,
+        retries: m.retries,
+        rateLimited: m.rateLimited,
+        serverErrors: m.serverErrors,
+        networkErrors: m.networkErrors,
+        byApi: m.byApi,
+        latencyMs: {
+          average: sorted.length > 0 ? Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length) : null,
+          p50: pick(0.5),
+          p95: pick(0.95)
+        },
+        inFlight: limiter?.active || 0,
+        queued: limiter?.queue.length || 0,
+        concurrencyLimit: this.concurrency,
+        pausedForMs: limiter ? Math.max(0, limiter.pausedUntil - Date.now()) : 0,
+        lastRateLimitAt: m.lastRateLimitAt,
+        lastRetryAfterMs: m.lastRetryAfterMs,
+        lastError: m.lastError,
+        since: m.since
+      };
+    };
+
+    if (tenantId !== undefined) {
+      const key = tenantId || 'default';
+      const m = this.metrics.get(key);
+      return m ? summarize(key, m) : null;
+    }
+    return [...this.metrics.entries()].map(([key, m]) => summarize(key, m));
+  }
+}
+
+export default new JiraHttpClient();
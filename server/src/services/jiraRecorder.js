@@ -0,0 +1,165 @@
+// Jira record / replay
+// JIRA_MODE=record saves every Jira response (agile, REST and GreenHopper) as a fixture file;
+// JIRA_MODE=replay serves those fixtures instead of the network, so the dashboard, the board
+// list and diagnostics run without Jira credentials. Fixtures are keyed by method, path, query
+// and body — never by credentials — and live in JIRA_FIXTURES_DIR (default server/fixtures/jira),
+// one directory per tenant.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.resolve(__dirname, '../../fixtures/jira');
+const MODES = ['off', 'record', 'replay'];
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+class JiraRecorder {
+  constructor() {
+    const mode = (process.env.JIRA_MODE || 'off').toLowerCase();
+    this.mode = MODES.includes(mode) ? mode : 'off';
+    this.dir = process.env.JIRA_FIXTURES_DIR ? path.resolve(process.env.JIRA_FIXTURES_DIR) : DEFAULT_DIR;
+    this.stats = { recorded: 0, replayed: 0, missing: 0, lastMissing: null };
+    if (this.mode !== 'off') {
+      console.log(`📼 Jira ${this.mode} mode — fixtures in ${this.dir}`);
+    }
+  }
+
+  // Stable JSON (sorted keys) so the same body always hashes the same
+  _stable(value) {
+    if (Array.isArray(value)) return `[${value.map(v => this._stable(v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${this._stable(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+
+  // Request identity: method + path (with the API prefix, without the host or a Server/DC
+  // context path above /rest) + sorted query + body
+  requestKey(config) {
+    const base = (config.baseURL || '').replace(/\/+$/, '');
+    const fullUrl = new URL(/^https?:\/\//i.test(config.url || '')
+      ? config.url
+      : `${base}/${(config.url || '').replace(/^\/+/, '')}`);
+    const restIndex = fullUrl.pathname.indexOf('/rest/');
+    const pathname = restIndex >= 0 ? fullUrl.pathname.slice(restIndex) : fullUrl.pathname;
+
+    const query = new URLSearchParams(fullUrl.search);
+    for (const [k, v] of Object.entries(config.params || {})) {
+      if (v !== undefined && v !== null) query.append(k, String(v));
+    }
+    const sortedQuery = [...query.entries()].sort(([a], [b]) => a.localeCompare(b));
+
+    let body = config.data;
+    if (typeof body === 'string') {
+      try { body = JSON.parse(body); } catch { /* keep raw string */ }
+    }
+
+    const method = (config.method || 'get').toUpperCase();
+    const key = `${method} ${pathname}?${new URLSearchParams(sortedQuery).toString()} ${body === undefined ? '' : this._stable(body)}`;
+    return { method, pathname, key };
+  }
+
+  _fixturePath(tenantId, config) {
+    const { method, pathname, key } = this.requestKey(config);
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+    const slug = pathname.replace(/^\/rest\//, '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 80);
+    const tenantDir = (tenantId || 'default').replace(/[^a-zA-Z0-9.-]+/g, '_');
+    return { file: path.join(this.dir, tenantDir, `${method}_${slug}_${hash}.json`), key };
+  }
+
+  _save(tenantId, config, response) {
+    const { file, key } = this._fixturePath(tenantId, config);
+    const headers = {};
+    for (const name of KEPT_HEADERS) {
+      const value = response.headers?.[name];
+      if (value !== undefined) headers[name] = value;
+    }
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        key,
+        recordedAt: new Date().toISOString(),
+        status: response.status,
+        statusText: response.statusText || '',
+        headers,
+        data: response.data
+      }, null, 2));
+      this.stats.recorded++;
+    } catch (error) {
+      console.warn(`📼 Could not record ${key}: ${error.message}`);
+    }
+  }
+
+  // Axios adapter serving a fixture. Missing fixtures and recorded error responses reject
+  // like the network would, so callers take their usual fallback paths.
+  async _replay(tenantId, config) {
+    const { file, key } = this._fixturePath(tenantId, config);
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      this.stats.missing++;
+      this.stats.lastMissing = key;
+      console.warn(`📼 No fixture for ${key}`);
+      const error = new Error(`No recorded Jira response for ${key}`);
+      error.code = 'ERR_FIXTURE_MISSING';
+      error.config = config;
+      error.response = { status: 404, statusText: 'Fixture Missing', headers: {}, data: { errorMessages: [error.message] }, config };
+      throw error;
+    }
+
+    this.stats.replayed++;
+    const response = {
+      status: fixture.status,
+      statusText: fixture.statusText,
+      headers: fixture.headers || {},
+      data: fixture.data,
+      config,
+      request: { replayed: true }
+    };
+    if (fixture.status >= 200 && fixture.status < 300) return response;
+
+    const error = new Error(`Request failed with status code ${fixture.status}`);
+    error.code = fixture.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+    error.config = config;
+    error.response = response;
+    throw error;
+  }
+
+  // Hook an axios instance into the current mode. Attach after jiraHttpClient so recordings
+  // hold the final response after retries.
+  attach(instance, tenantId) {
+    if (this.mode === 'replay') {
+      instance.defaults.adapter = (config) => this._replay(tenantId, config);
+    } else if (this.mode === 'record') {
+      instance.interceptors.response.use(
+        (response) => {
+          if (!response.config._jiraRecorded) {
+            response.config._jiraRecorded = true;
+            this._save(tenantId, response.config, response);
+          }
+          return response;
+        },
+        (error) => {
+          // Permanent HTTP errors (404 on a missing issue, 400 on bad JQL) are replayed too;
+          // rate limits and server errors that outlived the retries are not
+          const status = error.response?.status;
+          if (status && status < 500 && status !== 429 && error.config && !error.config._jiraRecorded) {
+            error.config._jiraRecorded = true;
+            this._save(tenantId, error.config, error.response);
+          }
+          throw error;
+        }
+      );
+    }
+    return instance;
+  }
+
+  getStatus() {
+    return { mode: this.mode, fixturesDir: this.dir, ...this.stats };
+  }
+}
+
+export default new JiraRecorder();
@@ -1,44 +1,166 @@
 import axios from 'axios';
+import jiraHttpClient from './jiraHttpClient.js';
+import jiraRecorder from './jiraRecorder.js';
+import TenantService from './tenantService.js';
+import tenantSettingsService from './tenantSettingsService.js';
+
+// Deployment types: Jira Cloud (Basic email:API token, REST v3, ADF descriptions) and
+// Jira Server / Data Center (Bearer Personal Access Token, REST v2, wiki markup descriptions)
+const DEPLOYMENT_TYPES = ['cloud', 'datacenter'];
+
+// Issue listings page through Jira until done; the cap only protects memory on runaway boards
+const ISSUE_PAGE_SIZE = 100;
+const MAX_LISTED_ISSUES = Number(process.env.JIRA_MAX_LISTED_ISSUES) || 5000;
 
 class JiraService {
-  constructor(baseUrl, email, apiToken) {
+  constructor(baseUrl, email, apiToken, { deploymentType = 'cloud' } = {}) {
+    this.deploymentType = JiraService.normalizeDeploymentType(deploymentType);
+    this.isCloud = this.deploymentType === 'cloud';
+
     // Normalize the base URL: extract just the origin (protocol + host)
     // Handles cases like "https://company.atlassian.net/jira/" → "https://company.atlassian.net"
+    // Server/DC keeps its context path ("https://jira.company.com/jira")
     try {
       const parsed = new URL(baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
-      this.baseUrl = parsed.origin;
+      this.baseUrl = this.isCloud ? parsed.origin : (parsed.origin + parsed.pathname).replace(/\/+$/, '');
     } catch {
       this.baseUrl = baseUrl.replace(/\/+$/, '');
     }
+
+    // Cloud: Basic email:API token. Server/DC: Bearer Personal Access Token.
     this.auth = Buffer.from(`${email}:${apiToken}`).toString('base64');
+    this.authHeader = this.isCloud ? `Basic ${this.auth}` : `Bearer ${apiToken}`;
+    const headers = {
+      'Authorization': this.authHeader,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
 
     // Agile API for boards and sprints
     this.agileApi = axios.create({
       baseURL: `${this.baseUrl}/rest/agile/1.0`,
       timeout: 30000,
-      headers: {
-        'Authorization': `Basic ${this.auth}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
+      headers
     });
 
-    // Standard API for issues and fields
+    // Standard API for issues and fields (v3 on Cloud, v2 on Server/DC)
     this.api = axios.create({
-      baseURL: `${this.baseUrl}/rest/api/3`,
+      baseURL: `${this.baseUrl}/rest/api/${this.isCloud ? 3 : 2}`,
       timeout: 30000,
-      headers: {
-        'Authorization': `Basic ${this.auth}`,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
+      headers
+    });
+
+    // GreenHopper (Sprint Report, Velocity Chart) — private API used by the Jira UI
+    this.greenhopperApi = axios.create({
+      baseURL: `${this.baseUrl}/rest/greenhopper/1.0`,
+      timeout: 30000,
+      headers
     });
 
+    // All three share the tenant's concurrency budget, retry and backoff (see jiraHttpClient)
+    this.tenantId = TenantService.extractTenantId(this.baseUrl);
+    jiraHttpClient.attach(this.agileApi, this.tenantId, 'agile');
+    jiraHttpClient.attach(this.api, this.tenantId, 'api');
+    jiraHttpClient.attach(this.greenhopperApi, this.tenantId, 'greenhopper');
+    // Record / replay fixtures when JIRA_MODE is set (see jiraRecorder)
+    for (const instance of [this.agileApi, this.api, this.greenhopperApi]) {
+      jiraRecorder.attach(instance, this.tenantId);
+    }
+
     // Cache for project key lookups (avoid repeated API calls)
     this._projectKeyCache = new Map();
     this._boardNameCache = new Map();
   }
 
+  // "server", "dc" and "datacenter" all mean the self-hosted REST v2 flavour
+  static normalizeDeploymentType(type) {
+    const value = String(type || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (['server', 'dc', 'datacenter'].includes(value)) return 'datacenter';
+    return 'cloud';
+  }
+
+  // Detect the deployment type from the unauthenticated serverInfo endpoint
+  // (deploymentType "Cloud" | "Server" | "DataCenter"), falling back to the host name
+  static async detectDeploymentType(baseUrl) {
+    let parsed;
+    try {
+      parsed = new URL(baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
+    } catch {
+      return 'cloud';
+    }
+
+    // Try the URL as given (Server/DC context path) first, then the bare origin
+    const candidates = [...new Set([(parsed.origin + parsed.pathname).replace(/\/+$/, ''), parsed.origin])];
+    const client = jiraRecorder.attach(axios.create({ timeout: 10000 }), TenantService.extractTenantId(parsed.origin));
+    for (const base of candidates) {
+      try {
+        const response = await client.get(`${base}/rest/api/2/serverInfo`, {
+          headers: { 'Accept': 'application/json' }
+        });
+        const reported = response.data?.deploymentType;
+        if (reported) return reported === 'Cloud' ? 'cloud' : 'datacenter';
+      } catch (error) {
+        console.warn(`Could not detect Jira deployment type at ${base}: ${error.message}`);
+      }
+    }
+    return /\.atlassian\.net$/i.test(parsed.hostname) ? 'cloud' : 'datacenter';
+  }
+
+  // Plain text of an issue description: ADF documents (Cloud, REST v3) and wiki markup
+  // (Server/DC, REST v2) are both reduced to text with one line per block
+  static descriptionToText(description) {
+    if (!description) return '';
+
+    if (typeof description === 'object') {
+      const blocks = [];
+      const walk = (node, line) => {
+        if (node.type === 'text') return line + (node.text || '');
+        if (node.type === 'hardBreak') return line + '\n';
+        let text = line;
+        for (const child of (node.content || [])) text = walk(child, text);
+        if (['paragraph', 'heading', 'listItem', 'codeBlock', 'blockquote', 'tableCell'].includes(node.type) && text.trim()) {
+          blocks.push(text.trim());
+          return '';
+        }
+        return text;
+      };
+      const rest = walk(description, '');
+      if (rest.trim()) blocks.push(rest.trim());
+      return blocks.join('\n');
+    }
+
+    return String(description)
+      .replace(/\{(code|noformat|quote|panel|color)(:[^}]*)?\}/g, '')
+      .replace(/^h[1-6]\.\s*/gm, '')
+      .replace(/^\s*[*#-]+\s+/gm, '')
+      .replace(/\[([^|\]]+)\|[^\]]+\]/g, '$1')
+      .replace(/[*_+^~]([^*_+^~\n]+)[*_+^~]/g, '$1')
+      .replace(/\|\|?/g, ' ')
+      .trim();
+  }
+
+  // JQL search with Cloud's /search/jql response shape ({ issues, nextPageToken, isLast }).
+  // Server/DC only has /search (startAt/total pagination), so the page position is carried
+  // in nextPageToken and isLast is derived from the total.
+  async _searchJql(body) {
+    if (this.isCloud) return this.api.post('/search/jql', body);
+
+    const { nextPageToken, expand, ...rest } = body;
+    const startAt = nextPageToken ? Number(nextPageToken) : 0;
+    const response = await this.api.post('/search', {
+      ...rest,
+      startAt,
+      ...(expand && { expand: Array.isArray(expand) ? expand : String(expand).split(',') })
+    });
+    const issues = response.data.issues || [];
+    const next = startAt + issues.length;
+    const isLast = issues.length === 0 || next >= (response.data.total ?? next);
+    return {
+      ...response,
+      data: { ...response.data, nextPageToken: isLast ? undefined : String(next), isLast }
+    };
+  }
+
   // Lightweight credential validation — single API call (~200ms)
   async getCurrentUser() {
     try {
@@ -49,6 +171,17 @@ class JiraService {
     }
   }
 
+  // Whether the user holds the Jira global "Administer" permission (false when it can't be read)
+  async isJiraAdmin() {
+    try {
+      const response = await this.api.get('/mypermissions', { params: { permissions: 'ADMINISTER' } });
+      return response.data?.permissions?.ADMINISTER?.havePermission === true;
+    } catch (error) {
+      console.warn(`Could not read Jira permissions: ${error.message}`);
+      return false;
+    }
+  }
+
   // Get all boards (paginated to fetch all)
   // Fetch boards from Jira. By default fetches scrum boards, but also
   // tries other types if no scrum boards are found.
@@ -133,14 +266,23 @@ class JiraService {
         }
       }
 
-      console.warn('⚠ Could not auto-detect story points field, using default customfield_10061');
-      return 'customfield_10061';
+      console.warn('⚠ Could not auto-detect story points field — set storyPointsField in the tenant settings');
+      return null;
     } catch (err) {
       console.warn('⚠ Failed to auto-detect story points field:', err.message);
-      return 'customfield_10061';
+      return null;
     }
   }
 
+  // Story points field of this tenant: its setting, else auto-detected (see
+  // tenantSettingsService). Resolved once per instance; null when there is none.
+  async getStoryPointsField() {
+    if (this.storyPointsField === undefined) {
+      this.storyPointsField = await tenantSettingsService.resolveStoryPointsField(this);
+    }
+    return this.storyPointsField;
+  }
+
   // Get a single board by ID
   async getBoard(boardId) {
     const cached = this._boardNameCache.get(String(boardId));
@@ -225,16 +367,9 @@ class JiraService {
   // - completedPoints: points of completed items
   async getSprintReportData(boardId, sprintId) {
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/rest/greenhopper/1.0/rapid/charts/sprintreport`,
-        {
-          params: { rapidViewId: boardId, sprintId },
-          headers: {
-            'Authorization': `Basic ${this.auth}`,
-            'Accept': 'application/json'
-          }
-        }
-      );
+      const response = await this.greenhopperApi.get('/rapid/charts/sprintreport', {
+        params: { rapidViewId: boardId, sprintId }
+      });
 
       const contents = response.data?.contents || {};
       const completedIssues = contents.completedIssues || [];
@@ -279,20 +414,19 @@ class JiraService {
     }
   }
 
+  // Raw Velocity Chart response (Server/DC serves it as velocity.json)
+  async getVelocityChart(boardId) {
+    const response = await this.greenhopperApi.get(this.isCloud ? '/rapid/charts/velocity' : '/rapid/charts/velocity.json', {
+      params: { rapidViewId: boardId }
+    });
+    return response.data;
+  }
+
   // Fetch velocity chart data for a board — returns map of sprintId → { committed, completed }
   async getVelocityData(boardId) {
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/rest/greenhopper/1.0/rapid/charts/velocity`,
-        {
-          params: { rapidViewId: boardId },
-          headers: {
-            'Authorization': `Basic ${this.auth}`,
-            'Accept': 'application/json'
-          }
-        }
-      );
-      const entries = response.data?.velocityStatEntries || {};
+      const data = await this.getVelocityChart(boardId);
+      const entries = data?.velocityStatEntries || {};
       const result = {};
       for (const [sid, vals] of Object.entries(entries)) {
         result[sid] = {
@@ -307,24 +441,48 @@ class JiraService {
     }
   }
 
+  // Every issue of an agile listing (sprint, backlog, board), following startAt/total.
+  // Jira Cloud returns fewer issues per page than requested, so pages advance by what was
+  // actually returned. Stops at MAX_LISTED_ISSUES and marks the list with `_truncated`.
+  async getAllAgileIssues(endpoint, params = {}, label = endpoint) {
+    let issues = [];
+    let startAt = 0;
+    let total = null;
+
+    while (true) {
+      const response = await this.agileApi.get(endpoint, {
+        params: { ...params, startAt, maxResults: ISSUE_PAGE_SIZE }
+      });
+      const page = response.data.issues || [];
+      issues = issues.concat(page);
+      startAt += page.length;
+      total = response.data.total ?? null;
+
+      if (page.length === 0 || (total !== null && startAt >= total)) break;
+      if (total === null && page.length < ISSUE_PAGE_SIZE) break;
+      if (issues.length >= MAX_LISTED_ISSUES) {
+        issues = issues.slice(0, MAX_LISTED_ISSUES);
+        issues._truncated = { source: label, fetched: issues.length, total, cap: MAX_LISTED_ISSUES };
+        console.warn(`  ⚠ ${label}: stopped at ${MAX_LISTED_ISSUES} of ${total ?? '?'} issues (safety cap)`);
+        break;
+      }
+    }
+
+    return issues;
+  }
+
   // Get issues for a sprint
   // When boardId is provided, uses the board-scoped endpoint which respects the board's
   // JQL filter — this matches what the Jira Sprint Report shows.
   // Each issue is annotated with _completedInSprintReport (true/false) sourced from
   // the GreenHopper Sprint Report API — the exact same data the Jira UI displays.
   // If the Sprint Report API is unavailable, falls back to changelog-based checks.
-  async getSprintIssues(sprintId, boardId = null) {
+  async getSprintIssues(sprintId, boardId = null, { onChangelogs = null } = {}) {
     try {
       const endpoint = boardId
         ? `/board/${boardId}/sprint/${sprintId}/issue`
         : `/sprint/${sprintId}/issue`;
-      const response = await this.agileApi.get(endpoint, {
-        params: {
-          maxResults: 1000,
-          fields: '*all'
-        }
-      });
-      const issues = response.data.issues || [];
+      const issues = await this.getAllAgileIssues(endpoint, { fields: '*all' }, `Sprint ${sprintId}`);
 
       // Try Sprint Report API first (exact match with Jira UI)
       let sprintReportData = null;
@@ -351,6 +509,7 @@ class JiraService {
       }
 
       // Always enrich with changelogs — needed for cycle time, rollover completion checks, etc.
+      onChangelogs?.(issues.length);
       await this._enrichWithChangelogs(issues);
 
       return issues;
@@ -373,7 +532,7 @@ class JiraService {
         const batch = keys.slice(i, i + 50);
         const jql = `key in (${batch.join(',')})`;
 
-        const searchResp = await this.api.post('/search/jql', {
+        const searchResp = await this._searchJql({
           jql,
           fields: ['summary'],
           expand: 'changelog',
@@ -403,6 +562,11 @@ class JiraService {
   // Get issue changelog for cycle time calculation
   async getIssueChangelog(issueKey) {
     try {
+      // Server/DC has no /changelog resource — the issue's expanded changelog has the same histories
+      if (!this.isCloud) {
+        const response = await this.api.get(`/issue/${issueKey}`, { params: { fields: 'summary', expand: 'changelog' } });
+        return response.data.changelog?.histories || [];
+      }
       const response = await this.api.get(`/issue/${issueKey}/changelog`);
       return response.data.values;
     } catch (error) {
@@ -418,7 +582,7 @@ class JiraService {
     const changelogMap = new Map();
     if (issueKeys.length === 0) return changelogMap;
 
-    const batchSize = 20; // Parallel batch size (respects Jira rate limits)
+    const batchSize = 20; // Parallel batch size (in-flight requests are capped per tenant by jiraHttpClient)
     let fetched = 0;
 
     for (let i = 0; i < issueKeys.length; i += batchSize) {
@@ -444,6 +608,36 @@ class JiraService {
     return changelogMap;
   }
 
+  // Issues of a board relevant to a flow analysis window (Kanban): everything still open,
+  // plus anything created or resolved in the last `days` days. Paginated via startAt.
+  async getBoardIssuesForFlow(boardId, days = 84) {
+    try {
+      const storyPointsField = await this.getStoryPointsField();
+      const jql = `statusCategory != Done OR resolved >= -${days}d OR created >= -${days}d`;
+      const fields = ['summary', 'issuetype', 'status', 'assignee', 'created', 'resolutiondate', 'description', 'labels', 'priority', storyPointsField]
+        .filter(Boolean).join(',');
+
+      const allIssues = await this.getAllAgileIssues(`/board/${boardId}/issue`, { jql, fields }, `Board ${boardId} flow window`);
+
+      console.log(`✓ Board ${boardId}: ${allIssues.length} issues in the ${days}-day flow window`);
+      return allIssues;
+    } catch (error) {
+      throw new Error(`Failed to fetch board issues: ${error.message}`);
+    }
+  }
+
+  // Map of status id → status category key ("new", "indeterminate", "done").
+  // Changelog status items carry ids, so flow metrics use this to classify transitions.
+  async getStatusCategories() {
+    try {
+      const response = await this.api.get('/status');
+      return new Map((response.data || []).map(status => [String(status.id), status.statusCategory?.key]));
+    } catch (error) {
+      console.warn(`Failed to fetch status categories: ${error.message}`);
+      return new Map();
+    }
+  }
+
   // Get board configuration
   async getBoardConfiguration(boardId) {
     try {
@@ -464,31 +658,45 @@ class JiraService {
     }
   }
 
-  // Search issues with JQL
+  // Search issues with JQL, up to `maxResults` issues across as many pages as needed
   // Note: Using /search/jql endpoint due to Jira Cloud API migration (CHANGE-2046)
   async searchIssues(jql, fields = [], maxResults = 100) {
     try {
-      const response = await this.api.post('/search/jql', {
-        jql,
-        fields,
-        maxResults
-      });
-      return response.data.issues;
+      let issues = [];
+      let nextPageToken = null;
+      let isLast = false;
+      const limit = Math.min(maxResults, MAX_LISTED_ISSUES);
+
+      while (issues.length < limit) {
+        const requestBody = { jql, fields, maxResults: Math.min(ISSUE_PAGE_SIZE, limit - issues.length) };
+        if (nextPageToken) requestBody.nextPageToken = nextPageToken;
+        const response = await this._searchJql(requestBody);
+        const page = response.data.issues || [];
+        issues = issues.concat(page);
+        nextPageToken = response.data.nextPageToken;
+        isLast = response.data.isLast || !nextPageToken || page.length === 0;
+        if (isLast) break;
+      }
+
+      if (!isLast) {
+        issues._truncated = { source: `Search: ${jql}`, fetched: issues.length, total: null, cap: limit };
+      }
+      return issues;
     } catch (error) {
       throw new Error(`Failed to search issues: ${error.message}`);
     }
   }
 
+  // Issues of a board sprint with a chosen field set, without the Sprint Report lookup
+  // that getSprintIssues does (used for active/future sprint planning)
+  async getBoardSprintIssues(boardId, sprintId, fields) {
+    return this.getAllAgileIssues(`/board/${boardId}/sprint/${sprintId}/issue`, { fields }, `Sprint ${sprintId}`);
+  }
+
   // Get backlog issues for a board (direct endpoint, no JQL)
   async getBacklogIssues(boardId) {
     try {
-      const response = await this.agileApi.get(`/board/${boardId}/backlog`, {
-        params: {
-          maxResults: 500,
-          fields: '*all'
-        }
-      });
-      return response.data.issues;
+      return await this.getAllAgileIssues(`/board/${boardId}/backlog`, { fields: '*all' }, `Board ${boardId} backlog`);
     } catch (error) {
       throw new Error(`Failed to fetch backlog issues: ${error.message}`);
     }
@@ -507,8 +715,10 @@ class JiraService {
       issues.forEach(issue => {
         if (issue.fields.assignee) {
           const user = issue.fields.assignee;
-          uniqueUsers.set(user.accountId, {
-            accountId: user.accountId,
+          // Server/DC users have no accountId — the user key identifies them instead
+          const accountId = user.accountId || user.key || user.name;
+          uniqueUsers.set(accountId, {
+            accountId,
             displayName: user.displayName,
             emailAddress: user.emailAddress
           });
@@ -660,6 +870,16 @@ class JiraService {
     }
   }
 
+  // Get a single version/release by ID
+  async getVersion(versionId) {
+    try {
+      const response = await this.api.get(`/version/${versionId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch version ${versionId}: ${error.message}`);
+    }
+  }
+
   // Escape version name for JQL queries
   escapeJqlString(str) {
     if (!str) return str;
@@ -672,6 +892,7 @@ class JiraService {
   // The old /search endpoint was fully removed and returns 410
   async getVersionIssues(projectKey, versionId, versionName) {
     try {
+      const storyPointsField = await this.getStoryPointsField();
       let allIssues = [];
       const maxResults = 100;
       const escapedVersionName = this.escapeJqlString(versionName);
@@ -688,7 +909,7 @@ class JiraService {
       do {
         const requestBody = {
           jql: jqlWithProject,
-          fields: ['summary', 'status', 'issuetype', 'priority', 'assignee', 'created', 'updated', 'fixVersions', 'issuelinks', 'customfield_10061'],
+          fields: ['summary', 'status', 'issuetype', 'priority', 'assignee', 'created', 'updated', 'fixVersions', 'issuelinks', storyPointsField].filter(Boolean),
           expand: 'changelog',
           maxResults
         };
@@ -697,7 +918,7 @@ class JiraService {
           requestBody.nextPageToken = nextPageToken;
         }
 
-        const response = await this.api.post('/search/jql', requestBody);
+        const response = await this._searchJql(requestBody);
 
         const issues = response.data.issues || [];
         allIssues = allIssues.concat(issues);
@@ -707,7 +928,7 @@ class JiraService {
         nextPageToken = response.data.nextPageToken;
         const isLast = response.data.isLast;
 
-        if (isLast || !nextPageToken || issues.length < maxResults) {
+        if (isLast || !nextPageToken || issues.length === 0) {
           break;
         }
       } while (true);
@@ -715,13 +936,22 @@ class JiraService {
       // If no issues found with project filter, try without it
       if (allIssues.length === 0) {
         console.log(`[getVersionIssues] No issues found with project filter, trying: ${jqlVersionOnly}`);
-        const response = await this.api.post('/search/jql', {
-          jql: jqlVersionOnly,
-          fields: ['summary', 'status', 'issuetype', 'priority', 'assignee', 'created', 'updated', 'fixVersions', 'issuelinks', 'customfield_10061'],
-          expand: 'changelog',
-          maxResults: 200
-        });
-        allIssues = response.data.issues || [];
+        nextPageToken = null;
+        do {
+          const requestBody = {
+            jql: jqlVersionOnly,
+            fields: ['summary', 'status', 'issuetype', 'priority', 'assignee', 'created', 'updated', 'fixVersions', 'issuelinks', storyPointsField].filter(Boolean),
+            expand: 'changelog',
+            maxResults
+          };
+          if (nextPageToken) requestBody.nextPageToken = nextPageToken;
+
+          const response = await this._searchJql(requestBody);
+          const issues = response.data.issues || [];
+          allIssues = allIssues.concat(issues);
+          nextPageToken = response.data.nextPageToken;
+          if (response.data.isLast || !nextPageToken || issues.length === 0) break;
+        } while (true);
         console.log(`[getVersionIssues] Found ${allIssues.length} issues without project filter`);
       }
 
@@ -735,6 +965,7 @@ class JiraService {
   // Get detailed release data with issue history analysis
   async getReleaseDetails(projectKey, versionId, versionName, startDate) {
     try {
+      const storyPointsField = await this.getStoryPointsField();
       console.log(`[getReleaseDetails] Starting for version "${versionName}" (project: ${projectKey})`);
 
       let issues = [];
@@ -809,7 +1040,7 @@ class JiraService {
           _isSubtask: issue.fields.issuetype?.subtask || false,
           priority: issue.fields.priority?.name || 'None',
           assignee: issue.fields.assignee?.displayName || 'Unassigned',
-          storyPoints: issue.fields.customfield_10061 || 0,
+          storyPoints: (storyPointsField && issue.fields[storyPointsField]) || 0,
           addedToVersionDate: addedToVersionDate.toISOString(),
           dependencies,
           created: issue.fields.created,
@@ -834,7 +1065,7 @@ class JiraService {
       console.log(`[getReleaseDetails] Attempting to fetch removed issues...`);
       try {
         const escapedVersionName = this.escapeJqlString(versionName);
-        const recentlyChangedResponse = await this.api.post('/search/jql', {
+        const recentlyChangedResponse = await this._searchJql({
           jql: `project = "${projectKey}" AND fixVersion changed FROM "${escapedVersionName}" ORDER BY updated DESC`,
           fields: ['summary', 'status', 'issuetype', 'fixVersions'],
           maxResults: 50
@@ -893,6 +1124,7 @@ class JiraService {
   // Search epics across one or more projects
   async searchEpics(projectKeys, additionalJql = '') {
     try {
+      const storyPointsField = await this.getStoryPointsField();
       const projectsJql = Array.isArray(projectKeys)
         ? `project in (${projectKeys.map(k => `"${k}"`).join(',')})`
         : `project = "${projectKeys}"`;
@@ -905,11 +1137,11 @@ class JiraService {
         'summary', 'status', 'priority', 'labels', 'components',
         'fixVersions', 'issuelinks', 'created', 'updated',
         'resolutiondate', 'duedate', 'parent', 'assignee',
-        'customfield_10061', // story points
+        storyPointsField,
         'customfield_10015', // Target start (Jira Plans / Advanced Roadmaps)
         'customfield_10016', // Target end (Jira Plans / Advanced Roadmaps)
         'customfield_10011'  // Start date (some Jira instances)
-      ];
+      ].filter(Boolean);
 
       let allIssues = [];
       let nextPageToken = null;
@@ -919,12 +1151,12 @@ class JiraService {
         const requestBody = { jql, fields, maxResults };
         if (nextPageToken) requestBody.nextPageToken = nextPageToken;
 
-        const response = await this.api.post('/search/jql', requestBody);
+        const response = await this._searchJql(requestBody);
         const issues = response.data.issues || [];
         allIssues = allIssues.concat(issues);
 
         nextPageToken = response.data.nextPageToken;
-        if (response.data.isLast || !nextPageToken || issues.length < maxResults) break;
+        if (response.data.isLast || !nextPageToken || issues.length === 0) break;
       } while (true);
 
       console.log(`✓ Found ${allIssues.length} epics across projects: ${projectKeys}`);
@@ -955,12 +1187,12 @@ class JiraService {
         const requestBody = { jql, fields, maxResults };
         if (nextPageToken) requestBody.nextPageToken = nextPageToken;
 
-        const response = await this.api.post('/search/jql', requestBody);
+        const response = await this._searchJql(requestBody);
         const issues = response.data.issues || [];
         allIssues = allIssues.concat(issues);
 
         nextPageToken = response.data.nextPageToken;
-        if (response.data.isLast || !nextPageToken || issues.length < maxResults) break;
+        if (response.data.isLast || !nextPageToken || issues.length === 0) break;
       } while (true);
 
       console.log(`✓ Found ${allIssues.length} initiatives across projects: ${projectKeys}`);
@@ -978,11 +1210,12 @@ class JiraService {
   // Get child issues of an epic (stories, tasks, bugs)
   async getEpicChildren(epicKey) {
     try {
+      const storyPointsField = await this.getStoryPointsField();
       const jql = `parent = "${epicKey}" OR "Epic Link" = "${epicKey}" ORDER BY status ASC`;
       const fields = [
         'summary', 'status', 'issuetype', 'assignee',
-        'resolutiondate', 'created', 'customfield_10061'
-      ];
+        'resolutiondate', 'created', storyPointsField
+      ].filter(Boolean);
 
       let allIssues = [];
       let nextPageToken = null;
@@ -992,12 +1225,12 @@ class JiraService {
         const requestBody = { jql, fields, maxResults };
         if (nextPageToken) requestBody.nextPageToken = nextPageToken;
 
-        const response = await this.api.post('/search/jql', requestBody);
+        const response = await this._searchJql(requestBody);
         const issues = response.data.issues || [];
         allIssues = allIssues.concat(issues);
 
         nextPageToken = response.data.nextPageToken;
-        if (response.data.isLast || !nextPageToken || issues.length < maxResults) break;
+        if (response.data.isLast || !nextPageToken || issues.length === 0) break;
       } while (true);
 
       return allIssues;
@@ -1012,14 +1245,15 @@ class JiraService {
   async batchGetEpicChildren(epicKeys) {
     const childrenMap = new Map();
     if (epicKeys.length === 0) return childrenMap;
+    const storyPointsField = await this.getStoryPointsField();
 
     // Initialize empty arrays for all epics
     for (const key of epicKeys) childrenMap.set(key, []);
 
     const fields = [
       'summary', 'status', 'issuetype', 'assignee',
-      'resolutiondate', 'created', 'customfield_10061', 'parent'
-    ];
+      'resolutiondate', 'created', storyPointsField, 'parent'
+    ].filter(Boolean);
 
     // JQL has a practical limit on clause length, so batch epic keys in groups
     const jqlBatchSize = 50;
@@ -1038,12 +1272,12 @@ class JiraService {
           const requestBody = { jql, fields, maxResults };
           if (nextPageToken) requestBody.nextPageToken = nextPageToken;
 
-          const response = await this.api.post('/search/jql', requestBody);
+          const response = await this._searchJql(requestBody);
           const issues = response.data.issues || [];
           allIssues = allIssues.concat(issues);
 
           nextPageToken = response.data.nextPageToken;
-          if (response.data.isLast || !nextPageToken || issues.length < maxResults) break;
+          if (response.data.isLast || !nextPageToken || issues.length === 0) break;
         } while (true);
       } catch (error) {
         console.warn(`Failed to bulk fetch children (batch ${i}): ${error.message}`);
@@ -1080,12 +1314,12 @@ class JiraService {
         const requestBody = { jql, fields, maxResults };
         if (nextPageToken) requestBody.nextPageToken = nextPageToken;
 
-        const response = await this.api.post('/search/jql', requestBody);
+        const response = await this._searchJql(requestBody);
         const issues = response.data.issues || [];
         allIssues = allIssues.concat(issues);
 
         nextPageToken = response.data.nextPageToken;
-        if (response.data.isLast || !nextPageToken || issues.length < maxResults) break;
+        if (response.data.isLast || !nextPageToken || issues.length === 0) break;
       } while (true);
 
       for (const issue of allIssues) {
@@ -1151,6 +1385,7 @@ class JiraService {
   // Get burndown data for a version
   async getVersionBurndown(projectKey, versionName, startDate, endDate) {
     try {
+      const storyPointsField = await this.getStoryPointsField();
       console.log(`[getVersionBurndown] Starting for version "${versionName}"`);
 
       const releaseStart = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -1195,7 +1430,7 @@ class JiraService {
       // Pre-process issues to build timeline of status changes (exclude sub-tasks)
       const issueTimelines = issues.filter(issue => !issue.fields.issuetype?.subtask).map(issue => {
         const changelog = issue.changelog?.histories || [];
-        const storyPoints = issue.fields.customfield_10061 || 0;
+        const storyPoints = (storyPointsField && issue.fields[storyPointsField]) || 0;
         const issueCreated = new Date(issue.fields.created);
 
         // Current status from the issue fields
@@ -1323,4 +1558,5 @@ class JiraService {
   }
 }
 
+export { DEPLOYMENT_TYPES };
 export default JiraService;
@@ -0,0 +1,290 @@
+import { EventEmitter } from 'events';
+import database from './database.js';
+import sessionService from './sessionService.js';
+import DashboardController from '../controllers/dashboardController.js';
+
+// Refresh jobs
+// Board refreshes submitted through POST /api/jobs run here instead of inside an HTTP request,
+// so slow boards are not cut off by the request timeout. Jobs live in the jobs table; a worker
+// claims them one at a time (SKIP LOCKED, so several instances share the queue) and retries
+// Jira/server failures with exponential backoff. Progress events are stored on the job (for
+// clients that reconnect) and emitted as 'job' events on `events`; watch() adds the changes made
+// by other instances for the SSE stream.
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_MS = 30 * 1000;
+const POLL_MS = 5 * 1000;
+// A running job not updated for this long lost its worker (checked every MAINTAIN_MS)
+const STALE_MS = 10 * 60 * 1000;
+const MAINTAIN_MS = 60 * 1000;
+// Progress is written to the database at most this often (events are emitted every time)
+const PROGRESS_WRITE_MS = 1000;
+const KEEP_FINISHED_MS = 7 * 24 * 3600 * 1000;
+
+class JobService {
+  constructor() {
+    this.dashboardController = new DashboardController();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this._timer = null;
+    this._draining = null;
+    this._maintainedAt = 0;
+    // Job streams per tenant (see watch())
+    this._watchers = new Map();
+    // Last state emitted here per job id, so the stream poller doesn't send it a second time
+    this._emitted = new Map();
+  }
+
+  static MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+  // Job row → API shape (never the credentials)
+  toPublic(row) {
+    return {
+      id: Number(row.id),
+      type: row.type,
+      boardId: row.board_id,
+      boardName: row.board_name,
+      params: row.params,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAfter: row.run_after,
+      progress: row.progress,
+      result: row.result,
+      error: row.error,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _emit(row, tenantId = row.tenant_id) {
+    const job = this.toPublic(row);
+    this._emitted.set(job.id, { status: job.status, attempts: job.attempts, at: job.progress?.at ?? '', emittedAt: Date.now() });
+    this.events.emit('job', tenantId, job);
+  }
+
+  // Whether a job read from the database is a state this instance already emitted: same status
+  // and attempt, progress no newer than the last event
+  _alreadyEmitted(job) {
+    const emitted = this._emitted.get(job.id);
+    return !!emitted && emitted.status === job.status && emitted.attempts === job.attempts &&
+      (job.progress?.at ?? '') <= emitted.at;
+  }
+
+  // Follow a tenant's jobs for an event stream: onJob(job) on every change, whether emitted here
+  // or made by another instance (read from the database every POLL_MS), and onTick() after each
+  // poll. All streams of a tenant share one poller. Returns the function that stops watching.
+  watch(tenantId, { onJob, onTick = () => {} }) {
+    let watcher = this._watchers.get(tenantId);
+    if (!watcher) {
+      watcher = { subscribers: new Set(), since: new Date(), polling: false };
+      watcher.timer = setInterval(() => this._poll(tenantId, watcher), POLL_MS);
+      watcher.timer.unref?.();
+      this._watchers.set(tenantId, watcher);
+    }
+    const subscriber = { onJob, onTick };
+    const onLocal = (jobTenantId, job) => {
+      if (jobTenantId === tenantId) onJob(job);
+    };
+    watcher.subscribers.add(subscriber);
+    this.events.on('job', onLocal);
+
+    return () => {
+      this.events.off('job', onLocal);
+      watcher.subscribers.delete(subscriber);
+      if (watcher.subscribers.size === 0 && this._watchers.get(tenantId) === watcher) {
+        clearInterval(watcher.timer);
+        this._watchers.delete(tenantId);
+      }
+    };
+  }
+
+  async _poll(tenantId, watcher) {
+    if (watcher.polling) return;
+    watcher.polling = true;
+    try {
+      const checkedAt = new Date();
+      const jobs = database.sql ? await this.list(tenantId, { since: watcher.since }) : [];
+      for (const job of jobs) {
+        if (new Date(job.updatedAt) <= watcher.since || this._alreadyEmitted(job)) continue;
+        for (const { onJob } of watcher.subscribers) onJob(job);
+      }
+      watcher.since = checkedAt;
+      for (const { onTick } of watcher.subscribers) onTick();
+    } catch (err) {
+      console.warn('Job stream poll failed:', err.message);
+    } finally {
+      watcher.polling = false;
+    }
+  }
+
+  // Poll the queue (long-running servers; on Vercel, jobs are drained after each submission
+  // and by the cron tick)
+  start() {
+    if (this._timer || !database.sql) return;
+    this._timer = setInterval(() => {
+      this.drain().catch(err => console.warn('Job worker failed:', err.message));
+    }, POLL_MS);
+    this._timer.unref?.();
+    console.log('✓ Job worker started');
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Validate and queue one job per board; a board with a queued or running job keeps it
+  // instead of getting a second one. Returns { jobs, errors }.
+  async submit(session, { boards, sprintCount = 6, sprintIds = null, fullResync = false, mode = 'auto' }) {
+    const errors = [];
+    if (!Array.isArray(boards) || boards.length === 0 || !boards.every(b => Number.isInteger(b?.id))) {
+      errors.push('boards must be a non-empty list of { id, name }');
+    }
+    if (!Number.isInteger(sprintCount) || sprintCount < 1 || sprintCount > 50) errors.push('sprintCount must be between 1 and 50');
+    if (sprintIds !== null && (!Array.isArray(sprintIds) || !sprintIds.every(Number.isInteger))) errors.push('sprintIds must be a list of sprint ids');
+    if (errors.length > 0) return { jobs: [], errors };
+
+    const credentials = sessionService.encrypt({ jiraUrl: session.jiraUrl, email: session.email, apiToken: session.apiToken });
+    const jobs = [];
+    for (const board of boards) {
+      const existing = await database.getActiveJob(session.tenantId, board.id);
+      const row = existing || await database.createJob({
+        tenantId: session.tenantId,
+        type: 'team_metrics',
+        boardId: board.id,
+        boardName: board.name || null,
+        params: { sprintCount, ...(sprintIds && { sprintIds }), fullResync: !!fullResync, mode },
+        credentials,
+        deploymentType: session.deploymentType,
+        maxAttempts: MAX_ATTEMPTS,
+        createdBy: session.accountId || null
+      });
+      if (!row) throw new Error('Failed to queue job');
+      if (!existing) this._emit(row);
+      jobs.push(this.toPublic(row));
+    }
+    return { jobs, errors: [] };
+  }
+
+  // Run queued jobs until none is ready; concurrent calls share the same drain
+  drain() {
+    if (!this._draining) {
+      this._draining = (async () => {
+        try {
+          if (Date.now() - this._maintainedAt >= MAINTAIN_MS) {
+            this._maintainedAt = Date.now();
+            await this._maintain();
+          }
+          let row;
+          while ((row = await database.claimJob())) {
+            await this._process(row);
+          }
+        } finally {
+          this._draining = null;
+        }
+      })();
+    }
+    return this._draining;
+  }
+
+  // Stale running jobs back to the queue, old finished jobs removed
+  async _maintain() {
+    for (const [id, { emittedAt }] of this._emitted) {
+      if (Date.now() - emittedAt >= MAINTAIN_MS) this._emitted.delete(id);
+    }
+    for (const row of await database.requeueStaleJobs(STALE_MS)) this._emit(row);
+    await database.deleteFinishedJobs(KEEP_FINISHED_MS);
+  }
+
+  async _process(row) {
+    const id = row.id;
+    this._emit(row);
+    console.log(`\n⚙ Job ${id}: board ${row.board_id} (attempt ${row.attempts}/${row.max_attempts})`);
+
+    let lastWrite = 0;
+    let pendingWrite = Promise.resolve();
+    const onProgress = (progress) => {
+      const now = Date.now();
+      const event = { ...progress, at: new Date(now).toISOString() };
+      this._emit({ ...row, progress: event, updated_at: event.at });
+      if (now - lastWrite >= PROGRESS_WRITE_MS) {
+        lastWrite = now;
+        pendingWrite = pendingWrite.then(() => database.updateJob(id, { progress: event })).catch(() => {});
+      }
+    };
+
+    let status;
+    let body;
+    let credentials = null;
+    try {
+      credentials = sessionService.decrypt(row.credentials);
+    } catch {
+      // Encrypted under a previous SESSION_SECRET: retrying can't help
+      status = 400;
+      body = { success: false, message: 'Job credentials cannot be decrypted — submit the refresh again' };
+    }
+    if (credentials) {
+      try {
+        const session = { tenantId: row.tenant_id, ...credentials, deploymentType: row.deployment_type };
+        ({ status, body } = await this.dashboardController.runTeamMetrics(session, {
+          ...row.params,
+          boardId: row.board_id,
+          forceRefresh: true
+        }, onProgress));
+      } catch (err) {
+        status = 500;
+        body = { success: false, message: err.message };
+      }
+    }
+
+    // The outcome must not be overwritten by a late progress write
+    await pendingWrite;
+    let updated;
+    if (status < 400 && body?.success) {
+      const data = body.data || {};
+      updated = await database.updateJob(id, {
+        status: 'succeeded',
+        progress: { stage: 'done', at: new Date().toISOString() },
+        result: {
+          historyId: body.historyId ?? null,
+          boardName: data.boardName || row.board_name,
+          maturityLevel: data.maturityLevel?.level ?? null,
+          sprintsAnalyzed: data.sprintsAnalyzed ?? 0,
+          warnings: data.warnings?.length || 0
+        },
+        finished: true
+      });
+      console.log(`✓ Job ${id} done`);
+    } else if (status >= 500 && row.attempts < row.max_attempts) {
+      // Jira outages, rate limits and timeouts: retry later
+      const delay = RETRY_BASE_MS * 2 ** (row.attempts - 1);
+      updated = await database.updateJob(id, {
+        status: 'queued',
+        error: body?.message || `HTTP ${status}`,
+        runAfter: new Date(Date.now() + delay)
+      });
+      console.warn(`⚠ Job ${id} failed (${body?.message}), retrying in ${delay / 1000}s`);
+    } else {
+      updated = await database.updateJob(id, { status: 'failed', error: body?.message || `HTTP ${status}`, finished: true });
+      console.warn(`❌ Job ${id} failed: ${body?.message}`);
+    }
+    if (updated) this._emit(updated);
+  }
+
+  async list(tenantId, { since = null } = {}) {
+    const rows = await database.getJobs(tenantId, { since });
+    return rows.map(row => this.toPublic(row));
+  }
+
+  async get(tenantId, id) {
+    const row = await database.getJob(id, tenantId);
+    return row ? this.toPublic(row) : null;
+  }
+}
+
+export { JobService };
+export default new JobService();
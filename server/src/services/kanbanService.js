@@ -0,0 +1,180 @@
+// Kanban flow metrics
+// Kanban boards have no sprints, so everything is measured over a rolling time window split
+// into weeks: throughput, arrivals vs departures, WIP over time, cycle time percentiles and
+// aging of the work currently in progress.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const PERCENTILES = [50, 70, 85, 95];
+const DONE_NAMES = ['closed', 'done', 'resolved', 'complete', 'completed'];
+const TODO_NAMES = ['to do', 'to-do', 'todo', 'backlog', 'open', 'new', 'selected for development'];
+
+class KanbanService {
+
+  // Status category for a changelog status item: Jira status categories when known,
+  // otherwise a name-based guess
+  statusCategory(statusId, statusName, categories) {
+    const known = categories?.get(String(statusId));
+    if (known) return known;
+    const name = (statusName || '').toLowerCase();
+    if (DONE_NAMES.some(n => name.includes(n))) return 'done';
+    if (TODO_NAMES.includes(name)) return 'new';
+    return 'indeterminate';
+  }
+
+  // Created / started / done timestamps of an issue.
+  // Started = first transition out of a "To Do" category status; done = resolution date
+  // (or last transition into a done status) while the issue is currently done.
+  issueTimeline(issue, changelog = [], categories = new Map()) {
+    const created = new Date(issue.fields.created).getTime();
+    const isDone = issue.fields.status?.statusCategory?.key === 'done';
+
+    let startedAt = null;
+    let lastDoneAt = null;
+    const histories = [...changelog].sort((a, b) => new Date(a.created) - new Date(b.created));
+    for (const change of histories) {
+      for (const item of (change.items || [])) {
+        if (item.field !== 'status') continue;
+        const category = this.statusCategory(item.to, item.toString, categories);
+        const time = new Date(change.created).getTime();
+        if (!startedAt && category !== 'new') startedAt = time;
+        if (category === 'done') lastDoneAt = time;
+      }
+    }
+
+    // In progress without history (e.g. created directly in a working column)
+    if (!startedAt && issue.fields.status?.statusCategory?.key === 'indeterminate') {
+      startedAt = created;
+    }
+
+    const doneAt = isDone
+      ? (issue.fields.resolutiondate ? new Date(issue.fields.resolutiondate).getTime() : lastDoneAt)
+      : null;
+
+    return { created, startedAt, doneAt };
+  }
+
+  // Nearest-rank percentiles of a list of numbers
+  percentiles(values, ps = PERCENTILES) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const result = {};
+    for (const p of ps) {
+      result[`p${p}`] = sorted.length > 0
+        ? Math.round(sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] * 10) / 10
+        : null;
+    }
+    return result;
+  }
+
+  // Flow metrics for a board over the last `weeks` weeks.
+  // `issues` come from JiraService.getBoardIssuesForFlow, `changelogMap` maps issue key →
+  // changelog values, `categories` maps status id → status category key.
+  calculateFlowMetrics(issues, changelogMap, categories, { weeks = 12, now = new Date() } = {}) {
+    const end = now.getTime();
+    const windowStart = end - weeks * WEEK_MS;
+
+    const items = issues
+      .filter(i => !i.fields?.issuetype?.subtask)
+      .map(issue => ({
+        key: issue.key,
+        summary: issue.fields.summary || '',
+        type: issue.fields.issuetype?.name || 'Unknown',
+        status: issue.fields.status?.name || 'Unknown',
+        statusCategory: issue.fields.status?.statusCategory?.key || 'new',
+        assignee: issue.fields.assignee?.displayName || 'Unassigned',
+        ...this.issueTimeline(issue, changelogMap.get(issue.key) || [], categories)
+      }));
+
+    // Weekly buckets, oldest first
+    const buckets = [];
+    for (let w = 0; w < weeks; w++) {
+      const start = windowStart + w * WEEK_MS;
+      const bucketEnd = start + WEEK_MS;
+      const inBucket = (time) => time !== null && time >= start && time < bucketEnd;
+      buckets.push({
+        weekStart: new Date(start).toISOString().split('T')[0],
+        throughput: items.filter(i => inBucket(i.doneAt)).length,
+        arrivals: items.filter(i => inBucket(i.created)).length,
+        // WIP at the end of the week: started and not yet done
+        wip: items.filter(i => i.startedAt !== null && i.startedAt < bucketEnd && (i.doneAt === null || i.doneAt >= bucketEnd)).length
+      });
+    }
+
+    // Cycle time (started → done) of items finished inside the window
+    const finished = items.filter(i => i.doneAt !== null && i.doneAt >= windowStart && i.doneAt <= end);
+    const cycleSamples = finished
+      .filter(i => i.startedAt !== null && i.startedAt <= i.doneAt)
+      .map(i => ({
+        key: i.key,
+        type: i.type,
+        days: Math.round(((i.doneAt - i.startedAt) / DAY_MS) * 10) / 10,
+        doneAt: new Date(i.doneAt).toISOString().split('T')[0]
+      }));
+    const cycleDays = cycleSamples.map(s => s.days);
+    const cycleTime = {
+      ...this.percentiles(cycleDays),
+      average: cycleDays.length > 0 ? Math.round((cycleDays.reduce((a, b) => a + b, 0) / cycleDays.length) * 10) / 10 : null,
+      count: cycleDays.length,
+      samples: cycleSamples
+    };
+
+    // Aging WIP: current in-progress items against the cycle time percentiles
+    const agingLevel = (age) => {
+      if (cycleTime.p50 === null || age < cycleTime.p50) return 'ok';
+      if (age < cycleTime.p85) return 'watch';
+      if (age < cycleTime.p95) return 'warning';
+      return 'critical';
+    };
+    const agingWip = items
+      .filter(i => i.statusCategory === 'indeterminate')
+      .map(i => {
+        const ageDays = Math.round(((end - (i.startedAt ?? i.created)) / DAY_MS) * 10) / 10;
+        return {
+          key: i.key,
+          summary: i.summary,
+          type: i.type,
+          status: i.status,
+          assignee: i.assignee,
+          ageDays,
+          agingLevel: agingLevel(ageDays)
+        };
+      })
+      .sort((a, b) => b.ageDays - a.ageDays);
+
+    // Summary values (also the inputs of the flow maturity model)
+    const throughputs = buckets.map(b => b.throughput);
+    const meanThroughput = throughputs.reduce((a, b) => a + b, 0) / (throughputs.length || 1);
+    const throughputStdDev = Math.sqrt(throughputs.reduce((sum, v) => sum + (v - meanThroughput) ** 2, 0) / (throughputs.length || 1));
+    const departures = throughputs.reduce((a, b) => a + b, 0);
+    const arrivals = buckets.reduce((sum, b) => sum + b.arrivals, 0);
+    const overP85 = cycleTime.p85 !== null ? agingWip.filter(i => i.ageDays > cycleTime.p85).length : 0;
+
+    const round = (value) => Math.round(value * 10) / 10;
+    const summary = {
+      throughputTotal: departures,
+      throughputPerWeek: round(meanThroughput),
+      throughputVariation: meanThroughput > 0 ? round((throughputStdDev / meanThroughput) * 100) : 100,
+      arrivals,
+      departures,
+      flowBalance: arrivals > 0 ? round((departures / arrivals) * 100) : 100,
+      currentWip: agingWip.length,
+      averageWip: round(buckets.reduce((sum, b) => sum + b.wip, 0) / (buckets.length || 1)),
+      cycleTimeP50: cycleTime.p50,
+      cycleTimeP85: cycleTime.p85,
+      cycleTimeSpread: cycleTime.p50 > 0 ? round(cycleTime.p95 / cycleTime.p50) : null,
+      agingWipRate: agingWip.length > 0 ? round((overP85 / agingWip.length) * 100) : 0
+    };
+
+    return {
+      windowWeeks: weeks,
+      windowStart: new Date(windowStart).toISOString(),
+      windowEnd: now.toISOString(),
+      weeks: buckets,
+      cycleTime,
+      agingWip,
+      summary
+    };
+  }
+}
+
+export default new KanbanService();
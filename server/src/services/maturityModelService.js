@@ -0,0 +1,620 @@
+import database from './database.js';
+import tenantSettingsService from './tenantSettingsService.js';
+
+// Maturity model rule engine
+// A maturity model is a JSON document (stored per tenant in maturity_models) describing
+// the levels, their entry criteria and the pillars those criteria belong to.
+// Criteria are threshold expressions on any metric of METRICS, e.g. "rolloverRate < 15".
+// A team reaches a level when it meets the criteria of that level AND of every level below.
+
+// Cached models are reloaded after this long, so a model saved through another instance
+// applies here too
+const MODEL_CACHE_MS = 60 * 1000;
+
+// Texts generated by the engine (level characteristics, stability messages); {name} placeholders
+const TEXTS = {
+  en: {
+    characteristicNext: '{label}: {actual} (must be {criterion} for Level {level})',
+    characteristicTop: '{label}: {actual} (excellent: {criterion})',
+    promotionPending: '{count} of {required} qualifying sprints for Level {level} — promotion pending',
+    demotionPending: '{count} of {required} sprints below Level {level} criteria — Level {level} held',
+    promoted: 'Promoted from Level {from} to Level {to}',
+    demoted: 'Demoted from Level {from} to Level {to}',
+    confirmed: 'Level {level} confirmed'
+  },
+  'pt-BR': {
+    characteristicNext: '{label}: {actual} (deve ser {criterion} para o Nivel {level})',
+    characteristicTop: '{label}: {actual} (excelente: {criterion})',
+    promotionPending: '{count} de {required} sprints qualificadas para o Nivel {level} — promocao pendente',
+    demotionPending: '{count} de {required} sprints abaixo dos criterios do Nivel {level} — Nivel {level} mantido',
+    promoted: 'Promovido do Nivel {from} para o Nivel {to}',
+    demoted: 'Rebaixado do Nivel {from} para o Nivel {to}',
+    confirmed: 'Nivel {level} confirmado'
+  }
+};
+
+class MaturityModelService {
+  constructor() {
+    // Per-tenant cache of resolved models: { model, loadedAt } (invalidated on save/reset here,
+    // expired after MODEL_CACHE_MS for changes made through other instances)
+    this._cache = new Map();
+  }
+
+  // Metrics that criteria can reference. Values are computed by buildMetricContext()
+  // from the aggregated sprint metrics, backlog health and flow & quality data.
+  static METRICS = {
+    rolloverRate: { label: { en: 'Rollover', 'pt-BR': 'Rollover' }, unit: '%', pillar: 'delivery' },
+    sprintGoalAttainment: { label: { en: 'Commitment Completion', 'pt-BR': 'Conclusao do Compromisso' }, unit: '%', pillar: 'delivery' },
+    sprintHitRate: { label: { en: 'Sprint Hit Rate', 'pt-BR': 'Taxa de Conclusao da Sprint' }, unit: '%', pillar: 'delivery' },
+    sprintHitRatePoints: { label: { en: 'Sprint Hit Rate (points)', 'pt-BR': 'Taxa de Conclusao (pontos)' }, unit: '%', pillar: 'delivery' },
+    midSprintAdditions: { label: { en: 'Mid-Sprint Additions', 'pt-BR': 'Adicoes Mid-Sprint' }, unit: '%', pillar: 'delivery' },
+    reworkRate: { label: { en: 'Rework Rate', 'pt-BR': 'Taxa de Retrabalho' }, unit: '%', pillar: 'flow' },
+    cycleTimeVariation: { label: { en: 'Cycle Time Variation', 'pt-BR': 'Variacao do Cycle Time' }, unit: '%', pillar: 'flow' },
+    defectEscapeRate: { label: { en: 'Defect Escape Rate', 'pt-BR': 'Taxa de Defeitos em Producao' }, unit: '%', pillar: 'flow' },
+    backlogReadiness: { label: { en: 'Backlog Ready', 'pt-BR': 'Backlog Pronto' }, unit: '%', pillar: 'ownership' },
+    acceptanceCriteriaRate: { label: { en: 'Backlog with AC', 'pt-BR': 'Backlog com Criterios de Aceite' }, unit: '%', pillar: 'ownership' },
+    estimateRate: { label: { en: 'Backlog with Estimates', 'pt-BR': 'Backlog com Estimativas' }, unit: '%', pillar: 'ownership' },
+    // Kanban flow metrics (see kanbanService — computed over a rolling window of weeks)
+    throughputPerWeek: { label: { en: 'Throughput per Week', 'pt-BR': 'Throughput por Semana' }, unit: '', pillar: 'delivery' },
+    throughputVariation: { label: { en: 'Throughput Variation', 'pt-BR': 'Variacao do Throughput' }, unit: '%', pillar: 'delivery' },
+    flowBalance: { label: { en: 'Departures vs Arrivals', 'pt-BR': 'Saidas vs Chegadas' }, unit: '%', pillar: 'delivery' },
+    cycleTimeP85: { label: { en: 'Cycle Time (85th pct)', 'pt-BR': 'Cycle Time (p85)' }, unit: 'd', pillar: 'flow' },
+    cycleTimeSpread: { label: { en: 'Cycle Time Spread (p95/p50)', 'pt-BR': 'Dispersao do Cycle Time (p95/p50)' }, unit: 'x', pillar: 'flow' },
+    agingWipRate: { label: { en: 'WIP Older than p85', 'pt-BR': 'WIP Acima do p85' }, unit: '%', pillar: 'flow' }
+  };
+
+  static OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+  };
+
+  // Default model — same thresholds the dashboard has always used (rollover 25/15,
+  // backlog readiness 25/75). Used for tenants without a stored model.
+  static DEFAULT_MODEL = {
+    version: 1,
+    pillars: [
+      { id: 'delivery', name: { en: 'Delivery Predictability', 'pt-BR': 'Previsibilidade de Entrega' }, weight: 0.4 },
+      { id: 'flow', name: { en: 'Flow & Quality', 'pt-BR': 'Fluxo & Qualidade' }, weight: 0.3 },
+      { id: 'ownership', name: { en: 'Team Ownership & Execution', 'pt-BR': 'Autonomia & Execucao do Time' }, weight: 0.3 }
+    ],
+    levels: [
+      {
+        level: 1,
+        name: { en: 'Assisted Scrum', 'pt-BR': 'Scrum Assistido' },
+        description: { en: 'Scrum Manager Required', 'pt-BR': 'Scrum Manager Necessario' },
+        color: 'red',
+        criteria: [],
+        characteristics: [
+          { label: { en: 'Mid-Sprint Injection', 'pt-BR': 'Injecao Mid-Sprint' }, value: { en: 'High (subjective measure)', 'pt-BR': 'Alta (subjetivo)' } },
+          { label: { en: 'Backlog Hygiene', 'pt-BR': 'Higiene do Backlog' }, value: { en: 'Poor', 'pt-BR': 'Ruim' } },
+          { label: { en: 'Dev Cycle Time', 'pt-BR': 'Cycle Time' }, value: { en: 'Rising', 'pt-BR': 'Crescente' } }
+        ],
+        focusLabel: { en: 'Scrum Manager Focus', 'pt-BR': 'Foco do Scrum Manager' },
+        recommendations: {
+          en: ['Establish basic operating cadence', 'Improve backlog readiness and capacity planning', 'Reduce scope churn', 'Coach ownership behaviors', 'Introduce visible metrics and patterns'],
+          'pt-BR': ['Estabelecer cadencia operacional basica', 'Melhorar prontidao do backlog e planejamento de capacidade', 'Reduzir mudancas de escopo', 'Coaching de comportamentos de ownership', 'Introduzir metricas e padroes visiveis']
+        }
+      },
+      {
+        level: 2,
+        name: { en: 'Supported Scrum', 'pt-BR': 'Scrum Suportado' },
+        description: { en: 'Conditional Support', 'pt-BR': 'Suporte Condicional' },
+        color: 'yellow',
+        criteria: [
+          { id: 'rollover', pillar: 'delivery', expression: 'rolloverRate <= 25' },
+          { id: 'backlogReady', pillar: 'ownership', expression: 'backlogReadiness >= 25' }
+        ],
+        characteristics: [
+          { label: { en: 'Scope Churn', 'pt-BR': 'Mudanca de Escopo' }, value: { en: 'Some but manageable', 'pt-BR': 'Alguma, mas gerenciavel' } },
+          { label: { en: 'Flow', 'pt-BR': 'Fluxo' }, value: { en: 'Improving but inconsistent', 'pt-BR': 'Melhorando mas inconsistente' } }
+        ],
+        focusLabel: { en: 'Scrum Manager Focus', 'pt-BR': 'Foco do Scrum Manager' },
+        recommendations: {
+          en: ['Pattern recognition (last-minute rush, WIP aging)', 'Coaching Product on backlog ownership', 'Enabling team-led ceremonies', 'Driving retro action execution'],
+          'pt-BR': ['Reconhecimento de padroes (correria de ultima hora, WIP envelhecido)', 'Coaching de Product em ownership do backlog', 'Habilitando cerimonias lideradas pelo time', 'Conduzindo execucao de acoes da retro']
+        },
+        supportModel: {
+          en: 'Shared Scrum Manager, Time-bound engagement (1-2 sprints/month)',
+          'pt-BR': 'Scrum Manager compartilhado, engajamento por tempo limitado (1-2 sprints/mes)'
+        }
+      },
+      {
+        level: 3,
+        name: { en: 'Self-Managed Scrum', 'pt-BR': 'Scrum Autogerido' },
+        description: { en: 'Scrum Manager Optional', 'pt-BR': 'Scrum Manager Opcional' },
+        color: 'green',
+        // Entry criteria must hold for this many consecutive sprints before promotion
+        // (and fail for as many before demotion)
+        sustainSprints: 3,
+        criteria: [
+          { id: 'rollover', pillar: 'delivery', expression: 'rolloverRate < 15' },
+          { id: 'backlogReady', pillar: 'ownership', expression: 'backlogReadiness > 75' }
+        ],
+        characteristics: [
+          { label: { en: 'Mid-Sprint Churn', 'pt-BR': 'Mudanca Mid-Sprint' }, value: { en: 'Minimal', 'pt-BR': 'Minima' } },
+          { label: { en: 'Throughput', 'pt-BR': 'Throughput' }, value: { en: 'Stable', 'pt-BR': 'Estavel' } },
+          { label: { en: 'Quality Issues', 'pt-BR': 'Qualidade' }, value: { en: 'Trending down', 'pt-BR': 'Tendencia de queda' } },
+          { label: { en: 'Ceremonies', 'pt-BR': 'Cerimonias' }, value: { en: 'Run without dependency', 'pt-BR': 'Funcionam sem dependencia' } },
+          { label: { en: 'Blockers', 'pt-BR': 'Bloqueios' }, value: { en: 'Resolved within the team', 'pt-BR': 'Resolvidos dentro do time' } }
+        ],
+        focusLabel: { en: 'Scrum Manager Role', 'pt-BR': 'Papel do Scrum Manager' },
+        recommendations: {
+          en: ['On-demand coaching', 'Quarterly health check', 'Stakeholder/product check in', 'Pattern escalation if regression occurs', 'Share best practices with other teams'],
+          'pt-BR': ['Coaching sob demanda', 'Verificacao de saude trimestral', 'Check-in com stakeholders/produto', 'Escalacao de padroes se houver regressao', 'Compartilhar boas praticas com outros times']
+        }
+      }
+    ]
+  };
+
+  // Default flow-oriented model for Kanban boards (mode "kanban"). Same pillars, but the
+  // criteria use throughput stability, flow balance and WIP aging instead of sprint metrics.
+  static DEFAULT_KANBAN_MODEL = {
+    version: 1,
+    mode: 'kanban',
+    pillars: [
+      { id: 'delivery', name: { en: 'Delivery Predictability', 'pt-BR': 'Previsibilidade de Entrega' }, weight: 0.4 },
+      { id: 'flow', name: { en: 'Flow Health', 'pt-BR': 'Saude do Fluxo' }, weight: 0.4 },
+      { id: 'ownership', name: { en: 'Team Ownership & Execution', 'pt-BR': 'Autonomia & Execucao do Time' }, weight: 0.2 }
+    ],
+    levels: [
+      {
+        level: 1,
+        name: { en: 'Emerging Flow', 'pt-BR': 'Fluxo Emergente' },
+        description: { en: 'Flow Coaching Required', 'pt-BR': 'Coaching de Fluxo Necessario' },
+        color: 'red',
+        criteria: [],
+        characteristics: [
+          { label: { en: 'Throughput', 'pt-BR': 'Throughput' }, value: { en: 'Erratic', 'pt-BR': 'Erratico' } },
+          { label: { en: 'WIP', 'pt-BR': 'WIP' }, value: { en: 'Unbounded, items age silently', 'pt-BR': 'Sem limite, itens envelhecem' } },
+          { label: { en: 'Arrivals', 'pt-BR': 'Chegadas' }, value: { en: 'Outpace departures', 'pt-BR': 'Superam as saidas' } }
+        ],
+        focusLabel: { en: 'Flow Coach Focus', 'pt-BR': 'Foco do Coach de Fluxo' },
+        recommendations: {
+          en: ['Make the workflow and its policies explicit on the board', 'Introduce WIP limits per column', 'Review aging work items daily', 'Agree on a replenishment cadence'],
+          'pt-BR': ['Tornar o fluxo e suas politicas explicitos no board', 'Introduzir limites de WIP por coluna', 'Revisar diariamente os itens envelhecidos', 'Combinar uma cadencia de reabastecimento']
+        }
+      },
+      {
+        level: 2,
+        name: { en: 'Managed Flow', 'pt-BR': 'Fluxo Gerenciado' },
+        description: { en: 'Conditional Support', 'pt-BR': 'Suporte Condicional' },
+        color: 'yellow',
+        criteria: [
+          { id: 'throughputStable', pillar: 'delivery', expression: 'throughputVariation <= 60' },
+          { id: 'agingWip', pillar: 'flow', expression: 'agingWipRate <= 40' },
+          { id: 'backlogReady', pillar: 'ownership', expression: 'backlogReadiness >= 25' }
+        ],
+        characteristics: [
+          { label: { en: 'WIP Limits', 'pt-BR': 'Limites de WIP' }, value: { en: 'In place, sometimes exceeded', 'pt-BR': 'Definidos, as vezes excedidos' } },
+          { label: { en: 'Cycle Time', 'pt-BR': 'Cycle Time' }, value: { en: 'Known but wide spread', 'pt-BR': 'Conhecido, mas disperso' } }
+        ],
+        focusLabel: { en: 'Flow Coach Focus', 'pt-BR': 'Foco do Coach de Fluxo' },
+        recommendations: {
+          en: ['Use cycle time percentiles as service level expectations', 'Swarm on items older than the 85th percentile', 'Balance arrivals with departures at replenishment', 'Split large items before they start'],
+          'pt-BR': ['Usar percentis de cycle time como expectativa de nivel de servico', 'Concentrar esforcos nos itens acima do p85', 'Equilibrar chegadas e saidas no reabastecimento', 'Quebrar itens grandes antes de iniciar']
+        },
+        supportModel: {
+          en: 'Shared flow coach, monthly flow review',
+          'pt-BR': 'Coach de fluxo compartilhado, revisao de fluxo mensal'
+        }
+      },
+      {
+        level: 3,
+        name: { en: 'Predictable Flow', 'pt-BR': 'Fluxo Previsivel' },
+        description: { en: 'Flow Coach Optional', 'pt-BR': 'Coach de Fluxo Opcional' },
+        color: 'green',
+        criteria: [
+          { id: 'throughputStable', pillar: 'delivery', expression: 'throughputVariation < 35' },
+          { id: 'flowBalance', pillar: 'delivery', expression: 'flowBalance >= 85' },
+          { id: 'agingWip', pillar: 'flow', expression: 'agingWipRate < 20' },
+          { id: 'cycleTimeSpread', pillar: 'flow', expression: 'cycleTimeSpread <= 3' },
+          { id: 'backlogReady', pillar: 'ownership', expression: 'backlogReadiness > 75' }
+        ],
+        characteristics: [
+          { label: { en: 'Throughput', 'pt-BR': 'Throughput' }, value: { en: 'Stable week over week', 'pt-BR': 'Estavel semana a semana' } },
+          { label: { en: 'Cycle Time', 'pt-BR': 'Cycle Time' }, value: { en: 'Predictable (narrow spread)', 'pt-BR': 'Previsivel (baixa dispersao)' } },
+          { label: { en: 'WIP', 'pt-BR': 'WIP' }, value: { en: 'Limited and flowing', 'pt-BR': 'Limitado e fluindo' } }
+        ],
+        focusLabel: { en: 'Flow Coach Role', 'pt-BR': 'Papel do Coach de Fluxo' },
+        recommendations: {
+          en: ['On-demand coaching', 'Quarterly flow health check', 'Forecast with throughput instead of estimates', 'Share flow practices with other teams'],
+          'pt-BR': ['Coaching sob demanda', 'Verificacao trimestral da saude do fluxo', 'Previsoes com throughput em vez de estimativas', 'Compartilhar praticas de fluxo com outros times']
+        }
+      }
+    ]
+  };
+
+  // Default model for an analysis mode ("scrum" or "kanban")
+  static defaultModel(mode = 'scrum') {
+    return mode === 'kanban' ? MaturityModelService.DEFAULT_KANBAN_MODEL : MaturityModelService.DEFAULT_MODEL;
+  }
+
+  // Resolve a localized model string: plain strings pass through, { en, 'pt-BR' } objects
+  // are resolved to the requested locale (falling back to English).
+  static localize(value, locale = 'en') {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'string' || Array.isArray(value)) return value;
+    return value[locale] ?? value.en ?? Object.values(value)[0];
+  }
+
+  // Engine text `key` in the locale (falling back to English) with its placeholders filled in
+  static text(locale, key, replacements = {}) {
+    const template = (TEXTS[locale] || TEXTS.en)[key] ?? TEXTS.en[key];
+    return Object.entries(replacements)
+      .reduce((text, [name, value]) => text.replaceAll(`{${name}}`, value), template);
+  }
+
+  // Parse a threshold expression ("rolloverRate < 15") or a structured criterion
+  // ({ metric, operator, value }) into { metric, operator, value }. Returns null if invalid.
+  static parseCriterion(criterion) {
+    if (!criterion || typeof criterion !== 'object') return null;
+    if (typeof criterion.expression === 'string') {
+      const match = criterion.expression.match(/^\s*([A-Za-z][A-Za-z0-9_]*)\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/);
+      if (!match) return null;
+      return { metric: match[1], operator: match[2], value: parseFloat(match[3]) };
+    }
+    if (criterion.metric && criterion.operator && typeof criterion.value === 'number') {
+      return { metric: criterion.metric, operator: criterion.operator, value: criterion.value };
+    }
+    return null;
+  }
+
+  // Validate a model definition — returns a list of human-readable errors (empty when valid)
+  validateModel(model) {
+    const errors = [];
+    if (!model || typeof model !== 'object') return ['Model must be an object'];
+
+    const pillars = Array.isArray(model.pillars) ? model.pillars : [];
+    const pillarIds = new Set();
+    for (const pillar of pillars) {
+      if (!pillar?.id) errors.push('Every pillar needs an id');
+      else pillarIds.add(pillar.id);
+      if (pillar?.weight !== undefined && (typeof pillar.weight !== 'number' || pillar.weight < 0)) {
+        errors.push(`Pillar "${pillar.id}": weight must be a non-negative number`);
+      }
+    }
+
+    if (!Array.isArray(model.levels) || model.levels.length === 0) {
+      errors.push('Model must define at least one level');
+      return errors;
+    }
+
+    let previousLevel = 0;
+    for (const level of model.levels) {
+      if (!Number.isInteger(level?.level) || level.level <= previousLevel) {
+        errors.push('Levels must have integer "level" numbers in ascending order');
+        break;
+      }
+      previousLevel = level.level;
+      if (!level.name) errors.push(`Level ${level.level}: name is required`);
+      if (level.sustainSprints !== undefined && (!Number.isInteger(level.sustainSprints) || level.sustainSprints < 1)) {
+        errors.push(`Level ${level.level}: sustainSprints must be a positive integer`);
+      }
+
+      for (const criterion of (level.criteria || [])) {
+        const parsed = MaturityModelService.parseCriterion(criterion);
+        const ref = criterion?.id || criterion?.expression || JSON.stringify(criterion);
+        if (!criterion?.id) errors.push(`Level ${level.level}: every criterion needs an id`);
+        if (!parsed) {
+          errors.push(`Level ${level.level}: invalid criterion "${ref}" (expected e.g. "rolloverRate < 15")`);
+          continue;
+        }
+        if (!MaturityModelService.METRICS[parsed.metric]) {
+          errors.push(`Level ${level.level}: unknown metric "${parsed.metric}" in criterion "${ref}"`);
+        }
+        if (!MaturityModelService.OPERATORS[parsed.operator]) {
+          errors.push(`Level ${level.level}: unsupported operator "${parsed.operator}" in criterion "${ref}"`);
+        }
+        if (criterion.pillar && pillars.length > 0 && !pillarIds.has(criterion.pillar)) {
+          errors.push(`Level ${level.level}: criterion "${ref}" references unknown pillar "${criterion.pillar}"`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Build the flat metric context that criteria are evaluated against
+  buildMetricContext({ aggregated = {}, backlogHealth = {}, flowQuality = null } = {}) {
+    // Cycle time variation: coefficient of variation (%) of the per-sprint average cycle time
+    let cycleTimeVariation = 0;
+    const sprintAverages = (flowQuality?.leadTimeByTypeBySprint || [])
+      .map(entry => {
+        const values = Object.entries(entry)
+          .filter(([key, val]) => key !== 'sprint' && typeof val === 'number')
+          .map(([, val]) => val);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+      })
+      .filter(v => v !== null);
+    if (sprintAverages.length >= 2) {
+      const mean = sprintAverages.reduce((a, b) => a + b, 0) / sprintAverages.length;
+      const variance = sprintAverages.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sprintAverages.length;
+      cycleTimeVariation = mean > 0 ? (Math.sqrt(variance) / mean) * 100 : 0;
+    }
+
+    const defects = flowQuality?.defects?.total;
+    const defectEscapeRate = defects?.total > 0 ? (defects.postRelease / defects.total) * 100 : 0;
+
+    return {
+      rolloverRate: aggregated?.avgRolloverRate || 0,
+      sprintGoalAttainment: aggregated?.avgSprintGoalAttainment || 0,
+      sprintHitRate: aggregated?.avgSprintHitRate || 0,
+      sprintHitRatePoints: aggregated?.avgSprintHitRatePoints || 0,
+      midSprintAdditions: aggregated?.avgMidSprintAdditions || 0,
+      reworkRate: flowQuality?.reworkRate || 0,
+      cycleTimeVariation,
+      defectEscapeRate,
+      backlogReadiness: backlogHealth?.overallScore ?? 0,
+      acceptanceCriteriaRate: backlogHealth?.withAcceptanceCriteria ?? 0,
+      estimateRate: backlogHealth?.withEstimates ?? 0
+    };
+  }
+
+  // Metric context for a Kanban board: flow summary (kanbanService) + backlog health
+  buildFlowMetricContext({ flowMetrics = null, backlogHealth = {} } = {}) {
+    const summary = flowMetrics?.summary || {};
+    return {
+      throughputPerWeek: summary.throughputPerWeek || 0,
+      throughputVariation: summary.throughputVariation ?? 100,
+      flowBalance: summary.flowBalance ?? 0,
+      cycleTimeP85: summary.cycleTimeP85 ?? 0,
+      cycleTimeSpread: summary.cycleTimeSpread ?? 0,
+      agingWipRate: summary.agingWipRate ?? 0,
+      backlogReadiness: backlogHealth?.overallScore ?? 0,
+      acceptanceCriteriaRate: backlogHealth?.withAcceptanceCriteria ?? 0,
+      estimateRate: backlogHealth?.withEstimates ?? 0
+    };
+  }
+
+  // Evaluate every level's criteria against a metric context.
+  // Returns { rawLevel, levels: [{ level, passed, criteria[] }], pillarScores, score }
+  evaluate(context, model = MaturityModelService.DEFAULT_MODEL) {
+    const levels = model.levels.map(levelDef => {
+      const criteria = (levelDef.criteria || []).map(criterion => {
+        const parsed = MaturityModelService.parseCriterion(criterion);
+        const metricDef = MaturityModelService.METRICS[parsed?.metric] || {};
+        const actual = context[parsed?.metric] ?? 0;
+        const compare = MaturityModelService.OPERATORS[parsed?.operator];
+        return {
+          id: criterion.id,
+          pillar: criterion.pillar || metricDef.pillar || null,
+          metric: parsed?.metric,
+          operator: parsed?.operator,
+          value: parsed?.value,
+          unit: metricDef.unit || '',
+          label: criterion.label || metricDef.label || parsed?.metric,
+          actual,
+          passed: compare ? compare(actual, parsed.value) : false
+        };
+      });
+      return { level: levelDef.level, passed: criteria.every(c => c.passed), criteria };
+    });
+
+    // Highest level whose criteria (and all lower levels' criteria) pass; the base level always applies
+    let rawLevel = levels[0].level;
+    for (const level of levels) {
+      if (!level.passed) break;
+      rawLevel = level.level;
+    }
+
+    // Pillar scores: share of all criteria in the pillar that pass, weighted into an overall score
+    const pillarScores = {};
+    const allCriteria = levels.flatMap(l => l.criteria);
+    for (const pillar of (model.pillars || [])) {
+      const inPillar = allCriteria.filter(c => c.pillar === pillar.id);
+      if (inPillar.length === 0) continue;
+      pillarScores[pillar.id] = Math.round((inPillar.filter(c => c.passed).length / inPillar.length) * 1000) / 10;
+    }
+    const weighted = (model.pillars || []).filter(p => pillarScores[p.id] !== undefined);
+    const totalWeight = weighted.reduce((sum, p) => sum + (p.weight ?? 1), 0);
+    const score = totalWeight > 0
+      ? Math.round((weighted.reduce((sum, p) => sum + pillarScores[p.id] * (p.weight ?? 1), 0) / totalWeight) * 10) / 10
+      : null;
+
+    return { rawLevel, levels, pillarScores, score };
+  }
+
+  // Build the maturityLevel payload returned to the dashboard for a given level
+  describeLevel(levelNumber, evaluation, model = MaturityModelService.DEFAULT_MODEL, locale = 'en') {
+    const loc = (v) => MaturityModelService.localize(v, locale);
+    const index = Math.max(0, model.levels.findIndex(l => l.level === levelNumber));
+    const levelDef = model.levels[index];
+    const nextDef = model.levels[index + 1] || null;
+    const nextEval = nextDef ? evaluation.levels.find(l => l.level === nextDef.level) : null;
+    const currentEval = evaluation.levels.find(l => l.level === levelDef.level);
+
+    const symbols = { '<=': '≤', '>=': '≥', '==': '=', '!=': '≠' };
+    const formatCriterion = (c) => `${symbols[c.operator] || c.operator}${c.value}${c.unit}`;
+    const describedCriteria = (nextEval || currentEval)?.criteria || [];
+    const characteristics = describedCriteria.map(c => MaturityModelService.text(locale, nextDef ? 'characteristicNext' : 'characteristicTop', {
+      label: loc(c.label),
+      actual: `${c.actual.toFixed(1)}${c.unit}`,
+      criterion: formatCriterion(c),
+      level: nextDef?.level
+    }));
+
+    const result = {
+      level: levelDef.level,
+      name: loc(levelDef.name),
+      description: loc(levelDef.description) || '',
+      color: levelDef.color || null,
+      characteristics,
+      blockers: nextEval ? nextEval.criteria.filter(c => !c.passed).map(c => c.id) : [],
+      recommendations: loc(levelDef.recommendations) || [],
+      nextLevel: nextEval
+        ? { level: nextDef.level, name: loc(nextDef.name), criteria: nextEval.criteria.map(c => ({ ...c, label: loc(c.label) })) }
+        : null,
+      pillarScores: evaluation.pillarScores,
+      score: evaluation.score,
+      modelVersion: model.version || 1
+    };
+    if (levelDef.supportModel) result.supportModel = loc(levelDef.supportModel);
+    return result;
+  }
+
+  // Metric context for a single sprint: sprint-level values replace the window averages,
+  // snapshot-only values (backlog readiness, cycle time variation) are kept as-is
+  sprintContext(sprint, baseContext, flowQuality = null) {
+    const rework = (flowQuality?.reworkBySprint || []).find(r => r.sprint === sprint.sprintName);
+    const defects = sprint.defectDistribution;
+    return {
+      ...baseContext,
+      rolloverRate: sprint.rolloverRate || 0,
+      sprintGoalAttainment: sprint.sprintGoalAttainment || 0,
+      sprintHitRate: sprint.sprintHitRate || 0,
+      sprintHitRatePoints: sprint.sprintHitRatePoints || sprint.sprintHitRate || 0,
+      midSprintAdditions: sprint.midSprintAdditions?.percentage || 0,
+      reworkRate: rework ? rework.reworkRate : baseContext.reworkRate,
+      defectEscapeRate: defects?.total > 0 ? (defects.postRelease / defects.total) * 100 : 0
+    };
+  }
+
+  // Qualifying level of every sprint, oldest first. Sprints from the previous snapshot that
+  // fell out of the current window are included so a streak can span refreshes.
+  sprintLevels({ sprintMetrics = [], context, flowQuality, previousSnapshot }, model = MaturityModelService.DEFAULT_MODEL) {
+    const currentIds = new Set(sprintMetrics.map(s => s.sprintId));
+    const previousData = previousSnapshot?.metrics_data || null;
+    const earlier = (previousData?.sprintMetrics || []).filter(s => !currentIds.has(s.sprintId));
+    const earlierContext = previousData
+      ? this.buildMetricContext({
+          aggregated: previousData.aggregated,
+          backlogHealth: previousData.backlogHealth,
+          flowQuality: previousData.flowQuality
+        })
+      : context;
+
+    const rate = (sprint, ctx, flow) => ({
+      sprintId: sprint.sprintId,
+      sprintName: sprint.sprintName,
+      endDate: sprint.endDate || null,
+      level: this.evaluate(this.sprintContext(sprint, ctx, flow), model).rawLevel
+    });
+
+    return [
+      ...earlier.map(s => rate(s, earlierContext, previousData?.flowQuality)),
+      ...sprintMetrics.map(s => rate(s, context, flowQuality))
+    ].sort((a, b) => new Date(a.endDate || 0) - new Date(b.endDate || 0));
+  }
+
+  // Apply the sustain rule: a level is granted only after its criteria held for
+  // `sustainSprints` consecutive sprints, and a previously confirmed level is only lost
+  // after failing for as many consecutive sprints. Returns the confirmed level plus a
+  // stability section explaining pending promotions/demotions (message in `locale`).
+  assessStability({ rawLevel, sprintLevels = [], previousLevel = null }, model = MaturityModelService.DEFAULT_MODEL, locale = 'en') {
+    const required = (level) => model.levels.find(l => l.level === level)?.sustainSprints || 1;
+
+    // Consecutive most recent sprints matching a predicate
+    const streak = (predicate) => {
+      let count = 0;
+      for (let i = sprintLevels.length - 1; i >= 0 && predicate(sprintLevels[i].level); i--) count++;
+      return count;
+    };
+    const isSustained = (level) => required(level) <= 1 || streak(l => l >= level) >= required(level);
+
+    const baseLevel = model.levels[0].level;
+    const startLevel = previousLevel ?? baseLevel;
+    let level = rawLevel;
+    let status = 'stable';
+    let targetLevel = rawLevel;
+    let qualifyingSprints = null;
+    let requiredSprints = null;
+
+    if (rawLevel > startLevel) {
+      // Promotion: grant the highest sustained level above where the team stood
+      const candidates = model.levels.map(l => l.level).filter(l => l > startLevel && l <= rawLevel);
+      const sustained = candidates.filter(isSustained);
+      level = sustained.length > 0 ? Math.max(...sustained) : startLevel;
+      if (level < rawLevel) {
+        status = 'promotion-pending';
+        requiredSprints = required(rawLevel);
+        qualifyingSprints = streak(l => l >= rawLevel);
+      } else if (previousLevel !== null) {
+        status = 'promoted';
+      }
+    } else if (rawLevel < startLevel) {
+      // Demotion: hold the confirmed level until it failed for enough consecutive sprints
+      requiredSprints = required(startLevel);
+      qualifyingSprints = streak(l => l < startLevel);
+      if (qualifyingSprints >= requiredSprints || requiredSprints <= 1) {
+        status = 'demoted';
+      } else {
+        level = startLevel;
+        targetLevel = rawLevel;
+        status = 'demotion-pending';
+      }
+    }
+
+    const text = (key, replacements) => MaturityModelService.text(locale, key, replacements);
+    let message;
+    if (status === 'promotion-pending') {
+      message = text('promotionPending', { count: qualifyingSprints, required: requiredSprints, level: rawLevel });
+    } else if (status === 'demotion-pending') {
+      message = text('demotionPending', { count: qualifyingSprints, required: requiredSprints, level: startLevel });
+    } else if (status === 'promoted') {
+      message = text('promoted', { from: previousLevel, to: level });
+    } else if (status === 'demoted') {
+      message = text('demoted', { from: startLevel, to: level });
+    } else {
+      message = text('confirmed', { level });
+    }
+
+    return {
+      level,
+      rawLevel,
+      previousLevel,
+      targetLevel,
+      status,
+      qualifyingSprints,
+      requiredSprints,
+      sprintLevels,
+      message
+    };
+  }
+
+  // Get the tenant's maturity model for an analysis mode (stored override or the default),
+  // with the threshold overrides from the tenant settings applied unless withThresholds is false
+  // (the model editor works on the model itself)
+  async getModel(tenantId = null, mode = 'scrum', { withThresholds = true } = {}) {
+    const key = `${tenantId || 'default'}:${mode}`;
+    const cached = this._cache.get(key);
+    let model = cached && Date.now() - cached.loadedAt < MODEL_CACHE_MS ? cached.model : null;
+    if (!model) {
+      const stored = await database.getMaturityModel(tenantId, mode);
+      model = stored && this.validateModel(stored).length === 0 ? stored : MaturityModelService.defaultModel(mode);
+      this._cache.set(key, { model, loadedAt: Date.now() });
+    }
+
+    if (!withThresholds) return model;
+    const { maturityThresholds } = await tenantSettingsService.getSettings(tenantId);
+    return tenantSettingsService.applyThresholds(model, maturityThresholds[mode]);
+  }
+
+  // Whether the tenant has its own model stored
+  async hasCustomModel(tenantId = null, mode = 'scrum') {
+    return (await database.getMaturityModel(tenantId, mode)) !== null;
+  }
+
+  // Validate and persist a tenant model; returns { saved, errors }
+  async saveModel(tenantId, model, mode = 'scrum') {
+    const errors = this.validateModel(model);
+    if (errors.length > 0) return { saved: false, errors };
+
+    const saved = await database.saveMaturityModel(tenantId, model, mode);
+    this._cache.delete(`${tenantId || 'default'}:${mode}`);
+    return { saved, errors: [] };
+  }
+
+  // Remove the tenant override so the default model applies again
+  async resetModel(tenantId, mode = 'scrum') {
+    const removed = await database.deleteMaturityModel(tenantId, mode);
+    this._cache.delete(`${tenantId || 'default'}:${mode}`);
+    return removed;
+  }
+}
+
+export { MaturityModelService };
+export default new MaturityModelService();
@@ -1,10 +1,18 @@
 import { differenceInDays, differenceInHours, parseISO } from 'date-fns';
+import maturityModelService, { MaturityModelService } from './maturityModelService.js';
+import JiraService from './jiraService.js';
+import { TenantSettingsService } from './tenantSettingsService.js';
 
 class MetricsService {
 
-  constructor() {
-    // Default story points field (Indeed Jira). Can be overridden per-tenant via setStoryPointsField()
-    this.storyPointsField = 'customfield_10061';
+  // Tenant vocabulary — story points field, rollover reason labels, QA/dev statuses and
+  // defect labels — comes from the tenant's settings (see tenantSettingsService)
+  constructor(settings = TenantSettingsService.DEFAULT_SETTINGS) {
+    this.storyPointsField = settings.storyPointsField || null;
+    this.rolloverLabels = settings.rolloverLabels.map(l => l.label);
+    this.qaStatuses = settings.qaStatuses.map(s => s.toLowerCase());
+    this.devStatuses = settings.devStatuses.map(s => s.toLowerCase());
+    this.defectLabels = { preMerge: [], inQA: [], ...settings.defectLabels };
   }
 
   // Set the story points custom field ID for the current tenant
@@ -73,26 +81,6 @@ class MetricsService {
     };
   }
 
-  // Rollover reason labels used by the teams
-  static ROLLOVER_LABELS = [
-    'external-blockers',
-    'late-discovery',
-    'resource-constraints',
-    'internal-blockers',
-    'req-gap',
-    'dev-qa-spill'
-  ];
-
-  // Human-readable names for rollover labels
-  static ROLLOVER_LABEL_NAMES = {
-    'external-blockers': 'External Blockers',
-    'late-discovery': 'Late Discovery',
-    'resource-constraints': 'Resource Constraints',
-    'internal-blockers': 'Internal Blockers',
-    'req-gap': 'Requirement Gap',
-    'dev-qa-spill': 'Dev/QA Spill'
-  };
-
   // Build a mapping of status names → category keys from current issue data.
   // Used to interpret changelog status transitions.
   static buildStatusCategoryMap(issues) {
@@ -209,7 +197,7 @@ class MetricsService {
       // This is a genuine rollover — track optional reason labels
       const allLabels = issue.fields?.labels || [];
       const rolloverReasons = allLabels.filter(l =>
-        MetricsService.ROLLOVER_LABELS.includes(l)
+        this.rolloverLabels.includes(l)
       );
 
       for (const reason of rolloverReasons) {
@@ -407,7 +395,7 @@ class MetricsService {
       console.log(`\n  Sample backlog issues (first 3):`);
       backlogIssues.slice(0, 3).forEach((issue, idx) => {
         console.log(`  ${idx + 1}. ${issue.key} [${issue.fields?.status?.name}]`);
-        console.log(`     Description length: ${issue.fields.description?.length || 0} chars`);
+        console.log(`     Description length: ${JiraService.descriptionToText(issue.fields.description).length} chars`);
         console.log(`     Story Points (${storyPointsField}): ${issue.fields[storyPointsField] || 'null'}`);
       });
     }
@@ -436,12 +424,8 @@ class MetricsService {
       /\bexpected\s*behavio\w*[\s\S]{10,}/i
     ];
 
-    const hasAcceptanceCriteria = (description) => {
-      if (!description || typeof description !== 'string') return false;
-      let textContent = description;
-      if (typeof description === 'object') {
-        textContent = JSON.stringify(description);
-      }
+    const hasAcceptanceCriteria = (textContent) => {
+      if (!textContent) return false;
       // Check heading patterns (AC/Acceptance Criteria + content after)
       if (acHeadingPatterns.some(p => p.test(textContent))) return true;
       // Check standalone content patterns (Given/When/Then, Expected Result, etc.)
@@ -450,9 +434,8 @@ class MetricsService {
     };
 
     backlogIssues.forEach(issue => {
-      // Check for AC keywords in description
-      const desc = issue.fields.description;
-      const descText = typeof desc === 'object' ? JSON.stringify(desc) : desc;
+      // Check for AC keywords in description (ADF on Cloud, wiki markup on Server/DC)
+      const descText = JiraService.descriptionToText(issue.fields.description);
       if (hasAcceptanceCriteria(descText)) {
         withAcceptanceCriteria++;
       } else {
@@ -507,9 +490,9 @@ class MetricsService {
     bugs.forEach(bug => {
       const labels = bug.fields.labels || [];
       
-      if (labels.includes('pre-merge') || labels.includes('code-review')) {
+      if (labels.some(l => this.defectLabels.preMerge.includes(l))) {
         preMerge++;
-      } else if (labels.includes('qa') || labels.includes('testing')) {
+      } else if (labels.some(l => this.defectLabels.inQA.includes(l))) {
         inQA++;
       } else {
         postRelease++;
@@ -554,107 +537,40 @@ class MetricsService {
   }
 
   // Determine Maturity Level
-  // Based on three pillars:
-  // P1: Delivery Predictability (rollover rate as proxy for sprint hit rate)
-  // P2: Flow & Quality (cycle time stability, rework)
+  // Levels, thresholds and pillars come from the tenant's maturity model
+  // (see maturityModelService — the default model keeps the original 25%/15% rollover
+  // and 25%/75% backlog readiness thresholds). Criteria may use any aggregated metric:
+  // P1: Delivery Predictability (rollover, hit rate, mid-sprint additions)
+  // P2: Flow & Quality (cycle time stability, rework, defect escape)
   // P3: Team Ownership (backlog readiness = % "To Do" with AC + estimates)
-  determineMaturityLevel(metrics) {
-    const {
-      rolloverRate = 0,
-      sprintGoalAttainment = 0,
-      backlogHealth = { overallScore: 0 },
-      midSprintAdditions = 0
-    } = metrics || {};
-
-    // Backlog readiness = % of items that are "Ready" (have AC + estimates)
-    const backlogReadiness = backlogHealth?.overallScore ?? 0;
-
-    // Level 1: Assisted Scrum (Scrum Manager Required)
-    // - Rollover > 20-25%
-    // - Low "Ready" rate on backlog (<25%)
-    // - High mid-sprint injection
-    // - Poor backlog hygiene
-    if (
-      rolloverRate > 25 ||
-      backlogReadiness < 25
-    ) {
-      const blockers = [];
-      if (rolloverRate > 25) blockers.push('rollover');
-      if (backlogReadiness < 25) blockers.push('backlogReady');
-
-      return {
-        level: 1,
-        name: 'Assisted Scrum',
-        description: 'Scrum Manager Required',
-        characteristics: [
-          `Rollover: ${rolloverRate.toFixed(1)}% (must be ≤25% for Level 2)`,
-          `Backlog Ready: ${backlogReadiness.toFixed(1)}% (must be ≥25% for Level 2)`
-        ],
-        blockers,
-        recommendations: [
-          'Establish basic operating cadence',
-          'Improve backlog readiness and capacity planning',
-          'Reduce scope churn',
-          'Coach ownership behaviors',
-          'Introduce visible metrics and patterns'
-        ]
-      };
-    }
-
-    // Level 3: Self-Managed Scrum (Scrum Manager Optional)
-    // Sustained for 3-4 sprints:
-    // - <10-15% average rollover
-    // - Minimal mid-sprint scope churn
-    // - Almost all backlog "Ready" (>75%)
-    // - Stable throughput
-    // - Quality issues trending down
-    if (
-      rolloverRate < 15 &&
-      backlogReadiness > 75
-    ) {
-      return {
-        level: 3,
-        name: 'Self-Managed Scrum',
-        description: 'Scrum Manager Optional',
-        characteristics: [
-          `Rollover: ${rolloverRate.toFixed(1)}% (excellent: <15%)`,
-          `Backlog Ready: ${backlogReadiness.toFixed(1)}% (excellent: >75%)`
-        ],
-        blockers: [],
-        recommendations: [
-          'On-demand coaching',
-          'Quarterly health check',
-          'Stakeholder/product check in',
-          'Pattern escalation if regression occurs',
-          'Share best practices with other teams'
-        ]
-      };
-    }
-
-    // Level 2: Supported Scrum (Conditional Support)
-    const blockers = [];
-    if (rolloverRate >= 15) blockers.push('rollover');
-    if (backlogReadiness <= 75) blockers.push('backlogReady');
+  // Levels with sustainSprints (Level 3 by default: 3 sprints) are only granted once
+  // the per-sprint criteria held for that many consecutive sprints — the previous
+  // snapshot supplies older sprints and the last confirmed level.
+  determineMaturityLevel({ aggregated, backlogHealth, flowQuality, sprintMetrics = [], previousSnapshot = null } = {}, model = MaturityModelService.DEFAULT_MODEL, locale = 'en') {
+    const context = maturityModelService.buildMetricContext({ aggregated, backlogHealth, flowQuality });
+    const evaluation = maturityModelService.evaluate(context, model);
+
+    const previousLevel = previousSnapshot?.metrics_data?.maturityLevel?.level ?? null;
+    const stability = maturityModelService.assessStability({
+      rawLevel: evaluation.rawLevel,
+      sprintLevels: maturityModelService.sprintLevels({ sprintMetrics, context, flowQuality, previousSnapshot }, model),
+      previousLevel: model.levels.some(l => l.level === previousLevel) ? previousLevel : null
+    }, model, locale);
 
     return {
-      level: 2,
-      name: 'Supported Scrum',
-      description: 'Conditional Support',
-      characteristics: [
-        `Rollover: ${rolloverRate.toFixed(1)}% (must be <15% for Level 3)`,
-        `Backlog Ready: ${backlogReadiness.toFixed(1)}% (must be >75% for Level 3)`
-      ],
-      blockers,
-      supportModel: 'Shared Scrum Manager, Time-bound engagement (1-2 sprints/month)',
-      recommendations: [
-        'Pattern recognition (last-minute rush, WIP aging)',
-        'Coaching Product on backlog ownership',
-        'Enabling team-led ceremonies',
-        'Driving retro action execution'
-      ]
+      ...maturityModelService.describeLevel(stability.level, evaluation, model, locale),
+      stability
     };
   }
 
+  // Determine Maturity Level of a Kanban board from its flow metrics (tenant's kanban model).
+  // There are no sprints to sustain a level over, so the evaluated level applies directly.
+  determineFlowMaturityLevel({ flowMetrics, backlogHealth } = {}, model = MaturityModelService.DEFAULT_KANBAN_MODEL, locale = 'en') {
+    const context = maturityModelService.buildFlowMetricContext({ flowMetrics, backlogHealth });
+    const evaluation = maturityModelService.evaluate(context, model);
+    return maturityModelService.describeLevel(evaluation.rawLevel, evaluation, model, locale);
+  }
+
   // Calculate Flow & Quality metrics from all sprint data
   calculateFlowQuality(sprintIssuesMap, sprintMetrics, recentSprints) {
     // 1. Collect all resolved non-subtask issues (deduplicated)
@@ -749,8 +665,7 @@ class MetricsService {
 
     // 6. QA rework — detect issues that went backwards in workflow (QA/Review → Dev/In Progress)
     // This catches actual rework more accurately than label-based detection.
-    const qaStatuses = ['qa', 'testing', 'in qa', 'code review', 'review', 'in review', 'ready for qa', 'pending review', 'pending verification', 'pending merge', 'pending closure'];
-    const devStatuses = ['in progress', 'development', 'doing', 'to do', 'open', 'reopened'];
+    const { qaStatuses, devStatuses } = this;
 
     let totalReworkIssues = 0;
     let totalIssueCount = 0;
@@ -0,0 +1,173 @@
+// Schema migrations
+// Versioned SQL files in server/sql/migrations: NNN_name.up.sql applies a change and
+// NNN_name.down.sql reverts it. Applied versions are tracked in schema_migrations. Each
+// migration runs in its own transaction, and a run holds a Postgres advisory lock so several
+// containers starting at once don't race.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import database from './database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.resolve(__dirname, '../../sql/migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/i;
+// Advisory lock key shared by every instance of the server
+const LOCK_KEY = 48151623;
+
+class MigrationService {
+  constructor(dir = MIGRATIONS_DIR) {
+    this.dir = dir;
+  }
+
+  // Migrations on disk, ordered by version
+  list() {
+    const byVersion = new Map();
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = file.match(FILE_PATTERN);
+      if (!match) continue;
+      const [, version, name, direction] = match;
+      if (!byVersion.has(version)) byVersion.set(version, { version, name });
+      const migration = byVersion.get(version);
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+      }
+      migration[direction] = path.join(this.dir, file);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+    for (const migration of migrations) {
+      if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+      migration.id = `${migration.version}_${migration.name}`;
+      migration.checksum = crypto.createHash('sha256').update(fs.readFileSync(migration.up)).digest('hex').slice(0, 16);
+    }
+    return migrations;
+  }
+
+  async _ensureTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+  }
+
+  async _applied(client) {
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  // Run fn on one connection holding the advisory lock (session-level, so it spans the
+  // per-migration transactions)
+  async _withLock(fn) {
+    if (!database.pool) throw new Error('DATABASE_URL not configured');
+
+    const client = await database.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      try {
+        await this._ensureTable(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async _run(client, migration, direction) {
+    const sql = fs.readFileSync(migration[direction], 'utf8');
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.id} (${direction}) failed: ${err.message}`);
+    }
+  }
+
+  // Apply all pending migrations in order; returns the ids applied
+  async migrate() {
+    return this._withLock(async (client) => {
+      const applied = await this._applied(client);
+      const pending = this.list().filter(m => !applied.has(m.version));
+      for (const migration of pending) {
+        await this._run(client, migration, 'up');
+        console.log(`✓ Migration ${migration.id} applied`);
+      }
+      // Data stored before multi-tenancy has no tenant; LEGACY_TENANT_ID names the Jira site it
+      // belongs to. Unset: it stays untagged (and visible to no tenant).
+      if (process.env.LEGACY_TENANT_ID) {
+        await database.tagLegacyData(process.env.LEGACY_TENANT_ID.trim().toLowerCase());
+      }
+      return pending.map(m => m.id);
+    });
+  }
+
+  // Revert the last `steps` applied migrations, newest first; returns the ids reverted
+  async rollback(steps = 1) {
+    return this._withLock(async (client) => {
+      const applied = await this._applied(client);
+      const onDisk = new Map(this.list().map(m => [m.version, m]));
+      const targets = [...applied.values()]
+        .sort((a, b) => Number(b.version) - Number(a.version))
+        .slice(0, steps);
+
+      const reverted = [];
+      for (const row of targets) {
+        const migration = onDisk.get(row.version);
+        if (!migration?.down) {
+          throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file; stopping`);
+        }
+        await this._run(client, migration, 'down');
+        console.log(`✓ Migration ${migration.id} reverted`);
+        reverted.push(migration.id);
+      }
+      return reverted;
+    });
+  }
+
+  // Every migration on disk with its state. "modified" flags an applied migration whose up
+  // file changed since; applied versions missing on disk are listed with missing: true.
+  async status() {
+    if (!database.sql) throw new Error('DATABASE_URL not configured');
+
+    const [{ exists }] = await database.sql`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+    const rows = exists
+      ? await database.sql`SELECT version, name, checksum, applied_at FROM schema_migrations`
+      : [];
+    const applied = new Map(rows.map(row => [row.version, row]));
+
+    const migrations = this.list().map(m => {
+      const row = applied.get(m.version);
+      applied.delete(m.version);
+      return {
+        id: m.id,
+        applied: !!row,
+        appliedAt: row?.applied_at || null,
+        modified: !!row && row.checksum !== m.checksum,
+        reversible: !!m.down
+      };
+    });
+    for (const row of applied.values()) {
+      migrations.push({ id: `${row.version}_${row.name}`, applied: true, appliedAt: row.applied_at, missing: true });
+    }
+    return migrations;
+  }
+}
+
+export default new MigrationService();
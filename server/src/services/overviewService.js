@@ -0,0 +1,94 @@
+import database from './database.js';
+import tenantSettingsService from './tenantSettingsService.js';
+import maturityModelService, { MaturityModelService } from './maturityModelService.js';
+
+// Org overview
+// One row per board of the tenant from its latest metrics snapshot: maturity level plus the
+// headline metric of each pillar, and the teamGroups (tenant setting) it belongs to. Scrum
+// and Kanban boards share the rows; metrics a board's mode doesn't measure are null.
+
+class OverviewService {
+  // Headline metrics of a snapshot's metrics_data (scrum or kanban)
+  summarize(data = {}) {
+    const backlogReadiness = data.backlogHealth?.overallScore ?? null;
+    if (data.mode === 'kanban') {
+      const summary = data.flowMetrics?.summary || {};
+      return {
+        rolloverRate: null,
+        sprintHitRate: null,
+        backlogReadiness,
+        reworkRate: null,
+        cycleTime: summary.cycleTimeP50 ?? null
+      };
+    }
+
+    // Cycle time: mean of the per-work-type averages
+    const cycleTimes = Object.values(data.flowQuality?.leadTimeByType || {}).filter(v => typeof v === 'number' && v > 0);
+    const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+    return {
+      rolloverRate: round(data.aggregated?.avgRolloverRate),
+      sprintHitRate: round(data.aggregated?.avgSprintHitRate),
+      backlogReadiness,
+      reworkRate: round(data.flowQuality?.reworkRate),
+      cycleTime: cycleTimes.length > 0 ? round(cycleTimes.reduce((a, b) => a + b, 0) / cycleTimes.length) : null
+    };
+  }
+
+  // { boards, groups, levels, distribution } for the tenant
+  async getOverview(tenantId, locale = 'en') {
+    const [snapshots, settings, model] = await Promise.all([
+      database.getAllBoardsWithLatestMetrics(tenantId),
+      tenantSettingsService.getSettings(tenantId),
+      maturityModelService.getModel(tenantId)
+    ]);
+    const teamGroups = settings.teamGroups || [];
+
+    const boards = snapshots.map(snapshot => {
+      const data = snapshot.metrics_data || {};
+      const groups = {};
+      for (const group of teamGroups) {
+        if (group.boardIds.includes(snapshot.board_id)) groups[group.category] = group.name;
+      }
+      return {
+        boardId: snapshot.board_id,
+        boardName: snapshot.board_name || data.boardName || `Board ${snapshot.board_id}`,
+        mode: data.mode === 'kanban' ? 'kanban' : 'scrum',
+        calculatedAt: snapshot.calculated_at,
+        sprintsAnalyzed: data.sprintsAnalyzed ?? null,
+        maturityLevel: data.maturityLevel?.level ?? (snapshot.maturity_level ? Number(snapshot.maturity_level) : null),
+        maturityName: data.maturityLevel?.name || null,
+        metrics: this.summarize(data),
+        groups
+      };
+    }).sort((a, b) => a.boardName.localeCompare(b.boardName));
+
+    // Boards per level, also per group of each category
+    const levels = model.levels.map(l => ({
+      level: l.level,
+      name: MaturityModelService.localize(l.name, locale),
+      color: l.color || null
+    }));
+    const countLevels = (rows) => {
+      const counts = Object.fromEntries(levels.map(l => [l.level, 0]));
+      for (const row of rows) {
+        if (row.maturityLevel !== null) counts[row.maturityLevel] = (counts[row.maturityLevel] || 0) + 1;
+      }
+      return counts;
+    };
+    const categories = [...new Set(teamGroups.map(g => g.category))];
+    const distribution = {
+      all: countLevels(boards),
+      byGroup: Object.fromEntries(categories.map(category => [
+        category,
+        Object.fromEntries(teamGroups
+          .filter(g => g.category === category)
+          .map(g => [g.name, countLevels(boards.filter(b => b.groups[category] === g.name))]))
+      ]))
+    };
+
+    return { boards, groups: teamGroups, categories, levels, distribution };
+  }
+}
+
+export { OverviewService };
+export default new OverviewService();
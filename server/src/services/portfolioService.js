@@ -0,0 +1,171 @@
+// Epic portfolio across boards
+// Combines searchEpics, batchGetEpicChildren, getEpicDependencies and searchInitiatives into
+// one roadmap-ready structure: per-epic progress, target dates, slippage and blocking links,
+// grouped by initiative.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PortfolioService {
+
+  // Resolve the Jira project of every board (boards sharing a project are grouped)
+  async getBoardProjects(jiraService, boardIds) {
+    const boardProjects = {};
+    await Promise.all(boardIds.map(async (boardId) => {
+      try {
+        boardProjects[boardId] = await jiraService.getProjectKeyFromBoard(boardId);
+      } catch (err) {
+        console.warn(`  ⚠ Could not resolve project for board ${boardId}:`, err.message);
+      }
+    }));
+    return boardProjects;
+  }
+
+  // Children done/total and story points (storyPointsField: the tenant's field, see
+  // JiraService.getStoryPointsField)
+  calculateProgress(children, storyPointsField = null) {
+    const parents = children.filter(c => !c.fields?.issuetype?.subtask);
+    const category = (c) => c.fields?.status?.statusCategory?.key;
+    const points = (c) => (storyPointsField && c.fields?.[storyPointsField]) || 0;
+
+    const total = parents.length;
+    const done = parents.filter(c => category(c) === 'done').length;
+    const inProgress = parents.filter(c => category(c) === 'indeterminate').length;
+    const totalPoints = parents.reduce((sum, c) => sum + points(c), 0);
+    const donePoints = parents.filter(c => category(c) === 'done').reduce((sum, c) => sum + points(c), 0);
+
+    return {
+      total,
+      done,
+      inProgress,
+      todo: total - done - inProgress,
+      totalPoints,
+      donePoints,
+      remainingPoints: totalPoints - donePoints,
+      percent: total > 0 ? Math.round((done / total) * 100) : 0,
+      pointsPercent: totalPoints > 0 ? Math.round((donePoints / totalPoints) * 100) : 0
+    };
+  }
+
+  // Slippage against the target end date.
+  // Done epics: days resolved after target end. Open epics: days past target end, or
+  // "at-risk" when progress trails the elapsed share of the target window by >20 points.
+  calculateSlippage({ targetStart, targetEnd, resolutionDate, isDone, progress }, now = new Date()) {
+    if (!targetEnd) return { status: 'no-target', days: null };
+
+    const end = new Date(targetEnd);
+    if (isDone) {
+      const resolved = resolutionDate ? new Date(resolutionDate) : now;
+      const days = Math.round((resolved - end) / DAY_MS);
+      return { status: days > 0 ? 'done-late' : 'done-on-time', days: Math.max(0, days) };
+    }
+
+    if (now > end) {
+      return { status: 'late', days: Math.round((now - end) / DAY_MS) };
+    }
+
+    if (targetStart) {
+      const start = new Date(targetStart);
+      const window = end - start;
+      const elapsedPercent = window > 0 ? Math.max(0, Math.min(100, ((now - start) / window) * 100)) : 0;
+      const progressPercent = progress.totalPoints > 0 ? progress.pointsPercent : progress.percent;
+      if (elapsedPercent - progressPercent > 20) {
+        return { status: 'at-risk', days: 0, elapsedPercent: Math.round(elapsedPercent) };
+      }
+    }
+    return { status: 'on-track', days: 0 };
+  }
+
+  // Build the portfolio for a set of boards
+  async buildPortfolio(jiraService, boardIds, { includeDoneDays = 90 } = {}) {
+    const boardProjects = await this.getBoardProjects(jiraService, boardIds);
+    const projectKeys = [...new Set(Object.values(boardProjects))];
+    if (projectKeys.length === 0) {
+      throw new Error('Could not resolve a Jira project for the selected boards');
+    }
+
+    // Open epics plus epics finished recently (keeps the roadmap focused)
+    const [epics, initiatives] = await Promise.all([
+      jiraService.searchEpics(projectKeys, `AND (statusCategory != Done OR resolved >= -${includeDoneDays}d)`),
+      jiraService.searchInitiatives(projectKeys)
+    ]);
+
+    const epicKeys = epics.map(e => e.key);
+    const [childrenMap, dependencyMap] = await Promise.all([
+      jiraService.batchGetEpicChildren(epicKeys),
+      jiraService.getEpicDependencies(epicKeys)
+    ]);
+
+    const epicStatus = new Map(epics.map(e => [e.key, e.fields.status?.statusCategory?.key]));
+    const initiativeKeys = new Set(initiatives.map(i => i.key));
+    const now = new Date();
+
+    const epicItems = epics.map(epic => {
+      const f = epic.fields;
+      const projectKey = epic.key.split('-')[0];
+      const isDone = f.status?.statusCategory?.key === 'done';
+      const progress = this.calculateProgress(childrenMap.get(epic.key) || [], jiraService.storyPointsField);
+      const targetStart = f.customfield_10015 || f.customfield_10011 || null;
+      const targetEnd = f.customfield_10016 || f.duedate || null;
+      const deps = dependencyMap.get(epic.key) || { blocks: [], blockedBy: [], relatesTo: [] };
+
+      // Blocked when a blocking issue is not done (status category known for epics in the set)
+      const openBlockers = deps.blockedBy.filter(b => {
+        const category = epicStatus.get(b.key);
+        return category ? category !== 'done' : !/done|closed|resolved/i.test(b.status || '');
+      });
+
+      return {
+        key: epic.key,
+        summary: f.summary,
+        status: f.status?.name || 'Unknown',
+        statusCategory: f.status?.statusCategory?.key || 'undefined',
+        projectKey,
+        boardIds: Object.entries(boardProjects).filter(([, key]) => key === projectKey).map(([id]) => Number(id)),
+        assignee: f.assignee?.displayName || 'Unassigned',
+        priority: f.priority?.name || 'None',
+        initiativeKey: f.parent?.key && initiativeKeys.has(f.parent.key) ? f.parent.key : null,
+        targetStart,
+        targetEnd,
+        resolutionDate: f.resolutiondate || null,
+        progress,
+        slippage: this.calculateSlippage({ targetStart, targetEnd, resolutionDate: f.resolutiondate, isDone, progress }, now),
+        dependencies: deps,
+        blocked: openBlockers.length > 0,
+        openBlockers: openBlockers.map(b => b.key)
+      };
+    });
+
+    // Group by initiative (epics without one go to a trailing "no initiative" group)
+    const groups = initiatives
+      .map(initiative => ({
+        key: initiative.key,
+        summary: initiative.fields.summary,
+        status: initiative.fields.status?.name || 'Unknown',
+        epicKeys: epicItems.filter(e => e.initiativeKey === initiative.key).map(e => e.key)
+      }))
+      .filter(g => g.epicKeys.length > 0);
+    const ungrouped = epicItems.filter(e => !e.initiativeKey).map(e => e.key);
+    if (ungrouped.length > 0) {
+      groups.push({ key: null, summary: null, status: null, epicKeys: ungrouped });
+    }
+
+    const count = (predicate) => epicItems.filter(predicate).length;
+    return {
+      boardProjects,
+      projectKeys,
+      epics: epicItems,
+      groups,
+      summary: {
+        totalEpics: epicItems.length,
+        done: count(e => e.statusCategory === 'done'),
+        late: count(e => e.slippage.status === 'late'),
+        atRisk: count(e => e.slippage.status === 'at-risk'),
+        blocked: count(e => e.blocked),
+        unscheduled: count(e => !e.targetEnd)
+      },
+      generatedAt: now.toISOString()
+    };
+  }
+}
+
+export default new PortfolioService();
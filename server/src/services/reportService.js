@@ -0,0 +1,659 @@
+import PDFDocument from 'pdfkit';
+import database from './database.js';
+import maturityModelService, { MaturityModelService } from './maturityModelService.js';
+import overviewService from './overviewService.js';
+
+// PDF reports
+// Multi-page A4 reports of metrics_history snapshots for retros and steering meetings, drawn
+// with pdfkit (built-in Helvetica, charts from plain vector shapes — no browser or external
+// service). A board report has a summary page (maturity level, pillar scores, blockers,
+// recommendations), one page per pillar with its charts, the rollover issues and the backlog
+// gaps. The org pack starts with the overview of every board (optionally only the boards of
+// some team groups) and appends each board's report.
+
+const PAGE = { size: 'A4', margin: 40 };
+// Rows per issue table; the rest is summarized as "+N more"
+const MAX_TABLE_ROWS = 60;
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  grid: '#e5e7eb',
+  header: '#f3f4f6',
+  primary: '#2563eb',
+  red: '#dc2626',
+  yellow: '#ca8a04',
+  green: '#16a34a',
+  amber: '#f59e0b',
+  teal: '#0d9488'
+};
+// Level badge color by model color name, falling back to the level number (as MaturityBadge)
+const LEVEL_COLORS = { 1: COLORS.red, 2: COLORS.yellow, 3: COLORS.green };
+const COLOR_LEVELS = { red: 1, yellow: 2, green: 3 };
+const OPERATOR_SYMBOLS = { '<=': '<=', '>=': '>=', '==': '=', '!=': '!=' };
+
+const LABELS = {
+  en: {
+    boardReport: 'Team Maturity Report',
+    orgReport: 'Organization Maturity Report',
+    generatedAt: 'Generated',
+    snapshotOf: 'Snapshot of',
+    sprintsAnalyzed: 'Sprints analyzed',
+    weeksAnalyzed: 'Weeks analyzed',
+    level: 'Level',
+    score: 'Maturity score',
+    pillars: 'Pillar scores',
+    blockers: 'Blockers to Level {level}',
+    noBlockers: 'Top level reached: no blockers.',
+    actual: 'Actual',
+    target: 'Target',
+    recommendations: 'Recommendations',
+    sprint: 'Sprint',
+    rolloverRate: 'Rollover Rate',
+    sprintHitRate: 'Sprint Hit Rate',
+    goalAttainment: 'Goal Attainment',
+    midSprintAdditions: 'Mid-sprint Additions',
+    committed: 'Committed',
+    completed: 'Completed',
+    leadTimeByType: 'Cycle Time by Work Type (days)',
+    reworkBySprint: 'Rework Rate by Sprint',
+    defects: 'Defects',
+    preMerge: 'Pre-merge',
+    inQA: 'In QA',
+    postRelease: 'Post-release',
+    throughput: 'Throughput per Week',
+    wip: 'WIP at Week End',
+    cycleTime: 'Cycle Time (days)',
+    agingWip: 'Aging Work in Progress',
+    age: 'Age (d)',
+    backlogHealth: 'Backlog Readiness',
+    withAC: 'With Acceptance Criteria',
+    withEstimates: 'With Estimates',
+    overall: 'Overall',
+    backlogItems: '{count} backlog items analyzed',
+    missingAC: 'Missing Acceptance Criteria',
+    missingEstimates: 'Missing Estimates',
+    rolloverIssues: 'Rollover Issues',
+    key: 'Key',
+    summary: 'Summary',
+    type: 'Type',
+    status: 'Status',
+    reasons: 'Reasons',
+    noItems: 'None.',
+    more: '+{count} more',
+    team: 'Team',
+    rework: 'Rework',
+    backlogReady: 'Backlog Ready',
+    updated: 'Updated',
+    levelDistribution: 'Level Distribution',
+    teams: '{count} teams',
+    page: 'Page {page} of {pages}'
+  },
+  'pt-BR': {
+    boardReport: 'Relatorio de Maturidade do Time',
+    orgReport: 'Relatorio de Maturidade da Organizacao',
+    generatedAt: 'Gerado em',
+    snapshotOf: 'Snapshot de',
+    sprintsAnalyzed: 'Sprints analisadas',
+    weeksAnalyzed: 'Semanas analisadas',
+    level: 'Nivel',
+    score: 'Score de maturidade',
+    pillars: 'Score dos pilares',
+    blockers: 'Bloqueios para o Nivel {level}',
+    noBlockers: 'Nivel maximo atingido: sem bloqueios.',
+    actual: 'Atual',
+    target: 'Meta',
+    recommendations: 'Recomendacoes',
+    sprint: 'Sprint',
+    rolloverRate: 'Taxa de Rollover',
+    sprintHitRate: 'Taxa de Entrega da Sprint',
+    goalAttainment: 'Atingimento da Meta',
+    midSprintAdditions: 'Adicoes no Meio da Sprint',
+    committed: 'Comprometido',
+    completed: 'Concluido',
+    leadTimeByType: 'Cycle Time por Tipo de Trabalho (dias)',
+    reworkBySprint: 'Taxa de Retrabalho por Sprint',
+    defects: 'Defeitos',
+    preMerge: 'Pre-merge',
+    inQA: 'Em QA',
+    postRelease: 'Pos-release',
+    throughput: 'Throughput por Semana',
+    wip: 'WIP no Fim da Semana',
+    cycleTime: 'Cycle Time (dias)',
+    agingWip: 'Itens em Andamento Envelhecendo',
+    age: 'Idade (d)',
+    backlogHealth: 'Prontidao do Backlog',
+    withAC: 'Com Criterios de Aceite',
+    withEstimates: 'Com Estimativas',
+    overall: 'Geral',
+    backlogItems: '{count} itens do backlog analisados',
+    missingAC: 'Sem Criterios de Aceite',
+    missingEstimates: 'Sem Estimativas',
+    rolloverIssues: 'Issues com Rollover',
+    key: 'Chave',
+    summary: 'Resumo',
+    type: 'Tipo',
+    status: 'Status',
+    reasons: 'Motivos',
+    noItems: 'Nenhum.',
+    more: '+{count} a mais',
+    team: 'Time',
+    rework: 'Retrabalho',
+    backlogReady: 'Backlog Pronto',
+    updated: 'Atualizado',
+    levelDistribution: 'Distribuicao de Niveis',
+    teams: '{count} times',
+    page: 'Pagina {page} de {pages}'
+  }
+};
+
+class ReportService {
+  _labels(locale) {
+    const labels = LABELS[locale] || LABELS.en;
+    return (key, replacements = {}) => Object.entries(replacements)
+      .reduce((text, [name, value]) => text.replace(`{${name}}`, value), labels[key] ?? LABELS.en[key] ?? key);
+  }
+
+  // The standard PDF fonts only cover WinAnsi: spell out math symbols and arrows, drop the rest
+  // (emoji, CJK) instead of printing garbage
+  _safe(value) {
+    return String(value ?? '')
+      .replace(/≤/g, '<=').replace(/≥/g, '>=').replace(/≠/g, '!=').replace(/→/g, '->')
+      .replace(/[^\x09\x0a\x0d\x20-\x7e\xa0-\xff–—‘’“”•…€]/gu, '')
+      .trim();
+  }
+
+  _formatDate(iso, locale) {
+    if (!iso) return '-';
+    return new Date(iso).toLocaleDateString(locale === 'pt-BR' ? 'pt-BR' : 'en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  _format(value, unit = '') {
+    if (value === null || value === undefined || Number.isNaN(value)) return '-';
+    return `${Math.round(value * 10) / 10}${unit}`;
+  }
+
+  _levelColor(level, color) {
+    return LEVEL_COLORS[COLOR_LEVELS[color] || level] || COLORS.muted;
+  }
+
+  _bottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+  }
+
+  _width(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  // New page unless `height` still fits below the cursor
+  _ensureSpace(doc, height) {
+    if (doc.y + height > this._bottom(doc)) doc.addPage();
+  }
+
+  _heading(doc, text) {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text)
+      .text(this._safe(text), doc.page.margins.left, doc.y);
+    doc.moveDown(0.5);
+  }
+
+  _subheading(doc, text) {
+    this._ensureSpace(doc, 40);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text)
+      .text(this._safe(text), doc.page.margins.left, doc.y);
+    doc.moveDown(0.3);
+  }
+
+  _paragraph(doc, text, { color = COLORS.text, size = 10 } = {}) {
+    doc.font('Helvetica').fontSize(size).fillColor(color)
+      .text(this._safe(text), doc.page.margins.left, doc.y, { width: this._width(doc) });
+  }
+
+  // Axis maximum with round ticks: four steps of 1, 2, 2.5, 3 or 5 times a power of ten (whole
+  // steps for counts)
+  _niceMax(value, integer = false) {
+    const rawStep = value / 4;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const step = [1, 2, 2.5, 3, 5, 10].map(m => m * magnitude).find(candidate => candidate >= rawStep);
+    return (integer ? Math.ceil(step) : step) * 4;
+  }
+
+  // Vertical bar chart, one bar per label and series (grouped), value labels on top; `max`
+  // fixes the scale (100 for percentages), `integer` keeps the ticks of counts whole
+  _barChart(doc, { title, labels, series, max = null, unit = '', integer = false, height = 170 }) {
+    const x0 = doc.page.margins.left;
+    const width = this._width(doc);
+    this._ensureSpace(doc, height + 60);
+    if (title) this._subheading(doc, title);
+    if (labels.length === 0) {
+      this._paragraph(doc, '-', { color: COLORS.muted });
+      doc.moveDown();
+      return;
+    }
+
+    const axisWidth = 30;
+    const plotX = x0 + axisWidth;
+    const plotWidth = width - axisWidth;
+    const top = doc.y + (series.length > 1 ? 16 : 6);
+    const values = series.flatMap(s => s.values).filter(v => typeof v === 'number');
+    const scaleMax = max ?? this._niceMax(Math.max(1, ...values) * 1.05, integer);
+
+    // Legend
+    if (series.length > 1) {
+      let legendX = plotX;
+      doc.font('Helvetica').fontSize(8);
+      for (const s of series) {
+        doc.rect(legendX, top - 13, 8, 8).fill(s.color);
+        doc.fillColor(COLORS.muted).text(this._safe(s.label), legendX + 11, top - 13, { lineBreak: false });
+        legendX += 20 + doc.widthOfString(this._safe(s.label));
+      }
+    }
+
+    // Grid and axis ticks
+    doc.font('Helvetica').fontSize(7);
+    for (let i = 0; i <= 4; i++) {
+      const y = top + height - (height * i) / 4;
+      doc.moveTo(plotX, y).lineTo(plotX + plotWidth, y).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+      doc.fillColor(COLORS.muted).text(this._format((scaleMax * i) / 4, unit), x0, y - 3, { width: axisWidth - 4, align: 'right', lineBreak: false });
+    }
+
+    const slot = plotWidth / labels.length;
+    const barWidth = Math.min(28, (slot * 0.7) / series.length);
+    labels.forEach((label, i) => {
+      const groupX = plotX + slot * i + (slot - barWidth * series.length) / 2;
+      series.forEach((s, j) => {
+        const value = s.values[i];
+        if (typeof value !== 'number') return;
+        const barHeight = Math.min(height, (Math.max(0, value) / scaleMax) * height);
+        const x = groupX + barWidth * j;
+        doc.rect(x, top + height - barHeight, barWidth - 1, barHeight).fill(s.color);
+        doc.fillColor(COLORS.text).fontSize(6.5)
+          .text(this._format(value, unit), x - 6, top + height - barHeight - 9, { width: barWidth + 11, align: 'center', lineBreak: false });
+      });
+      doc.fillColor(COLORS.muted).fontSize(7)
+        .text(this._safe(label), plotX + slot * i + 1, top + height + 4, { width: slot - 2, height: 18, align: 'center', ellipsis: true });
+    });
+
+    doc.x = x0;
+    doc.y = top + height + 26;
+  }
+
+  // Horizontal percentage bars (pillar scores, backlog readiness)
+  _scoreBars(doc, rows) {
+    const x0 = doc.page.margins.left;
+    const labelWidth = 190;
+    const barWidth = this._width(doc) - labelWidth - 50;
+    for (const row of rows) {
+      this._ensureSpace(doc, 20);
+      const y = doc.y;
+      const value = typeof row.value === 'number' ? Math.max(0, Math.min(100, row.value)) : null;
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+        .text(this._safe(row.label), x0, y + 2, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+      doc.rect(x0 + labelWidth, y, barWidth, 12).fill(COLORS.header);
+      if (value !== null) {
+        const color = value >= 75 ? COLORS.green : value >= 40 ? COLORS.amber : COLORS.red;
+        doc.rect(x0 + labelWidth, y, (barWidth * value) / 100, 12).fill(color);
+      }
+      doc.fillColor(COLORS.text).text(this._format(row.value, '%'), x0 + labelWidth + barWidth + 6, y + 2, { lineBreak: false });
+      doc.x = x0;
+      doc.y = y + 18;
+    }
+    doc.moveDown(0.5);
+  }
+
+  // Table with a repeated header after page breaks; `columns` widths are fractions of the page
+  // width, rows beyond maxRows are summarized
+  _table(doc, columns, rows, t, { maxRows = MAX_TABLE_ROWS } = {}) {
+    const x0 = doc.page.margins.left;
+    const width = this._width(doc);
+    const widths = columns.map(c => c.width * width);
+    const padding = 3;
+    if (rows.length === 0) {
+      this._paragraph(doc, t('noItems'), { color: COLORS.muted });
+      doc.moveDown();
+      return;
+    }
+
+    const drawRow = (cells, { header = false } = {}) => {
+      doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      const texts = cells.map(cell => this._safe(cell));
+      const rowHeight = Math.max(...texts.map((text, i) => doc.heightOfString(text || ' ', { width: widths[i] - padding * 2 }))) + padding * 2;
+      if (doc.y + rowHeight > this._bottom(doc)) {
+        doc.addPage();
+        if (!header) drawRow(columns.map(c => c.header), { header: true });
+        doc.font('Helvetica').fontSize(8);
+      }
+      const y = doc.y;
+      if (header) doc.rect(x0, y, width, rowHeight).fill(COLORS.header);
+      let x = x0;
+      texts.forEach((text, i) => {
+        doc.fillColor(header ? COLORS.muted : COLORS.text)
+          .text(text, x + padding, y + padding, { width: widths[i] - padding * 2, align: columns[i].align || 'left' });
+        x += widths[i];
+      });
+      doc.moveTo(x0, y + rowHeight).lineTo(x0 + width, y + rowHeight).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+      doc.x = x0;
+      doc.y = y + rowHeight;
+    };
+
+    this._ensureSpace(doc, 40);
+    drawRow(columns.map(c => c.header), { header: true });
+    for (const row of rows.slice(0, maxRows)) drawRow(columns.map(c => c.value(row)));
+    if (rows.length > maxRows) {
+      doc.moveDown(0.3);
+      this._paragraph(doc, t('more', { count: rows.length - maxRows }), { color: COLORS.muted, size: 8 });
+    }
+    doc.moveDown();
+  }
+
+  // Page 1: level, score, pillars, blockers and recommendations
+  _summaryPage(doc, snapshot, model, { t, locale }) {
+    const data = snapshot.metrics_data || {};
+    const maturity = data.maturityLevel || {};
+    const kanban = data.mode === 'kanban';
+    const boardName = snapshot.board_name || data.boardName || `Board ${snapshot.board_id}`;
+    const x0 = doc.page.margins.left;
+
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(this._safe(t('boardReport')), x0, doc.y);
+    this._heading(doc, boardName);
+    const window = kanban
+      ? `${t('weeksAnalyzed')}: ${data.flowMetrics?.windowWeeks ?? '-'}`
+      : `${t('sprintsAnalyzed')}: ${data.sprintsAnalyzed ?? (data.sprintMetrics || []).length}`;
+    this._paragraph(doc, `${t('snapshotOf')} ${this._formatDate(snapshot.calculated_at, locale)} · ${window}${kanban ? ' · Kanban' : ''}`, { color: COLORS.muted, size: 9 });
+    doc.moveDown();
+
+    // Level badge
+    const level = maturity.level ?? (snapshot.maturity_level ? Number(snapshot.maturity_level) : null);
+    const top = doc.y;
+    doc.roundedRect(x0, top, 90, 56, 6).fill(this._levelColor(level, maturity.color));
+    doc.font('Helvetica').fontSize(9).fillColor('#ffffff').text(this._safe(t('level')), x0, top + 8, { width: 90, align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(24).text(level ?? '-', x0, top + 20, { width: 90, align: 'center' });
+    const textX = x0 + 105;
+    const textWidth = this._width(doc) - 105;
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(this._safe(maturity.name || ''), textX, top + 4, { width: textWidth });
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(this._safe(maturity.description || ''), textX, doc.y + 2, { width: textWidth });
+    if (typeof maturity.score === 'number') {
+      doc.fillColor(COLORS.text).text(`${this._safe(t('score'))}: ${this._format(maturity.score, '%')}`, textX, doc.y + 4, { width: textWidth });
+    }
+    doc.x = x0;
+    doc.y = Math.max(doc.y, top + 56) + 18;
+
+    // Pillar scores (named by the tenant's model)
+    const pillarScores = maturity.pillarScores || {};
+    const pillars = (model.pillars || []).filter(p => pillarScores[p.id] !== undefined);
+    if (pillars.length > 0) {
+      this._subheading(doc, t('pillars'));
+      this._scoreBars(doc, pillars.map(p => ({ label: MaturityModelService.localize(p.name, locale), value: pillarScores[p.id] })));
+    }
+
+    // Blockers: the next level's criteria that don't pass yet
+    const next = maturity.nextLevel;
+    if (next) {
+      this._subheading(doc, t('blockers', { level: next.level }));
+      const blockers = (next.criteria || []).filter(c => !c.passed);
+      this._table(doc, [
+        { header: '', width: 0.52, value: c => MaturityModelService.localize(c.label, locale) },
+        { header: t('actual'), width: 0.24, align: 'right', value: c => this._format(c.actual, c.unit || '') },
+        { header: t('target'), width: 0.24, align: 'right', value: c => `${OPERATOR_SYMBOLS[c.operator] || c.operator} ${c.value}${c.unit || ''}` }
+      ], blockers, t);
+    } else if (level !== null) {
+      this._subheading(doc, t('recommendations'));
+      this._paragraph(doc, t('noBlockers'), { color: COLORS.muted });
+      doc.moveDown();
+    }
+
+    const recommendations = maturity.recommendations || [];
+    if (recommendations.length > 0) {
+      if (next) this._subheading(doc, t('recommendations'));
+      for (const recommendation of recommendations) {
+        this._ensureSpace(doc, 20);
+        this._paragraph(doc, `•  ${recommendation}`, { size: 9.5 });
+        doc.moveDown(0.3);
+      }
+    }
+  }
+
+  _pillarName(model, id, locale, fallback) {
+    const pillar = (model.pillars || []).find(p => p.id === id);
+    return pillar ? MaturityModelService.localize(pillar.name, locale) : fallback;
+  }
+
+  // Scrum pillar pages: delivery predictability, flow & quality, ownership (backlog)
+  _scrumPages(doc, data, model, { t, locale }) {
+    const sprints = data.sprintMetrics || [];
+    const sprintNames = sprints.map(s => s.sprintName);
+    const flow = data.flowQuality || {};
+
+    doc.addPage();
+    this._heading(doc, this._pillarName(model, 'delivery', locale, 'Delivery Predictability'));
+    this._barChart(doc, { title: t('rolloverRate'), labels: sprintNames, series: [{ label: t('rolloverRate'), color: COLORS.red, values: sprints.map(s => s.rolloverRate) }], max: 100, unit: '%' });
+    this._barChart(doc, {
+      title: `${t('sprintHitRate')} / ${t('goalAttainment')}`,
+      labels: sprintNames,
+      series: [
+        { label: t('sprintHitRate'), color: COLORS.primary, values: sprints.map(s => s.sprintHitRate) },
+        { label: t('goalAttainment'), color: COLORS.teal, values: sprints.map(s => s.sprintGoalAttainment) }
+      ],
+      max: 100,
+      unit: '%'
+    });
+    this._table(doc, [
+      { header: t('sprint'), width: 0.28, value: s => s.sprintName },
+      { header: t('rolloverRate'), width: 0.14, align: 'right', value: s => this._format(s.rolloverRate, '%') },
+      { header: t('sprintHitRate'), width: 0.14, align: 'right', value: s => this._format(s.sprintHitRate, '%') },
+      { header: t('midSprintAdditions'), width: 0.16, align: 'right', value: s => this._format(s.midSprintAdditions?.percentage, '%') },
+      { header: t('committed'), width: 0.14, align: 'right', value: s => this._format(s.committedPoints ?? s.plannedPoints) },
+      { header: t('completed'), width: 0.14, align: 'right', value: s => this._format(s.completedPoints) }
+    ], sprints, t);
+
+    doc.addPage();
+    this._heading(doc, this._pillarName(model, 'flow', locale, 'Flow & Quality'));
+    const leadTimes = Object.entries(flow.leadTimeByType || {}).filter(([, v]) => typeof v === 'number');
+    this._barChart(doc, { title: t('leadTimeByType'), labels: leadTimes.map(([type]) => type), series: [{ label: t('cycleTime'), color: COLORS.primary, values: leadTimes.map(([, v]) => v) }], unit: 'd' });
+    const rework = flow.reworkBySprint || [];
+    this._barChart(doc, { title: t('reworkBySprint'), labels: rework.map(r => r.sprint), series: [{ label: t('rework'), color: COLORS.amber, values: rework.map(r => r.reworkRate) }], unit: '%' });
+    const defectsBySprint = flow.defects?.bySprint || [];
+    if (defectsBySprint.some(d => d.total > 0)) {
+      this._barChart(doc, {
+        title: t('defects'),
+        labels: defectsBySprint.map(d => d.sprint),
+        series: [
+          { label: t('preMerge'), color: COLORS.green, values: defectsBySprint.map(d => d.preMerge) },
+          { label: t('inQA'), color: COLORS.amber, values: defectsBySprint.map(d => d.inQA) },
+          { label: t('postRelease'), color: COLORS.red, values: defectsBySprint.map(d => d.postRelease) }
+        ],
+        integer: true,
+        height: 130
+      });
+    }
+
+    this._ownershipPage(doc, data, model, { t, locale });
+
+    // Rollover issues of every sprint in the window
+    doc.addPage();
+    this._heading(doc, t('rolloverIssues'));
+    const rollovers = sprints.flatMap(s => (s.rolloverIssues || []).map(issue => ({ ...issue, sprintName: s.sprintName })));
+    this._table(doc, [
+      { header: t('sprint'), width: 0.16, value: i => i.sprintName },
+      { header: t('key'), width: 0.12, value: i => i.key },
+      { header: t('summary'), width: 0.38, value: i => i.summary },
+      { header: t('status'), width: 0.14, value: i => i.status },
+      { header: t('reasons'), width: 0.2, value: i => (i.reasons || []).join(', ') }
+    ], rollovers, t);
+  }
+
+  // Kanban pages: flow (throughput, WIP, cycle time, aging WIP), then ownership
+  _kanbanPages(doc, data, model, { t, locale }) {
+    const flow = data.flowMetrics || {};
+    const weeks = flow.weeks || [];
+    const weekLabels = weeks.map(w => w.weekStart?.slice(5) || '');
+
+    doc.addPage();
+    this._heading(doc, this._pillarName(model, 'flow', locale, 'Flow & Quality'));
+    this._barChart(doc, { title: t('throughput'), labels: weekLabels, series: [{ label: t('throughput'), color: COLORS.primary, values: weeks.map(w => w.throughput) }], integer: true });
+    this._barChart(doc, { title: t('wip'), labels: weekLabels, series: [{ label: t('wip'), color: COLORS.amber, values: weeks.map(w => w.wip) }], integer: true, height: 130 });
+    const cycleTime = flow.cycleTime || {};
+    this._barChart(doc, {
+      title: t('cycleTime'),
+      labels: ['P50', 'P85', 'P95'],
+      series: [{ label: t('cycleTime'), color: COLORS.teal, values: [cycleTime.p50, cycleTime.p85, cycleTime.p95] }],
+      unit: 'd',
+      height: 110
+    });
+
+    doc.addPage();
+    this._heading(doc, t('agingWip'));
+    this._table(doc, [
+      { header: t('key'), width: 0.13, value: i => i.key },
+      { header: t('summary'), width: 0.45, value: i => i.summary },
+      { header: t('status'), width: 0.16, value: i => i.status },
+      { header: t('type'), width: 0.14, value: i => i.type },
+      { header: t('age'), width: 0.12, align: 'right', value: i => this._format(i.ageDays) }
+    ], flow.agingWip || [], t);
+
+    this._ownershipPage(doc, data, model, { t, locale });
+  }
+
+  // Ownership pillar: backlog readiness and its gaps
+  _ownershipPage(doc, data, model, { t, locale }) {
+    const backlog = data.backlogHealth || {};
+    doc.addPage();
+    this._heading(doc, this._pillarName(model, 'ownership', locale, 'Team Ownership & Execution'));
+    this._subheading(doc, t('backlogHealth'));
+    if (backlog.totalItems !== undefined) {
+      this._paragraph(doc, t('backlogItems', { count: backlog.totalItems }), { color: COLORS.muted, size: 9 });
+      doc.moveDown(0.5);
+    }
+    this._scoreBars(doc, [
+      { label: t('withAC'), value: backlog.withAcceptanceCriteria ?? null },
+      { label: t('withEstimates'), value: backlog.withEstimates ?? null },
+      { label: t('overall'), value: backlog.overallScore ?? null }
+    ]);
+
+    const gapColumns = [
+      { header: t('key'), width: 0.14, value: i => i.key },
+      { header: t('summary'), width: 0.56, value: i => i.summary },
+      { header: t('type'), width: 0.14, value: i => i.type },
+      { header: t('status'), width: 0.16, value: i => i.status }
+    ];
+    this._subheading(doc, `${t('missingAC')} (${(backlog.missingAC || []).length})`);
+    this._table(doc, gapColumns, backlog.missingAC || [], t);
+    this._subheading(doc, `${t('missingEstimates')} (${(backlog.missingEstimates || []).length})`);
+    this._table(doc, gapColumns, backlog.missingEstimates || [], t);
+  }
+
+  async _models(tenantId) {
+    return {
+      scrum: await maturityModelService.getModel(tenantId, 'scrum'),
+      kanban: await maturityModelService.getModel(tenantId, 'kanban')
+    };
+  }
+
+  // All pages of one snapshot, starting on the current page
+  _boardPages(doc, snapshot, models, options) {
+    const data = snapshot.metrics_data || {};
+    const kanban = data.mode === 'kanban';
+    const model = kanban ? models.kanban : models.scrum;
+    this._summaryPage(doc, snapshot, model, options);
+    if (kanban) this._kanbanPages(doc, data, model, options);
+    else this._scrumPages(doc, data, model, options);
+  }
+
+  // Org pack cover: one row per board and the level distribution
+  _overviewPage(doc, overview, boards, { t, locale, groups }) {
+    this._heading(doc, t('orgReport'));
+    const subtitle = [`${t('generatedAt')} ${this._formatDate(new Date().toISOString(), locale)}`, t('teams', { count: boards.length })];
+    for (const [category, name] of Object.entries(groups)) subtitle.push(`${category}: ${name}`);
+    this._paragraph(doc, subtitle.join(' · '), { color: COLORS.muted, size: 9 });
+    doc.moveDown();
+
+    this._table(doc, [
+      { header: t('team'), width: 0.25, value: b => `${b.boardName}${b.mode === 'kanban' ? ' (Kanban)' : ''}` },
+      { header: t('level'), width: 0.15, value: b => (b.maturityLevel !== null ? `${b.maturityLevel}. ${b.maturityName || ''}` : '-') },
+      { header: t('rolloverRate'), width: 0.1, align: 'right', value: b => this._format(b.metrics.rolloverRate, '%') },
+      { header: t('sprintHitRate'), width: 0.1, align: 'right', value: b => this._format(b.metrics.sprintHitRate, '%') },
+      { header: t('backlogReady'), width: 0.1, align: 'right', value: b => this._format(b.metrics.backlogReadiness, '%') },
+      { header: t('rework'), width: 0.1, align: 'right', value: b => this._format(b.metrics.reworkRate, '%') },
+      { header: t('cycleTime'), width: 0.08, align: 'right', value: b => this._format(b.metrics.cycleTime, 'd') },
+      { header: t('updated'), width: 0.12, align: 'right', value: b => this._formatDate(b.calculatedAt, locale) }
+    ], boards, t, { maxRows: Infinity });
+
+    const levels = overview.levels || [];
+    this._barChart(doc, {
+      title: t('levelDistribution'),
+      labels: levels.map(l => `${l.level}. ${l.name}`),
+      series: [{ label: t('teams', { count: '' }).trim(), color: COLORS.primary, values: levels.map(l => boards.filter(b => b.maturityLevel === l.level).length) }],
+      integer: true,
+      height: 120
+    });
+  }
+
+  // Page numbers in the footer of every page (needs bufferPages)
+  _footer(doc, title, t) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+        .text(this._safe(title), doc.page.margins.left, doc.page.height - 28, { width: this._width(doc) / 2, lineBreak: false })
+        .text(t('page', { page: i - start + 1, pages: count }), doc.page.margins.left + this._width(doc) / 2, doc.page.height - 28, { width: this._width(doc) / 2, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  _render(title, draw) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ ...PAGE, bufferPages: true, info: { Title: this._safe(title), Creator: 'Scrum Maturity Dashboard' } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      try {
+        draw(doc);
+        doc.end();
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  // PDF (Buffer) of one metrics_history snapshot
+  async buildBoardReport(snapshot, tenantId, locale = 'en') {
+    const t = this._labels(locale);
+    const models = await this._models(tenantId);
+    const boardName = snapshot.board_name || snapshot.metrics_data?.boardName || `Board ${snapshot.board_id}`;
+    const title = `${boardName} · ${t('boardReport')} · ${this._formatDate(snapshot.calculated_at, locale)}`;
+    return this._render(title, (doc) => {
+      this._boardPages(doc, snapshot, models, { t, locale });
+      this._footer(doc, title, t);
+    });
+  }
+
+  // Org pack (Buffer) of every board's latest snapshot; `groups` ({ category: groupName }, as the
+  // overview's filters) keeps only the boards in those team groups. null when no board is left
+  async buildOrgReport(tenantId, { locale = 'en', groups = {} } = {}) {
+    const t = this._labels(locale);
+    const [overview, snapshots, models] = await Promise.all([
+      overviewService.getOverview(tenantId, locale),
+      database.getAllBoardsWithLatestMetrics(tenantId),
+      this._models(tenantId)
+    ]);
+    const boards = overview.boards.filter(b => Object.entries(groups).every(([category, name]) => b.groups[category] === name));
+    if (boards.length === 0) return null;
+
+    const byBoard = new Map(snapshots.map(s => [s.board_id, s]));
+    const title = [t('orgReport'), ...Object.values(groups)].join(' · ');
+    return this._render(title, (doc) => {
+      this._overviewPage(doc, overview, boards, { t, locale, groups });
+      for (const board of boards) {
+        const snapshot = byBoard.get(board.boardId);
+        if (!snapshot) continue;
+        doc.addPage();
+        this._boardPages(doc, snapshot, models, { t, locale });
+      }
+      this._footer(doc, title, t);
+    });
+  }
+}
+
+export { ReportService };
+export default new ReportService();
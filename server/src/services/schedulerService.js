@@ -0,0 +1,258 @@
+import database from './database.js';
+import JiraService from './jiraService.js';
+import TenantService from './tenantService.js';
+import tenantSettingsService from './tenantSettingsService.js';
+import sessionService from './sessionService.js';
+import CronSchedule from './cronSchedule.js';
+import DashboardController from '../controllers/dashboardController.js';
+
+// Scheduled background refresh
+// Tenants with a refreshSchedule (cron, UTC) get every board with stored metrics refreshed from
+// Jira at each occurrence, so the history has no gaps between manual refreshes. Runs use the
+// tenant's service account (tenant_service_credentials), else the server's JIRA_* credentials
+// when they point at the tenant's site. A tenant's runs never overlap: each run holds a
+// per-tenant Postgres advisory lock, shared by every instance of the server. Missed occurrences
+// (server down) are caught up once at the next tick.
+
+// Advisory lock namespace (the second key is the tenant's hash)
+const LOCK_KEY = 48151624;
+const TICK_MS = 60 * 1000;
+
+class SchedulerService {
+  constructor() {
+    this.dashboardController = new DashboardController();
+    this._timer = null;
+    // Tenants with a run in progress in this process
+    this._running = new Set();
+    this._ticking = false;
+  }
+
+  // Check every minute for due tenants (long-running servers; on Vercel, call tick() from a
+  // cron request instead)
+  start() {
+    if (this._timer || !database.sql) return;
+    this._timer = setInterval(() => {
+      this.tick().catch(err => console.warn('Scheduled refresh tick failed:', err.message));
+    }, TICK_MS);
+    this._timer.unref?.();
+    console.log('✓ Refresh scheduler started');
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  // Latest occurrence of the tenant's schedule that no run served yet, or null when not due.
+  // Read from the database (not the settings cache) since another instance may have changed
+  // it; a new schedule counts from when the tenant settings were saved.
+  async _dueOccurrence(tenantId, now = new Date()) {
+    const tenant = await database.getTenant(tenantId);
+    if (!tenant?.refresh_schedule) return null;
+    const since = await database.getLastScheduledFor(tenantId) || tenant.updated_at;
+    return new CronSchedule(tenant.refresh_schedule).lastBetween(new Date(since), now);
+  }
+
+  // Run every due tenant, one after another (bounds the Jira load); returns the tenants run.
+  // A tick still busy with long runs makes the next ones skip.
+  async tick(now = new Date()) {
+    if (this._ticking) return [];
+    this._ticking = true;
+    const ran = [];
+    try {
+      for (const tenant of await tenantSettingsService.listTenants()) {
+        if (!tenant.refreshSchedule || this._running.has(tenant.tenantId)) continue;
+        try {
+          if (!await this._dueOccurrence(tenant.tenantId, now)) continue;
+          if (await this.runTenant(tenant.tenantId, { trigger: 'schedule', now })) ran.push(tenant.tenantId);
+        } catch (err) {
+          console.warn(`Scheduled refresh of ${tenant.tenantId} failed:`, err.message);
+        }
+      }
+    } finally {
+      this._ticking = false;
+    }
+    return ran;
+  }
+
+  // Jira credentials for the tenant's runs: its service account, else the server's JIRA_*
+  // credentials when they belong to the tenant's site. Null when neither exists.
+  async getCredentials(tenantId) {
+    const row = await database.getServiceCredentials(tenantId);
+    if (row) {
+      try {
+        return { ...sessionService.decrypt(row.credentials), deploymentType: row.deployment_type, source: 'tenant' };
+      } catch {
+        throw new Error('Stored service credentials cannot be decrypted (was SESSION_SECRET changed?) — save them again');
+      }
+    }
+    const server = sessionService.serverCredentials();
+    if (server && TenantService.extractTenantId(server.jiraUrl) === tenantId) {
+      return { ...server, source: 'server' };
+    }
+    return null;
+  }
+
+  // Hold the tenant's refresh lock while fn runs; returns null without running fn when another
+  // run (any instance) holds it
+  async _withTenantLock(tenantId, fn) {
+    const client = await database.pool.connect();
+    try {
+      const [{ locked }] = (await client.query('SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked', [LOCK_KEY, tenantId])).rows;
+      if (!locked) return null;
+      try {
+        return await fn();
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [LOCK_KEY, tenantId]).catch(() => {});
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Refresh every board of the tenant with stored metrics. trigger: 'schedule' (only when an
+  // occurrence is due, checked again under the lock) or 'manual' (startedBy: account id).
+  // Returns the run, or null when a run is already in progress or nothing was due.
+  async runTenant(tenantId, { trigger = 'manual', startedBy = null, now = new Date() } = {}) {
+    if (!database.sql) throw new Error('Database not available');
+    if (this._running.has(tenantId)) return null;
+
+    this._running.add(tenantId);
+    try {
+      return await this._withTenantLock(tenantId, async () => {
+        let scheduledFor = null;
+        if (trigger === 'schedule') {
+          // Another instance may have served the occurrence while we waited for the lock
+          scheduledFor = await this._dueOccurrence(tenantId, now);
+          if (!scheduledFor) return null;
+        }
+        await database.failInterruptedRuns(tenantId);
+        const runId = await database.startRefreshRun({ tenantId, trigger, scheduledFor, startedBy });
+        return this._refreshBoards(tenantId, runId);
+      });
+    } finally {
+      this._running.delete(tenantId);
+    }
+  }
+
+  async _refreshBoards(tenantId, runId) {
+    const failures = [];
+    let refreshed = 0;
+    let boards = [];
+    try {
+      const credentials = await this.getCredentials(tenantId);
+      if (!credentials) throw new Error('No service credentials for this tenant');
+
+      const deploymentType = !credentials.deploymentType || credentials.deploymentType === 'auto'
+        ? await JiraService.detectDeploymentType(credentials.jiraUrl)
+        : credentials.deploymentType;
+      const session = { tenantId, jiraUrl: credentials.jiraUrl, email: credentials.email, apiToken: credentials.apiToken, deploymentType };
+
+      boards = await database.getAllBoardsWithMetrics(tenantId);
+      await database.updateRefreshRun(runId, { boardsTotal: boards.length });
+      console.log(`\n⏰ Refreshing ${boards.length} boards of ${tenantId}`);
+
+      for (const board of boards) {
+        try {
+          const { status, body } = await this.dashboardController.runTeamMetrics(session, {
+            boardId: board.board_id,
+            sprintCount: board.sprint_count || 6,
+            forceRefresh: true
+          });
+          if (status >= 400 || !body?.success) throw new Error(body?.message || `HTTP ${status}`);
+          refreshed++;
+        } catch (err) {
+          failures.push({ boardId: board.board_id, boardName: board.board_name, message: err.message });
+        }
+        await database.updateRefreshRun(runId, { boardsRefreshed: refreshed, failures });
+      }
+    } catch (err) {
+      await database.updateRefreshRun(runId, { status: 'failed', error: err.message, failures, finished: true });
+      console.warn(`⚠ Refresh of ${tenantId} failed: ${err.message}`);
+      return this._toRun(await database.getRefreshRun(runId));
+    }
+
+    const status = failures.length === 0 ? 'succeeded' : refreshed > 0 ? 'partial' : 'failed';
+    await database.updateRefreshRun(runId, { status, boardsRefreshed: refreshed, failures, finished: true });
+    console.log(`✓ Refreshed ${refreshed}/${boards.length} boards of ${tenantId}${failures.length ? ` (${failures.length} failed)` : ''}`);
+    return this._toRun(await database.getRefreshRun(runId));
+  }
+
+  _toRun(row) {
+    if (!row) return null;
+    return {
+      id: Number(row.id),
+      trigger: row.trigger,
+      scheduledFor: row.scheduled_for,
+      startedBy: row.started_by,
+      status: row.status,
+      boardsTotal: row.boards_total,
+      boardsRefreshed: row.boards_refreshed,
+      failures: row.failures,
+      error: row.error,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  // Schedule, next run, credentials (without the token) and recent runs of a tenant
+  async getStatus(tenantId) {
+    const settings = await tenantSettingsService.getSettings(tenantId);
+    const runs = (await database.getRefreshRuns(tenantId, 20)).map(row => this._toRun(row));
+
+    let credentials = null;
+    const row = await database.getServiceCredentials(tenantId);
+    if (row) {
+      credentials = { source: 'tenant', accountId: row.account_id, displayName: row.display_name, deploymentType: row.deployment_type, updatedBy: row.updated_by, updatedAt: row.updated_at };
+    } else if ((await this.getCredentials(tenantId))?.source === 'server') {
+      credentials = { source: 'server' };
+    }
+
+    return {
+      schedule: settings.refreshSchedule,
+      nextRunAt: settings.refreshSchedule ? new CronSchedule(settings.refreshSchedule).next() : null,
+      running: runs[0]?.status === 'running',
+      credentials,
+      lastRun: runs.find(run => run.status !== 'running') || null,
+      runs
+    };
+  }
+
+  // Validate service credentials against Jira and store them encrypted; returns
+  // { saved, errors, credentials }
+  async saveCredentials(tenantId, { jiraUrl, email = '', apiToken, deploymentType = 'auto' }, updatedBy = null) {
+    const errors = [];
+    if (!jiraUrl || !apiToken) errors.push('jiraUrl and apiToken are required');
+    else if (TenantService.extractTenantId(jiraUrl) !== tenantId) errors.push(`jiraUrl must be a URL of ${tenantId}`);
+    if (errors.length > 0) return { saved: false, errors, credentials: null };
+
+    const resolvedType = deploymentType === 'auto'
+      ? await JiraService.detectDeploymentType(jiraUrl)
+      : JiraService.normalizeDeploymentType(deploymentType);
+    let user;
+    try {
+      user = await new JiraService(jiraUrl, email, apiToken, { deploymentType: resolvedType }).getCurrentUser();
+    } catch (error) {
+      return { saved: false, errors: [`Jira rejected the credentials: ${error.message}`], credentials: null };
+    }
+
+    const credentials = {
+      deploymentType: resolvedType,
+      accountId: user?.accountId || user?.key || user?.name || null,
+      displayName: user?.displayName || null,
+      updatedBy
+    };
+    const saved = await database.saveServiceCredentials(tenantId, {
+      ...credentials,
+      credentials: sessionService.encrypt({ jiraUrl, email, apiToken })
+    });
+    return { saved, errors: [], credentials: { source: 'tenant', ...credentials } };
+  }
+
+  async deleteCredentials(tenantId) {
+    return database.deleteServiceCredentials(tenantId);
+  }
+}
+
+export { SchedulerService };
+export default new SchedulerService();
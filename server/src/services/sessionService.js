@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import database from './database.js';
+
+dotenv.config();
+
+// Server-side login sessions
+// The browser holds only a random token in an HttpOnly cookie; the Jira credentials stay on the
+// server, AES-256-GCM encrypted with a key derived from SESSION_SECRET. Sessions live in the
+// sessions table (only the token's SHA-256 is stored), or in memory when no database is
+// configured.
+
+const COOKIE_NAME = 'smd_session';
+const TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 7 * 24) * 3600 * 1000;
+
+class SessionService {
+  constructor() {
+    if (process.env.SESSION_SECRET) {
+      this.key = crypto.createHash('sha256').update(process.env.SESSION_SECRET).digest();
+    } else {
+      // Sessions still work, but don't survive a restart or span several instances
+      console.warn('⚠ SESSION_SECRET not set — using a random key, sessions end on restart');
+      this.key = crypto.randomBytes(32);
+    }
+    // Fallback store (token hash → row) when DATABASE_URL is not set
+    this._memory = new Map();
+  }
+
+  static COOKIE_NAME = COOKIE_NAME;
+  static TTL_MS = TTL_MS;
+
+  // JSON → "iv.tag.ciphertext" (base64url)
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.');
+  }
+
+  // Throws when the payload was tampered with or encrypted under another key
+  decrypt(payload) {
+    const [iv, tag, data] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+  }
+
+  _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Jira credentials configured on the server (JIRA_URL / JIRA_EMAIL / JIRA_API_TOKEN) for
+  // team-wide access; Server/Data Center PATs need no email
+  serverCredentials() {
+    const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN, JIRA_DEPLOYMENT_TYPE } = process.env;
+    if (!JIRA_URL || !JIRA_API_TOKEN || !(JIRA_EMAIL || JIRA_DEPLOYMENT_TYPE)) return null;
+    return { jiraUrl: JIRA_URL, email: JIRA_EMAIL || '', apiToken: JIRA_API_TOKEN, deploymentType: JIRA_DEPLOYMENT_TYPE || 'auto' };
+  }
+
+  // Store a session for validated credentials; returns the cookie token and the session.
+  // jiraAdmin / sharedLogin feed the role resolution (accessService).
+  async create({ jiraUrl, email, apiToken, deploymentType, tenantId, user, jiraAdmin = false, sharedLogin = false }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const row = {
+      id: this._hash(token),
+      tenantId,
+      deploymentType,
+      credentials: this.encrypt({ jiraUrl, email: email || '', apiToken }),
+      accountId: user?.accountId || user?.key || user?.name || null,
+      displayName: user?.displayName || null,
+      jiraAdmin,
+      sharedLogin,
+      expiresAt: new Date(Date.now() + TTL_MS)
+    };
+
+    if (database.sql) {
+      if (!await database.createSession(row)) throw new Error('Failed to store session');
+      database.deleteExpiredSessions().catch(() => {});
+    } else {
+      this._memory.set(row.id, {
+        id: row.id,
+        tenant_id: row.tenantId,
+        deployment_type: row.deploymentType,
+        credentials: row.credentials,
+        account_id: row.accountId,
+        display_name: row.displayName,
+        jira_admin: row.jiraAdmin,
+        shared_login: row.sharedLogin,
+        expires_at: row.expiresAt
+      });
+    }
+
+    return {
+      token,
+      session: {
+        tenantId,
+        jiraUrl,
+        email: email || '',
+        apiToken,
+        deploymentType,
+        accountId: row.accountId,
+        displayName: row.displayName,
+        jiraAdmin,
+        sharedLogin,
+        expiresAt: row.expiresAt
+      }
+    };
+  }
+
+  // Session of a cookie token (credentials decrypted), or null when unknown/expired
+  async get(token) {
+    if (!token) return null;
+    const id = this._hash(token);
+
+    let row;
+    if (database.sql) {
+      row = await database.getSession(id);
+    } else {
+      row = this._memory.get(id) || null;
+      if (row && new Date(row.expires_at) <= new Date()) {
+        this._memory.delete(id);
+        row = null;
+      }
+    }
+    if (!row) return null;
+
+    try {
+      const { jiraUrl, email, apiToken } = this.decrypt(row.credentials);
+      return {
+        tenantId: row.tenant_id,
+        jiraUrl,
+        email,
+        apiToken,
+        deploymentType: row.deployment_type,
+        accountId: row.account_id,
+        displayName: row.display_name,
+        jiraAdmin: !!row.jira_admin,
+        sharedLogin: !!row.shared_login,
+        expiresAt: row.expires_at
+      };
+    } catch {
+      // Encrypted under a previous SESSION_SECRET
+      return null;
+    }
+  }
+
+  async destroy(token) {
+    if (!token) return false;
+    const id = this._hash(token);
+    if (database.sql) return database.deleteSession(id);
+    return this._memory.delete(id);
+  }
+
+  // Session token from the request's Cookie header
+  readToken(req) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+    for (const part of header.split(';')) {
+      const index = part.indexOf('=');
+      if (index > 0 && part.slice(0, index).trim() === COOKIE_NAME) {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      }
+    }
+    return null;
+  }
+
+  setCookie(res, token) {
+    res.cookie(COOKIE_NAME, token, { ...this._cookieOptions(), maxAge: TTL_MS });
+  }
+
+  clearCookie(res) {
+    res.clearCookie(COOKIE_NAME, this._cookieOptions());
+  }
+
+  // A frontend on another site (CORS_ORIGIN) only gets the cookie back with SameSite=None,
+  // which browsers accept on HTTPS only
+  _cookieOptions() {
+    const crossSite = !!process.env.CORS_ORIGIN;
+    return {
+      httpOnly: true,
+      sameSite: crossSite ? 'none' : 'lax',
+      secure: crossSite || process.env.NODE_ENV === 'production',
+      path: '/'
+    };
+  }
+
+  // Session fields safe to send to the browser (no token); role when already resolved
+  toPublic(session) {
+    return {
+      tenantId: session.tenantId,
+      jiraUrl: session.jiraUrl,
+      email: session.email,
+      deploymentType: session.deploymentType,
+      accountId: session.accountId,
+      displayName: session.displayName,
+      role: session.role || null,
+      expiresAt: session.expiresAt
+    };
+  }
+}
+
+export { SessionService };
+export default new SessionService();
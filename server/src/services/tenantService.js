@@ -3,8 +3,8 @@
 
 class TenantService {
   // Extract tenant ID from Jira URL
-  // e.g., "https://indeed.atlassian.net/" -> "indeed.atlassian.net"
-  // e.g., "https://uolinc.atlassian.net" -> "uolinc.atlassian.net"
+  // e.g., "https://company.atlassian.net/" -> "company.atlassian.net"
+  // e.g., "https://jira.company.com.br" -> "jira.company.com.br"
   static extractTenantId(jiraUrl) {
     if (!jiraUrl) return null;
     try {
@@ -17,31 +17,17 @@ class TenantService {
     }
   }
 
-  // Extract tenant from request body (most POST endpoints send jiraUrl)
+  // Tenant of a request: the login session's Jira site (set by the session middleware). Never
+  // taken from query params or headers, which any caller can set.
   static extractFromRequest(req) {
-    // POST body
-    if (req.body?.jiraUrl) {
-      return TenantService.extractTenantId(req.body.jiraUrl);
-    }
-    // Query param (for GET endpoints)
-    if (req.query?.tenant) {
-      return req.query.tenant;
-    }
-    // Header (fallback)
-    if (req.headers['x-tenant-id']) {
-      return req.headers['x-tenant-id'];
-    }
-    return null;
+    return req.session?.tenantId || null;
   }
 
-  // Detect locale based on Jira URL / tenant
-  // Returns 'pt-BR' for Brazilian companies, 'en' otherwise
+  // Guess the locale from the Jira host when the tenant has no locale setting
+  // (see tenantSettingsService.getLocale): 'pt-BR' for Brazilian domains, 'en' otherwise
   static detectLocale(tenantId) {
     if (!tenantId) return 'en';
-    // Known Brazilian tenants
-    const brTenants = ['uolinc.atlassian.net'];
-    // Also check for common Brazilian domain patterns
-    if (brTenants.includes(tenantId) || tenantId.includes('.com.br')) {
+    if (tenantId.includes('.com.br')) {
       return 'pt-BR';
     }
     return 'en';
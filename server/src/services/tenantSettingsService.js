@@ -0,0 +1,261 @@
+import database from './database.js';
+import TenantService from './tenantService.js';
+import CronSchedule from './cronSchedule.js';
+
+// Tenant registry
+// Per-tenant settings stored in the tenants table: display name, default locale, story points
+// field, rollover reason labels, QA/dev workflow statuses (rework detection), defect label
+// mapping, maturity threshold overrides, the scheduled refresh and the team groups of the org
+// overview. Anything a tenant leaves unset falls back to DEFAULT_SETTINGS.
+
+// Setting → tenants column
+const COLUMNS = {
+  displayName: 'display_name',
+  locale: 'locale',
+  storyPointsField: 'story_points_field',
+  rolloverLabels: 'rollover_labels',
+  qaStatuses: 'qa_statuses',
+  devStatuses: 'dev_statuses',
+  defectLabels: 'defect_labels',
+  maturityThresholds: 'maturity_thresholds',
+  refreshSchedule: 'refresh_schedule',
+  teamGroups: 'team_groups'
+};
+
+class TenantSettingsService {
+  constructor() {
+    // Per-tenant cache of resolved settings (invalidated on save/delete)
+    this._cache = new Map();
+    // Auto-detected story points field per tenant (avoids repeated field-list calls)
+    this._detectedFields = new Map();
+  }
+
+  static LOCALES = ['en', 'pt-BR'];
+
+  static DEFAULT_SETTINGS = {
+    displayName: null,
+    // null → guessed from the Jira host (TenantService.detectLocale)
+    locale: null,
+    // null → auto-detected from the Jira field list
+    storyPointsField: null,
+    // Labels teams put on rolled-over issues to record why
+    rolloverLabels: [
+      { label: 'external-blockers', name: 'External Blockers' },
+      { label: 'late-discovery', name: 'Late Discovery' },
+      { label: 'resource-constraints', name: 'Resource Constraints' },
+      { label: 'internal-blockers', name: 'Internal Blockers' },
+      { label: 'req-gap', name: 'Requirement Gap' },
+      { label: 'dev-qa-spill', name: 'Dev/QA Spill' }
+    ],
+    // Status names (lowercase substrings) of the QA/review and development stages; a move
+    // from a QA status back to a dev status counts as rework
+    qaStatuses: ['qa', 'testing', 'in qa', 'code review', 'review', 'in review', 'ready for qa', 'pending review', 'pending verification', 'pending merge', 'pending closure'],
+    devStatuses: ['in progress', 'development', 'doing', 'to do', 'open', 'reopened'],
+    // Bug labels → where the defect was found; unlabeled bugs count as post-release
+    defectLabels: {
+      preMerge: ['pre-merge', 'code-review'],
+      inQA: ['qa', 'testing']
+    },
+    // Threshold overrides per analysis mode, keyed "<level>.<criterion id>", e.g.
+    // { scrum: { "3.rollover": 10 } } turns Level 3's "rolloverRate < 15" into "rolloverRate < 10"
+    maturityThresholds: { scrum: {}, kanban: {} },
+    // Cron expression (UTC) of the background refresh of all tracked boards, e.g. "0 6 * * 2"
+    // for Tuesdays 06:00 after sprints closing on Mondays; null → no scheduled refresh
+    refreshSchedule: null,
+    // Groups of boards in the org overview, e.g. { name: 'Payments', category: 'tribe',
+    // boardIds: [12, 15] }; a board belongs to at most one group per category
+    teamGroups: []
+  };
+
+  // Validate a (partial) settings update — returns a list of human-readable errors.
+  // null resets a setting to its default.
+  validateSettings(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return ['Settings must be an object'];
+
+    const errors = [];
+    const isStringList = (v) => Array.isArray(v) && v.every(s => typeof s === 'string' && s.trim() !== '');
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (!COLUMNS[key]) {
+        errors.push(`Unknown setting "${key}"`);
+        continue;
+      }
+      if (value === null) continue;
+
+      switch (key) {
+        case 'displayName':
+          if (typeof value !== 'string') errors.push('displayName must be a string');
+          break;
+        case 'locale':
+          if (!TenantSettingsService.LOCALES.includes(value)) {
+            errors.push(`locale must be one of ${TenantSettingsService.LOCALES.join(', ')}`);
+          }
+          break;
+        case 'storyPointsField':
+          if (typeof value !== 'string' || !/^customfield_\d+$/.test(value)) {
+            errors.push('storyPointsField must be a custom field id like "customfield_10016"');
+          }
+          break;
+        case 'rolloverLabels':
+          if (!Array.isArray(value) || !value.every(l => typeof l?.label === 'string' && l.label.trim() !== '')) {
+            errors.push('rolloverLabels must be a list of { label, name }');
+          }
+          break;
+        case 'qaStatuses':
+        case 'devStatuses':
+          if (!isStringList(value)) errors.push(`${key} must be a list of status names`);
+          break;
+        case 'defectLabels':
+          if (typeof value !== 'object' || !['preMerge', 'inQA'].every(k => value[k] === undefined || isStringList(value[k]))) {
+            errors.push('defectLabels must be { preMerge: [labels], inQA: [labels] }');
+          }
+          break;
+        case 'maturityThresholds':
+          for (const [mode, overrides] of Object.entries(typeof value === 'object' ? value : { invalid: null })) {
+            if (!['scrum', 'kanban'].includes(mode) || !overrides || typeof overrides !== 'object') {
+              errors.push('maturityThresholds must be { scrum: {...}, kanban: {...} }');
+              break;
+            }
+            for (const [ref, threshold] of Object.entries(overrides)) {
+              if (!/^\d+\.[A-Za-z0-9_-]+$/.test(ref)) errors.push(`maturityThresholds.${mode}: "${ref}" must look like "<level>.<criterion id>"`);
+              if (typeof threshold !== 'number' || !Number.isFinite(threshold)) errors.push(`maturityThresholds.${mode}.${ref} must be a number`);
+            }
+          }
+          break;
+        case 'teamGroups': {
+          if (!Array.isArray(value) || !value.every(g => typeof g?.name === 'string' && g.name.trim() !== ''
+            && typeof g.category === 'string' && g.category.trim() !== ''
+            && Array.isArray(g.boardIds) && g.boardIds.every(Number.isInteger))) {
+            errors.push('teamGroups must be a list of { name, category, boardIds }');
+            break;
+          }
+          const seen = new Map();
+          for (const group of value) {
+            for (const boardId of group.boardIds) {
+              const key = `${group.category}:${boardId}`;
+              if (seen.has(key) && seen.get(key) !== group.name) {
+                errors.push(`teamGroups: board ${boardId} is in both "${seen.get(key)}" and "${group.name}" (${group.category})`);
+              }
+              seen.set(key, group.name);
+            }
+          }
+          break;
+        }
+        case 'refreshSchedule': {
+          const error = CronSchedule.validate(value);
+          if (error) errors.push(`refreshSchedule: ${error}`);
+          break;
+        }
+      }
+    }
+    return errors;
+  }
+
+  // Stored row → settings with defaults filled in
+  _fromRow(tenantId, row) {
+    const defaults = TenantSettingsService.DEFAULT_SETTINGS;
+    const settings = { tenantId, registered: !!row };
+    for (const [key, column] of Object.entries(COLUMNS)) {
+      settings[key] = row?.[column] ?? defaults[key];
+    }
+    settings.defectLabels = { ...defaults.defectLabels, ...settings.defectLabels };
+    settings.maturityThresholds = { ...defaults.maturityThresholds, ...settings.maturityThresholds };
+    return settings;
+  }
+
+  // Resolved settings of a tenant (stored values over the defaults)
+  async getSettings(tenantId = null) {
+    const key = tenantId || 'default';
+    if (this._cache.has(key)) return this._cache.get(key);
+
+    const row = tenantId ? await database.getTenant(tenantId) : null;
+    const settings = this._fromRow(tenantId, row);
+    this._cache.set(key, settings);
+    return settings;
+  }
+
+  // Every registered tenant with its resolved settings
+  async listTenants() {
+    const rows = await database.listTenants();
+    return rows.map(row => ({
+      ...this._fromRow(row.tenant_key, row),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  // Validate and persist a partial update (registers the tenant if needed); returns
+  // { saved, errors, settings }
+  async saveSettings(tenantId, updates) {
+    const errors = this.validateSettings(updates);
+    if (errors.length > 0) return { saved: false, errors, settings: null };
+
+    const current = await database.getTenant(tenantId);
+    const columns = {};
+    for (const [key, column] of Object.entries(COLUMNS)) {
+      columns[column] = key in updates ? updates[key] : (current?.[column] ?? null);
+    }
+
+    const saved = await database.saveTenant(tenantId, columns);
+    this._invalidate(tenantId);
+    return { saved, errors: [], settings: await this.getSettings(tenantId) };
+  }
+
+  // Unregister a tenant so the defaults apply again
+  async deleteTenant(tenantId) {
+    const removed = await database.deleteTenant(tenantId);
+    this._invalidate(tenantId);
+    return removed;
+  }
+
+  _invalidate(tenantId) {
+    this._cache.delete(tenantId || 'default');
+    this._detectedFields.delete(tenantId || 'default');
+  }
+
+  // The tenant's locale setting, else a guess from the Jira host
+  async getLocale(tenantId) {
+    const { locale } = await this.getSettings(tenantId);
+    return locale || TenantService.detectLocale(tenantId);
+  }
+
+  // The tenant's story points field setting, else auto-detected through the given
+  // JiraService (cached per tenant). Null when the instance has no story points field.
+  async resolveStoryPointsField(jiraService) {
+    const tenantId = jiraService.tenantId;
+    const { storyPointsField } = await this.getSettings(tenantId);
+    if (storyPointsField) return storyPointsField;
+
+    const key = tenantId || 'default';
+    if (!this._detectedFields.has(key)) {
+      this._detectedFields.set(key, await jiraService.detectStoryPointsField());
+    }
+    return this._detectedFields.get(key);
+  }
+
+  // Apply "<level>.<criterion id>" threshold overrides to a maturity model (returns a copy)
+  applyThresholds(model, overrides = {}) {
+    if (!overrides || Object.keys(overrides).length === 0) return model;
+
+    return {
+      ...model,
+      levels: model.levels.map(level => ({
+        ...level,
+        criteria: (level.criteria || []).map(criterion => {
+          const ref = `${level.level}.${criterion.id}`;
+          if (!criterion.id || !(ref in overrides)) return criterion;
+          if (typeof criterion.expression === 'string') {
+            return {
+              ...criterion,
+              expression: criterion.expression.replace(/-?\d+(?:\.\d+)?\s*$/, String(overrides[ref]))
+            };
+          }
+          return { ...criterion, value: overrides[ref] };
+        })
+      }))
+    };
+  }
+}
+
+export { TenantSettingsService };
+export default new TenantSettingsService();
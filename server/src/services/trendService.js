@@ -0,0 +1,242 @@
+import database from './database.js';
+import maturityModelService, { MaturityModelService } from './maturityModelService.js';
+import overviewService from './overviewService.js';
+
+// Maturity trend
+// A board's stored snapshots (metrics_history, oldest first) as points — maturity level and
+// headline metrics — plus what changed between consecutive snapshots: the level change, the
+// metrics that moved and the maturity criteria that started or stopped passing. Criteria are
+// checked against the tenant's current model, so they explain the level under today's rules
+// even when the model changed since.
+// compare() diffs any two snapshots of a board in depth ("what changed since last quarter"):
+// every metric, sprints added to and dropped from the window, rollover issues and backlog items.
+
+// Plotted metrics; lowerIsBetter tells whether a drop is an improvement
+const TREND_METRICS = {
+  rolloverRate: { lowerIsBetter: true },
+  sprintHitRate: { lowerIsBetter: false },
+  backlogReadiness: { lowerIsBetter: false },
+  reworkRate: { lowerIsBetter: true },
+  cycleTime: { lowerIsBetter: true }
+};
+// Smaller moves (percentage points / days) are noise, not "what moved"
+const MIN_MOVE = 1;
+// Maturity model metrics where a drop is an improvement (compare() diffs all of them)
+const LOWER_IS_BETTER = new Set([
+  'rolloverRate', 'midSprintAdditions', 'reworkRate', 'cycleTimeVariation', 'defectEscapeRate',
+  'throughputVariation', 'cycleTime', 'cycleTimeP85', 'cycleTimeSpread', 'agingWipRate'
+]);
+// Cycle time isn't a model metric (the overview's per-type average)
+const CYCLE_TIME = { label: { en: 'Cycle Time', 'pt-BR': 'Cycle Time' }, unit: 'd' };
+
+class TrendService {
+  _evaluate(data, models) {
+    const kanban = data.mode === 'kanban';
+    const context = kanban
+      ? maturityModelService.buildFlowMetricContext(data)
+      : maturityModelService.buildMetricContext(data);
+    return maturityModelService.evaluate(context, kanban ? models.kanban : models.scrum);
+  }
+
+  // What moved from one point to the next
+  _compare(previous, current, locale) {
+    const moved = [];
+    for (const [metric, { lowerIsBetter }] of Object.entries(TREND_METRICS)) {
+      const from = previous.metrics[metric];
+      const to = current.metrics[metric];
+      if (from === null || to === null || Math.abs(to - from) < MIN_MOVE) continue;
+      const delta = Math.round((to - from) * 10) / 10;
+      moved.push({ metric, from, to, delta, improved: lowerIsBetter ? delta < 0 : delta > 0 });
+    }
+    moved.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    // Criteria whose outcome flipped (same mode only: scrum and kanban models differ)
+    const criteria = [];
+    if (previous.mode === current.mode) {
+      const before = new Map(previous._evaluation.levels.flatMap(l => l.criteria.map(c => [`${l.level}.${c.id}`, c])));
+      for (const level of current._evaluation.levels) {
+        for (const criterion of level.criteria) {
+          const old = before.get(`${level.level}.${criterion.id}`);
+          if (!old || old.passed === criterion.passed) continue;
+          criteria.push({
+            level: level.level,
+            id: criterion.id,
+            label: MaturityModelService.localize(criterion.label, locale),
+            metric: criterion.metric,
+            operator: criterion.operator,
+            value: criterion.value,
+            unit: criterion.unit,
+            from: Math.round(old.actual * 10) / 10,
+            to: Math.round(criterion.actual * 10) / 10,
+            passed: criterion.passed
+          });
+        }
+      }
+    }
+
+    const from = previous.maturityLevel;
+    const to = current.maturityLevel;
+    return {
+      fromId: previous.id,
+      toId: current.id,
+      at: current.calculatedAt,
+      levelChange: from !== null && to !== null && from !== to ? { from, to, direction: to > from ? 'up' : 'down' } : null,
+      moved,
+      criteria
+    };
+  }
+
+  async _models(tenantId) {
+    return {
+      scrum: await maturityModelService.getModel(tenantId, 'scrum'),
+      kanban: await maturityModelService.getModel(tenantId, 'kanban')
+    };
+  }
+
+  _toPoint(snapshot, models) {
+    const data = snapshot.metrics_data || {};
+    return {
+      id: snapshot.id,
+      calculatedAt: snapshot.calculated_at,
+      mode: data.mode === 'kanban' ? 'kanban' : 'scrum',
+      sprintsAnalyzed: data.sprintsAnalyzed ?? null,
+      maturityLevel: data.maturityLevel?.level ?? (snapshot.maturity_level ? Number(snapshot.maturity_level) : null),
+      maturityName: data.maturityLevel?.name || null,
+      metrics: overviewService.summarize(data),
+      _evaluation: this._evaluate(data, models)
+    };
+  }
+
+  // { boardId, boardName, points, changes } of a board's last `limit` snapshots; null when the
+  // board has none
+  async getTrend(boardId, tenantId, { limit = 100, locale = 'en' } = {}) {
+    const snapshots = (await database.getMetricsSnapshots(boardId, limit, tenantId)).reverse();
+    if (snapshots.length === 0) return null;
+
+    const models = await this._models(tenantId);
+    const points = snapshots.map(snapshot => this._toPoint(snapshot, models));
+
+    const changes = points.slice(1).map((point, i) => this._compare(points[i], point, locale));
+    const last = snapshots[snapshots.length - 1];
+    return {
+      boardId,
+      boardName: last.board_name || last.metrics_data?.boardName || `Board ${boardId}`,
+      points: points.map(({ _evaluation, ...point }) => point),
+      changes
+    };
+  }
+
+  // Diff of two snapshots of the same board (from = baseline); returns { diff, errors } — diff
+  // is null without errors when a snapshot doesn't exist
+  async compare(fromId, toId, tenantId, locale = 'en') {
+    const [fromSnapshot, toSnapshot] = await Promise.all([
+      database.getMetricsById(fromId, tenantId),
+      database.getMetricsById(toId, tenantId)
+    ]);
+    if (!fromSnapshot || !toSnapshot) return { diff: null, errors: [] };
+    if (fromSnapshot.board_id !== toSnapshot.board_id) {
+      return { diff: null, errors: ['Both snapshots must belong to the same board'] };
+    }
+
+    const models = await this._models(tenantId);
+    const from = this._toPoint(fromSnapshot, models);
+    const to = this._toPoint(toSnapshot, models);
+    const summary = this._compare(from, to, locale);
+    const fromData = fromSnapshot.metrics_data || {};
+    const toData = toSnapshot.metrics_data || {};
+
+    // Every metric of the maturity context (as criteria see them) plus cycle time
+    const context = (data) => ({
+      ...(data.mode === 'kanban'
+        ? maturityModelService.buildFlowMetricContext(data)
+        : maturityModelService.buildMetricContext(data)),
+      cycleTime: overviewService.summarize(data).cycleTime
+    });
+    const fromContext = context(fromData);
+    const toContext = context(toData);
+    const round = (value) => Math.round(value * 10) / 10;
+    const metrics = Object.keys(toContext)
+      .filter(metric => metric in fromContext && typeof toContext[metric] === 'number' && typeof fromContext[metric] === 'number')
+      .map(metric => {
+        const definition = metric === 'cycleTime' ? CYCLE_TIME : MaturityModelService.METRICS[metric];
+        const delta = round(toContext[metric] - fromContext[metric]);
+        return {
+          metric,
+          label: definition ? MaturityModelService.localize(definition.label, locale) : metric,
+          unit: definition?.unit ?? '',
+          from: round(fromContext[metric]),
+          to: round(toContext[metric]),
+          delta,
+          improved: delta === 0 ? null : (LOWER_IS_BETTER.has(metric) ? delta < 0 : delta > 0)
+        };
+      });
+
+    // Sprints in the analysis window of each snapshot
+    const sprintsOf = (data) => new Map((data.sprintMetrics || []).map(s => [String(s.sprintId ?? s.sprintName), s]));
+    const fromSprints = sprintsOf(fromData);
+    const toSprints = sprintsOf(toData);
+    const describeSprint = (s) => ({ sprintId: s.sprintId ?? null, sprintName: s.sprintName, endDate: s.endDate || null });
+    const sprints = {
+      added: [...toSprints].filter(([key]) => !fromSprints.has(key)).map(([, s]) => describeSprint(s)),
+      dropped: [...fromSprints].filter(([key]) => !toSprints.has(key)).map(([, s]) => describeSprint(s))
+    };
+
+    // Rollover issues by key (latest sprint they rolled over in)
+    const rolloversOf = (sprintMap) => {
+      const issues = new Map();
+      for (const sprint of sprintMap.values()) {
+        for (const issue of sprint.rolloverIssues || []) {
+          issues.set(issue.key, { key: issue.key, summary: issue.summary, type: issue.type, status: issue.status, reasons: issue.reasons || [], sprintName: sprint.sprintName });
+        }
+      }
+      return issues;
+    };
+    const fromRollovers = rolloversOf(fromSprints);
+    const toRollovers = rolloversOf(toSprints);
+    const rollovers = {
+      // Rolled over in the compared snapshot but not in the baseline
+      new: [...toRollovers.values()].filter(i => !fromRollovers.has(i.key)),
+      // Rolled over in the baseline but no longer in the compared snapshot's window
+      resolved: [...fromRollovers.values()].filter(i => !toRollovers.has(i.key))
+    };
+
+    // Backlog items missing acceptance criteria or an estimate
+    const gapsOf = (data) => {
+      const items = new Map();
+      for (const [list, gap] of [['missingAC', 'acceptanceCriteria'], ['missingEstimates', 'estimate']]) {
+        for (const item of data.backlogHealth?.[list] || []) {
+          if (!items.has(item.key)) items.set(item.key, { key: item.key, summary: item.summary, type: item.type, gaps: [] });
+          items.get(item.key).gaps.push(gap);
+        }
+      }
+      return items;
+    };
+    const fromGaps = gapsOf(fromData);
+    const toGaps = gapsOf(toData);
+    const backlog = {
+      readiness: { from: fromData.backlogHealth?.overallScore ?? null, to: toData.backlogHealth?.overallScore ?? null },
+      // Gaps fixed — or the item left the To Do backlog (started or done)
+      becameReady: [...fromGaps.values()].filter(i => !toGaps.has(i.key)),
+      // Items with gaps that weren't listed in the baseline (new in the backlog, or lost a field)
+      newGaps: [...toGaps.values()].filter(i => !fromGaps.has(i.key))
+    };
+
+    const describe = ({ _evaluation, metrics: _metrics, ...point }) => point;
+    const diff = {
+      boardId: toSnapshot.board_id,
+      boardName: toSnapshot.board_name || toData.boardName || `Board ${toSnapshot.board_id}`,
+      from: describe(from),
+      to: describe(to),
+      levelChange: summary.levelChange,
+      metrics,
+      criteria: summary.criteria,
+      sprints,
+      rollovers,
+      backlog
+    };
+    return { diff, errors: [] };
+  }
+}
+
+export { TrendService };
+export default new TrendService();